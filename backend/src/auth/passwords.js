@@ -0,0 +1,21 @@
+import { randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+
+const scryptAsync = promisify(scrypt);
+const keyLength = 64;
+
+export async function hashPassword(password) {
+  const salt = randomBytes(16).toString("hex");
+  const key = await scryptAsync(password, salt, keyLength);
+  return `scrypt$${salt}$${key.toString("hex")}`;
+}
+
+export async function verifyPassword(password, passwordHash) {
+  const [scheme, salt, expected] = passwordHash.split("$");
+  if (scheme !== "scrypt" || !salt || !expected) {
+    return false;
+  }
+  const key = await scryptAsync(password, salt, keyLength);
+  const expectedKey = Buffer.from(expected, "hex");
+  return expectedKey.length === key.length && timingSafeEqual(expectedKey, key);
+}
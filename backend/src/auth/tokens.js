@@ -0,0 +1,50 @@
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+// Compact HS256 JWTs, enough for the board's stateless session tokens.
+const header = Buffer.from(
+  JSON.stringify({ alg: "HS256", typ: "JWT" })
+).toString("base64url");
+
+export function createTokenService({ secret, ttlSeconds }) {
+  function signature(data) {
+    return createHmac("sha256", secret).update(data).digest();
+  }
+
+  return {
+    sign(subject) {
+      const now = Math.floor(Date.now() / 1000);
+      const payload = Buffer.from(
+        JSON.stringify({ sub: subject, iat: now, exp: now + ttlSeconds })
+      ).toString("base64url");
+      const data = `${header}.${payload}`;
+      return `${data}.${signature(data).toString("base64url")}`;
+    },
+
+    verify(token) {
+      const parts = token.split(".");
+      if (parts.length !== 3 || parts[0] !== header) {
+        return null;
+      }
+      const expected = signature(`${parts[0]}.${parts[1]}`);
+      const actual = Buffer.from(parts[2], "base64url");
+      if (
+        actual.length !== expected.length ||
+        !timingSafeEqual(actual, expected)
+      ) {
+        return null;
+      }
+      try {
+        const payload = JSON.parse(Buffer.from(parts[1], "base64url"));
+        if (
+          typeof payload.exp !== "number" ||
+          payload.exp * 1000 < Date.now()
+        ) {
+          return null;
+        }
+        return payload;
+      } catch (error) {
+        return null;
+      }
+    }
+  };
+}
@@ -0,0 +1,40 @@
+import { createReadStream, createWriteStream } from "node:fs";
+import { mkdir, rename, rm } from "node:fs/promises";
+import path from "node:path";
+import { pipeline } from "node:stream/promises";
+
+// Keeps each blob in a file named after its key. Files are written under a
+// temporary name and renamed once complete, so a failed upload never leaves
+// a partial file behind under the real name.
+export function createDiskBlobStore({ dir }) {
+  let ready = null;
+
+  function fileOf(key) {
+    return path.join(dir, key);
+  }
+
+  return {
+    async write(key, stream) {
+      ready = ready || mkdir(dir, { recursive: true });
+      await ready;
+      const partial = `${fileOf(key)}.partial`;
+      const file = createWriteStream(partial);
+      try {
+        await pipeline(stream, file);
+        await rename(partial, fileOf(key));
+        return file.bytesWritten;
+      } catch (error) {
+        await rm(partial, { force: true });
+        throw error;
+      }
+    },
+
+    read(key) {
+      return createReadStream(fileOf(key));
+    },
+
+    async remove(key) {
+      await rm(fileOf(key), { force: true });
+    }
+  };
+}
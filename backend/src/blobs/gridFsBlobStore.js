@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+import { pipeline } from "node:stream/promises";
+
+// Keeps blobs in MongoDB GridFS, named after their key, so attachments live
+// and are backed up with the rest of the data.
+export function createGridFsBlobStore({ bucketName = "attachments" } = {}) {
+  let bucket = null;
+
+  // The bucket needs the open connection, which doesn't exist yet when the
+  // store is created.
+  function getBucket() {
+    bucket =
+      bucket ||
+      new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+    return bucket;
+  }
+
+  return {
+    async write(key, stream, { contentType } = {}) {
+      const upload = getBucket().openUploadStream(key, {
+        metadata: { contentType }
+      });
+      try {
+        await pipeline(stream, upload);
+        return upload.length;
+      } catch (error) {
+        await upload.abort().catch(() => {});
+        throw error;
+      }
+    },
+
+    read(key) {
+      return getBucket().openDownloadStreamByName(key);
+    },
+
+    async remove(key) {
+      const files = await getBucket().find({ filename: key }).toArray();
+      for (const file of files) {
+        await getBucket().delete(file._id);
+      }
+    }
+  };
+}
@@ -0,0 +1,16 @@
+import { createDiskBlobStore } from "./diskBlobStore.js";
+import { createGridFsBlobStore } from "./gridFsBlobStore.js";
+
+// Where attachment contents live. Every store can write a stream under a key
+// (resolving to the number of bytes written), read it back as a stream and
+// remove it.
+export function createBlobStore(config) {
+  switch (config.store) {
+    case "disk":
+      return createDiskBlobStore({ dir: config.dir });
+    case "gridfs":
+      return createGridFsBlobStore();
+    default:
+      throw new Error(`Unknown attachment store "${config.store}"`);
+  }
+}
@@ -0,0 +1,14 @@
+const modes = ["strict", "log", "off"];
+
+// "strict" rejects requests that don't match the OpenAPI specification and
+// turns responses that don't into 500s, so drift shows up at once in
+// development. Production only logs mismatches by default.
+export function getApiValidationConfig() {
+  const mode =
+    process.env.API_VALIDATION ||
+    (process.env.NODE_ENV === "production" ? "log" : "strict");
+  if (!modes.includes(mode)) {
+    throw new Error(`API_VALIDATION must be one of ${modes.join(", ")}`);
+  }
+  return { mode };
+}
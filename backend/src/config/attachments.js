@@ -0,0 +1,49 @@
+import path from "node:path";
+
+const stores = ["disk", "gridfs"];
+
+// Compose files, logs, screenshots and the usual document and archive
+// formats. Entries ending in "/*" allow a whole family of types.
+const defaultTypes = [
+  "text/*",
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "application/json",
+  "application/yaml",
+  "application/pdf",
+  "application/zip",
+  "application/gzip"
+];
+
+export function getAttachmentConfig(storage) {
+  const store = process.env.ATTACHMENT_STORE || "disk";
+  if (!stores.includes(store)) {
+    throw new Error(
+      `ATTACHMENT_STORE must be one of ${stores.join(", ")}, got "${store}"`
+    );
+  }
+  if (store === "gridfs" && storage.driver !== "mongo") {
+    throw new Error("ATTACHMENT_STORE=gridfs needs TASK_STORE=mongo");
+  }
+  const maxMegabytes = Number(process.env.ATTACHMENT_MAX_MB ?? 10);
+  if (!(maxMegabytes > 0)) {
+    throw new Error("ATTACHMENT_MAX_MB must be a positive number");
+  }
+  const types = process.env.ATTACHMENT_TYPES
+    ? process.env.ATTACHMENT_TYPES.split(",")
+        .map((type) => type.trim().toLowerCase())
+        .filter(Boolean)
+    : defaultTypes;
+  if (!types.length) {
+    throw new Error("ATTACHMENT_TYPES must list at least one MIME type");
+  }
+  return {
+    store,
+    dir:
+      process.env.ATTACHMENT_DIR || path.join(storage.dataDir, "attachments"),
+    maxBytes: Math.floor(maxMegabytes * 1024 * 1024),
+    types
+  };
+}
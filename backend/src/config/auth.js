@@ -0,0 +1,16 @@
+import { randomBytes } from "node:crypto";
+import { logger } from "../logging/logger.js";
+
+const defaultTtlSeconds = 7 * 24 * 60 * 60;
+
+export function getAuthConfig() {
+  let secret = process.env.AUTH_SECRET;
+  if (!secret) {
+    secret = randomBytes(32).toString("hex");
+    logger.warn(
+      "AUTH_SECRET is not set; using a random secret, sessions will not survive a restart"
+    );
+  }
+  const ttlSeconds = Number(process.env.AUTH_TOKEN_TTL) || defaultTtlSeconds;
+  return { secret, ttlSeconds };
+}
@@ -1,9 +1,91 @@
 import mongoose from "mongoose";
+import { logger } from "../logging/logger.js";
 
-export async function connectToDatabase() {
+const initialRetryMs = 1000;
+const maxRetryMs = 30 * 1000;
+// Fail reads and writes after a few seconds without a server rather than the
+// defaults of 10 to 30, so requests made while MongoDB is down don't hang.
+const serverSelectionTimeoutMS = 5000;
+
+mongoose.set("bufferTimeoutMS", serverSelectionTimeoutMS);
+
+const status = { state: "disconnected", error: null, since: new Date() };
+let retryTimer = null;
+let stopped = false;
+
+// The last error is kept until the connection works again.
+function setState(state, error) {
+  if (status.state !== state) {
+    status.since = new Date();
+  }
+  status.state = state;
+  if (state === "connected") {
+    status.error = null;
+  } else if (error) {
+    status.error = error.message;
+  }
+}
+
+mongoose.connection.on("connected", () => setState("connected"));
+mongoose.connection.on("disconnected", () => {
+  if (status.state === "connected" && !stopped) {
+    logger.error("Lost the MongoDB connection; the driver is reconnecting");
+  }
+  setState("disconnected");
+});
+mongoose.connection.on("reconnected", () => {
+  logger.info("Reconnected to MongoDB");
+  setState("connected");
+});
+mongoose.connection.on("error", (error) => {
+  setState(status.state, error);
+});
+
+// Where the connection stands: "connecting", "connected" or "disconnected",
+// since when, and the last error if it failed.
+export function databaseStatus() {
+  return { ...status };
+}
+
+export function isDatabaseConnected() {
+  return mongoose.connection.readyState === mongoose.STATES.connected;
+}
+
+// Connects in the background, retrying with exponential backoff until it
+// works; the promise resolves once connected. After that the driver
+// reconnects by itself whenever the connection drops.
+export function connectToDatabase() {
   const uri = process.env.MONGO_URI;
   if (!uri) {
     throw new Error("MONGO_URI is not set");
   }
-  await mongoose.connect(uri);
+  let delay = initialRetryMs;
+  return new Promise((resolve) => {
+    async function attempt() {
+      setState("connecting");
+      try {
+        await mongoose.connect(uri, { serverSelectionTimeoutMS });
+        logger.info("Connected to MongoDB");
+        resolve();
+      } catch (error) {
+        if (stopped) {
+          return;
+        }
+        setState("disconnected", error);
+        logger.error("MongoDB connection failed, retrying", {
+          retryInSeconds: delay / 1000,
+          error
+        });
+        retryTimer = setTimeout(attempt, delay);
+        delay = Math.min(delay * 2, maxRetryMs);
+      }
+    }
+    attempt();
+  });
+}
+
+export async function disconnectFromDatabase() {
+  stopped = true;
+  clearTimeout(retryTimer);
+  await mongoose.disconnect();
 }
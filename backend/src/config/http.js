@@ -0,0 +1,72 @@
+// The Vite dev server; in Compose the frontend and API share nginx's origin
+// and need no CORS at all.
+const defaultOrigins = ["http://localhost:5173"];
+// Docker and most private networks, where nginx or another proxy in front of
+// the backend sets X-Forwarded-For.
+const defaultTrustProxy = "loopback, linklocal, uniquelocal";
+
+function readOrigins() {
+  const value = process.env.CORS_ORIGINS;
+  if (value === undefined) {
+    return defaultOrigins;
+  }
+  if (value.trim() === "*") {
+    return "*";
+  }
+  const origins = value
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+  for (const origin of origins) {
+    let parsed = null;
+    try {
+      parsed = new URL(origin);
+    } catch (error) {
+      // Reported below.
+    }
+    if (parsed?.origin !== origin) {
+      throw new Error(
+        `CORS_ORIGINS must list origins like https://tasks.example.com, got "${origin}"`
+      );
+    }
+  }
+  return origins;
+}
+
+function readTrustProxy() {
+  const value = (process.env.TRUST_PROXY ?? defaultTrustProxy).trim();
+  if (value === "true" || value === "false") {
+    return value === "true";
+  }
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+function readLimit(name, fallback) {
+  const limit = Number(process.env[name] ?? fallback);
+  if (!(Number.isInteger(limit) && limit >= 0)) {
+    throw new Error(`${name} must be a whole number, 0 to turn it off`);
+  }
+  return limit;
+}
+
+export function getHttpConfig() {
+  const bodyMaxKb = Number(process.env.BODY_MAX_KB ?? 1024);
+  if (!(bodyMaxKb > 0)) {
+    throw new Error("BODY_MAX_KB must be a positive number");
+  }
+  const windowSeconds = Number(process.env.RATE_LIMIT_WINDOW_SECONDS ?? 60);
+  if (!(windowSeconds > 0)) {
+    throw new Error("RATE_LIMIT_WINDOW_SECONDS must be a positive number");
+  }
+  return {
+    corsOrigins: readOrigins(),
+    trustProxy: readTrustProxy(),
+    bodyMaxBytes: Math.floor(bodyMaxKb * 1024),
+    rateLimits: {
+      windowMs: windowSeconds * 1000,
+      perIp: readLimit("RATE_LIMIT_PER_IP", 1200),
+      perToken: readLimit("RATE_LIMIT_PER_TOKEN", 600),
+      authPerIp: readLimit("RATE_LIMIT_AUTH_PER_IP", 20)
+    }
+  };
+}
@@ -0,0 +1,9 @@
+// Metrics name every route and count tasks, so production doesn't serve them
+// without a token.
+export function getMetricsConfig() {
+  const token = process.env.METRICS_TOKEN || null;
+  if (!token && process.env.NODE_ENV === "production") {
+    throw new Error("METRICS_TOKEN must be set when NODE_ENV=production");
+  }
+  return { token };
+}
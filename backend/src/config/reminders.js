@@ -0,0 +1,39 @@
+const notifiers = ["log", "smtp", "http", "none"];
+
+export function getReminderConfig() {
+  const notifier = process.env.REMINDER_NOTIFIER || "log";
+  if (!notifiers.includes(notifier)) {
+    throw new Error(
+      `REMINDER_NOTIFIER must be one of ${notifiers.join(
+        ", "
+      )}, got "${notifier}"`
+    );
+  }
+  const intervalMinutes = Number(process.env.REMINDER_INTERVAL_MINUTES ?? 5);
+  const leadHours = Number(process.env.REMINDER_LEAD_HOURS ?? 24);
+  if (!(intervalMinutes > 0)) {
+    throw new Error("REMINDER_INTERVAL_MINUTES must be a positive number");
+  }
+  if (!(leadHours >= 0)) {
+    throw new Error("REMINDER_LEAD_HOURS must be a non-negative number");
+  }
+  const smtpPort = Number(process.env.SMTP_PORT ?? 25);
+  if (notifier === "smtp" && !Number.isInteger(smtpPort)) {
+    throw new Error("SMTP_PORT must be a port number");
+  }
+  const webhookUrl = process.env.REMINDER_WEBHOOK_URL;
+  if (notifier === "http" && !webhookUrl) {
+    throw new Error("REMINDER_WEBHOOK_URL is required for the http notifier");
+  }
+  return {
+    notifier,
+    intervalMs: intervalMinutes * 60 * 1000,
+    leadMs: leadHours * 60 * 60 * 1000,
+    smtp: {
+      host: process.env.SMTP_HOST || "localhost",
+      port: smtpPort,
+      from: process.env.SMTP_FROM || "taskboard@localhost"
+    },
+    http: { url: webhookUrl }
+  };
+}
@@ -0,0 +1,7 @@
+export function getShutdownConfig() {
+  const timeoutSeconds = Number(process.env.SHUTDOWN_TIMEOUT_SECONDS ?? 10);
+  if (!(timeoutSeconds > 0)) {
+    throw new Error("SHUTDOWN_TIMEOUT_SECONDS must be a positive number");
+  }
+  return { timeoutMs: timeoutSeconds * 1000 };
+}
@@ -0,0 +1,15 @@
+const drivers = ["memory", "file", "mongo"];
+
+export function getStorageConfig() {
+  const driver =
+    process.env.TASK_STORE || (process.env.MONGO_URI ? "mongo" : "memory");
+  if (!drivers.includes(driver)) {
+    throw new Error(
+      `TASK_STORE must be one of ${drivers.join(", ")}, got "${driver}"`
+    );
+  }
+  return {
+    driver,
+    dataDir: process.env.DATA_DIR || "./data"
+  };
+}
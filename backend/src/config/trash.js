@@ -0,0 +1,13 @@
+export function getTrashConfig() {
+  const retentionDays = Number(process.env.TRASH_RETENTION_DAYS ?? 30);
+  const intervalMinutes = Number(
+    process.env.TRASH_PURGE_INTERVAL_MINUTES ?? 60
+  );
+  if (!(retentionDays >= 0)) {
+    throw new Error("TRASH_RETENTION_DAYS must be a non-negative number");
+  }
+  if (!(intervalMinutes > 0)) {
+    throw new Error("TRASH_PURGE_INTERVAL_MINUTES must be a positive number");
+  }
+  return { retentionDays, intervalMs: intervalMinutes * 60 * 1000 };
+}
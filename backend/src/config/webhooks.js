@@ -0,0 +1,28 @@
+export function getWebhookConfig() {
+  const maxAttempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS ?? 8);
+  const retryBaseSeconds = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS ?? 30);
+  const retentionDays = Number(process.env.WEBHOOK_RETENTION_DAYS ?? 7);
+  if (!(Number.isInteger(maxAttempts) && maxAttempts >= 1)) {
+    throw new Error("WEBHOOK_MAX_ATTEMPTS must be a positive whole number");
+  }
+  if (!(retryBaseSeconds > 0)) {
+    throw new Error("WEBHOOK_RETRY_BASE_SECONDS must be a positive number");
+  }
+  if (!(retentionDays > 0)) {
+    throw new Error("WEBHOOK_RETENTION_DAYS must be a positive number");
+  }
+  // Hosts webhooks may be sent to, "*.example.com" for a domain's
+  // subdomains. Without a list, any host that isn't on a private network.
+  const allowedHosts = (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+  return {
+    allowedHosts,
+    maxAttempts,
+    retryBaseMs: retryBaseSeconds * 1000,
+    retentionMs: retentionDays * 24 * 60 * 60 * 1000,
+    pollIntervalMs: 5 * 1000,
+    timeoutMs: 10 * 1000
+  };
+}
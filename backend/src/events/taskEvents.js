@@ -0,0 +1,59 @@
+import { randomBytes } from "node:crypto";
+
+// Event ids are "<epoch>-<sequence>". The epoch changes on every restart so a
+// client reconnecting with an id from a previous process is told to resync
+// instead of silently missing whatever happened in between.
+export function createTaskEventBus({ historySize = 500 } = {}) {
+  const epoch = randomBytes(4).toString("hex");
+  const history = [];
+  const listeners = new Set();
+  let sequence = 0;
+
+  function parseId(id) {
+    const [eventEpoch, eventSequence] = String(id).split("-");
+    const parsed = Number(eventSequence);
+    if (eventEpoch !== epoch || !Number.isInteger(parsed)) {
+      return null;
+    }
+    return parsed;
+  }
+
+  return {
+    currentId() {
+      return `${epoch}-${sequence}`;
+    },
+
+    publish(owner, type, data) {
+      sequence += 1;
+      const event = { id: `${epoch}-${sequence}`, sequence, owner, type, data };
+      history.push(event);
+      if (history.length > historySize) {
+        history.shift();
+      }
+      for (const listener of listeners) {
+        listener(event);
+      }
+    },
+
+    // Events for the owner published after lastId, or null when that id is
+    // unknown or has already fallen out of the replay buffer.
+    since(owner, lastId) {
+      const last = parseId(lastId);
+      if (last === null || last > sequence) {
+        return null;
+      }
+      const oldest = history.length ? history[0].sequence : sequence + 1;
+      if (last < oldest - 1) {
+        return null;
+      }
+      return history.filter(
+        (event) => event.sequence > last && event.owner === owner
+      );
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
@@ -0,0 +1,80 @@
+// Minimal RFC 4180 reader and writer: fields may be quoted, and quoted fields
+// may contain commas, doubled quotes and line breaks.
+
+// Spreadsheets run cells starting with these as formulas, so the writer
+// prefixes such cells with an apostrophe, which they show as text, and the
+// reader takes it off again.
+const formulaStart = /^[=+\-@\t\r]/;
+
+function unescapeFormula(field) {
+  return field.startsWith("'") && formulaStart.test(field.slice(1))
+    ? field.slice(1)
+    : field;
+}
+
+export function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let wasQuoted = false;
+
+  function endRow() {
+    row.push(unescapeFormula(field));
+    // Blank lines carry no record.
+    if (row.length > 1 || row[0] !== "" || wasQuoted) {
+      rows.push(row);
+    }
+    row = [];
+    field = "";
+    wasQuoted = false;
+  }
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+      wasQuoted = true;
+    } else if (char === ",") {
+      row.push(unescapeFormula(field));
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i += 1;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new SyntaxError("CSV has an unterminated quoted field");
+  }
+  if (field !== "" || row.length || wasQuoted) {
+    endRow();
+  }
+  return rows;
+}
+
+function formatCell(value) {
+  const raw = value === null || value === undefined ? "" : String(value);
+  const formula = formulaStart.test(raw);
+  const text = formula ? `'${raw}` : raw;
+  return formula || /[",\r\n]/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+export function toCsv(rows) {
+  return rows.map((row) => row.map(formatCell).join(",")).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,79 @@
+const priorityLevels = { high: 1, medium: 5, low: 9 };
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Content lines are limited to 75 octets; longer ones continue on lines that
+// start with a space. Split on characters so multi-byte text stays intact.
+function fold(line) {
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const width = Buffer.byteLength(char);
+    if (size + width > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += width;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, "");
+}
+
+function formatDateTime(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+// Builds a calendar with an all-day event on the due date of every task that
+// has one. Due dates are stored as UTC midnight, so the UTC day is the one the
+// user picked.
+export function toICalendar(tasks, { name, domain }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:-//${domain}//Task board//EN`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  for (const task of tasks) {
+    if (!task.dueDate) {
+      continue;
+    }
+    const due = new Date(task.dueDate);
+    const dayAfter = new Date(due.getTime() + 24 * 60 * 60 * 1000);
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${task.id}@${domain}`,
+      `DTSTAMP:${formatDateTime(new Date(task.updatedAt || Date.now()))}`,
+      `DTSTART;VALUE=DATE:${formatDate(due)}`,
+      `DTEND;VALUE=DATE:${formatDate(dayAfter)}`,
+      `SUMMARY:${escapeText(task.title)}`
+    );
+    if (task.description) {
+      lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+    }
+    lines.push(
+      `CATEGORIES:${escapeText(task.status)}`,
+      `PRIORITY:${priorityLevels[task.priority] ?? 0}`,
+      "END:VEVENT"
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
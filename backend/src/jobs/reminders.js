@@ -0,0 +1,29 @@
+import { logger } from "../logging/logger.js";
+
+// A run can outlast the interval when a notifier is slow, so a run still in
+// progress is left to finish rather than racing it to send the same reminders.
+export function startReminders(service, { intervalMs }) {
+  let running = false;
+
+  async function run() {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const sent = await service.sendDue();
+      if (sent) {
+        logger.info("Sent reminders", { sent });
+      }
+    } catch (error) {
+      logger.error("Sending reminders failed", { error });
+    } finally {
+      running = false;
+    }
+  }
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,22 @@
+import { logger } from "../logging/logger.js";
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+export function startTrashPurge(service, { retentionDays, intervalMs }) {
+  async function run() {
+    try {
+      const before = new Date(Date.now() - retentionDays * dayMs);
+      const purged = await service.purgeExpired(before);
+      if (purged) {
+        logger.info("Purged tasks from the trash", { purged });
+      }
+    } catch (error) {
+      logger.error("Trash purge failed", { error });
+    }
+  }
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
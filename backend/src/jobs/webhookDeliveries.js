@@ -0,0 +1,37 @@
+import { logger } from "../logging/logger.js";
+
+const purgeIntervalMs = 60 * 60 * 1000;
+
+// New deliveries are sent as soon as they are queued; this picks up retries
+// once their backoff has passed, and deliveries left over from a restart.
+export function startWebhookDeliveries(service, { pollIntervalMs }) {
+  async function deliver() {
+    try {
+      await service.deliverDue();
+    } catch (error) {
+      logger.error("Webhook delivery failed", { error });
+    }
+  }
+
+  async function purge() {
+    try {
+      const purged = await service.purgeFinished();
+      if (purged) {
+        logger.info("Purged finished webhook deliveries", { purged });
+      }
+    } catch (error) {
+      logger.error("Webhook delivery purge failed", { error });
+    }
+  }
+
+  deliver();
+  purge();
+  const timers = [
+    setInterval(deliver, pollIntervalMs),
+    setInterval(purge, purgeIntervalMs)
+  ];
+  for (const timer of timers) {
+    timer.unref();
+  }
+  return () => timers.forEach((timer) => clearInterval(timer));
+}
@@ -0,0 +1,52 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+const levels = { debug: 10, info: 20, warn: 30, error: 40 };
+const context = new AsyncLocalStorage();
+
+const threshold = levels[process.env.LOG_LEVEL || "info"];
+if (threshold === undefined) {
+  throw new Error(`LOG_LEVEL must be one of ${Object.keys(levels).join(", ")}`);
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    stack: error.stack
+  };
+}
+
+// One JSON object per line: time, level and message, then the fields of the
+// surrounding log context (such as the request id), then the line's own.
+// Warnings and errors go to stderr.
+function write(level, message, fields = {}) {
+  if (levels[level] < threshold) {
+    return;
+  }
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...context.getStore(),
+    ...fields
+  };
+  if (entry.error instanceof Error) {
+    entry.error = serializeError(entry.error);
+  }
+  const stream = levels[level] >= levels.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+export const logger = {
+  debug: (message, fields) => write("debug", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  error: (message, fields) => write("error", message, fields)
+};
+
+// Runs `callback` with `fields` added to every line logged from it, however
+// many awaits deep.
+export function withLogContext(fields, callback) {
+  return context.run({ ...context.getStore(), ...fields }, callback);
+}
@@ -0,0 +1,51 @@
+import { routeOf } from "../middleware/requestLogging.js";
+import { createMetricsRegistry } from "./registry.js";
+
+const latencyBuckets = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10
+];
+
+// The backend's metrics: requests by route and status, how long they took,
+// and how many tasks there are in each status, counted when scraped.
+export function createMetrics({ tasks }) {
+  const registry = createMetricsRegistry();
+  const requests = registry.counter(
+    "http_requests_total",
+    "HTTP requests handled, by method, route and status.",
+    ["method", "route", "status"]
+  );
+  const latency = registry.histogram(
+    "http_request_duration_seconds",
+    "Time taken to respond to HTTP requests, by method and route.",
+    ["method", "route"],
+    latencyBuckets
+  );
+  registry.gauge(
+    "taskboard_tasks",
+    "Tasks outside the trash, by status.",
+    async () =>
+      Object.entries(await tasks.countByStatus()).map(([status, count]) => ({
+        labels: { status },
+        value: count
+      }))
+  );
+
+  // Live update streams stay open for as long as someone watches, so they
+  // are counted but kept out of the latency histogram.
+  function trackRequests(req, res, next) {
+    const started = process.hrtime.bigint();
+    res.on("close", () => {
+      const labels = { method: req.method, route: routeOf(req) };
+      requests.inc({ ...labels, status: res.statusCode });
+      if (res.get("Content-Type") !== "text/event-stream") {
+        latency.observe(
+          labels,
+          Number(process.hrtime.bigint() - started) / 1e9
+        );
+      }
+    });
+    next();
+  }
+
+  return { render: registry.render, trackRequests };
+}
@@ -0,0 +1,120 @@
+// Just enough of the Prometheus text exposition format for counters,
+// histograms and gauges read when scraped.
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  );
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function keyOf(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+}
+
+function pick(labelNames, labels) {
+  return Object.fromEntries(
+    labelNames.map((name) => [name, String(labels[name] ?? "")])
+  );
+}
+
+export function createMetricsRegistry() {
+  const metrics = [];
+
+  function register(name, help, type, collect) {
+    metrics.push({ name, help, type, collect });
+  }
+
+  return {
+    counter(name, help, labelNames = []) {
+      const series = new Map();
+      register(name, help, "counter", () =>
+        [...series.values()].map(
+          ({ labels, value }) => `${name}${formatLabels(labels)} ${value}`
+        )
+      );
+      return {
+        inc(labels = {}, amount = 1) {
+          const key = keyOf(labelNames, labels);
+          const entry = series.get(key) ?? {
+            labels: pick(labelNames, labels),
+            value: 0
+          };
+          entry.value += amount;
+          series.set(key, entry);
+        }
+      };
+    },
+
+    histogram(name, help, labelNames = [], buckets) {
+      const series = new Map();
+      register(name, help, "histogram", () =>
+        [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+          ...buckets.map(
+            (bound, index) =>
+              `${name}_bucket${formatLabels({
+                ...labels,
+                le: bound
+              })} ${counts[index]}`
+          ),
+          `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+          `${name}_sum${formatLabels(labels)} ${sum}`,
+          `${name}_count${formatLabels(labels)} ${count}`
+        ])
+      );
+      return {
+        observe(labels, value) {
+          const key = keyOf(labelNames, labels);
+          let entry = series.get(key);
+          if (!entry) {
+            entry = {
+              labels: pick(labelNames, labels),
+              counts: buckets.map(() => 0),
+              sum: 0,
+              count: 0
+            };
+            series.set(key, entry);
+          }
+          buckets.forEach((bound, index) => {
+            if (value <= bound) {
+              entry.counts[index] += 1;
+            }
+          });
+          entry.sum += value;
+          entry.count += 1;
+        }
+      };
+    },
+
+    // `collect` is called on every scrape and returns { labels, value }
+    // samples.
+    gauge(name, help, collect) {
+      register(name, help, "gauge", async () =>
+        (await collect()).map(
+          ({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`
+        )
+      );
+    },
+
+    async render() {
+      const sections = [];
+      for (const { name, help, type, collect } of metrics) {
+        sections.push(
+          [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} ${type}`,
+            ...(await collect())
+          ].join("\n")
+        );
+      }
+      return `${sections.join("\n")}\n`;
+    }
+  };
+}
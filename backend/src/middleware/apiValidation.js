@@ -0,0 +1,244 @@
+import { logger } from "../logging/logger.js";
+import { resolveRef, validateValue } from "../openapi/validate.js";
+import { sendValidationErrors } from "../validation/taskFields.js";
+
+const methods = ["get", "post", "put", "patch", "delete"];
+
+// One matcher per path template, literal templates before those with more
+// parameters, so /tasks/bulk is tried before /tasks/{id}.
+function compilePaths(spec) {
+  return Object.entries(spec.paths)
+    .map(([template, item]) => {
+      const names = template.match(/\{[^}]+\}/g) || [];
+      const source = template
+        .split(/\{[^}]+\}/)
+        .map((part) => part.replace(/[.*+?^$()|[\]\\]/g, "\\$&"))
+        .join("([^/]+)");
+      return { pattern: new RegExp(`^${source}$`), item, params: names.length };
+    })
+    .sort((a, b) => a.params - b.params);
+}
+
+function findOperation(compiled, method, path) {
+  const name = method === "head" ? "get" : method;
+  if (!methods.includes(name)) {
+    return null;
+  }
+  for (const { pattern, item } of compiled) {
+    if (item[name] && pattern.test(path)) {
+      return {
+        ...item[name],
+        parameters: [
+          ...(item.parameters || []),
+          ...(item[name].parameters || [])
+        ]
+      };
+    }
+  }
+  return null;
+}
+
+// Query values arrive as strings, or lists when repeated; they are read the
+// way the routes read them before being checked.
+function coerce(spec, schema, value) {
+  const resolved = resolveRef(spec, schema);
+  if (resolved.type === "array") {
+    return [].concat(value).map((item) => coerce(spec, resolved.items, item));
+  }
+  if (typeof value !== "string") {
+    return value;
+  }
+  if (
+    ["integer", "number"].includes(resolved.type) &&
+    /^-?\d+(\.\d+)?$/.test(value)
+  ) {
+    return Number(value);
+  }
+  if (resolved.type === "boolean" && ["true", "false"].includes(value)) {
+    return value === "true";
+  }
+  return value;
+}
+
+function checkRequest(spec, operation, req) {
+  const errors = [];
+  for (const parameter of operation.parameters) {
+    if (parameter.in !== "query") {
+      continue;
+    }
+    const value = req.query[parameter.name];
+    if (value === undefined) {
+      if (parameter.required) {
+        errors.push({
+          field: parameter.name,
+          message: `${parameter.name} is required`
+        });
+      }
+      continue;
+    }
+    errors.push(
+      ...validateValue(
+        spec,
+        parameter.schema,
+        coerce(spec, parameter.schema, value),
+        parameter.name
+      )
+    );
+  }
+  const content = operation.requestBody?.content;
+  // Bodies in other documented types, such as CSV or multipart uploads, are
+  // left to their routes.
+  if (content?.["application/json"]) {
+    const type = req.is(Object.keys(content));
+    if (!type || type === "application/json") {
+      errors.push(
+        ...validateValue(
+          spec,
+          content["application/json"].schema,
+          req.body ?? {}
+        )
+      );
+    }
+  }
+  return errors;
+}
+
+function documentedResponse(spec, operation, status) {
+  const response =
+    operation.responses[status] ||
+    operation.responses[`${String(status)[0]}XX`] ||
+    operation.responses.default;
+  return resolveRef(spec, response);
+}
+
+function checkResponse(spec, operation, status, body) {
+  const response = documentedResponse(spec, operation, status);
+  if (!response) {
+    return [{ field: null, message: `Status ${status} isn't documented` }];
+  }
+  const schema = response.content?.["application/json"]?.schema;
+  if (!schema) {
+    return [{ field: null, message: `Status ${status} has no JSON body` }];
+  }
+  return validateValue(spec, schema, body);
+}
+
+// Checks requests and responses under the API against the OpenAPI
+// specification. In "strict" mode a request that doesn't match gets a 400
+// before reaching its route, and a response that doesn't match, or a route
+// the specification doesn't describe, becomes a 500; in "log" mode
+// mismatches are only logged. `checkResponses` goes where the
+// specification's paths are relative to; it checks requests for operations
+// that don't need a session itself, and leaves the rest to `checkRequests`,
+// which goes after authentication so a bad request without a session gets
+// 401 rather than 400.
+export function validateAgainstSpec(spec, { mode }) {
+  if (mode === "off") {
+    const skip = (req, res, next) => next();
+    return { checkResponses: skip, checkRequests: skip };
+  }
+  const strict = mode === "strict";
+  const compiled = compilePaths(spec);
+  const operations = new WeakMap();
+
+  function checkRequests(req, res, next) {
+    const operation = operations.get(req);
+    if (!operation) {
+      next();
+      return;
+    }
+    operations.delete(req);
+    const errors = checkRequest(spec, operation, req);
+    if (!errors.length) {
+      next();
+      return;
+    }
+    if (strict) {
+      sendValidationErrors(res, errors);
+      return;
+    }
+    logger.warn("Request doesn't match the API specification", {
+      method: req.method,
+      operation: operation.operationId,
+      errors
+    });
+    next();
+  }
+
+  function checkResponses(req, res, next) {
+    const operation = findOperation(
+      compiled,
+      req.method.toLowerCase(),
+      req.path
+    );
+    const describe = () => ({
+      method: req.method,
+      operation: operation?.operationId,
+      route: req.route?.path
+    });
+
+    const send = res.json.bind(res);
+    res.json = (body) => {
+      res.json = send;
+      if (!operation && !req.route) {
+        return send(body);
+      }
+      const errors = operation
+        ? checkResponse(
+            spec,
+            operation,
+            res.statusCode,
+            body === undefined ? undefined : JSON.parse(JSON.stringify(body))
+          )
+        : [{ field: null, message: "The route isn't documented" }];
+      if (!errors.length) {
+        return send(body);
+      }
+      logger.error("Response doesn't match the API specification", {
+        ...describe(),
+        status: res.statusCode,
+        errors
+      });
+      if (!strict) {
+        return send(body);
+      }
+      res.removeHeader("ETag");
+      return res.status(500).json({
+        error: "The response didn't match the API specification"
+      });
+    };
+    // Responses that aren't JSON, such as downloads, are only checked for a
+    // documented status.
+    res.on("finish", () => {
+      if (res.json !== send) {
+        if (operation && !documentedResponse(spec, operation, res.statusCode)) {
+          logger.error("Response doesn't match the API specification", {
+            ...describe(),
+            status: res.statusCode,
+            errors: [
+              {
+                field: null,
+                message: `Status ${res.statusCode} isn't documented`
+              }
+            ]
+          });
+        } else if (!operation && req.route) {
+          logger.error("Route isn't in the API specification", describe());
+        }
+      }
+    });
+
+    if (!operation) {
+      next();
+      return;
+    }
+    operations.set(req, operation);
+    if ((operation.security ?? spec.security ?? []).length) {
+      next();
+      return;
+    }
+    checkRequests(req, res, next);
+  }
+
+  return { checkResponses, checkRequests };
+}
@@ -0,0 +1,32 @@
+import { sendServerError } from "../routes/errors.js";
+
+export function readToken(req, allowQueryToken) {
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  if (scheme === "Bearer" && token) {
+    return token;
+  }
+  // EventSource can't set headers, so streaming endpoints opt in to a query
+  // parameter instead.
+  if (allowQueryToken && typeof req.query.access_token === "string") {
+    return req.query.access_token;
+  }
+  return null;
+}
+
+export function requireAuth({ tokens, users, allowQueryToken = false }) {
+  return async (req, res, next) => {
+    try {
+      const token = readToken(req, allowQueryToken);
+      const payload = token ? tokens.verify(token) : null;
+      const user = payload ? await users.get(payload.sub) : null;
+      if (!user) {
+        res.status(401).json({ error: "Authentication required" });
+        return;
+      }
+      req.user = { id: user.id, email: user.email };
+      next();
+    } catch (error) {
+      sendServerError(res, error, "Failed to authenticate");
+    }
+  };
+}
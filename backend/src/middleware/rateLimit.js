@@ -0,0 +1,73 @@
+import { readToken } from "./auth.js";
+
+// Counts requests per key in fixed windows of `windowMs` and answers 429
+// once a key has made `max` of them, until its window is over. Requests
+// `keyOf` returns no key for aren't counted. Counts are kept in memory, so
+// each backend process limits on its own.
+export function rateLimit({ windowMs, max, keyOf }) {
+  const windows = new Map();
+  let nextSweep = Date.now() + windowMs;
+
+  function sweep(now) {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) {
+        windows.delete(key);
+      }
+    }
+    nextSweep = now + windowMs;
+  }
+
+  return (req, res, next) => {
+    const key = max > 0 ? keyOf(req) : null;
+    if (!key) {
+      next();
+      return;
+    }
+    const now = Date.now();
+    if (now >= nextSweep) {
+      sweep(now);
+    }
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count += 1;
+
+    const remaining = Math.max(max - window.count, 0);
+    const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+    // With several limits on a request, the headers describe the tightest.
+    if (!(Number(res.get("RateLimit-Remaining")) <= remaining)) {
+      res.set({
+        "RateLimit-Limit": String(max),
+        "RateLimit-Remaining": String(remaining),
+        "RateLimit-Reset": String(resetSeconds)
+      });
+    }
+    if (window.count > max) {
+      res
+        .status(429)
+        .set("Retry-After", String(resetSeconds))
+        .json({
+          error: `Too many requests, try again in ${resetSeconds} seconds`
+        });
+      return;
+    }
+    next();
+  };
+}
+
+export function ipKey(req) {
+  return req.ip;
+}
+
+// The user a valid session token belongs to, so a user's limit covers every
+// route whether it needs a token or not. Requests without one, including
+// made-up tokens, are left to the limit on their address.
+export function userKey(tokens) {
+  return (req) => {
+    const token = readToken(req, true);
+    const payload = token ? tokens.verify(token) : null;
+    return payload ? `user:${payload.sub}` : null;
+  };
+}
@@ -0,0 +1,21 @@
+const safeMethods = ["GET", "HEAD", "OPTIONS"];
+
+// While the database can't take writes, requests that would change anything
+// are turned away at once with a 503 instead of waiting for the driver to
+// give up; reads go ahead and succeed as soon as it's back. Paths in `except`
+// only read despite their method, such as signing in.
+export function rejectWritesWhile(unavailable, { except = [] } = {}) {
+  return (req, res, next) => {
+    if (
+      safeMethods.includes(req.method) ||
+      except.includes(req.path) ||
+      !unavailable()
+    ) {
+      next();
+      return;
+    }
+    res.status(503).set("Retry-After", "5").json({
+      error: "The database is unavailable, so changes can't be saved now"
+    });
+  };
+}
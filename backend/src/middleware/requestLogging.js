@@ -0,0 +1,65 @@
+import { randomUUID } from "node:crypto";
+import { logger, withLogContext } from "../logging/logger.js";
+
+// Ids from nginx are 32 hex digits; anything reasonable from other callers is
+// kept too, so one id follows a request through every hop.
+const requestIdPattern = /^[\w.:-]{1,128}$/;
+// Probes and scrapers would drown everything else at the info level.
+const quietPaths = /^\/api(\/v1)?\/(health\/live|health\/ready|metrics)$/;
+
+// The route pattern a request matched, such as /api/v1/tasks/:id, so requests
+// for different tasks are counted together. Parameters of parent routers are
+// part of baseUrl as values and are put back as names, whole segments only.
+export function routeOf(req) {
+  if (!req.route) {
+    return "unmatched";
+  }
+  const names = new Map(
+    Object.entries(req.params).map(([name, value]) => [
+      encodeURIComponent(value),
+      `:${name}`
+    ])
+  );
+  const base = req.baseUrl
+    .split("/")
+    .map((segment) => names.get(segment) ?? segment)
+    .join("/");
+  return req.route.path === "/" && base ? base : `${base}${req.route.path}`;
+}
+
+// Takes the request id from X-Request-ID or makes one up, returns it in the
+// same header and adds it to every line logged while handling the request.
+// Each request is logged once its response is done; the query string is left
+// out since it can carry access tokens.
+export function requestLogging() {
+  return (req, res, next) => {
+    const header = req.get("X-Request-ID");
+    const requestId =
+      header && requestIdPattern.test(header) ? header : randomUUID();
+    const started = process.hrtime.bigint();
+    res.set("X-Request-ID", requestId);
+
+    res.on("close", () => {
+      const path = req.originalUrl.split("?")[0];
+      let level = "info";
+      if (res.statusCode >= 500) {
+        level = "error";
+      } else if (quietPaths.test(path)) {
+        level = "debug";
+      }
+      logger[level]("request", {
+        requestId,
+        method: req.method,
+        path,
+        route: routeOf(req),
+        status: res.statusCode,
+        durationMs:
+          Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+        userId: req.user?.id,
+        aborted: !res.writableFinished || undefined
+      });
+    });
+
+    withLogContext({ requestId }, next);
+  };
+}
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+const attachmentSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    contentType: {
+      type: String,
+      required: true
+    },
+    size: {
+      type: Number,
+      required: true
+    },
+    // Where the blob store keeps the contents.
+    storageKey: {
+      type: String,
+      required: true
+    },
+    uploadedBy: {
+      id: String,
+      email: String
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+attachmentSchema.index({ owner: 1, taskId: 1, createdAt: 1 });
+
+export const Attachment = mongoose.model("Attachment", attachmentSchema);
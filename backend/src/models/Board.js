@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+import { boardFields } from "../validation/taskFields.js";
+
+// Column ids are chosen by the board service and stored on tasks as their
+// status, so they are plain strings rather than ObjectIds.
+const columnSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      required: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    wipLimit: {
+      type: Number,
+      default: null
+    }
+  },
+  {
+    _id: false
+  }
+);
+
+const boardSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: boardFields.name.maxLength
+    },
+    columns: {
+      type: [columnSchema],
+      validate: (columns) => columns.length > 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+boardSchema.index({ owner: 1, createdAt: 1 });
+
+export const Board = mongoose.model("Board", boardSchema);
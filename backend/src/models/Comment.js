@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+import { commentFields } from "../validation/taskFields.js";
+
+const commentSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true
+    },
+    author: {
+      id: String,
+      email: String
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: commentFields.body.maxLength
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+commentSchema.index({ owner: 1, taskId: 1, createdAt: 1 });
+
+export const Comment = mongoose.model("Comment", commentSchema);
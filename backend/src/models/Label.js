@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+import { labelFields } from "../validation/taskFields.js";
+
+const labelSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: labelFields.name.maxLength
+    },
+    // Lowercased name, so names are unique per owner regardless of case.
+    key: {
+      type: String,
+      required: true
+    },
+    color: {
+      type: String,
+      default: labelFields.color.default
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+labelSchema.index({ owner: 1, key: 1 }, { unique: true });
+
+export const Label = mongoose.model("Label", labelSchema);
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+export const reminderKinds = ["due-soon", "overdue"];
+
+const reminderSchema = new mongoose.Schema({
+  taskId: {
+    type: String,
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: reminderKinds,
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  sentAt: {
+    type: Date,
+    required: true
+  }
+});
+
+reminderSchema.index({ taskId: 1, kind: 1, dueDate: 1 }, { unique: true });
+
+export const Reminder = mongoose.model("Reminder", reminderSchema);
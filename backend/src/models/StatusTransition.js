@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// One task entering or leaving a column. `from` is null when the task arrives
+// on the board (created, restored or moved from another board) and `to` is
+// null when it leaves it (trashed or moved away).
+const statusTransitionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Task",
+    required: true
+  },
+  boardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Board",
+    required: true
+  },
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    default: null
+  },
+  at: {
+    type: Date,
+    required: true
+  },
+  // Written for tasks that predate transitions being recorded, placing them
+  // in their column since they were created; never counted as completions.
+  backfilled: {
+    type: Boolean,
+    default: false
+  }
+});
+
+statusTransitionSchema.index({ owner: 1, boardId: 1, at: 1 });
+statusTransitionSchema.index({ owner: 1, boardId: 1, taskId: 1 });
+// A task is backfilled onto a board once, however many requests race to.
+statusTransitionSchema.index(
+  { taskId: 1, boardId: 1, backfilled: 1 },
+  { unique: true, partialFilterExpression: { backfilled: true } }
+);
+
+export const StatusTransition = mongoose.model(
+  "StatusTransition",
+  statusTransitionSchema
+);
@@ -1,28 +1,97 @@
 import mongoose from "mongoose";
+import { recurrenceFields, taskFields } from "../validation/taskFields.js";
 
 const taskSchema = new mongoose.Schema(
   {
     title: {
       type: String,
       required: true,
-      trim: true
+      trim: true,
+      maxlength: taskFields.title.maxLength
     },
     description: {
       type: String,
-      trim: true
+      trim: true,
+      maxlength: taskFields.description.maxLength
     },
     priority: {
       type: String,
-      enum: ["low", "medium", "high"],
-      default: "medium"
+      enum: taskFields.priority.values,
+      default: taskFields.priority.default
     },
+    // The id of a column on the task's board.
     status: {
       type: String,
-      enum: ["todo", "in-progress", "done"],
-      default: "todo"
+      required: true
+    },
+    boardId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Board"
     },
     dueDate: {
       type: Date
+    },
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      default: null
+    },
+    blockedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Task"
+      }
+    ],
+    labels: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Label"
+      }
+    ],
+    recurrence: {
+      type: new mongoose.Schema(
+        {
+          frequency: {
+            type: String,
+            enum: recurrenceFields.frequency.values,
+            required: true
+          },
+          interval: {
+            type: Number,
+            min: 1,
+            max: recurrenceFields.interval.max
+          },
+          weekdays: [{ type: Number, min: 0, max: 6 }],
+          until: { type: Date, default: null },
+          count: { type: Number, default: null },
+          // The day of the month a monthly series started on.
+          monthDay: { type: Number, min: 1, max: 31, default: null }
+        },
+        { _id: false }
+      ),
+      default: null
+    },
+    rank: {
+      type: String
+    },
+    // Bumped by every write to the task, for optimistic concurrency.
+    version: {
+      type: Number,
+      default: 0
+    },
+    // Kept in step by the comment service, so lists needn't count comments.
+    commentCount: {
+      type: Number,
+      default: 0
+    },
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
     }
   },
   {
@@ -30,4 +99,20 @@ const taskSchema = new mongoose.Schema(
   }
 );
 
+taskSchema.index(
+  { owner: 1, title: "text", description: "text" },
+  { weights: { title: 3, description: 1 } }
+);
+taskSchema.index({ owner: 1, status: 1, createdAt: -1 });
+taskSchema.index({ owner: 1, boardId: 1, status: 1, rank: 1 });
+taskSchema.index({ owner: 1, parentId: 1 });
+taskSchema.index({ owner: 1, blockedBy: 1 });
+taskSchema.index({ owner: 1, labels: 1 });
+taskSchema.index({ dueDate: 1 });
+
+taskSchema.index(
+  { deletedAt: 1 },
+  { partialFilterExpression: { deletedAt: { $type: "date" } } }
+);
+
 export const Task = mongoose.model("Task", taskSchema);
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+const changeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  },
+  {
+    _id: false
+  }
+);
+
+const taskHistorySchema = new mongoose.Schema(
+  {
+    taskId: {
+      type: String,
+      required: true
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    actor: {
+      id: String,
+      email: String
+    },
+    type: {
+      type: String,
+      enum: ["created", "updated", "deleted", "restored", "purged"],
+      required: true
+    },
+    changes: [changeSchema],
+    revertOf: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    // The occurrence completing a repeating task created, trashed again when
+    // the completion is undone.
+    nextOccurrenceId: {
+      type: String,
+      default: null
+    },
+    undone: {
+      type: Boolean,
+      default: false
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+taskHistorySchema.index({ owner: 1, taskId: 1, createdAt: -1 });
+
+export const TaskHistory = mongoose.model("TaskHistory", taskHistorySchema);
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+import { webhookEvents } from "../validation/taskFields.js";
+
+const webhookSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    url: {
+      type: String,
+      required: true
+    },
+    events: [
+      {
+        type: String,
+        enum: webhookEvents
+      }
+    ],
+    secret: {
+      type: String,
+      required: true
+    },
+    active: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+webhookSchema.index({ owner: 1, events: 1 });
+
+export const Webhook = mongoose.model("Webhook", webhookSchema);
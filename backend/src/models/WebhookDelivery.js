@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+export const deliveryStatuses = ["pending", "delivered", "dead"];
+
+const attemptSchema = new mongoose.Schema(
+  {
+    at: Date,
+    durationMs: Number,
+    statusCode: Number,
+    error: String
+  },
+  {
+    _id: false
+  }
+);
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+    webhookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: true
+    },
+    // The payload as sent: { id, type, createdAt, data }.
+    event: mongoose.Schema.Types.Mixed,
+    status: {
+      type: String,
+      enum: deliveryStatuses,
+      default: "pending"
+    },
+    attempts: [attemptSchema],
+    nextAttemptAt: {
+      type: Date
+    },
+    redeliveryOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ owner: 1, webhookId: 1, createdAt: -1 });
+
+export const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  webhookDeliverySchema
+);
@@ -0,0 +1,21 @@
+const timeoutMs = 10 * 1000;
+
+// POSTs each message as JSON; any non-2xx answer counts as a failure, so the
+// reminder is tried again on the next run.
+export function createHttpNotifier({ url }) {
+  return {
+    async send({ kind, to, subject, text, task }) {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json"
+        },
+        body: JSON.stringify({ kind, to, subject, text, task }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!response.ok) {
+        throw new Error(`Reminder webhook answered ${response.status}`);
+      }
+    }
+  };
+}
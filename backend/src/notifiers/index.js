@@ -0,0 +1,18 @@
+import { createHttpNotifier } from "./httpNotifier.js";
+import { createLogNotifier } from "./logNotifier.js";
+import { createSmtpNotifier } from "./smtpNotifier.js";
+
+// Every notifier has send(message), where a message is
+// { kind, to, subject, text, task }, and rejects when it couldn't deliver.
+export function createNotifier({ notifier, smtp, http }) {
+  switch (notifier) {
+    case "log":
+      return createLogNotifier();
+    case "smtp":
+      return createSmtpNotifier(smtp);
+    case "http":
+      return createHttpNotifier(http);
+    default:
+      throw new Error(`Unknown notifier "${notifier}"`);
+  }
+}
@@ -0,0 +1,9 @@
+import { logger } from "../logging/logger.js";
+
+export function createLogNotifier() {
+  return {
+    async send({ to, subject }) {
+      logger.info("Reminder", { to, subject });
+    }
+  };
+}
@@ -0,0 +1,126 @@
+import net from "node:net";
+import os from "node:os";
+
+const timeoutMs = 10 * 1000;
+
+// Reads SMTP replies off the socket. A reply may span several lines
+// ("250-...") and ends with a line whose code is followed by a space.
+function replyReader(socket) {
+  let buffer = "";
+  let failure = null;
+  let waiting = null;
+  const replies = [];
+
+  function settle() {
+    if (!waiting || (!replies.length && !failure)) {
+      return;
+    }
+    const { resolve, reject } = waiting;
+    waiting = null;
+    if (replies.length) {
+      resolve(replies.shift());
+    } else {
+      reject(failure);
+    }
+  }
+
+  socket.setEncoding("utf8");
+  socket.on("data", (chunk) => {
+    buffer += chunk;
+    let match;
+    while ((match = /^(\d{3}) .*\r?\n/m.exec(buffer))) {
+      const end = match.index + match[0].length;
+      replies.push({
+        code: Number(match[1]),
+        text: buffer.slice(0, end).trim()
+      });
+      buffer = buffer.slice(end);
+    }
+    settle();
+  });
+  socket.on("error", (error) => {
+    failure = error;
+    settle();
+  });
+  socket.on("timeout", () => {
+    failure = new Error("SMTP server timed out");
+    socket.destroy();
+    settle();
+  });
+  socket.on("close", () => {
+    failure = failure || new Error("SMTP server closed the connection");
+    settle();
+  });
+
+  return function nextReply() {
+    return new Promise((resolve, reject) => {
+      waiting = { resolve, reject };
+      settle();
+    });
+  };
+}
+
+// Subjects outside plain ASCII are sent as an RFC 2047 encoded word.
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+}
+
+function formatMessage({ from, to, subject, text }) {
+  const body = text
+    .split(/\r?\n/)
+    .map((line) => (line.startsWith(".") ? `.${line}` : line))
+    .join("\r\n");
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+    "",
+    body
+  ].join("\r\n");
+}
+
+// Speaks just enough SMTP to hand plain-text mail to a relay that needs
+// neither TLS nor authentication, such as a local test server like Mailpit
+// or MailHog, or a relay on the same private network.
+export function createSmtpNotifier({ host, port, from }) {
+  return {
+    async send({ to, subject, text }) {
+      const socket = net.createConnection({ host, port });
+      socket.setTimeout(timeoutMs);
+      const nextReply = replyReader(socket);
+
+      async function expect(codes) {
+        const reply = await nextReply();
+        if (!codes.includes(reply.code)) {
+          throw new Error(`SMTP server answered: ${reply.text}`);
+        }
+        return reply;
+      }
+
+      async function command(line, codes) {
+        socket.write(`${line}\r\n`);
+        return expect(codes);
+      }
+
+      try {
+        await expect([220]);
+        await command(`EHLO ${os.hostname()}`, [250]);
+        await command(`MAIL FROM:<${from}>`, [250]);
+        await command(`RCPT TO:<${to}>`, [250, 251]);
+        await command("DATA", [354]);
+        await command(`${formatMessage({ from, to, subject, text })}\r\n.`, [
+          250
+        ]);
+        await command("QUIT", [221]);
+      } finally {
+        socket.destroy();
+      }
+    }
+  };
+}
@@ -0,0 +1,523 @@
+import { deliveryStatuses } from "../models/WebhookDelivery.js";
+import { MAX_IMPORT } from "../routes/taskTransfer.js";
+import { MAX_BULK, bulkFields } from "../routes/tasks.js";
+import {
+  boardFields,
+  columnFields,
+  commentFields,
+  labelFields,
+  recurrenceFields,
+  taskFields,
+  webhookEvents,
+  webhookFields
+} from "../validation/taskFields.js";
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ anyOf: [schema, { type: "null" }] });
+// Optional fields sent as null or "" are cleared, or left at their default.
+const blankable = (schema) => ({ anyOf: [schema, { enum: [null, ""] }] });
+const id = { type: "string", minLength: 1 };
+const dateTime = { type: "string", format: "date-time" };
+const day = { type: "string", format: "date" };
+
+function object(properties, required = Object.keys(properties)) {
+  return {
+    type: "object",
+    properties,
+    required,
+    additionalProperties: false
+  };
+}
+
+// Request bodies are described from the shared field definitions the routes
+// validate with, so the two can't disagree.
+function fieldSchema(definition) {
+  const { label } = definition;
+  switch (definition.type) {
+    case "string":
+      return {
+        type: "string",
+        description: `${label}; surrounding whitespace is trimmed.`,
+        ...(definition.required && { minLength: 1 }),
+        ...(definition.maxLength && { maxLength: definition.maxLength })
+      };
+    case "enum":
+      return { description: label, enum: definition.values };
+    case "id":
+      return { ...id, description: `${label}: a ${definition.of} id.` };
+    case "ids":
+      return {
+        type: "array",
+        description: `${label}: ${definition.of} ids.`,
+        items: id,
+        maxItems: definition.maxItems
+      };
+    case "count":
+      return {
+        type: "integer",
+        description: label,
+        minimum: 1,
+        maximum: definition.max
+      };
+    case "weekdays":
+      return {
+        type: "array",
+        description: `${label}, from 0 (Sunday) to 6.`,
+        items: { type: "integer", minimum: 0, maximum: 6 }
+      };
+    case "enums":
+      return {
+        type: "array",
+        description: label,
+        items: { enum: definition.values },
+        minItems: 1
+      };
+    case "url":
+      return {
+        type: "string",
+        format: "uri",
+        description: `${label}: http or https.`,
+        maxLength: definition.maxLength
+      };
+    case "boolean":
+      return { type: "boolean", description: label };
+    case "color":
+      return {
+        type: "string",
+        description: `${label}, like #38bdf8.`,
+        pattern: "^#[0-9a-fA-F]{6}$"
+      };
+    case "recurrence":
+      return ref("RecurrenceInput");
+    case "columns":
+      return {
+        type: "array",
+        description: `${label}. Columns sent with their id keep it.`,
+        items: ref("ColumnInput"),
+        minItems: 1,
+        maxItems: definition.maxItems
+      };
+    default:
+      return {
+        type: "string",
+        description: `${label}: a date like 2024-05-31 or a date-time.`
+      };
+  }
+}
+
+// With `partial` every field is optional, as for an update.
+function inputSchema(fields, { partial = false } = {}) {
+  const names = Object.keys(fields);
+  const properties = {};
+  for (const name of names) {
+    const schema = fieldSchema(fields[name]);
+    properties[name] = fields[name].required ? schema : blankable(schema);
+  }
+  return {
+    type: "object",
+    properties,
+    required: partial ? [] : names.filter((name) => fields[name].required)
+  };
+}
+
+const user = object({ id, email: { type: "string" } });
+
+const recurrence = object({
+  frequency: { enum: recurrenceFields.frequency.values },
+  interval: { type: "integer", minimum: 1 },
+  weekdays: { type: "array", items: { type: "integer" } },
+  until: nullable(dateTime),
+  count: nullable({ type: "integer" }),
+  monthDay: nullable({ type: "integer", minimum: 1, maximum: 31 })
+});
+
+const column = object(
+  {
+    id,
+    name: { type: "string" },
+    wipLimit: nullable({ type: "integer" }),
+    count: {
+      type: "integer",
+      description: "Tasks in the column, on board responses."
+    }
+  },
+  ["id", "name", "wipLimit"]
+);
+
+// Tasks written by older versions may lack the newer fields.
+const task = object(
+  {
+    id,
+    title: { type: "string" },
+    description: { type: "string" },
+    priority: { enum: taskFields.priority.values },
+    boardId: nullable(id),
+    status: { type: "string", description: "The id of the task's column." },
+    dueDate: nullable(dateTime),
+    parentId: nullable(id),
+    blockedBy: { type: "array", items: id },
+    labels: { type: "array", items: id },
+    recurrence: nullable(ref("Recurrence")),
+    rank: { type: "string", description: "Sorts the task within its column." },
+    commentCount: { type: "integer" },
+    version: {
+      type: "integer",
+      description: "Bumped by every change; the ETag carries it."
+    },
+    deletedAt: nullable(dateTime),
+    owner: id,
+    createdAt: dateTime,
+    updatedAt: dateTime
+  },
+  ["id", "title", "priority", "status", "createdAt", "updatedAt"]
+);
+
+const blocker = object({ id, title: { type: "string" }, status: id });
+
+const fieldError = object({
+  field: nullable({ type: "string" }),
+  message: { type: "string" }
+});
+
+const rowErrors = object({
+  row: { type: "integer", description: "1-based row number." },
+  errors: { type: "array", items: ref("FieldError") }
+});
+
+const stats = object({
+  board: object({ id, name: { type: "string" } }),
+  range: object({ from: day, to: day }),
+  counts: object({
+    total: { type: "integer" },
+    byStatus: {
+      type: "array",
+      items: object({
+        status: id,
+        name: { type: "string" },
+        count: { type: "integer" }
+      })
+    },
+    byPriority: {
+      type: "array",
+      items: object({
+        priority: { enum: taskFields.priority.values },
+        count: { type: "integer" }
+      })
+    }
+  }),
+  throughput: {
+    type: "array",
+    items: object({ weekStart: day, completed: { type: "integer" } })
+  },
+  leadTime: ref("Percentiles"),
+  cycleTime: ref("Percentiles"),
+  flow: {
+    type: "array",
+    items: object({
+      date: day,
+      columns: {
+        type: "object",
+        description: "Tasks in each column at the end of the day, by id.",
+        additionalProperties: { type: "integer" }
+      },
+      remaining: { type: "integer" }
+    })
+  }
+});
+
+const days = nullable({ type: "number" });
+
+const taskUpdate = inputSchema(taskFields, { partial: true });
+
+const bulkResult = object(
+  {
+    id,
+    status: { enum: ["updated", "deleted", "blocked", "skipped", "not_found"] },
+    task: ref("Task"),
+    blockedBy: { type: "array", items: ref("Blocker") }
+  },
+  ["id", "status"]
+);
+
+const columnInput = inputSchema(columnFields);
+
+export const schemas = {
+  Error: object({ error: { type: "string" } }),
+  FieldError: fieldError,
+  ValidationError: object({
+    error: { const: "Validation failed" },
+    errors: { type: "array", items: ref("FieldError") }
+  }),
+  // A change a rule of the board stopped: blockers still open, or a column
+  // at its WIP limit.
+  RuleError: object(
+    {
+      error: { type: "string" },
+      blockedBy: { type: "array", items: ref("Blocker") },
+      column: ref("Column")
+    },
+    ["error"]
+  ),
+  Blocker: blocker,
+  VersionConflict: object({
+    error: { type: "string" },
+    task: ref("Task")
+  }),
+  User: user,
+  Session: object({ token: { type: "string" }, user: ref("User") }),
+  Credentials: {
+    type: "object",
+    properties: {
+      email: { type: "string" },
+      password: { type: "string" }
+    },
+    required: ["email", "password"]
+  },
+  Recurrence: recurrence,
+  RecurrenceInput: inputSchema(recurrenceFields),
+  Task: task,
+  TaskInput: inputSchema(taskFields),
+  TaskUpdate: taskUpdate,
+  // Either ids or filter picks the tasks; with action "update", update says
+  // what to set. Nothing changes unless every task can be changed.
+  BulkRequest: {
+    type: "object",
+    properties: {
+      action: { enum: ["update", "delete"] },
+      ids: { type: "array", items: id, minItems: 1, maxItems: MAX_BULK },
+      filter: ref("TaskFilter"),
+      update: {
+        type: "object",
+        properties: Object.fromEntries(
+          bulkFields.map((name) => [name, taskUpdate.properties[name]])
+        )
+      }
+    },
+    required: ["action"]
+  },
+  BulkResult: object(
+    {
+      applied: { type: "boolean" },
+      error: { type: "string" },
+      results: { type: "array", items: bulkResult }
+    },
+    ["applied", "results"]
+  ),
+  TaskPage: object({
+    items: { type: "array", items: ref("Task") },
+    nextCursor: nullable({
+      type: "string",
+      description: "Pass as cursor for the next page; null on the last."
+    })
+  }),
+  TaskLinks: object({
+    parent: nullable(ref("Task")),
+    subtasks: { type: "array", items: ref("Task") },
+    blockedBy: { type: "array", items: ref("Task") },
+    blocks: { type: "array", items: ref("Task") }
+  }),
+  HistoryEvent: object(
+    {
+      id,
+      taskId: id,
+      actor: nullable(user),
+      type: { enum: ["created", "updated", "deleted", "restored", "purged"] },
+      changes: {
+        type: "array",
+        items: object({ field: { type: "string" }, from: {}, to: {} }, [
+          "field"
+        ])
+      },
+      revertOf: nullable(id),
+      nextOccurrenceId: nullable({
+        ...id,
+        description:
+          "The occurrence this completion of a repeating task created."
+      }),
+      undone: { type: "boolean" },
+      undoable: {
+        type: "boolean",
+        description: "Whether POST /tasks/{id}/undo would revert this event."
+      },
+      createdAt: dateTime
+    },
+    ["id", "taskId", "type", "changes", "undoable", "createdAt"]
+  ),
+  TaskFilter: {
+    type: "object",
+    description: "Selects tasks like the query of GET /tasks.",
+    properties: {
+      boardId: { type: "string" },
+      status: { type: "string" },
+      priority: { type: "string" },
+      labels: {
+        anyOf: [
+          { type: "string" },
+          { type: "array", items: { type: "string" } }
+        ]
+      },
+      labelMatch: { enum: ["any", "all"] },
+      overdue: { type: "boolean" },
+      q: { type: "string" }
+    }
+  },
+  ExportedTask: object({
+    id,
+    title: { type: "string" },
+    description: nullable({ type: "string" }),
+    status: nullable({ type: "string" }),
+    priority: nullable({ type: "string" }),
+    dueDate: nullable(dateTime),
+    createdAt: nullable(dateTime),
+    updatedAt: nullable(dateTime)
+  }),
+  RowErrors: rowErrors,
+  // Rows are task fields as in TaskInput, limited to title, description,
+  // status, priority and dueDate.
+  ImportRows: {
+    type: "array",
+    items: { type: "object" },
+    minItems: 1,
+    maxItems: MAX_IMPORT
+  },
+  ImportPreview: object({
+    dryRun: { const: true },
+    valid: { type: "integer" },
+    tasks: {
+      type: "array",
+      description: "The rows that would be imported, as parsed.",
+      items: { type: "object" }
+    },
+    errors: { type: "array", items: ref("RowErrors") }
+  }),
+  ImportResult: object({
+    imported: { type: "integer" },
+    tasks: { type: "array", items: ref("Task") }
+  }),
+  PartialImport: object({
+    error: { type: "string" },
+    imported: {
+      type: "integer",
+      description: "How many tasks were created before the import stopped."
+    },
+    tasks: { type: "array", items: ref("Task") }
+  }),
+  InvalidRows: object({
+    error: { type: "string" },
+    errors: { type: "array", items: ref("RowErrors") }
+  }),
+  Column: column,
+  ColumnInput: {
+    ...columnInput,
+    properties: {
+      id: { ...id, description: "An existing column's id." },
+      ...columnInput.properties
+    }
+  },
+  Board: object({
+    id,
+    name: { type: "string" },
+    columns: { type: "array", items: ref("Column") },
+    createdAt: dateTime,
+    updatedAt: dateTime
+  }),
+  BoardInput: inputSchema(boardFields),
+  BoardUpdate: inputSchema(boardFields, { partial: true }),
+  BoardStats: stats,
+  Percentiles: object({
+    count: { type: "integer" },
+    p50: days,
+    p85: days,
+    p95: days
+  }),
+  Label: object(
+    {
+      id,
+      name: { type: "string" },
+      color: { type: "string" },
+      count: {
+        type: "integer",
+        description: "Tasks outside the trash carrying it, when listed."
+      },
+      createdAt: dateTime,
+      updatedAt: dateTime
+    },
+    ["id", "name", "color", "createdAt", "updatedAt"]
+  ),
+  LabelInput: inputSchema(labelFields),
+  LabelUpdate: inputSchema(labelFields, { partial: true }),
+  Comment: object({
+    id,
+    taskId: id,
+    author: ref("User"),
+    body: { type: "string", description: "Markdown." },
+    createdAt: dateTime,
+    updatedAt: dateTime
+  }),
+  CommentInput: inputSchema(commentFields),
+  Attachment: object({
+    id,
+    taskId: id,
+    name: { type: "string" },
+    contentType: { type: "string" },
+    size: { type: "integer", description: "In bytes." },
+    uploadedBy: ref("User"),
+    createdAt: dateTime
+  }),
+  Webhook: object(
+    {
+      id,
+      url: { type: "string" },
+      events: { type: "array", items: { enum: webhookEvents } },
+      active: { type: "boolean" },
+      secret: {
+        type: "string",
+        description: "Only returned when it is set or generated."
+      },
+      createdAt: dateTime,
+      updatedAt: dateTime
+    },
+    ["id", "url", "events", "active", "createdAt", "updatedAt"]
+  ),
+  WebhookInput: inputSchema(webhookFields),
+  WebhookUpdate: inputSchema(webhookFields, { partial: true }),
+  WebhookDelivery: object({
+    id,
+    webhookId: id,
+    event: object({
+      id: { type: "string" },
+      type: { enum: webhookEvents },
+      createdAt: dateTime,
+      data: { type: "object", description: "The task, or { id } once deleted." }
+    }),
+    status: { enum: deliveryStatuses },
+    attempts: {
+      type: "array",
+      items: object({
+        at: dateTime,
+        durationMs: { type: "integer" },
+        statusCode: nullable({ type: "integer" }),
+        error: nullable({ type: "string" })
+      })
+    },
+    nextAttemptAt: nullable(dateTime),
+    redeliveryOf: nullable(id),
+    createdAt: dateTime,
+    updatedAt: dateTime
+  }),
+  Liveness: object({
+    status: { const: "ok" },
+    uptimeSeconds: { type: "integer" }
+  }),
+  Readiness: object({
+    status: { enum: ["ready", "shutting_down", "database_unavailable"] },
+    storage: { enum: ["memory", "file", "mongo"] },
+    database: nullable(
+      object({
+        state: { enum: ["connecting", "connected", "disconnected"] },
+        error: nullable({ type: "string" }),
+        since: dateTime
+      })
+    )
+  })
+};
@@ -0,0 +1,138 @@
+import { schemas } from "./components.js";
+import { paths, tags } from "./paths.js";
+
+export const API_PREFIX = "/api/v1";
+
+const methods = ["get", "post", "put", "patch", "delete"];
+// Probes, scrapes and the docs are served before the rate limits.
+const unlimitedTags = ["Health", "Metrics", "Docs"];
+
+const errorBody = (name) => ({
+  "application/json": { schema: { $ref: `#/components/schemas/${name}` } }
+});
+
+const responses = {
+  BadRequest: {
+    description:
+      "The request is invalid: a parameter or body field failed " +
+      "validation, or the body isn't valid JSON.",
+    content: {
+      "application/json": {
+        schema: {
+          anyOf: [
+            { $ref: "#/components/schemas/Error" },
+            { $ref: "#/components/schemas/ValidationError" }
+          ]
+        }
+      }
+    }
+  },
+  Unauthorized: {
+    description: "The token is missing, invalid or expired.",
+    content: errorBody("Error")
+  },
+  PayloadTooLarge: {
+    description: "The body is larger than BODY_MAX_KB.",
+    content: errorBody("Error")
+  },
+  TooManyRequests: {
+    description: "A rate limit was reached.",
+    headers: {
+      "Retry-After": {
+        description: "Seconds until the limit resets.",
+        schema: { type: "integer" }
+      }
+    },
+    content: errorBody("Error")
+  },
+  Unavailable: {
+    description:
+      "With MongoDB storage, writes are refused while the database can't " +
+      "be reached.",
+    headers: {
+      "Retry-After": {
+        description: "Seconds to wait before trying again.",
+        schema: { type: "integer" }
+      }
+    },
+    content: errorBody("Error")
+  },
+  ServerError: {
+    description: "Something went wrong on the server.",
+    content: errorBody("Error")
+  }
+};
+
+const use = (name) => ({ $ref: `#/components/responses/${name}` });
+
+// Adds the responses any operation can give, depending on whether it needs a
+// session, takes parameters or a body, writes, and is rate limited. Responses
+// an operation documents itself are kept.
+function withCommonResponses(operation, method, pathParameters = []) {
+  const secured = !operation.security;
+  const hasBody = Boolean(operation.requestBody);
+  const hasInput = [...pathParameters, ...(operation.parameters || [])].some(
+    (parameter) => ["query", "header"].includes(parameter.in)
+  );
+  const common = {};
+  if (hasBody || hasInput) {
+    common[400] = use("BadRequest");
+  }
+  if (secured) {
+    common[401] = use("Unauthorized");
+  }
+  if (hasBody) {
+    common[413] = use("PayloadTooLarge");
+  }
+  if (!operation.tags.some((tag) => unlimitedTags.includes(tag))) {
+    common[429] = use("TooManyRequests");
+  }
+  common[500] = use("ServerError");
+  if (method !== "get") {
+    common[503] = use("Unavailable");
+  }
+  return { ...operation, responses: { ...common, ...operation.responses } };
+}
+
+// The OpenAPI 3.1 document for the API under /api/v1. It is built once at
+// startup; the docs page renders it and the validation middleware checks
+// requests and responses against it.
+export function buildOpenApiSpec() {
+  const documented = {};
+  for (const [path, item] of Object.entries(paths)) {
+    documented[path] = { ...item };
+    for (const method of methods) {
+      if (item[method]) {
+        documented[path][method] = withCommonResponses(
+          item[method],
+          method,
+          item.parameters
+        );
+      }
+    }
+  }
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Task board API",
+      version: "1.0.0",
+      description:
+        "Tasks, boards, labels, comments, attachments and webhooks. " +
+        "Register or log in for a token and send it as a bearer token. " +
+        "Every rate-limited response carries RateLimit-Limit, " +
+        "RateLimit-Remaining and RateLimit-Reset headers, and errors come " +
+        "back as { error }, with field errors under errors."
+    },
+    servers: [{ url: API_PREFIX }],
+    security: [{ bearer: [] }],
+    tags,
+    paths: documented,
+    components: {
+      securitySchemes: {
+        bearer: { type: "http", scheme: "bearer" }
+      },
+      schemas,
+      responses
+    }
+  };
+}
@@ -0,0 +1,896 @@
+import { exportFormats } from "../routes/taskTransfer.js";
+import { MAX_LIMIT, SORT_FIELDS } from "../stores/taskQuery.js";
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const list = (name) => ({ type: "array", items: ref(name) });
+const string = { type: "string" };
+
+const json = (schema) => ({ "application/json": { schema } });
+const body = (schema) => ({ required: true, content: json(schema) });
+const reply = (description, schema, headers) => ({
+  description,
+  ...(headers && { headers }),
+  ...(schema && { content: json(schema) })
+});
+const error = (description, schema = ref("Error")) =>
+  reply(description, schema);
+const noContent = { description: "Done; there is no body." };
+
+const pathParam = (name, description) => ({
+  name,
+  in: "path",
+  required: true,
+  description,
+  schema: string
+});
+const query = (name, schema, description) => ({
+  name,
+  in: "query",
+  description,
+  schema
+});
+
+const taskId = pathParam("id", "The task's id.");
+const etag = {
+  ETag: { description: "The task's version.", schema: string }
+};
+const ifMatch = {
+  name: "If-Match",
+  in: "header",
+  description:
+    'Only change the task if it is still at one of these versions, like "3", ' +
+    'or at any with "*". Anything else gets a 412 with the task as it now ' +
+    "stands, and a header that isn't a list of ETags a 400.",
+  schema: string
+};
+// EventSource and calendar apps can't send an Authorization header.
+const accessToken = query(
+  "access_token",
+  string,
+  "The session token, for clients that can't send headers."
+);
+const filters = [
+  query("boardId", string, "Only tasks on this board."),
+  query("status", string, "Only tasks in this column."),
+  query("priority", string, "Only tasks with this priority."),
+  query("q", string, "Words to look for in the title and description.")
+];
+const labelFilters = [
+  query(
+    "labels",
+    { type: "array", items: string },
+    "Label ids, repeated or comma-separated."
+  ),
+  query(
+    "labelMatch",
+    { enum: ["any", "all"], default: "any" },
+    "Whether tasks need any or all of the labels."
+  ),
+  query(
+    "overdue",
+    { type: "boolean", default: false },
+    "Only open tasks past their due date."
+  )
+];
+
+const taskSaved = (description) => reply(description, ref("Task"), etag);
+const ruleBroken = error(
+  "A blocker is still open, or the column is at its WIP limit.",
+  ref("RuleError")
+);
+const versionConflict = reply(
+  "The task is no longer at a version If-Match names.",
+  ref("VersionConflict"),
+  etag
+);
+
+export const tags = [
+  { name: "Auth", description: "Accounts and sessions." },
+  { name: "Tasks" },
+  { name: "Comments" },
+  { name: "Attachments" },
+  { name: "Boards" },
+  { name: "Labels" },
+  { name: "Trash", description: "Deleted tasks, until they are purged." },
+  { name: "Webhooks" },
+  { name: "Health", description: "Probes for orchestrators." },
+  { name: "Metrics" },
+  { name: "Docs", description: "This specification." }
+];
+
+export const paths = {
+  "/auth/register": {
+    post: {
+      tags: ["Auth"],
+      operationId: "register",
+      summary: "Create an account and start a session",
+      security: [],
+      requestBody: body(ref("Credentials")),
+      responses: {
+        201: reply("Registered.", ref("Session")),
+        409: error("The email is already registered.")
+      }
+    }
+  },
+  "/auth/login": {
+    post: {
+      tags: ["Auth"],
+      operationId: "login",
+      summary: "Start a session",
+      security: [],
+      requestBody: body(ref("Credentials")),
+      responses: {
+        200: reply("Logged in.", ref("Session")),
+        401: error("The email or password is wrong.")
+      }
+    }
+  },
+  "/auth/me": {
+    get: {
+      tags: ["Auth"],
+      operationId: "getCurrentUser",
+      summary: "The user the token belongs to",
+      responses: {
+        200: reply("The user.", {
+          type: "object",
+          properties: { user: ref("User") },
+          required: ["user"],
+          additionalProperties: false
+        })
+      }
+    }
+  },
+
+  "/tasks": {
+    get: {
+      tags: ["Tasks"],
+      operationId: "listTasks",
+      summary: "A page of tasks, filtered and sorted",
+      parameters: [
+        ...filters,
+        ...labelFilters,
+        query("sort", { enum: SORT_FIELDS, default: "rank" }),
+        query(
+          "order",
+          { enum: ["asc", "desc"] },
+          "Defaults to desc for createdAt and asc otherwise."
+        ),
+        query("limit", {
+          type: "integer",
+          minimum: 1,
+          maximum: MAX_LIMIT,
+          default: 50
+        }),
+        query(
+          "cursor",
+          string,
+          "The nextCursor of the previous page, with the same sort and order."
+        )
+      ],
+      responses: { 200: reply("The page.", ref("TaskPage")) }
+    },
+    post: {
+      tags: ["Tasks"],
+      operationId: "createTask",
+      summary: "Create a task",
+      description:
+        "The task goes to the top of its column, by default the first " +
+        "column of the first board.",
+      requestBody: body(ref("TaskInput")),
+      responses: {
+        201: taskSaved("Created."),
+        409: ruleBroken
+      }
+    }
+  },
+  "/tasks/bulk": {
+    post: {
+      tags: ["Tasks"],
+      operationId: "bulkChangeTasks",
+      summary: "Update or delete many tasks at once",
+      requestBody: body(ref("BulkRequest")),
+      responses: {
+        200: reply("Every task was changed.", ref("BulkResult")),
+        409: error(
+          "Some tasks could not be changed, so none were.",
+          ref("BulkResult")
+        )
+      }
+    }
+  },
+  "/tasks/events": {
+    get: {
+      tags: ["Tasks"],
+      operationId: "streamTaskEvents",
+      summary: "Task changes as server-sent events",
+      description:
+        "Sends task.created, task.updated and task.deleted events as " +
+        "changes happen, with a comment line every so often to keep the " +
+        "connection open.",
+      parameters: [accessToken],
+      responses: {
+        200: {
+          description: "The event stream.",
+          content: { "text/event-stream": { schema: string } }
+        }
+      }
+    }
+  },
+  "/tasks/export": {
+    get: {
+      tags: ["Tasks"],
+      operationId: "exportTasks",
+      summary: "Download tasks as JSON, CSV or iCalendar",
+      parameters: [
+        query("format", { enum: exportFormats, default: "json" }),
+        ...filters,
+        ...labelFilters,
+        accessToken
+      ],
+      responses: {
+        200: {
+          description: "The tasks, as an attachment.",
+          content: {
+            ...json(list("ExportedTask")),
+            "text/csv": { schema: string },
+            "text/calendar": { schema: string }
+          }
+        }
+      }
+    }
+  },
+  "/tasks/import": {
+    post: {
+      tags: ["Tasks"],
+      operationId: "importTasks",
+      summary: "Create tasks from JSON or CSV",
+      description:
+        "Every row is checked first, and nothing is imported unless all " +
+        "of them are valid. If creating the tasks fails partway, the reply " +
+        "lists the ones already created. CSV needs a header row naming the " +
+        "columns.",
+      parameters: [
+        query(
+          "boardId",
+          string,
+          "The board to import into; the first board by default."
+        ),
+        query(
+          "dryRun",
+          { enum: ["true", "false", "1", "0"] },
+          "Only check the rows and return what would be imported."
+        )
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          ...json({
+            anyOf: [
+              ref("ImportRows"),
+              {
+                type: "object",
+                properties: { tasks: ref("ImportRows") },
+                required: ["tasks"]
+              }
+            ]
+          }),
+          "text/csv": { schema: string }
+        }
+      },
+      responses: {
+        200: reply("The preview of a dry run.", ref("ImportPreview")),
+        201: reply("Imported.", ref("ImportResult")),
+        400: error("The body can't be read, or some rows are invalid.", {
+          anyOf: [ref("Error"), ref("InvalidRows")]
+        }),
+        404: error("The board doesn't exist."),
+        409: error(
+          "A column filled up while importing; some tasks were created.",
+          ref("PartialImport")
+        ),
+        500: error("The import failed partway, or before creating anything.", {
+          anyOf: [ref("Error"), ref("PartialImport")]
+        })
+      }
+    }
+  },
+  "/tasks/{id}": {
+    parameters: [taskId],
+    get: {
+      tags: ["Tasks"],
+      operationId: "getTask",
+      summary: "A task",
+      responses: {
+        200: taskSaved("The task."),
+        404: error("The task doesn't exist.")
+      }
+    },
+    patch: {
+      tags: ["Tasks"],
+      operationId: "updateTask",
+      summary: "Change some of a task's fields",
+      parameters: [ifMatch],
+      requestBody: body(ref("TaskUpdate")),
+      responses: {
+        200: taskSaved("Updated."),
+        404: error("The task doesn't exist."),
+        409: ruleBroken,
+        412: versionConflict
+      }
+    },
+    delete: {
+      tags: ["Tasks"],
+      operationId: "deleteTask",
+      summary: "Move a task to the trash",
+      parameters: [ifMatch],
+      responses: {
+        204: noContent,
+        404: error("The task doesn't exist."),
+        412: versionConflict
+      }
+    }
+  },
+  "/tasks/{id}/move": {
+    parameters: [taskId],
+    post: {
+      tags: ["Tasks"],
+      operationId: "moveTask",
+      summary: "Move a task within or between columns",
+      description:
+        "Without afterId or beforeId the task goes to the top of the column.",
+      requestBody: body({
+        type: "object",
+        properties: {
+          status: {
+            ...string,
+            description: "The column to move to; the current one by default."
+          },
+          afterId: {
+            anyOf: [string, { type: "null" }],
+            description: "The task to place it below."
+          },
+          beforeId: {
+            anyOf: [string, { type: "null" }],
+            description: "The task to place it above."
+          }
+        }
+      }),
+      responses: {
+        200: taskSaved("Moved."),
+        404: error("The task doesn't exist."),
+        409: ruleBroken
+      }
+    }
+  },
+  "/tasks/{id}/links": {
+    parameters: [taskId],
+    get: {
+      tags: ["Tasks"],
+      operationId: "getTaskLinks",
+      summary: "A task's parent, subtasks and blockers",
+      responses: {
+        200: reply("The linked tasks.", ref("TaskLinks")),
+        404: error("The task doesn't exist.")
+      }
+    }
+  },
+  "/tasks/{id}/history": {
+    parameters: [taskId],
+    get: {
+      tags: ["Tasks"],
+      operationId: "getTaskHistory",
+      summary: "Every change made to a task, newest first",
+      responses: {
+        200: reply("The events.", list("HistoryEvent")),
+        404: error("The task doesn't exist.")
+      }
+    }
+  },
+  "/tasks/{id}/undo": {
+    parameters: [taskId],
+    post: {
+      tags: ["Tasks"],
+      operationId: "undoTaskChange",
+      summary: "Revert the latest change to a task",
+      responses: {
+        200: reply("Reverted.", {
+          type: "object",
+          properties: { task: ref("Task") },
+          required: ["task"],
+          additionalProperties: false
+        }),
+        409: error("There is nothing to undo, or a rule stops the revert.", {
+          anyOf: [ref("Error"), ref("RuleError")]
+        })
+      }
+    }
+  },
+
+  "/tasks/{taskId}/comments": {
+    parameters: [pathParam("taskId", "The task's id.")],
+    get: {
+      tags: ["Comments"],
+      operationId: "listComments",
+      summary: "A task's comments, oldest first",
+      responses: {
+        200: reply("The comments.", list("Comment")),
+        404: error("The task doesn't exist.")
+      }
+    },
+    post: {
+      tags: ["Comments"],
+      operationId: "createComment",
+      summary: "Comment on a task",
+      requestBody: body(ref("CommentInput")),
+      responses: {
+        201: reply("Created.", ref("Comment")),
+        404: error("The task doesn't exist.")
+      }
+    }
+  },
+  "/tasks/{taskId}/comments/{commentId}": {
+    parameters: [
+      pathParam("taskId", "The task's id."),
+      pathParam("commentId", "The comment's id.")
+    ],
+    patch: {
+      tags: ["Comments"],
+      operationId: "updateComment",
+      summary: "Edit a comment",
+      requestBody: body(ref("CommentInput")),
+      responses: {
+        200: reply("Updated.", ref("Comment")),
+        404: error("The comment doesn't exist.")
+      }
+    },
+    delete: {
+      tags: ["Comments"],
+      operationId: "deleteComment",
+      summary: "Delete a comment",
+      responses: {
+        204: noContent,
+        404: error("The comment doesn't exist.")
+      }
+    }
+  },
+
+  "/tasks/{taskId}/attachments": {
+    parameters: [pathParam("taskId", "The task's id.")],
+    get: {
+      tags: ["Attachments"],
+      operationId: "listAttachments",
+      summary: "A task's attachments",
+      responses: {
+        200: reply("The attachments.", list("Attachment")),
+        404: error("The task doesn't exist.")
+      }
+    },
+    post: {
+      tags: ["Attachments"],
+      operationId: "uploadAttachment",
+      summary: "Attach a file to a task",
+      requestBody: {
+        required: true,
+        content: {
+          "multipart/form-data": {
+            schema: {
+              type: "object",
+              properties: {
+                file: {
+                  type: "string",
+                  contentMediaType: "application/octet-stream"
+                }
+              },
+              required: ["file"]
+            }
+          }
+        }
+      },
+      responses: {
+        201: reply("Uploaded.", ref("Attachment")),
+        404: error("The task doesn't exist."),
+        413: error("The file is larger than attachments may be."),
+        415: error("Files of this type can't be attached.")
+      }
+    }
+  },
+  "/tasks/{taskId}/attachments/{attachmentId}": {
+    parameters: [
+      pathParam("taskId", "The task's id."),
+      pathParam("attachmentId", "The attachment's id.")
+    ],
+    delete: {
+      tags: ["Attachments"],
+      operationId: "deleteAttachment",
+      summary: "Remove an attachment",
+      responses: {
+        204: noContent,
+        404: error("The attachment doesn't exist.")
+      }
+    }
+  },
+  "/tasks/{taskId}/attachments/{attachmentId}/download": {
+    parameters: [
+      pathParam("taskId", "The task's id."),
+      pathParam("attachmentId", "The attachment's id.")
+    ],
+    get: {
+      tags: ["Attachments"],
+      operationId: "downloadAttachment",
+      summary: "The attached file",
+      responses: {
+        200: {
+          description: "The file, always as a download.",
+          content: { "*/*": { schema: { type: "string" } } }
+        },
+        404: error("The attachment doesn't exist.")
+      }
+    }
+  },
+
+  "/boards": {
+    get: {
+      tags: ["Boards"],
+      operationId: "listBoards",
+      summary: "Your boards, with task counts per column",
+      responses: { 200: reply("The boards.", list("Board")) }
+    },
+    post: {
+      tags: ["Boards"],
+      operationId: "createBoard",
+      summary: "Create a board",
+      description: "Boards created without columns get the default ones.",
+      requestBody: body(ref("BoardInput")),
+      responses: { 201: reply("Created.", ref("Board")) }
+    }
+  },
+  "/boards/{id}": {
+    parameters: [pathParam("id", "The board's id.")],
+    get: {
+      tags: ["Boards"],
+      operationId: "getBoard",
+      summary: "A board",
+      responses: {
+        200: reply("The board.", ref("Board")),
+        404: error("The board doesn't exist.")
+      }
+    },
+    patch: {
+      tags: ["Boards"],
+      operationId: "updateBoard",
+      summary: "Rename a board or change its columns",
+      description:
+        "columns is the full new list: columns sent with their id keep it " +
+        "and those without one are added. Existing columns can't be left " +
+        "out; remove them with DELETE on the column.",
+      requestBody: body(ref("BoardUpdate")),
+      responses: {
+        200: reply("Updated.", ref("Board")),
+        404: error("The board doesn't exist.")
+      }
+    },
+    delete: {
+      tags: ["Boards"],
+      operationId: "deleteBoard",
+      summary: "Delete a board, sending its tasks to the trash",
+      responses: {
+        204: noContent,
+        404: error("The board doesn't exist."),
+        409: error("It is your only board, or its tasks changed meanwhile.")
+      }
+    }
+  },
+  "/boards/{id}/columns/{columnId}": {
+    parameters: [
+      pathParam("id", "The board's id."),
+      pathParam("columnId", "The column's id.")
+    ],
+    delete: {
+      tags: ["Boards"],
+      operationId: "deleteColumn",
+      summary: "Remove a column, moving its tasks elsewhere first",
+      parameters: [
+        query("moveTo", string, "The column to move the column's tasks to.")
+      ],
+      responses: {
+        200: reply("The board without the column.", ref("Board")),
+        404: error("The board or column doesn't exist."),
+        409: error(
+          "It is the board's only column, or its tasks couldn't be moved.",
+          { anyOf: [ref("Error"), ref("RuleError")] }
+        )
+      }
+    }
+  },
+  "/boards/{boardId}/stats": {
+    parameters: [pathParam("boardId", "The board's id.")],
+    get: {
+      tags: ["Boards"],
+      operationId: "getBoardStats",
+      summary: "Counts, throughput, lead and cycle times and flow",
+      parameters: [
+        query(
+          "from",
+          { type: "string", format: "date" },
+          "The first UTC day; 30 days before to by default."
+        ),
+        query(
+          "to",
+          { type: "string", format: "date" },
+          "The last UTC day; today by default. Ranges span at most 366 days."
+        )
+      ],
+      responses: {
+        200: reply("The stats.", ref("BoardStats")),
+        404: error("The board doesn't exist.")
+      }
+    }
+  },
+
+  "/labels": {
+    get: {
+      tags: ["Labels"],
+      operationId: "listLabels",
+      summary: "Your labels, with how many tasks carry each",
+      responses: { 200: reply("The labels.", list("Label")) }
+    },
+    post: {
+      tags: ["Labels"],
+      operationId: "createLabel",
+      summary: "Create a label",
+      requestBody: body(ref("LabelInput")),
+      responses: {
+        201: reply("Created.", ref("Label")),
+        409: error("A label with that name already exists.")
+      }
+    }
+  },
+  "/labels/{id}": {
+    parameters: [pathParam("id", "The label's id.")],
+    patch: {
+      tags: ["Labels"],
+      operationId: "updateLabel",
+      summary: "Rename or recolour a label",
+      requestBody: body(ref("LabelUpdate")),
+      responses: {
+        200: reply("Updated.", ref("Label")),
+        404: error("The label doesn't exist."),
+        409: error("A label with that name already exists.")
+      }
+    },
+    delete: {
+      tags: ["Labels"],
+      operationId: "deleteLabel",
+      summary: "Delete a label and take it off every task",
+      responses: {
+        204: noContent,
+        404: error("The label doesn't exist.")
+      }
+    }
+  },
+  "/labels/{id}/merge": {
+    parameters: [pathParam("id", "The label to merge away.")],
+    post: {
+      tags: ["Labels"],
+      operationId: "mergeLabel",
+      summary: "Relabel its tasks with another label, then delete it",
+      requestBody: body({
+        type: "object",
+        properties: {
+          into: { type: "string", minLength: 1, description: "A label id." }
+        },
+        required: ["into"]
+      }),
+      responses: {
+        200: reply("The label merged into.", ref("Label")),
+        404: error("A label doesn't exist, or both are the same.")
+      }
+    }
+  },
+
+  "/trash": {
+    get: {
+      tags: ["Trash"],
+      operationId: "listTrash",
+      summary: "Deleted tasks, most recently deleted first",
+      responses: { 200: reply("The tasks.", list("Task")) }
+    },
+    delete: {
+      tags: ["Trash"],
+      operationId: "emptyTrash",
+      summary: "Purge every deleted task",
+      responses: {
+        200: reply("Emptied.", {
+          type: "object",
+          properties: {
+            purged: { type: "integer", description: "Tasks purged." }
+          },
+          required: ["purged"],
+          additionalProperties: false
+        })
+      }
+    }
+  },
+  "/trash/{id}": {
+    parameters: [pathParam("id", "The task's id.")],
+    delete: {
+      tags: ["Trash"],
+      operationId: "purgeTask",
+      summary: "Delete a task for good",
+      responses: {
+        204: noContent,
+        404: error("The task isn't in the trash.")
+      }
+    }
+  },
+  "/trash/{id}/restore": {
+    parameters: [pathParam("id", "The task's id.")],
+    post: {
+      tags: ["Trash"],
+      operationId: "restoreTask",
+      summary: "Bring a task back from the trash",
+      responses: {
+        200: reply("Restored.", ref("Task")),
+        404: error("The task isn't in the trash.")
+      }
+    }
+  },
+
+  "/webhooks": {
+    get: {
+      tags: ["Webhooks"],
+      operationId: "listWebhooks",
+      summary: "Your webhooks",
+      responses: { 200: reply("The webhooks.", list("Webhook")) }
+    },
+    post: {
+      tags: ["Webhooks"],
+      operationId: "createWebhook",
+      summary: "Subscribe a URL to task events",
+      description:
+        "Deliveries are signed with the secret, which is generated when " +
+        "none is given and only returned here.",
+      requestBody: body(ref("WebhookInput")),
+      responses: { 201: reply("Created.", ref("Webhook")) }
+    }
+  },
+  "/webhooks/{id}": {
+    parameters: [pathParam("id", "The webhook's id.")],
+    get: {
+      tags: ["Webhooks"],
+      operationId: "getWebhook",
+      summary: "A webhook",
+      responses: {
+        200: reply("The webhook.", ref("Webhook")),
+        404: error("The webhook doesn't exist.")
+      }
+    },
+    patch: {
+      tags: ["Webhooks"],
+      operationId: "updateWebhook",
+      summary: "Change a webhook",
+      requestBody: body(ref("WebhookUpdate")),
+      responses: {
+        200: reply("Updated.", ref("Webhook")),
+        404: error("The webhook doesn't exist.")
+      }
+    },
+    delete: {
+      tags: ["Webhooks"],
+      operationId: "deleteWebhook",
+      summary: "Delete a webhook and its deliveries",
+      responses: {
+        204: noContent,
+        404: error("The webhook doesn't exist.")
+      }
+    }
+  },
+  "/webhooks/{id}/deliveries": {
+    parameters: [pathParam("id", "The webhook's id.")],
+    get: {
+      tags: ["Webhooks"],
+      operationId: "listDeliveries",
+      summary: "A webhook's recent deliveries, newest first",
+      responses: {
+        200: reply("The deliveries.", list("WebhookDelivery")),
+        404: error("The webhook doesn't exist.")
+      }
+    }
+  },
+  "/webhooks/{id}/deliveries/{deliveryId}": {
+    parameters: [
+      pathParam("id", "The webhook's id."),
+      pathParam("deliveryId", "The delivery's id.")
+    ],
+    get: {
+      tags: ["Webhooks"],
+      operationId: "getDelivery",
+      summary: "A delivery and its attempts",
+      responses: {
+        200: reply("The delivery.", ref("WebhookDelivery")),
+        404: error("The delivery doesn't exist.")
+      }
+    }
+  },
+  "/webhooks/{id}/deliveries/{deliveryId}/redeliver": {
+    parameters: [
+      pathParam("id", "The webhook's id."),
+      pathParam("deliveryId", "The delivery's id.")
+    ],
+    post: {
+      tags: ["Webhooks"],
+      operationId: "redeliver",
+      summary: "Send a delivery's event again",
+      responses: {
+        202: reply("Queued as a new delivery.", ref("WebhookDelivery")),
+        404: error("The delivery doesn't exist.")
+      }
+    }
+  },
+
+  "/health/live": {
+    get: {
+      tags: ["Health"],
+      operationId: "checkLiveness",
+      summary: "Whether the process is up",
+      security: [],
+      responses: { 200: reply("Up.", ref("Liveness")) }
+    }
+  },
+  "/health/ready": {
+    get: {
+      tags: ["Health"],
+      operationId: "checkReadiness",
+      summary: "Whether requests can be served",
+      security: [],
+      responses: {
+        200: reply("Ready.", ref("Readiness")),
+        503: reply(
+          "Shutting down, or MongoDB can't be reached.",
+          ref("Readiness")
+        )
+      }
+    }
+  },
+  "/metrics": {
+    get: {
+      tags: ["Metrics"],
+      operationId: "getMetrics",
+      summary: "Metrics in the Prometheus text format",
+      description: "Needs METRICS_TOKEN as a bearer token when that is set.",
+      security: [],
+      responses: {
+        200: {
+          description: "The metrics.",
+          content: { "text/plain": { schema: string } }
+        },
+        401: error("METRICS_TOKEN is set and wasn't sent.")
+      }
+    }
+  },
+  "/openapi.json": {
+    get: {
+      tags: ["Docs"],
+      operationId: "getOpenApiSpec",
+      summary: "This specification",
+      security: [],
+      responses: {
+        200: reply("The OpenAPI document.", { type: "object" })
+      }
+    }
+  },
+  "/docs": {
+    get: {
+      tags: ["Docs"],
+      operationId: "getDocs",
+      summary: "This specification, browsable",
+      security: [],
+      responses: {
+        200: {
+          description: "The docs page.",
+          content: { "text/html": { schema: string } }
+        }
+      }
+    }
+  }
+};
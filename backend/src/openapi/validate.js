@@ -0,0 +1,170 @@
+// Checks values against the part of JSON Schema the API specification uses:
+// types, enums, objects, arrays, string and number bounds, a few formats,
+// anyOf/oneOf and local $refs. Returns one { field, message } per problem,
+// in the shape the routes use for their own validation errors.
+
+const formats = {
+  "date-time":
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/,
+  date: /^\d{4}-\d{2}-\d{2}$/
+};
+
+function typeOf(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "integer" : "number";
+  }
+  return typeof value;
+}
+
+function hasType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function describeTypes(types) {
+  const names = types.map((type) =>
+    ["array", "integer", "object"].includes(type) ? `an ${type}` : `a ${type}`
+  );
+  return names.join(" or ").replace("a null", "null");
+}
+
+function label(path) {
+  return path || "The value";
+}
+
+// Resolves "#/components/..." references against the document.
+export function resolveRef(document, schema) {
+  let resolved = schema;
+  while (resolved?.$ref) {
+    resolved = resolved.$ref
+      .slice(2)
+      .split("/")
+      .reduce((node, key) => node[key], document);
+  }
+  return resolved;
+}
+
+function check(document, schema, value, path, errors) {
+  schema = resolveRef(document, schema);
+  if (!schema) {
+    return;
+  }
+  const fail = (message) =>
+    errors.push({ field: path || null, message: `${label(path)} ${message}` });
+
+  if (schema.anyOf || schema.oneOf) {
+    const options = schema.anyOf || schema.oneOf;
+    const matching = options.filter(
+      (option) => validateValue(document, option, value, path).length === 0
+    );
+    if (!matching.length) {
+      // The closest option explains the problem best.
+      const attempts = options.map((option) =>
+        validateValue(document, option, value, path)
+      );
+      attempts.sort((a, b) => a.length - b.length);
+      errors.push(...attempts[0]);
+    } else if (schema.oneOf && matching.length > 1) {
+      fail("matches more than one of the allowed shapes");
+    }
+    return;
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => hasType(value, type))) {
+      fail(`must be ${describeTypes(types)}`);
+      return;
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(
+      `must be one of ${schema.enum
+        .map((option) => (option === null ? "null" : option))
+        .join(", ")}`
+    );
+    return;
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(
+        schema.minLength === 1
+          ? "can't be empty"
+          : `must be at least ${schema.minLength} characters`
+      );
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+    if (formats[schema.format] && !formats[schema.format].test(value)) {
+      fail(`must be a ${schema.format}`);
+    }
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        check(document, schema.items, item, `${path}[${index}]`, errors)
+      );
+    }
+  }
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    const join = (name) => (path ? `${path}.${name}` : name);
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({
+          field: join(name),
+          message: `${join(name)} is required`
+        });
+      }
+    }
+    for (const [name, item] of Object.entries(value)) {
+      if (item === undefined) {
+        continue;
+      }
+      if (properties[name]) {
+        check(document, properties[name], item, join(name), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({
+          field: join(name),
+          message: `${join(name)} is not allowed here`
+        });
+      } else if (typeof schema.additionalProperties === "object") {
+        check(document, schema.additionalProperties, item, join(name), errors);
+      }
+    }
+  }
+}
+
+export function validateValue(document, schema, value, path = "") {
+  const errors = [];
+  check(document, schema, value, path, errors);
+  return errors;
+}
@@ -0,0 +1,66 @@
+import express from "express";
+import { sendServerError } from "./errors.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const defaultDays = 30;
+const maxDays = 366;
+
+function parseDay(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) ||
+    date.toISOString().slice(0, 10) !== value
+    ? null
+    : date;
+}
+
+// `from` and `to` are whole UTC days, both included; the range defaults to
+// the last 30 days up to today.
+function parseRange({ from, to }) {
+  const today = new Date(Math.floor(Date.now() / DAY) * DAY);
+  const end = to === undefined ? today : parseDay(to);
+  if (!end) {
+    return { error: "to must be a date like 2024-01-31" };
+  }
+  const start =
+    from === undefined
+      ? new Date(end.getTime() - (defaultDays - 1) * DAY)
+      : parseDay(from);
+  if (!start) {
+    return { error: "from must be a date like 2024-01-01" };
+  }
+  if (start > end) {
+    return { error: "from must not be after to" };
+  }
+  if ((end - start) / DAY + 1 > maxDays) {
+    return { error: `The range can span at most ${maxDays} days` };
+  }
+  return { range: { from: start, to: end } };
+}
+
+// Mounted under /api/boards/:boardId/stats.
+export function createAnalyticsRouter(service) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get("/", async (req, res) => {
+    try {
+      const { range, error } = parseRange(req.query);
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+      const stats = await service.stats(req.user, req.params.boardId, range);
+      if (!stats) {
+        res.status(404).json({ error: "Board not found" });
+        return;
+      }
+      res.json(stats);
+    } catch (error) {
+      sendServerError(res, error, "Failed to load board stats");
+    }
+  });
+
+  return router;
+}
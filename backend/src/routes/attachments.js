@@ -0,0 +1,162 @@
+import busboy from "busboy";
+import express from "express";
+import { sendValidationErrors } from "../validation/taskFields.js";
+import { sendServerError } from "./errors.js";
+
+class UnreadableUpload extends Error {}
+
+// Streams the "file" part of a multipart body into `store` and resolves to
+// what it returns, or to undefined when the body has no file. Other parts
+// are skipped.
+function receiveFile(req, maxBytes, store) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        limits: { files: 1, fileSize: maxBytes }
+      });
+    } catch (error) {
+      reject(new UnreadableUpload(error.message));
+      return;
+    }
+    let stored;
+    parser.on("file", (field, stream, info) => {
+      if (field !== "file" || stored) {
+        stream.resume();
+        return;
+      }
+      stored = store({
+        name: info.filename,
+        contentType: info.mimeType,
+        stream
+      }).finally(() => stream.resume());
+    });
+    parser.on("close", () => resolve(stored));
+    parser.on("error", (error) => {
+      stored?.catch(() => {});
+      reject(new UnreadableUpload(error.message));
+    });
+    req.pipe(parser);
+  });
+}
+
+function formatSize(bytes) {
+  return bytes < 1024 * 1024
+    ? `${Math.round(bytes / 1024)} KB`
+    : `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+}
+
+// Mounted under /api/tasks/:taskId/attachments.
+export function createAttachmentRouter(service) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get("/", async (req, res) => {
+    try {
+      const attachments = await service.list(req.user, req.params.taskId);
+      if (!attachments) {
+        res.status(404).json({ error: "Task not found" });
+        return;
+      }
+      res.json(attachments);
+    } catch (error) {
+      sendServerError(res, error, "Failed to load attachments");
+    }
+  });
+
+  // Takes a multipart/form-data body with the file in a part named "file".
+  router.post("/", async (req, res) => {
+    try {
+      const result = await receiveFile(req, service.maxBytes, (file) =>
+        service.upload(req.user, req.params.taskId, file)
+      );
+      if (result === undefined) {
+        sendValidationErrors(res, [
+          { field: "file", message: "Choose a file to upload" }
+        ]);
+        return;
+      }
+      if (!result) {
+        res.status(404).json({ error: "Task not found" });
+        return;
+      }
+      if (result.tooLarge) {
+        res.status(413).json({
+          error: `Attachments can be at most ${formatSize(service.maxBytes)}`
+        });
+        return;
+      }
+      if (result.unsupportedType) {
+        res.status(415).json({
+          error: `Files of type ${result.unsupportedType} can't be attached`
+        });
+        return;
+      }
+      res.status(201).json(result.attachment);
+    } catch (error) {
+      if (error instanceof UnreadableUpload) {
+        sendValidationErrors(res, [
+          {
+            field: "file",
+            message: "Upload the file as multipart/form-data"
+          }
+        ]);
+        return;
+      }
+      sendServerError(res, error, "Failed to upload attachment");
+    }
+  });
+
+  router.get("/:attachmentId/download", async (req, res) => {
+    try {
+      const result = await service.download(
+        req.user,
+        req.params.taskId,
+        req.params.attachmentId
+      );
+      if (!result) {
+        res.status(404).json({ error: "Attachment not found" });
+        return;
+      }
+      const { attachment, stream } = result;
+      stream.once("error", (error) => {
+        if (res.headersSent) {
+          res.destroy();
+          return;
+        }
+        res.removeHeader("Content-Disposition");
+        sendServerError(res, error, "Failed to download attachment");
+      });
+      // Always a download, never shown inline, so an uploaded HTML or SVG
+      // file can't run in the app's origin.
+      res.attachment(attachment.name);
+      res.set({
+        "Content-Type": attachment.contentType,
+        "Content-Length": String(attachment.size),
+        "X-Content-Type-Options": "nosniff"
+      });
+      stream.pipe(res);
+    } catch (error) {
+      sendServerError(res, error, "Failed to download attachment");
+    }
+  });
+
+  router.delete("/:attachmentId", async (req, res) => {
+    try {
+      const removed = await service.remove(
+        req.user,
+        req.params.taskId,
+        req.params.attachmentId
+      );
+      if (!removed) {
+        res.status(404).json({ error: "Attachment not found" });
+        return;
+      }
+      res.status(204).end();
+    } catch (error) {
+      sendServerError(res, error, "Failed to delete attachment");
+    }
+  });
+
+  return router;
+}
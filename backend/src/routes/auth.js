@@ -0,0 +1,77 @@
+import express from "express";
+import { hashPassword, verifyPassword } from "../auth/passwords.js";
+import { requireAuth } from "../middleware/auth.js";
+import { sendServerError } from "./errors.js";
+
+const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const minPasswordLength = 8;
+
+function toPublicUser(user) {
+  return { id: user.id, email: user.email };
+}
+
+function parseCredentials(body) {
+  const { email, password } = body;
+  if (typeof email !== "string" || !emailPattern.test(email.trim())) {
+    return { error: "a valid email is required" };
+  }
+  if (typeof password !== "string" || password.length < minPasswordLength) {
+    return {
+      error: `password must be at least ${minPasswordLength} characters`
+    };
+  }
+  return { email: email.trim().toLowerCase(), password };
+}
+
+export function createAuthRouter({ users, tokens }) {
+  const router = express.Router();
+
+  router.post("/register", async (req, res) => {
+    try {
+      const { email, password, error } = parseCredentials(req.body);
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+      const passwordHash = await hashPassword(password);
+      const user = await users.create({ email, passwordHash });
+      if (!user) {
+        res.status(409).json({ error: "email is already registered" });
+        return;
+      }
+      res.status(201).json({
+        token: tokens.sign(user.id),
+        user: toPublicUser(user)
+      });
+    } catch (error) {
+      sendServerError(res, error, "Failed to register");
+    }
+  });
+
+  router.post("/login", async (req, res) => {
+    try {
+      const { email, password } = req.body;
+      const user =
+        typeof email === "string"
+          ? await users.findByEmail(email.trim().toLowerCase())
+          : null;
+      const valid =
+        user &&
+        typeof password === "string" &&
+        (await verifyPassword(password, user.passwordHash));
+      if (!valid) {
+        res.status(401).json({ error: "Invalid email or password" });
+        return;
+      }
+      res.json({ token: tokens.sign(user.id), user: toPublicUser(user) });
+    } catch (error) {
+      sendServerError(res, error, "Failed to log in");
+    }
+  });
+
+  router.get("/me", requireAuth({ users, tokens }), (req, res) => {
+    res.json({ user: req.user });
+  });
+
+  return router;
+}
@@ -0,0 +1,117 @@
+import express from "express";
+import {
+  sendValidationErrors,
+  validateBoard
+} from "../validation/taskFields.js";
+import { sendRuleError } from "./tasks.js";
+import { sendServerError } from "./errors.js";
+
+export function createBoardRouter(service) {
+  const router = express.Router();
+
+  router.get("/", async (req, res) => {
+    try {
+      res.json(await service.list(req.user));
+    } catch (error) {
+      sendServerError(res, error, "Failed to load boards");
+    }
+  });
+
+  router.post("/", async (req, res) => {
+    try {
+      const { values, errors } = validateBoard(req.body);
+      if (errors.length) {
+        sendValidationErrors(res, errors);
+        return;
+      }
+      res.status(201).json(await service.create(req.user, values));
+    } catch (error) {
+      sendServerError(res, error, "Failed to create board");
+    }
+  });
+
+  router.get("/:id", async (req, res) => {
+    try {
+      const board = await service.get(req.user, req.params.id);
+      if (!board) {
+        res.status(404).json({ error: "Board not found" });
+        return;
+      }
+      res.json(board);
+    } catch (error) {
+      sendServerError(res, error, "Failed to load board");
+    }
+  });
+
+  router.patch("/:id", async (req, res) => {
+    try {
+      const { values, errors } = validateBoard(req.body, { partial: true });
+      if (errors.length) {
+        sendValidationErrors(res, errors);
+        return;
+      }
+      const result = await service.update(req.user, req.params.id, values);
+      if (!result) {
+        res.status(404).json({ error: "Board not found" });
+        return;
+      }
+      if (result.errors) {
+        sendValidationErrors(res, result.errors);
+        return;
+      }
+      res.json(result.board);
+    } catch (error) {
+      sendServerError(res, error, "Failed to update board");
+    }
+  });
+
+  // Tasks in the column are moved to the column named by ?moveTo first.
+  router.delete("/:id/columns/:columnId", async (req, res) => {
+    try {
+      const { moveTo } = req.query;
+      const result = await service.removeColumn(
+        req.user,
+        req.params.id,
+        req.params.columnId,
+        typeof moveTo === "string" ? moveTo : undefined
+      );
+      if (!result) {
+        res.status(404).json({ error: "Column not found" });
+        return;
+      }
+      if (result.errors) {
+        sendValidationErrors(res, result.errors);
+        return;
+      }
+      if (result.conflict) {
+        res.status(409).json({ error: result.conflict });
+        return;
+      }
+      res.json(result.board);
+    } catch (error) {
+      if (sendRuleError(res, error)) {
+        return;
+      }
+      sendServerError(res, error, "Failed to remove column");
+    }
+  });
+
+  router.delete("/:id", async (req, res) => {
+    try {
+      const result = await service.remove(req.user, req.params.id);
+      if (!result) {
+        res.status(404).json({ error: "Board not found" });
+        return;
+      }
+      if (result.conflict) {
+        res.status(409).json({ error: result.conflict });
+        return;
+      }
+      res.status(204).end();
+    } catch (error) {
+      sendServerError(res, error, "Failed to delete board");
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,84 @@
+import express from "express";
+import {
+  sendValidationErrors,
+  validateComment
+} from "../validation/taskFields.js";
+import { sendServerError } from "./errors.js";
+
+// Mounted under /api/tasks/:taskId/comments.
+export function createCommentRouter(service) {
+  const router = express.Router({ mergeParams: true });
+
+  router.get("/", async (req, res) => {
+    try {
+      const comments = await service.list(req.user, req.params.taskId);
+      if (!comments) {
+        res.status(404).json({ error: "Task not found" });
+        return;
+      }
+      res.json(comments);
+    } catch (error) {
+      sendServerError(res, error, "Failed to load comments");
+    }
+  });
+
+  router.post("/", async (req, res) => {
+    try {
+      const { values, errors } = validateComment(req.body);
+      if (errors.length) {
+        sendValidationErrors(res, errors);
+        return;
+      }
+      const comment = await service.create(req.user, req.params.taskId, values);
+      if (!comment) {
+        res.status(404).json({ error: "Task not found" });
+        return;
+      }
+      res.status(201).json(comment);
+    } catch (error) {
+      sendServerError(res, error, "Failed to add comment");
+    }
+  });
+
+  router.patch("/:commentId", async (req, res) => {
+    try {
+      const { values, errors } = validateComment(req.body);
+      if (errors.length) {
+        sendValidationErrors(res, errors);
+        return;
+      }
+      const comment = await service.update(
+        req.user,
+        req.params.taskId,
+        req.params.commentId,
+        values
+      );
+      if (!comment) {
+        res.status(404).json({ error: "Comment not found" });
+        return;
+      }
+      res.json(comment);
+    } catch (error) {
+      sendServerError(res, error, "Failed to update comment");
+    }
+  });
+
+  router.delete("/:commentId", async (req, res) => {
+    try {
+      const removed = await service.remove(
+        req.user,
+        req.params.taskId,
+        req.params.commentId
+      );
+      if (!removed) {
+        res.status(404).json({ error: "Comment not found" });
+        return;
+      }
+      res.status(204).end();
+    } catch (error) {
+      sendServerError(res, error, "Failed to delete comment");
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,71 @@
+import { createHash } from "node:crypto";
+import express from "express";
+
+const swaggerUi = "https://cdn.jsdelivr.net/npm/swagger-ui-dist@5.17.14";
+// Subresource integrity hashes of the files above, so a tampered CDN copy
+// isn't run. Recompute them when changing the version.
+const integrity = {
+  css: "sha384-wxLW6kwyHktdDGr6Pv1zgm/VGJh99lfUbzSn6HNHBENZlCN7W602k9VkGdxuFvPn",
+  js: "sha384-wmyclcVGX/WhUkdkATwhaK1X1JtiNrr2EoYJ+diV3vj4v6OC5yCeSu+yW13SYJep"
+};
+
+// Relative, so the page works under /api/v1 and its /api alias alike.
+const script =
+  'SwaggerUIBundle({ url: "openapi.json", dom_id: "#docs", deepLinking: true });';
+
+const page = `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>Task board API</title>
+    <link
+      rel="stylesheet"
+      href="${swaggerUi}/swagger-ui.css"
+      integrity="${integrity.css}"
+      crossorigin="anonymous"
+    />
+  </head>
+  <body>
+    <div id="docs"></div>
+    <script
+      src="${swaggerUi}/swagger-ui-bundle.js"
+      integrity="${integrity.js}"
+      crossorigin="anonymous"
+    ></script>
+    <script>${script}</script>
+  </body>
+</html>
+`;
+
+// The API's own policy forbids scripts altogether; the docs page may load
+// Swagger UI from the CDN, run the one inline script above and call the API
+// from "Try it out".
+const contentSecurityPolicy = [
+  "default-src 'none'",
+  `script-src https://cdn.jsdelivr.net 'sha256-${createHash("sha256")
+    .update(script)
+    .digest("base64")}'`,
+  "style-src https://cdn.jsdelivr.net 'unsafe-inline'",
+  "img-src 'self' data:",
+  "connect-src 'self'",
+  "frame-ancestors 'none'"
+].join("; ");
+
+// Serves the OpenAPI document and an interactive page rendering it.
+export function createDocsRouter(spec) {
+  const router = express.Router();
+
+  router.get("/openapi.json", (req, res) => {
+    res.json(spec);
+  });
+
+  router.get("/docs", (req, res) => {
+    res
+      .set("Content-Security-Policy", contentSecurityPolicy)
+      .type("html")
+      .send(page);
+  });
+
+  return router;
+}
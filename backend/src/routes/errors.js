@@ -0,0 +1,36 @@
+import { logger } from "../logging/logger.js";
+
+// Logs what went wrong, tagged with the request id, and answers with a
+// generic 500 that gives nothing away.
+export function sendServerError(res, error, message) {
+  logger.error(message, { error });
+  res.status(500).json({ error: message });
+}
+
+// The last middleware: errors passed to next(), mostly from the body
+// parsers, answered in JSON like everything else.
+export function handleErrors() {
+  return (error, req, res, next) => {
+    if (res.headersSent) {
+      next(error);
+      return;
+    }
+    if (error.type === "entity.too.large") {
+      res.status(413).json({
+        error: `Request bodies can be at most ${Math.floor(
+          error.limit / 1024
+        )} KB`
+      });
+      return;
+    }
+    if (error.type === "entity.parse.failed") {
+      res.status(400).json({ error: "The request body is not valid JSON" });
+      return;
+    }
+    if (error.status >= 400 && error.status < 500) {
+      res.status(error.status).json({ error: error.message });
+      return;
+    }
+    sendServerError(res, error, "Something went wrong");
+  };
+}
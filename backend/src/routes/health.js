@@ -0,0 +1,39 @@
+import express from "express";
+
+// Liveness only says the process is up and answering; orchestrators restart
+// it when that fails. Readiness says whether it can serve requests, which
+// with MongoDB storage means being connected to it, and stops being true as
+// soon as a shutdown begins.
+export function createHealthRouter({
+  storage,
+  databaseStatus,
+  isShuttingDown
+}) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    res.set("Cache-Control", "no-store");
+    next();
+  });
+
+  router.get("/live", (req, res) => {
+    res.json({ status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+  });
+
+  router.get("/ready", (req, res) => {
+    const database = storage.driver === "mongo" ? databaseStatus() : null;
+    let status = "ready";
+    if (isShuttingDown()) {
+      status = "shutting_down";
+    } else if (database && database.state !== "connected") {
+      status = "database_unavailable";
+    }
+    res.status(status === "ready" ? 200 : 503).json({
+      status,
+      storage: storage.driver,
+      database
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,99 @@
+import express from "express";
+import {
+  sendValidationErrors,
+  validateLabel
+} from "../validation/taskFields.js";
+import { sendServerError } from "./errors.js";
+
+export function createLabelRouter(service) {
+  const router = express.Router();
+
+  router.get("/", async (req, res) => {
+    try {
+      res.json(await service.list(req.user));
+    } catch (error) {
+      sendServerError(res, error, "Failed to load labels");
+    }
+  });
+
+  router.post("/", async (req, res) => {
+    try {
+      const { values, errors } = validateLabel(req.body);
+      if (errors.length) {
+        sendValidationErrors(res, errors);
+        return;
+      }
+      const label = await service.create(req.user, values);
+      if (!label) {
+        res
+          .status(409)
+          .json({ error: "A label with that name already exists" });
+        return;
+      }
+      res.status(201).json(label);
+    } catch (error) {
+      sendServerError(res, error, "Failed to create label");
+    }
+  });
+
+  router.patch("/:id", async (req, res) => {
+    try {
+      const { values, errors } = validateLabel(req.body, { partial: true });
+      if (errors.length) {
+        sendValidationErrors(res, errors);
+        return;
+      }
+      const result = await service.update(req.user, req.params.id, values);
+      if (!result) {
+        res.status(404).json({ error: "Label not found" });
+        return;
+      }
+      if (result.conflict) {
+        res
+          .status(409)
+          .json({ error: "A label with that name already exists" });
+        return;
+      }
+      res.json(result.label);
+    } catch (error) {
+      sendServerError(res, error, "Failed to update label");
+    }
+  });
+
+  router.post("/:id/merge", async (req, res) => {
+    try {
+      const { into } = req.body;
+      if (typeof into !== "string" || !into) {
+        sendValidationErrors(res, [
+          { field: "into", message: "Pick the label to merge into" }
+        ]);
+        return;
+      }
+      const label = await service.merge(req.user, req.params.id, into);
+      if (!label) {
+        res.status(404).json({
+          error: "Both labels must exist and be different"
+        });
+        return;
+      }
+      res.json(label);
+    } catch (error) {
+      sendServerError(res, error, "Failed to merge labels");
+    }
+  });
+
+  router.delete("/:id", async (req, res) => {
+    try {
+      const removed = await service.remove(req.user, req.params.id);
+      if (!removed) {
+        res.status(404).json({ error: "Label not found" });
+        return;
+      }
+      res.status(204).end();
+    } catch (error) {
+      sendServerError(res, error, "Failed to delete label");
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,26 @@
+import { timingSafeEqual } from "node:crypto";
+import { sendServerError } from "./errors.js";
+
+function hasToken(req, token) {
+  const given = Buffer.from(req.get("Authorization") || "");
+  const expected = Buffer.from(`Bearer ${token}`);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+// Prometheus scrapes this. With METRICS_TOKEN set, it has to send the token
+// as a bearer token.
+export function createMetricsHandler(metrics, { token }) {
+  return async (req, res) => {
+    if (token && !hasToken(req, token)) {
+      res.status(401).json({ error: "Authentication required" });
+      return;
+    }
+    try {
+      res
+        .set("Content-Type", "text/plain; version=0.0.4; charset=utf-8")
+        .send(await metrics.render());
+    } catch (error) {
+      sendServerError(res, error, "Failed to collect metrics");
+    }
+  };
+}
@@ -0,0 +1,59 @@
+const heartbeatInterval = 25000;
+
+function writeEvent(res, { id, type, data }) {
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+export function createTaskStreamHandler(events) {
+  const streams = new Set();
+
+  function handler(req, res) {
+    const owner = req.user.id;
+    streams.add(res);
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+    res.write("retry: 3000\n\n");
+
+    const lastId = req.get("Last-Event-ID") || req.query.lastEventId;
+    const missed = lastId ? events.since(owner, lastId) : [];
+    if (missed) {
+      for (const event of missed) {
+        writeEvent(res, event);
+      }
+      writeEvent(res, { id: events.currentId(), type: "ready", data: {} });
+    } else {
+      writeEvent(res, { id: events.currentId(), type: "resync", data: {} });
+    }
+
+    const unsubscribe = events.subscribe((event) => {
+      if (event.owner === owner) {
+        writeEvent(res, event);
+      }
+    });
+    const heartbeat = setInterval(
+      () => res.write(": ping\n\n"),
+      heartbeatInterval
+    );
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      streams.delete(res);
+    });
+  }
+
+  // Ends every open stream so a shutdown doesn't wait on them; EventSource
+  // reconnects by itself, to another instance or once this one is back.
+  handler.closeAll = () => {
+    for (const res of streams) {
+      res.end();
+    }
+  };
+
+  return handler;
+}
@@ -0,0 +1,222 @@
+import { parseCsv, toCsv } from "../formats/csv.js";
+import { toICalendar } from "../formats/ical.js";
+import { logger } from "../logging/logger.js";
+import { PartialImportError, WipLimitError } from "../services/taskService.js";
+import { validateTask } from "../validation/taskFields.js";
+import { sendServerError } from "./errors.js";
+import { parseTaskFilter } from "./tasks.js";
+
+export const exportFormats = ["json", "csv", "ics"];
+const exportFields = [
+  "id",
+  "title",
+  "description",
+  "status",
+  "priority",
+  "dueDate",
+  "createdAt",
+  "updatedAt"
+];
+// Links refer to ids that only mean something on the board they came from,
+// so imports carry plain task fields only.
+const importFields = ["title", "description", "status", "priority", "dueDate"];
+export const MAX_IMPORT = 1000;
+
+function toRecord(task) {
+  const record = {};
+  for (const field of exportFields) {
+    record[field] = task[field] ?? null;
+  }
+  return record;
+}
+
+function toCsvRow(task) {
+  return exportFields.map((field) => {
+    const value = task[field];
+    if (!value) {
+      return "";
+    }
+    if (field === "dueDate") {
+      return new Date(value).toISOString().slice(0, 10);
+    }
+    return value instanceof Date ? value.toISOString() : value;
+  });
+}
+
+// Maps CSV rows onto task records by header name. Unknown columns, such as
+// the id and timestamps written by the CSV export, are ignored.
+function readCsvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((name) =>
+    importFields.find(
+      (field) => field.toLowerCase() === name.trim().toLowerCase()
+    )
+  );
+  if (!columns.includes("title")) {
+    return { error: "CSV must have a header row with a title column" };
+  }
+  return {
+    records: rows.map((row) => {
+      const record = {};
+      columns.forEach((field, index) => {
+        if (field && row[index] !== undefined) {
+          record[field] = row[index];
+        }
+      });
+      return record;
+    })
+  };
+}
+
+function readRecords(req) {
+  if (req.is("text/csv")) {
+    try {
+      return readCsvRecords(typeof req.body === "string" ? req.body : "");
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+  if (Array.isArray(req.body)) {
+    return { records: req.body };
+  }
+  if (Array.isArray(req.body?.tasks)) {
+    return { records: req.body.tasks };
+  }
+  return {
+    error: "Send a JSON array of tasks or a CSV file with Content-Type text/csv"
+  };
+}
+
+export function createTaskExportHandler(service) {
+  return async (req, res) => {
+    try {
+      const format = req.query.format || "json";
+      if (!exportFormats.includes(format)) {
+        res.status(400).json({
+          error: `format must be one of ${exportFormats.join(", ")}`
+        });
+        return;
+      }
+      const { filter, error } = parseTaskFilter(req.query);
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+      const tasks = await service.listAll(req.user, {
+        ...filter,
+        sort: "rank",
+        order: "asc"
+      });
+      res.attachment(`tasks.${format}`);
+      if (format === "csv") {
+        res.send(toCsv([exportFields, ...tasks.map(toCsvRow)]));
+      } else if (format === "ics") {
+        res.send(
+          toICalendar(tasks, { name: "Task board", domain: req.hostname })
+        );
+      } else {
+        res.json(tasks.map(toRecord));
+      }
+    } catch (error) {
+      sendServerError(res, error, "Failed to export tasks");
+    }
+  };
+}
+
+// Tells the client which tasks were created before the import stopped, so
+// they can be kept or removed. A column filling up in the meantime is a 409
+// naming it; anything else is logged and kept out of the reply.
+function sendPartialImport(res, error) {
+  const full = error.cause instanceof WipLimitError;
+  if (!full) {
+    logger.error("Import stopped partway", { error: error.cause });
+  }
+  res.status(full ? 409 : 500).json({
+    error: full ? `${error.message}: ${error.cause.message}` : error.message,
+    imported: error.created.length,
+    tasks: error.created
+  });
+}
+
+// Validates every row before creating anything: an import with an invalid row
+// is rejected as a whole. Tasks go to the board named by ?boardId, or the
+// first board, and each status must be one of its columns. With ?dryRun=true
+// nothing is created and the parsed tasks are returned as a preview alongside
+// any row errors.
+export function createTaskImportHandler(service) {
+  return async (req, res) => {
+    try {
+      const dryRun = req.query.dryRun === "true" || req.query.dryRun === "1";
+      const { records, error } = readRecords(req);
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+      if (!records.length || records.length > MAX_IMPORT) {
+        res.status(400).json({
+          error: `an import must contain between 1 and ${MAX_IMPORT} tasks`
+        });
+        return;
+      }
+      const valid = [];
+      const validRows = [];
+      const errors = [];
+      records.forEach((record, index) => {
+        const { values, errors: rowErrors } = validateTask(record, {
+          fields: importFields
+        });
+        if (rowErrors.length) {
+          errors.push({ row: index + 1, errors: rowErrors });
+        } else {
+          valid.push(values);
+          validRows.push(index + 1);
+        }
+      });
+      const { boardId } = req.query;
+      const placement = await service.checkImport(
+        req.user,
+        valid,
+        typeof boardId === "string" ? boardId : undefined
+      );
+      if (!placement) {
+        res.status(404).json({ error: "Board not found" });
+        return;
+      }
+      for (const { index, errors: rowErrors } of placement.errors) {
+        errors.push({ row: validRows[index], errors: rowErrors });
+      }
+      errors.sort((a, b) => a.row - b.row);
+      const rejected = new Set(placement.errors.map(({ index }) => index));
+      const accepted = valid.filter((values, index) => !rejected.has(index));
+      if (dryRun) {
+        res.json({
+          dryRun: true,
+          valid: accepted.length,
+          tasks: accepted,
+          errors
+        });
+        return;
+      }
+      if (errors.length) {
+        res.status(400).json({
+          error: "Some rows are invalid; nothing was imported",
+          errors
+        });
+        return;
+      }
+      const tasks = await service.importTasks(
+        req.user,
+        valid,
+        placement.board.id
+      );
+
+      res.status(201).json({ imported: tasks.length, tasks });
+    } catch (error) {
+      if (error instanceof PartialImportError) {
+        sendPartialImport(res, error);
+        return;
+      }
+      sendServerError(res, error, "Failed to import tasks");
+    }
+  };
+}
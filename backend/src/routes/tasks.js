@@ -0,0 +1,504 @@
+import express from "express";
+import {
+  BlockedTaskError,
+  InvalidLinksError,
+  VersionConflictError,
+  WipLimitError
+} from "../services/taskService.js";
+import { rankBetween } from "../stores/rank.js";
+import {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  SORT_FIELDS,
+  decodeCursor,
+  encodeCursor
+} from "../stores/taskQuery.js";
+import {
+  sendValidationErrors,
+  validateTask
+} from "../validation/taskFields.js";
+import { sendServerError } from "./errors.js";
+
+const bulkActions = ["update", "delete"];
+export const bulkFields = ["status", "priority", "dueDate"];
+export const MAX_BULK = 500;
+
+// Labels may be given as a list or a comma-separated string; tasks must carry
+// any (the default) or all of them.
+function parseLabelFilter(labels, labelMatch = "any") {
+  if (labelMatch !== "any" && labelMatch !== "all") {
+    return { error: "labelMatch must be any or all" };
+  }
+  const ids = (Array.isArray(labels) ? labels : [labels])
+    .filter((value) => typeof value === "string")
+    .flatMap((value) => value.split(","))
+    .map((id) => id.trim())
+    .filter(Boolean);
+  return { labels: ids, labelMatch };
+}
+
+function parseOverdue(overdue) {
+  if (overdue === undefined || overdue === "false" || overdue === false) {
+    return { overdue: false };
+  }
+  if (overdue === "true" || overdue === true) {
+    return { overdue: true };
+  }
+  return { error: "overdue must be true or false" };
+}
+
+// Which tasks a listing, an export or a bulk change covers, from a query
+// string or a bulk request's filter.
+export function parseTaskFilter(query) {
+  const { boardId, status, priority, q } = query;
+  const labelFilter = parseLabelFilter(query.labels, query.labelMatch);
+  if (labelFilter.error) {
+    return { error: labelFilter.error };
+  }
+  const overdueFilter = parseOverdue(query.overdue);
+  if (overdueFilter.error) {
+    return { error: overdueFilter.error };
+  }
+  return {
+    filter: {
+      boardId: typeof boardId === "string" ? boardId : undefined,
+      status: typeof status === "string" ? status : undefined,
+      priority: typeof priority === "string" ? priority : undefined,
+      labels: labelFilter.labels,
+      labelMatch: labelFilter.labelMatch,
+      overdue: overdueFilter.overdue,
+      q: typeof q === "string" ? q.trim() : ""
+    }
+  };
+}
+
+function parseListQuery(query) {
+  const { filter, error } = parseTaskFilter(query);
+  if (error) {
+    return { error };
+  }
+  const { cursor } = query;
+  const sort = query.sort || "rank";
+  const order = query.order || (sort === "createdAt" ? "desc" : "asc");
+  if (!SORT_FIELDS.includes(sort)) {
+    return { error: `sort must be one of ${SORT_FIELDS.join(", ")}` };
+  }
+  if (order !== "asc" && order !== "desc") {
+    return { error: "order must be asc or desc" };
+  }
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+    }
+  }
+  let after = null;
+  if (cursor) {
+    after = decodeCursor(cursor, sort, order);
+    if (!after) {
+      return { error: "cursor is invalid for this sort order" };
+    }
+  }
+  return {
+    options: {
+      ...filter,
+      sort,
+      order,
+      limit,
+      after
+    }
+  };
+}
+
+function parseBulkRequest(body) {
+  const { action, ids, filter, update } = body;
+  if (!bulkActions.includes(action)) {
+    return { error: `action must be one of ${bulkActions.join(", ")}` };
+  }
+  if ((ids === undefined) === (filter === undefined)) {
+    return { error: "provide either ids or filter" };
+  }
+  if (
+    ids !== undefined &&
+    (!Array.isArray(ids) ||
+      !ids.length ||
+      ids.length > MAX_BULK ||
+      !ids.every((id) => typeof id === "string"))
+  ) {
+    return {
+      error: `ids must be a list of 1 to ${MAX_BULK} task ids`
+    };
+  }
+  if (
+    filter !== undefined &&
+    (typeof filter !== "object" || filter === null || Array.isArray(filter))
+  ) {
+    return { error: "filter must be an object" };
+  }
+  const parsed = filter ? parseTaskFilter(filter) : {};
+  if (parsed.error) {
+    return { error: parsed.error };
+  }
+  let changes = null;
+  if (action === "update") {
+    const { values, errors } = validateTask(update ?? {}, {
+      partial: true,
+      fields: bulkFields
+    });
+    if (errors.length) {
+      return { errors };
+    }
+    if (!Object.keys(values).length) {
+      return {
+        error: `update must set at least one of ${bulkFields.join(", ")}`
+      };
+    }
+    changes = values;
+  }
+  return {
+    action,
+    ids: ids ? [...new Set(ids)] : null,
+    filter: parsed.filter ?? null,
+    changes
+  };
+}
+
+// A task's ETag is its version, which every write bumps.
+export function etagOf(task) {
+  return `"${task.version ?? 0}"`;
+}
+
+// The versions an If-Match header accepts: undefined without the header, "*"
+// for any, or the versions named by its strong tags. Weak tags and tags that
+// aren't versions never match, as RFC 9110 has it; a header that isn't a list
+// of entity tags at all is an error.
+export function parseIfMatch(header) {
+  if (header === undefined) {
+    return {};
+  }
+  if (header.trim() === "*") {
+    return { versions: "*" };
+  }
+  const tags = header.split(",").map((tag) => tag.trim());
+  if (!tags.every((tag) => /^(W\/)?"[^"]*"$/.test(tag))) {
+    return {
+      error: 'If-Match must be "*" or a list of ETags, like "3"'
+    };
+  }
+  return {
+    versions: tags
+      .map((tag) => /^"(\d+)"$/.exec(tag))
+      .filter(Boolean)
+      .map((match) => Number(match[1]))
+  };
+}
+
+// Responds to the errors the service raises for broken task links, blocked
+// tasks, full columns and version conflicts. Returns false for anything else
+// so the caller can fall back to a 500.
+export function sendRuleError(res, error) {
+  if (error instanceof InvalidLinksError) {
+    sendValidationErrors(res, error.errors);
+    return true;
+  }
+  if (error instanceof BlockedTaskError) {
+    res.status(409).json({ error: error.message, blockedBy: error.blockers });
+    return true;
+  }
+  if (error instanceof WipLimitError) {
+    res.status(409).json({ error: error.message, column: error.column });
+    return true;
+  }
+  if (error instanceof VersionConflictError) {
+    res
+      .status(412)
+      .set("ETag", etagOf(error.task))
+      .json({ error: error.message, task: error.task });
+    return true;
+  }
+  return false;
+}
+
+export function createTaskRouter(service) {
+  const router = express.Router();
+
+  router.get("/", async (req, res) => {
+    try {
+      const { options, error } = parseListQuery(req.query);
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+      const { items, hasMore } = await service.list(req.user, options);
+      const last = items[items.length - 1];
+      res.json({
+        items,
+        nextCursor: hasMore
+          ? encodeCursor(last, options.sort, options.order)
+          : null
+      });
+    } catch (error) {
+      sendServerError(res, error, "Failed to load tasks");
+    }
+  });
+
+  router.post("/", async (req, res) => {
+    try {
+      const { values, errors } = validateTask(req.body);
+      if (errors.length) {
+        sendValidationErrors(res, errors);
+        return;
+      }
+      const task = await service.create(req.user, values);
+      res.status(201).set("ETag", etagOf(task)).json(task);
+    } catch (error) {
+      if (sendRuleError(res, error)) {
+        return;
+      }
+      sendServerError(res, error, "Failed to create task");
+    }
+  });
+
+  router.post("/bulk", async (req, res) => {
+    try {
+      const request = parseBulkRequest(req.body);
+      if (request.errors) {
+        sendValidationErrors(res, request.errors);
+        return;
+      }
+      if (request.error) {
+        res.status(400).json({ error: request.error });
+        return;
+      }
+      let ids = request.ids;
+      if (!ids) {
+        const { items, hasMore } = await service.list(req.user, {
+          ...request.filter,
+          sort: "rank",
+          order: "asc",
+          limit: MAX_BULK,
+          after: null
+        });
+        if (hasMore) {
+          res.status(400).json({
+            error: `filter matches more than ${MAX_BULK} tasks`
+          });
+          return;
+        }
+        ids = items.map((task) => task.id);
+      }
+      if (!ids.length) {
+        res.json({ applied: true, results: [] });
+        return;
+      }
+      const outcome =
+        request.action === "delete"
+          ? await service.bulkRemove(req.user, ids)
+          : await service.bulkUpdate(req.user, ids, request.changes);
+      if (!outcome.applied) {
+        res.status(409).json({
+          applied: false,
+          error: "Some tasks could not be changed, so none were",
+          results: outcome.results.map(({ id, task, blockedBy }) =>
+            blockedBy
+              ? { id, status: "blocked", blockedBy }
+              : { id, status: task ? "skipped" : "not_found" }
+          )
+        });
+        return;
+      }
+      res.json({
+        applied: true,
+        results: outcome.results.map(({ id, task }) =>
+          request.action === "delete"
+            ? { id, status: "deleted" }
+            : { id, status: "updated", task }
+        )
+      });
+    } catch (error) {
+      if (sendRuleError(res, error)) {
+        return;
+      }
+      sendServerError(res, error, "Failed to apply bulk operation");
+    }
+  });
+
+  router.get("/:id", async (req, res) => {
+    try {
+      const task = await service.get(req.user, req.params.id);
+      if (!task) {
+        res.status(404).json({ error: "Task not found" });
+        return;
+      }
+      res.set("ETag", etagOf(task)).json(task);
+    } catch (error) {
+      sendServerError(res, error, "Failed to load task");
+    }
+  });
+
+  // With If-Match, the update only applies to the versions it names and
+  // anything else gets a 412 with the task as it now stands.
+  router.patch("/:id", async (req, res) => {
+    try {
+      const { versions, error } = parseIfMatch(req.get("If-Match"));
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+      const { values, errors } = validateTask(req.body, { partial: true });
+      if (errors.length) {
+        sendValidationErrors(res, errors);
+        return;
+      }
+      const task = await service.update(req.user, req.params.id, values, {
+        versions
+      });
+      if (!task) {
+        res.status(404).json({ error: "Task not found" });
+        return;
+      }
+      res.set("ETag", etagOf(task)).json(task);
+    } catch (error) {
+      if (sendRuleError(res, error)) {
+        return;
+      }
+      sendServerError(res, error, "Failed to update task");
+    }
+  });
+
+  router.post("/:id/move", async (req, res) => {
+    try {
+      const { afterId, beforeId } = req.body;
+      const current = await service.get(req.user, req.params.id);
+      if (!current) {
+        res.status(404).json({ error: "Task not found" });
+        return;
+      }
+      // The service checks that the column exists on the task's board.
+      const status = req.body.status ?? current.status;
+      if (typeof status !== "string") {
+        sendValidationErrors(res, [
+          { field: "status", message: "Status must be a column id" }
+        ]);
+        return;
+      }
+      const neighbours = {};
+      for (const [field, id] of Object.entries({ afterId, beforeId })) {
+        if (id === undefined || id === null) {
+          continue;
+        }
+        const neighbour =
+          typeof id === "string" && id !== current.id
+            ? await service.get(req.user, id)
+            : null;
+        if (
+          !neighbour ||
+          neighbour.boardId !== current.boardId ||
+          neighbour.status !== status
+        ) {
+          res.status(400).json({
+            error: `${field} must be another task in the ${status} column`
+          });
+          return;
+        }
+        neighbours[field] = neighbour;
+      }
+      const rank =
+        neighbours.afterId || neighbours.beforeId
+          ? rankBetween(
+              neighbours.afterId?.rank ?? null,
+              neighbours.beforeId?.rank ?? null
+            )
+          : await service.topOfColumn(req.user.id, current.boardId, status);
+
+      const task = await service.update(req.user, current.id, {
+        status,
+        rank
+      });
+      if (!task) {
+        res.status(404).json({ error: "Task not found" });
+        return;
+      }
+      res.set("ETag", etagOf(task)).json(task);
+    } catch (error) {
+      if (sendRuleError(res, error)) {
+        return;
+      }
+      sendServerError(res, error, "Failed to move task");
+    }
+  });
+
+  router.get("/:id/links", async (req, res) => {
+    try {
+      const links = await service.links(req.user, req.params.id);
+      if (!links) {
+        res.status(404).json({ error: "Task not found" });
+        return;
+      }
+      res.json(links);
+    } catch (error) {
+      sendServerError(res, error, "Failed to load task links");
+    }
+  });
+
+  router.get("/:id/history", async (req, res) => {
+    try {
+      const history = await service.history(req.user, req.params.id);
+      if (!history.length) {
+        res.status(404).json({ error: "Task not found" });
+        return;
+      }
+      const next = history.find((event) => !event.undone && !event.revertOf);
+      res.json(
+        history.map(({ owner, ...event }) => ({
+          ...event,
+          undoable: event.id === next?.id && event.type !== "purged"
+        }))
+      );
+    } catch (error) {
+      sendServerError(res, error, "Failed to load task history");
+    }
+  });
+
+  router.post("/:id/undo", async (req, res) => {
+    try {
+      const result = await service.undo(req.user, req.params.id);
+      if (!result) {
+        res.status(409).json({ error: "Nothing to undo for this task" });
+        return;
+      }
+      res.json(result);
+    } catch (error) {
+      if (sendRuleError(res, error)) {
+        return;
+      }
+      sendServerError(res, error, "Failed to undo change");
+    }
+  });
+
+  router.delete("/:id", async (req, res) => {
+    try {
+      const { versions, error } = parseIfMatch(req.get("If-Match"));
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+      const removed = await service.remove(req.user, req.params.id, {
+        versions
+      });
+      if (!removed) {
+        res.status(404).json({ error: "Task not found" });
+        return;
+      }
+      res.status(204).end();
+    } catch (error) {
+      if (sendRuleError(res, error)) {
+        return;
+      }
+      sendServerError(res, error, "Failed to delete task");
+    }
+  });
+
+  return router;
+}
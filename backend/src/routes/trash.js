@@ -0,0 +1,50 @@
+import express from "express";
+import { sendServerError } from "./errors.js";
+
+export function createTrashRouter(service) {
+  const router = express.Router();
+
+  router.get("/", async (req, res) => {
+    try {
+      res.json(await service.listTrash(req.user));
+    } catch (error) {
+      sendServerError(res, error, "Failed to load trash");
+    }
+  });
+
+  router.post("/:id/restore", async (req, res) => {
+    try {
+      const task = await service.restore(req.user, req.params.id);
+      if (!task) {
+        res.status(404).json({ error: "Task not found in trash" });
+        return;
+      }
+      res.json(task);
+    } catch (error) {
+      sendServerError(res, error, "Failed to restore task");
+    }
+  });
+
+  router.delete("/:id", async (req, res) => {
+    try {
+      const purged = await service.purge(req.user, req.params.id);
+      if (!purged) {
+        res.status(404).json({ error: "Task not found in trash" });
+        return;
+      }
+      res.status(204).end();
+    } catch (error) {
+      sendServerError(res, error, "Failed to delete task");
+    }
+  });
+
+  router.delete("/", async (req, res) => {
+    try {
+      res.json({ purged: await service.emptyTrash(req.user) });
+    } catch (error) {
+      sendServerError(res, error, "Failed to empty trash");
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,123 @@
+import express from "express";
+import {
+  sendValidationErrors,
+  validateWebhook
+} from "../validation/taskFields.js";
+import { sendServerError } from "./errors.js";
+
+export function createWebhookRouter(service) {
+  const router = express.Router();
+
+  router.get("/", async (req, res) => {
+    try {
+      res.json(await service.list(req.user));
+    } catch (error) {
+      sendServerError(res, error, "Failed to load webhooks");
+    }
+  });
+
+  router.post("/", async (req, res) => {
+    try {
+      const { values, errors } = validateWebhook(req.body);
+      if (errors.length) {
+        sendValidationErrors(res, errors);
+        return;
+      }
+      res.status(201).json(await service.create(req.user, values));
+    } catch (error) {
+      sendServerError(res, error, "Failed to create webhook");
+    }
+  });
+
+  router.get("/:id", async (req, res) => {
+    try {
+      const webhook = await service.get(req.user, req.params.id);
+      if (!webhook) {
+        res.status(404).json({ error: "Webhook not found" });
+        return;
+      }
+      res.json(webhook);
+    } catch (error) {
+      sendServerError(res, error, "Failed to load webhook");
+    }
+  });
+
+  router.patch("/:id", async (req, res) => {
+    try {
+      const { values, errors } = validateWebhook(req.body, { partial: true });
+      if (errors.length) {
+        sendValidationErrors(res, errors);
+        return;
+      }
+      const webhook = await service.update(req.user, req.params.id, values);
+      if (!webhook) {
+        res.status(404).json({ error: "Webhook not found" });
+        return;
+      }
+      res.json(webhook);
+    } catch (error) {
+      sendServerError(res, error, "Failed to update webhook");
+    }
+  });
+
+  router.delete("/:id", async (req, res) => {
+    try {
+      if (!(await service.remove(req.user, req.params.id))) {
+        res.status(404).json({ error: "Webhook not found" });
+        return;
+      }
+      res.status(204).end();
+    } catch (error) {
+      sendServerError(res, error, "Failed to delete webhook");
+    }
+  });
+
+  router.get("/:id/deliveries", async (req, res) => {
+    try {
+      const deliveries = await service.deliveries(req.user, req.params.id);
+      if (!deliveries) {
+        res.status(404).json({ error: "Webhook not found" });
+        return;
+      }
+      res.json(deliveries);
+    } catch (error) {
+      sendServerError(res, error, "Failed to load deliveries");
+    }
+  });
+
+  router.get("/:id/deliveries/:deliveryId", async (req, res) => {
+    try {
+      const delivery = await service.delivery(
+        req.user,
+        req.params.id,
+        req.params.deliveryId
+      );
+      if (!delivery) {
+        res.status(404).json({ error: "Delivery not found" });
+        return;
+      }
+      res.json(delivery);
+    } catch (error) {
+      sendServerError(res, error, "Failed to load delivery");
+    }
+  });
+
+  router.post("/:id/deliveries/:deliveryId/redeliver", async (req, res) => {
+    try {
+      const delivery = await service.redeliver(
+        req.user,
+        req.params.id,
+        req.params.deliveryId
+      );
+      if (!delivery) {
+        res.status(404).json({ error: "Delivery not found" });
+        return;
+      }
+      res.status(202).json(delivery);
+    } catch (error) {
+      sendServerError(res, error, "Failed to redeliver");
+    }
+  });
+
+  return router;
+}
@@ -1,211 +1,296 @@
 import express from "express";
 import cors from "cors";
-import { connectToDatabase } from "./config/db.js";
-import { Task } from "./models/Task.js";
+import { createTokenService } from "./auth/tokens.js";
+import { createBlobStore } from "./blobs/index.js";
+import { getApiValidationConfig } from "./config/apiValidation.js";
+import { getAttachmentConfig } from "./config/attachments.js";
+import { getAuthConfig } from "./config/auth.js";
+import {
+  connectToDatabase,
+  databaseStatus,
+  disconnectFromDatabase,
+  isDatabaseConnected
+} from "./config/db.js";
+import { getHttpConfig } from "./config/http.js";
+import { getMetricsConfig } from "./config/metrics.js";
+import { getReminderConfig } from "./config/reminders.js";
+import { getShutdownConfig } from "./config/shutdown.js";
+import { getStorageConfig } from "./config/storage.js";
+import { getTrashConfig } from "./config/trash.js";
+import { getWebhookConfig } from "./config/webhooks.js";
+import { createTaskEventBus } from "./events/taskEvents.js";
+import { startReminders } from "./jobs/reminders.js";
+import { startTrashPurge } from "./jobs/trashPurge.js";
+import { startWebhookDeliveries } from "./jobs/webhookDeliveries.js";
+import { logger } from "./logging/logger.js";
+import { createMetrics } from "./metrics/index.js";
+import { validateAgainstSpec } from "./middleware/apiValidation.js";
+import { requireAuth } from "./middleware/auth.js";
+import { ipKey, rateLimit, userKey } from "./middleware/rateLimit.js";
+import { rejectWritesWhile } from "./middleware/readOnly.js";
+import { requestLogging } from "./middleware/requestLogging.js";
+import { securityHeaders } from "./middleware/securityHeaders.js";
+import { createAttachmentRouter } from "./routes/attachments.js";
+import { createNotifier } from "./notifiers/index.js";
+import { API_PREFIX, buildOpenApiSpec } from "./openapi/index.js";
+import { createAnalyticsRouter } from "./routes/analytics.js";
+import { createAuthRouter } from "./routes/auth.js";
+import { createBoardRouter } from "./routes/boards.js";
+import { createCommentRouter } from "./routes/comments.js";
+import { createDocsRouter } from "./routes/docs.js";
+import { handleErrors } from "./routes/errors.js";
+import { createHealthRouter } from "./routes/health.js";
+import { createLabelRouter } from "./routes/labels.js";
+import { createMetricsHandler } from "./routes/metrics.js";
+import { createTaskStreamHandler } from "./routes/taskStream.js";
+import {
+  createTaskExportHandler,
+  createTaskImportHandler
+} from "./routes/taskTransfer.js";
+import { createTaskRouter } from "./routes/tasks.js";
+import { createTrashRouter } from "./routes/trash.js";
+import { createWebhookRouter } from "./routes/webhooks.js";
+import { createAnalyticsService } from "./services/analyticsService.js";
+import { createAttachmentService } from "./services/attachmentService.js";
+import { createBoardService } from "./services/boardService.js";
+import { createCommentService } from "./services/commentService.js";
+import { createLabelService } from "./services/labelService.js";
+import { createReminderService } from "./services/reminderService.js";
+import { createTaskService } from "./services/taskService.js";
+import { createWebhookService } from "./services/webhookService.js";
+import { drainServer, onShutdownSignal } from "./shutdown.js";
+import { createStores } from "./stores/index.js";
 
-const app = express();
+const port = process.env.PORT || 4000;
 
-app.use(cors());
-app.use(express.json());
+async function start() {
+  const storage = getStorageConfig();
+  const httpConfig = getHttpConfig();
+  const shutdownConfig = getShutdownConfig();
+  const apiValidation = getApiValidationConfig();
+  // The backend serves requests while MongoDB is still being reached, so
+  // readiness can report it; background jobs wait for the first connection.
+  const databaseReady =
+    storage.driver === "mongo" ? connectToDatabase() : Promise.resolve();
+  let shuttingDown = false;
 
-const useDatabase = Boolean(process.env.MONGO_URI);
-const inMemoryTasks = [];
+  const stores = await createStores(storage);
+  logger.info("Using storage", { driver: storage.driver });
+  const tokens = createTokenService(getAuthConfig());
+  const events = createTaskEventBus();
+  const attachmentConfig = getAttachmentConfig(storage);
+  const attachmentService = createAttachmentService({
+    attachments: stores.attachments,
+    blobs: createBlobStore(attachmentConfig),
+    tasks: stores.tasks,
+    config: attachmentConfig
+  });
+  const taskService = createTaskService({
+    tasks: stores.tasks,
+    history: stores.history,
+    transitions: stores.transitions,
+    comments: stores.comments,
+    attachments: attachmentService,
+    labels: stores.labels,
+    boards: stores.boards,
+    events
+  });
+  const labelService = createLabelService({
+    labels: stores.labels,
+    tasks: stores.tasks,
+    events
+  });
+  const commentService = createCommentService({
+    comments: stores.comments,
+    tasks: stores.tasks,
+    events
+  });
+  const analyticsService = createAnalyticsService({
+    boards: stores.boards,
+    tasks: stores.tasks,
+    transitions: stores.transitions,
+    taskService
+  });
+  const boardService = createBoardService({
+    boards: stores.boards,
+    tasks: stores.tasks,
+    taskService,
+    events
+  });
 
-app.get("/api/tasks", async (req, res) => {
-  try {
-    const { status, priority } = req.query;
-    if (!useDatabase) {
-      let tasks = inMemoryTasks;
-      if (status) {
-        tasks = tasks.filter((task) => task.status === status);
-      }
-      if (priority) {
-        tasks = tasks.filter((task) => task.priority === priority);
-      }
-      res.json(tasks);
-      return;
-    }
-    const filter = {};
-    if (status) {
-      filter.status = status;
-    }
-    if (priority) {
-      filter.priority = priority;
-    }
-    const tasks = await Task.find(filter).sort({ createdAt: -1 }).lean();
-    res.json(
-      tasks.map((task) => ({
-        id: task._id.toString(),
-        title: task.title,
-        description: task.description,
-        priority: task.priority,
-        status: task.status,
-        dueDate: task.dueDate,
-        createdAt: task.createdAt
-      }))
+  const webhookConfig = getWebhookConfig();
+  const webhookService = createWebhookService({
+    webhooks: stores.webhooks,
+    deliveries: stores.webhookDeliveries,
+    config: webhookConfig
+  });
+  // Task changes reach webhooks through the same bus as the SSE stream.
+  events.subscribe((event) => {
+    webhookService.enqueue(event).catch((error) => {
+      logger.error("Queueing webhook deliveries failed", { error });
+    });
+  });
+
+  // Requests that need a session are checked against the specification once
+  // authenticated.
+  const spec = buildOpenApiSpec();
+  const validation = validateAgainstSpec(spec, apiValidation);
+  const authenticated = (options) => [
+    requireAuth({ users: stores.users, tokens, ...options }),
+    validation.checkRequests
+  ];
+  const authenticate = authenticated();
+  const taskStream = createTaskStreamHandler(events);
+  const metrics = createMetrics({ tasks: stores.tasks });
+
+  const { rateLimits } = httpConfig;
+  const limit = (max, keyOf) =>
+    rateLimit({ windowMs: rateLimits.windowMs, max, keyOf });
+
+  const app = express();
+  app.disable("x-powered-by");
+  app.set("trust proxy", httpConfig.trustProxy);
+
+  app.use(requestLogging());
+  app.use(metrics.trackRequests);
+  app.use("/api", securityHeaders());
+  app.use(
+    "/api",
+    cors({
+      origin: httpConfig.corsOrigins,
+      exposedHeaders: [
+        "ETag",
+        "Retry-After",
+        "RateLimit-Limit",
+        "RateLimit-Remaining",
+        "RateLimit-Reset",
+        "X-Request-ID"
+      ],
+      maxAge: 600
+    })
+  );
+
+  // Every route lives on one router, served under /api/v1 and, for clients
+  // written before the API was versioned, under /api as well.
+  const api = express.Router();
+  api.use(
+    "/health",
+    createHealthRouter({
+      storage,
+      databaseStatus,
+      isShuttingDown: () => shuttingDown
+    })
+  );
+  api.get("/metrics", createMetricsHandler(metrics, getMetricsConfig()));
+  api.use(createDocsRouter(spec));
+  // Health checks, scrapes and the docs come before the limits, so a busy
+  // client sharing the prober's address can't fail readiness.
+  api.use(
+    ["/auth/login", "/auth/register"],
+    limit(rateLimits.authPerIp, ipKey)
+  );
+  api.use(limit(rateLimits.perIp, ipKey));
+  api.use(limit(rateLimits.perToken, userKey(tokens)));
+  api.use(express.json({ limit: httpConfig.bodyMaxBytes }));
+  if (storage.driver === "mongo") {
+    api.use(
+      rejectWritesWhile(() => !isDatabaseConnected(), {
+        except: ["/auth/login"]
+      })
     );
-  } catch (error) {
-    res.status(500).json({ error: "Failed to load tasks" });
   }
-});
+  api.use(validation.checkResponses);
+  api.use("/auth", createAuthRouter({ users: stores.users, tokens }));
+  api.get(
+    "/tasks/events",
+    authenticated({ allowQueryToken: true }),
+    taskStream
+  );
+  // Calendar apps subscribing to the .ics feed can't send headers either.
+  api.get(
+    "/tasks/export",
+    authenticated({ allowQueryToken: true }),
+    createTaskExportHandler(taskService)
+  );
+  api.post(
+    "/tasks/import",
+    authenticate,
+    express.text({ type: "text/csv", limit: httpConfig.bodyMaxBytes }),
+    createTaskImportHandler(taskService)
+  );
 
-app.post("/api/tasks", async (req, res) => {
-  try {
-    const { title, description, priority, status, dueDate } = req.body;
-    if (!title || typeof title !== "string" || !title.trim()) {
-      res.status(400).json({ error: "title is required" });
-      return;
-    }
-    const allowedPriority = ["low", "medium", "high"];
-    const allowedStatus = ["todo", "in-progress", "done"];
-    const payload = {
-      title: title.trim()
-    };
-    if (description && typeof description === "string") {
-      payload.description = description.trim();
-    }
-    if (priority && allowedPriority.includes(priority)) {
-      payload.priority = priority;
-    }
-    if (status && allowedStatus.includes(status)) {
-      payload.status = status;
-    }
-    if (dueDate) {
-      const parsed = new Date(dueDate);
-      if (!isNaN(parsed.getTime())) {
-        payload.dueDate = parsed;
-      }
-    }
-    if (!useDatabase) {
-      const now = new Date();
-      const task = {
-        id: Date.now().toString(),
-        title: payload.title,
-        description: payload.description || "",
-        priority: payload.priority || "medium",
-        status: payload.status || "todo",
-        dueDate: payload.dueDate || null,
-        createdAt: now
-      };
-      inMemoryTasks.unshift(task);
-      res.status(201).json(task);
-      return;
-    }
-    const task = await Task.create(payload);
-    res.status(201).json({
-      id: task._id.toString(),
-      title: task.title,
-      description: task.description,
-      priority: task.priority,
-      status: task.status,
-      dueDate: task.dueDate,
-      createdAt: task.createdAt
-    });
-  } catch (error) {
-    res.status(500).json({ error: "Failed to create task" });
-  }
-});
+  api.use(
+    "/tasks/:taskId/comments",
+    authenticate,
+    createCommentRouter(commentService)
+  );
+  api.use(
+    "/tasks/:taskId/attachments",
+    authenticate,
+    createAttachmentRouter(attachmentService)
+  );
+  api.use("/tasks", authenticate, createTaskRouter(taskService));
+  api.use("/trash", authenticate, createTrashRouter(taskService));
+  api.use("/labels", authenticate, createLabelRouter(labelService));
+  api.use(
+    "/boards/:boardId/stats",
+    authenticate,
+    createAnalyticsRouter(analyticsService)
+  );
+  api.use("/boards", authenticate, createBoardRouter(boardService));
+  api.use("/webhooks", authenticate, createWebhookRouter(webhookService));
+  api.use((req, res) => {
+    res.status(404).json({ error: "Not found" });
+  });
 
-app.patch("/api/tasks/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { title, description, priority, status, dueDate } = req.body;
-    const allowedPriority = ["low", "medium", "high"];
-    const allowedStatus = ["todo", "in-progress", "done"];
-    const update = {};
-    if (typeof title === "string") {
-      update.title = title.trim();
-    }
-    if (typeof description === "string") {
-      update.description = description.trim();
-    }
-    if (priority && allowedPriority.includes(priority)) {
-      update.priority = priority;
-    }
-    if (status && allowedStatus.includes(status)) {
-      update.status = status;
-    }
-    if (dueDate) {
-      const parsed = new Date(dueDate);
-      if (!isNaN(parsed.getTime())) {
-        update.dueDate = parsed;
-      }
-    }
-    if (!useDatabase) {
-      const index = inMemoryTasks.findIndex((task) => task.id === id);
-      if (index === -1) {
-        res.status(404).json({ error: "Task not found" });
-        return;
-      }
-      const current = inMemoryTasks[index];
-      const updated = {
-        ...current,
-        ...update
-      };
-      inMemoryTasks[index] = updated;
-      res.json(updated);
-      return;
-    }
-    const task = await Task.findByIdAndUpdate(id, update, {
-      new: true
-    }).lean();
-    if (!task) {
-      res.status(404).json({ error: "Task not found" });
-      return;
-    }
-    res.json({
-      id: task._id.toString(),
-      title: task.title,
-      description: task.description,
-      priority: task.priority,
-      status: task.status,
-      dueDate: task.dueDate,
-      createdAt: task.createdAt
-    });
-  } catch (error) {
-    res.status(500).json({ error: "Failed to update task" });
-  }
-});
+  app.use(API_PREFIX, api);
+  app.use("/api", api);
+  app.use(handleErrors());
 
-app.delete("/api/tasks/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    if (!useDatabase) {
-      const index = inMemoryTasks.findIndex((task) => task.id === id);
-      if (index === -1) {
-        res.status(404).json({ error: "Task not found" });
-        return;
-      }
-      inMemoryTasks.splice(index, 1);
-      res.status(204).end();
+  const trashConfig = getTrashConfig();
+  const reminderConfig = getReminderConfig();
+  const reminderService =
+    reminderConfig.notifier === "none"
+      ? null
+      : createReminderService({
+          tasks: stores.tasks,
+          boards: stores.boards,
+          users: stores.users,
+          reminders: stores.reminders,
+          notifier: createNotifier(reminderConfig),
+          leadMs: reminderConfig.leadMs
+        });
+  const stopJobs = [];
+  databaseReady.then(() => {
+    if (shuttingDown) {
       return;
     }
-    const result = await Task.findByIdAndDelete(id).lean();
-    if (!result) {
-      res.status(404).json({ error: "Task not found" });
-      return;
+    stopJobs.push(startTrashPurge(taskService, trashConfig));
+    stopJobs.push(startWebhookDeliveries(webhookService, webhookConfig));
+    if (reminderService) {
+      stopJobs.push(startReminders(reminderService, reminderConfig));
     }
-    res.status(204).end();
-  } catch (error) {
-    res.status(500).json({ error: "Failed to delete task" });
-  }
-});
+  });
 
-const port = process.env.PORT || 4000;
+  const server = app.listen(port, () => {
+    logger.info("Backend listening", { port });
+  });
 
-async function start() {
-  if (useDatabase) {
-    try {
-      await connectToDatabase();
-      console.log("Connected to MongoDB");
-    } catch (error) {
-      console.error("MongoDB connection error", error);
+  // Readiness fails first so load balancers stop sending traffic, then
+  // requests in flight get to finish before the database connection closes.
+  onShutdownSignal(async () => {
+    shuttingDown = true;
+    stopJobs.forEach((stop) => stop());
+    taskStream.closeAll();
+    await drainServer(server, shutdownConfig.timeoutMs);
+    if (storage.driver === "mongo") {
+      await disconnectFromDatabase();
     }
-  }
-
-  app.listen(port, () => {
-    console.log(`Backend listening on port ${port}`);
+    logger.info("Shut down cleanly");
   });
 }
 
-start();
+start().catch((error) => {
+  logger.error("Backend failed to start", { error });
+  process.exit(1);
+});
@@ -0,0 +1,194 @@
+import { taskFields } from "../validation/taskFields.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEK = 7 * DAY;
+const percentiles = [50, 85, 95];
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Weeks start on Monday (the epoch was a Thursday).
+function startOfWeek(date) {
+  const days = Math.floor(date.getTime() / DAY);
+  return new Date((days - ((days + 3) % 7)) * DAY);
+}
+
+function inDays(ms) {
+  return Math.round((ms / DAY) * 100) / 100;
+}
+
+// Nearest-rank percentiles of durations, in days; null when there are none.
+function summarize(durations) {
+  const sorted = durations
+    .filter((duration) => duration !== null)
+    .sort((a, b) => a - b);
+  const summary = { count: sorted.length };
+  for (const p of percentiles) {
+    summary[`p${p}`] = sorted.length
+      ? inDays(sorted[Math.ceil((p / 100) * sorted.length) - 1])
+      : null;
+  }
+  return summary;
+}
+
+// Board metrics. Counts come from the tasks as they are now; throughput, lead
+// and cycle time, and the cumulative flow come from the status transitions
+// the task service records. A task is done in the board's last column, in
+// progress once it has left the first, and its lead time runs from arriving
+// on the board.
+export function createAnalyticsService({
+  boards,
+  tasks,
+  transitions,
+  taskService
+}) {
+  // Boards backfilled by this process, so each is only walked once.
+  const backfills = new Map();
+
+  // Tasks from before transitions were recorded are placed in their current
+  // column from the day they were created, once, so the flow adds up. Tasks
+  // created since always have transitions, so a board only needs this once;
+  // the store ignores repeats from requests that race or other processes.
+  function backfillOnce(user, board) {
+    if (!backfills.has(board.id)) {
+      backfills.set(
+        board.id,
+        backfill(user, board).catch((error) => {
+          backfills.delete(board.id);
+          throw error;
+        })
+      );
+    }
+    return backfills.get(board.id);
+  }
+
+  async function backfill(user, board) {
+    const recorded = new Set(
+      await transitions.taskIdsOnBoard(user.id, board.id)
+    );
+    const onBoard = await taskService.listAll(user, {
+      boardId: board.id,
+      sort: "createdAt",
+      order: "asc"
+    });
+    for (const task of onBoard) {
+      if (!recorded.has(task.id)) {
+        await transitions.backfill({
+          owner: user.id,
+          taskId: task.id,
+          boardId: board.id,
+          to: task.status,
+          at: task.createdAt
+        });
+      }
+    }
+  }
+
+  // Tasks per column at the end of every day of the range, by summing each
+  // day's net changes onto those from before it.
+  async function cumulativeFlow(user, board, from, until) {
+    const changes = await transitions.flow(user.id, board.id, until);
+    const doneStatus = board.columns[board.columns.length - 1].id;
+    const running = {};
+    const byDay = new Map();
+    for (const change of changes) {
+      if (change.day < from) {
+        running[change.status] = (running[change.status] || 0) + change.delta;
+      } else {
+        const key = isoDate(change.day);
+        const day = byDay.get(key) || [];
+        day.push(change);
+        byDay.set(key, day);
+      }
+    }
+    const series = [];
+    for (let day = from; day < until; day = new Date(day.getTime() + DAY)) {
+      const date = isoDate(day);
+      for (const change of byDay.get(date) || []) {
+        running[change.status] = (running[change.status] || 0) + change.delta;
+      }
+      const columns = {};
+      for (const column of board.columns) {
+        columns[column.id] = running[column.id] || 0;
+      }
+      const total = Object.values(running).reduce((sum, n) => sum + n, 0);
+      series.push({
+        date,
+        columns,
+        remaining: total - (running[doneStatus] || 0)
+      });
+    }
+    return series;
+  }
+
+  function throughput(completed, from, until) {
+    const weeks = new Map();
+    for (
+      let week = startOfWeek(from);
+      week < until;
+      week = new Date(week.getTime() + WEEK)
+    ) {
+      weeks.set(isoDate(week), 0);
+    }
+    for (const task of completed) {
+      const key = isoDate(startOfWeek(task.completedAt));
+      weeks.set(key, (weeks.get(key) || 0) + 1);
+    }
+    return [...weeks].map(([weekStart, count]) => ({
+      weekStart,
+      completed: count
+    }));
+  }
+
+  return {
+    // Stats for the board over the whole UTC days from `from` to `to`, or
+    // null when the board doesn't exist.
+    async stats(user, boardId, { from, to }) {
+      const board = await boards.get(user.id, boardId);
+      if (!board) {
+        return null;
+      }
+      await backfillOnce(user, board);
+      const until = new Date(to.getTime() + DAY);
+      const { columns } = board;
+      const [byColumn, byPriority, completed, flow] = await Promise.all([
+        tasks.countByColumn(user.id, board.id),
+        tasks.countByPriority(user.id, board.id),
+        transitions.completions(user.id, board.id, {
+          firstStatus: columns[0].id,
+          doneStatus: columns[columns.length - 1].id,
+          from,
+          to: until
+        }),
+        cumulativeFlow(user, board, from, until)
+      ]);
+      return {
+        board: { id: board.id, name: board.name },
+        range: { from: isoDate(from), to: isoDate(to) },
+        counts: {
+          total: Object.values(byColumn).reduce((sum, n) => sum + n, 0),
+          byStatus: columns.map((column) => ({
+            status: column.id,
+            name: column.name,
+            count: byColumn[column.id] || 0
+          })),
+          byPriority: taskFields.priority.values.map((priority) => ({
+            priority,
+            count: byPriority[priority] || 0
+          }))
+        },
+        throughput: throughput(completed, from, until),
+        leadTime: summarize(
+          completed.map((task) => task.completedAt - task.enteredAt)
+        ),
+        cycleTime: summarize(
+          completed.map((task) =>
+            task.startedAt ? task.completedAt - task.startedAt : null
+          )
+        ),
+        flow
+      };
+    }
+  };
+}
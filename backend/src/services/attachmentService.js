@@ -0,0 +1,156 @@
+import { randomUUID } from "node:crypto";
+import path from "node:path";
+
+// Browsers often send files they don't recognise, such as compose files and
+// logs, as application/octet-stream; those are typed by their extension.
+const typesByExtension = {
+  ".txt": "text/plain",
+  ".log": "text/plain",
+  ".md": "text/markdown",
+  ".csv": "text/csv",
+  ".env": "text/plain",
+  ".conf": "text/plain",
+  ".yml": "application/yaml",
+  ".yaml": "application/yaml",
+  ".json": "application/json",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".pdf": "application/pdf",
+  ".zip": "application/zip",
+  ".gz": "application/gzip"
+};
+
+const genericTypes = ["", "application/octet-stream"];
+const maxNameLength = 255;
+
+// Keeps only the file's own name, without any path or control characters.
+function cleanName(name) {
+  const base = path
+    .basename(String(name || "").replace(/\\/g, "/"))
+    .replace(/[\u0000-\u001f\u007f]/g, "")
+    .trim()
+    .slice(0, maxNameLength);
+  return base || "attachment";
+}
+
+function typeOf(name, declared) {
+  const type = (declared || "").split(";")[0].trim().toLowerCase();
+  if (!genericTypes.includes(type)) {
+    return type;
+  }
+  return (
+    typesByExtension[path.extname(name).toLowerCase()] ||
+    "application/octet-stream"
+  );
+}
+
+function allows(types, type) {
+  return types.some((allowed) =>
+    allowed.endsWith("/*")
+      ? type.startsWith(allowed.slice(0, -1))
+      : allowed === type
+  );
+}
+
+function present({ owner, storageKey, ...attachment }) {
+  return attachment;
+}
+
+// Files attached to tasks. The metadata lives with the other collections and
+// the contents in a blob store (a local volume or GridFS). Like comments,
+// attachments belong to live tasks and are deleted with the task when it is
+// purged from the trash.
+export function createAttachmentService({ attachments, blobs, tasks, config }) {
+  // The attachment when it exists and belongs to a live task, otherwise null.
+  async function findAttachment(user, taskId, id) {
+    if (!(await tasks.get(user.id, taskId))) {
+      return null;
+    }
+    const attachment = await attachments.get(user.id, id);
+    return attachment && attachment.taskId === taskId ? attachment : null;
+  }
+
+  return {
+    maxBytes: config.maxBytes,
+
+    // The task's attachments, oldest first, or null when the task doesn't
+    // exist.
+    async list(user, taskId) {
+      if (!(await tasks.get(user.id, taskId))) {
+        return null;
+      }
+      return (await attachments.listForTask(user.id, taskId)).map(present);
+    },
+
+    // Stores an uploaded file. `stream` is cut off after maxBytes and marked
+    // `truncated`, so a file that doesn't fit is thrown away. Returns
+    // { attachment }, { unsupportedType } or { tooLarge: true }, or null when
+    // the task doesn't exist; the stream is left unread unless it was stored.
+    async upload(user, taskId, { name, contentType, stream }) {
+      if (!(await tasks.get(user.id, taskId))) {
+        return null;
+      }
+      const cleanedName = cleanName(name);
+      const type = typeOf(cleanedName, contentType);
+      if (!allows(config.types, type)) {
+        return { unsupportedType: type };
+      }
+      const storageKey = randomUUID();
+      const size = await blobs.write(storageKey, stream, { contentType: type });
+      if (stream.truncated) {
+        await blobs.remove(storageKey);
+        return { tooLarge: true };
+      }
+      // The task may have been trashed while the file was uploading.
+      if (!(await tasks.get(user.id, taskId))) {
+        await blobs.remove(storageKey);
+        return null;
+      }
+      const attachment = await attachments.create(user.id, {
+        taskId,
+        name: cleanedName,
+        contentType: type,
+        size,
+        storageKey,
+        uploadedBy: { id: user.id, email: user.email }
+      });
+      return { attachment: present(attachment) };
+    },
+
+    // The attachment and a stream of its contents, or null.
+    async download(user, taskId, id) {
+      const attachment = await findAttachment(user, taskId, id);
+      if (!attachment) {
+        return null;
+      }
+      return {
+        attachment: present(attachment),
+        stream: blobs.read(attachment.storageKey)
+      };
+    },
+
+    async remove(user, taskId, id) {
+      if (!(await findAttachment(user, taskId, id))) {
+        return false;
+      }
+      const attachment = await attachments.remove(user.id, id);
+      if (!attachment) {
+        return false;
+      }
+      await blobs.remove(attachment.storageKey);
+      return true;
+    },
+
+    // Called when a task is purged for good.
+    async removeForTask(owner, taskId) {
+      const removed = await attachments.removeForTask(owner, taskId);
+      for (const attachment of removed) {
+        await blobs.remove(attachment.storageKey);
+      }
+      return removed.length;
+    }
+  };
+}
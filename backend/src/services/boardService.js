@@ -0,0 +1,191 @@
+import { defaultColumns } from "../validation/taskFields.js";
+
+// Board management. A task's status is the id of a column on its board, so
+// column ids never change once given: renaming a column touches only the
+// board, while removing one first moves its tasks to another column through
+// the task service so the moves are recorded and published like any other.
+function present({ owner, ...board }) {
+  return board;
+}
+
+// Ids are derived from the column name ("In review" becomes "in-review") and
+// made unique within the board.
+function columnId(name, taken) {
+  const base =
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "column";
+  let id = base;
+  for (let suffix = 2; taken.has(id); suffix += 1) {
+    id = `${base}-${suffix}`;
+  }
+  taken.add(id);
+  return id;
+}
+
+function assignColumnIds(columns, existing = []) {
+  const taken = new Set(existing.map((column) => column.id));
+  return columns.map((column) =>
+    column.id ? column : { id: columnId(column.name, taken), ...column }
+  );
+}
+
+export function createBoardService({ boards, tasks, taskService, events }) {
+  function publishChanged(owner) {
+    events.publish(owner, "boards.changed", {});
+  }
+
+  // The board with the number of live tasks in each column.
+  async function withCounts(owner, board) {
+    const counts = await tasks.countByColumn(owner, board.id);
+    return {
+      ...present(board),
+      columns: board.columns.map((column) => ({
+        ...column,
+        count: counts[column.id] || 0
+      }))
+    };
+  }
+
+  return {
+    async list(user) {
+      await taskService.defaultBoard(user.id);
+      const all = await boards.list(user.id);
+      return Promise.all(all.map((board) => withCounts(user.id, board)));
+    },
+
+    async get(user, id) {
+      const board = await boards.get(user.id, id);
+      return board ? withCounts(user.id, board) : null;
+    },
+
+    // New boards start with the default columns unless given their own.
+    async create(user, { name, columns }) {
+      const board = await boards.create(user.id, {
+        name,
+        columns: columns
+          ? assignColumnIds(columns)
+          : defaultColumns.map((column) => ({ ...column }))
+      });
+      publishChanged(user.id);
+      return withCounts(user.id, board);
+    },
+
+    // `columns` is the full new list: existing columns are matched by id and
+    // may be renamed, reordered or given a new WIP limit, and columns without
+    // an id are added. Returns { board }, { errors } when the list refers to
+    // unknown columns or leaves existing ones out, or null when the board
+    // doesn't exist.
+    async update(user, id, changes) {
+      const current = await boards.get(user.id, id);
+      if (!current) {
+        return null;
+      }
+      const update = { ...changes };
+      if (changes.columns) {
+        const known = new Set(current.columns.map((column) => column.id));
+        const unknown = changes.columns.filter(
+          (column) => column.id && !known.has(column.id)
+        );
+        const missing = current.columns.filter(
+          (column) => !changes.columns.some((item) => item.id === column.id)
+        );
+        const errors = [];
+        if (unknown.length) {
+          errors.push({
+            field: "columns",
+            message: `Unknown columns: ${unknown
+              .map((column) => column.id)
+              .join(", ")}`
+          });
+        }
+        if (missing.length) {
+          errors.push({
+            field: "columns",
+            message: `Columns can only be removed one at a time with their tasks moved elsewhere; missing: ${missing
+              .map((column) => column.id)
+              .join(", ")}`
+          });
+        }
+        if (errors.length) {
+          return { errors };
+        }
+        update.columns = assignColumnIds(changes.columns, current.columns);
+      }
+      const board = await boards.update(user.id, id, update);
+      if (!board) {
+        return null;
+      }
+      publishChanged(user.id);
+      return { board: await withCounts(user.id, board) };
+    },
+
+    // Removes a column, first moving its tasks to the bottom of `moveTo`.
+    // Returns { board }, { errors } when moveTo is missing or wrong,
+    // { conflict } when the column can't go, or null when the board or
+    // column doesn't exist. Rule errors from the task service, such as the
+    // target being at its WIP limit, are thrown.
+    async removeColumn(user, id, columnId, moveTo) {
+      const current = await boards.get(user.id, id);
+      if (!current?.columns.some((column) => column.id === columnId)) {
+        return null;
+      }
+      if (current.columns.length === 1) {
+        return { conflict: "A board needs at least one column" };
+      }
+      const remaining = {
+        ...current,
+        columns: current.columns.filter((column) => column.id !== columnId)
+      };
+      const counts = await tasks.countByColumn(user.id, id);
+      if (counts[columnId]) {
+        if (!remaining.columns.some((column) => column.id === moveTo)) {
+          return {
+            errors: [
+              {
+                field: "moveTo",
+                message: "Pick another column of this board for its tasks"
+              }
+            ]
+          };
+        }
+        const outcome = await taskService.moveColumnTasks(
+          user,
+          remaining,
+          columnId,
+          moveTo
+        );
+        if (!outcome.applied) {
+          return { conflict: "Tasks changed while moving them; try again" };
+        }
+      }
+      const board = await boards.update(user.id, id, {
+        columns: remaining.columns
+      });
+      publishChanged(user.id);
+      return { board: await withCounts(user.id, board) };
+    },
+
+    // Sends the board's tasks to the trash and deletes it. Returns
+    // { removed: true }, { conflict } for a user's last board, or null when
+    // the board doesn't exist.
+    async remove(user, id) {
+      const all = await boards.list(user.id);
+      if (!all.some((board) => board.id === id)) {
+        return null;
+      }
+      if (all.length === 1) {
+        return { conflict: "You can't delete your only board" };
+      }
+      const outcome = await taskService.trashBoardTasks(user, id);
+      if (!outcome.applied) {
+        return { conflict: "Tasks changed while deleting them; try again" };
+      }
+
+      await boards.remove(user.id, id);
+      publishChanged(user.id);
+      return { removed: true };
+    }
+  };
+}
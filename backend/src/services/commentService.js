@@ -0,0 +1,71 @@
+// Comments on tasks. Each task keeps a count of its comments so task lists
+// can show it without loading the threads; every change to the count
+// publishes the task as updated. Comments belong to live tasks: a task in the
+// trash has its thread hidden, and purging the task deletes it.
+function present({ owner, ...comment }) {
+  return comment;
+}
+
+export function createCommentService({ comments, tasks, events }) {
+  function authorOf(user) {
+    return { id: user.id, email: user.email };
+  }
+
+  // The comment when it exists and belongs to a live task, otherwise null.
+  async function findComment(user, taskId, id) {
+    if (!(await tasks.get(user.id, taskId))) {
+      return null;
+    }
+    const comment = await comments.get(user.id, id);
+    return comment && comment.taskId === taskId ? comment : null;
+  }
+
+  async function adjustCount(user, taskId, delta) {
+    const task = await tasks.adjustCommentCount(user.id, taskId, delta);
+    if (task) {
+      events.publish(user.id, "task.updated", task);
+    }
+  }
+
+  return {
+    // The task's comments, oldest first, or null when the task doesn't exist.
+    async list(user, taskId) {
+      if (!(await tasks.get(user.id, taskId))) {
+        return null;
+      }
+      return (await comments.listForTask(user.id, taskId)).map(present);
+    },
+
+    async create(user, taskId, { body }) {
+      if (!(await tasks.get(user.id, taskId))) {
+        return null;
+      }
+      const comment = await comments.create(user.id, {
+        taskId,
+        author: authorOf(user),
+        body
+      });
+      await adjustCount(user, taskId, 1);
+      return present(comment);
+    },
+
+    async update(user, taskId, id, { body }) {
+      if (!(await findComment(user, taskId, id))) {
+        return null;
+      }
+      const comment = await comments.update(user.id, id, { body });
+      return comment ? present(comment) : null;
+    },
+
+    async remove(user, taskId, id) {
+      if (
+        !(await findComment(user, taskId, id)) ||
+        !(await comments.remove(user.id, id))
+      ) {
+        return false;
+      }
+      await adjustCount(user, taskId, -1);
+      return true;
+    }
+  };
+}
@@ -0,0 +1,87 @@
+import { labelFields } from "../validation/taskFields.js";
+
+// Label management. Labels are referenced from tasks by id, so renaming or
+// recolouring touches only the label; merging and deleting rewrite the tasks
+// that carry the label and publish those tasks as updated.
+function present({ owner, ...label }) {
+  return label;
+}
+
+export function createLabelService({ labels, tasks, events }) {
+  function publishChanged(owner, changed) {
+    for (const task of changed) {
+      events.publish(owner, "task.updated", task);
+    }
+    events.publish(owner, "labels.changed", {});
+  }
+
+  return {
+    // Every label with the number of live tasks carrying it.
+    async list(user) {
+      const [all, counts] = await Promise.all([
+        labels.list(user.id),
+        tasks.countByLabel(user.id)
+      ]);
+      return all.map((label) => ({
+        ...present(label),
+        count: counts[label.id] || 0
+      }));
+    },
+
+    // Returns null when the name is already taken.
+    async create(user, { name, color }) {
+      const label = await labels.create(user.id, {
+        name,
+        color: color || labelFields.color.default
+      });
+      if (!label) {
+        return null;
+      }
+      events.publish(user.id, "labels.changed", {});
+      return present(label);
+    },
+
+    // Returns { label } on success, { conflict: true } when renaming onto
+    // another label's name, or null when the label doesn't exist.
+    async update(user, id, changes) {
+      if (changes.name) {
+        const existing = await labels.findByName(user.id, changes.name);
+        if (existing && existing.id !== id) {
+          return { conflict: true };
+        }
+      }
+      const label = await labels.update(user.id, id, changes);
+      if (!label) {
+        return null;
+      }
+      events.publish(user.id, "labels.changed", {});
+      return { label: present(label) };
+    },
+
+    // Moves every task from label `id` onto `intoId` and deletes `id`.
+    // Returns the surviving label, or null when either label is missing.
+    async merge(user, id, intoId) {
+      const [source, target] = await Promise.all([
+        labels.get(user.id, id),
+        labels.get(user.id, intoId)
+      ]);
+      if (!source || !target || source.id === target.id) {
+        return null;
+      }
+      const changed = await tasks.replaceLabel(user.id, id, intoId);
+      await labels.remove(user.id, id);
+      publishChanged(user.id, changed);
+      return present(target);
+    },
+
+    async remove(user, id) {
+      if (!(await labels.get(user.id, id))) {
+        return false;
+      }
+      const changed = await tasks.replaceLabel(user.id, id, null);
+      await labels.remove(user.id, id);
+      publishChanged(user.id, changed);
+      return true;
+    }
+  };
+}
@@ -0,0 +1,89 @@
+// Works out when a repeating task happens next. Due dates are whole days at
+// UTC midnight, the way the date fields parse "YYYY-MM-DD".
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function startOfDay(date) {
+  const day = new Date(date);
+  return new Date(
+    Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate())
+  );
+}
+
+// Weeks counted from 1970, starting on Monday (the epoch was a Thursday).
+function weekNumber(date) {
+  return Math.floor((date.getTime() / DAY + 3) / 7);
+}
+
+// Months that are too short for `monthDay` end on their last day instead,
+// and the months after go back to `monthDay`.
+function addMonths(date, months, monthDay) {
+  const target = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1)
+  );
+  const lastDay = new Date(
+    Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  target.setUTCDate(Math.min(monthDay, lastDay));
+  return target;
+}
+
+// The first date after `date` that the rule falls on. Weekly rules with
+// weekdays take the next listed day in the same week, then skip ahead to the
+// first listed day `interval` weeks on.
+function step(rule, date) {
+  if (rule.frequency === "daily") {
+    return new Date(date.getTime() + rule.interval * DAY);
+  }
+  if (rule.frequency === "monthly") {
+    return addMonths(date, rule.interval, rule.monthDay);
+  }
+  if (!rule.weekdays.length) {
+    return new Date(date.getTime() + rule.interval * 7 * DAY);
+  }
+  for (let offset = 1; ; offset += 1) {
+    const candidate = new Date(date.getTime() + offset * DAY);
+    const weeks = weekNumber(candidate) - weekNumber(date);
+    if (
+      weeks % rule.interval === 0 &&
+      rule.weekdays.includes(candidate.getUTCDay())
+    ) {
+      return candidate;
+    }
+  }
+}
+
+// The due date and rule of the occurrence that follows a task completed at
+// `completedAt`, or null when the series is over. Dates are counted on from
+// the task's due date (or the completion day if it had none), skipping any
+// that have already passed. Monthly rules remember the day of the month the
+// series started on, so one clamped to a short month goes back to it.
+export function nextOccurrence(task, completedAt) {
+  const original = task.recurrence;
+  if (!original || (original.count !== null && original.count <= 1)) {
+    return null;
+  }
+  const today = startOfDay(completedAt);
+  const start = task.dueDate ? startOfDay(task.dueDate) : today;
+  const rule = {
+    ...original,
+    monthDay:
+      original.frequency === "monthly"
+        ? original.monthDay ?? start.getUTCDate()
+        : null
+  };
+  let dueDate = step(rule, start);
+  while (dueDate < today) {
+    dueDate = step(rule, dueDate);
+  }
+  if (rule.until && dueDate > startOfDay(rule.until)) {
+    return null;
+  }
+  return {
+    dueDate,
+    recurrence: {
+      ...rule,
+      count: rule.count === null ? null : rule.count - 1
+    }
+  };
+}
@@ -0,0 +1,93 @@
+import { logger } from "../logging/logger.js";
+import { isDoneColumn, overdueCutoff } from "../validation/taskFields.js";
+
+// Matches the identity the reminder stores give a reminder.
+function reminderKey({ taskId, kind, dueDate }) {
+  return `${taskId}:${kind}:${new Date(dueDate).getTime()}`;
+}
+
+function formatDay(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function messageFor(kind, task, user) {
+  const due = formatDay(task.dueDate);
+  return kind === "overdue"
+    ? {
+        kind,
+        to: user.email,
+        subject: `Overdue: ${task.title}`,
+        text: `"${task.title}" was due on ${due} and isn't done yet.`,
+        task
+      }
+    : {
+        kind,
+        to: user.email,
+        subject: `Due soon: ${task.title}`,
+        text: `"${task.title}" is due on ${due}.`,
+        task
+      };
+}
+
+// Reminds task owners of open tasks: once when the due date is less than
+// `leadMs` away, and once more when the task becomes overdue. What was sent
+// is recorded, so restarts don't send anything twice. Which tasks still need
+// one is worked out here rather than in each store, with one lookup of
+// boards per owner and one of the reminders already sent.
+export function createReminderService({
+  tasks,
+  boards,
+  users,
+  reminders,
+  notifier,
+  leadMs
+}) {
+  return {
+    // Sends every reminder that has come due. One that fails to send is
+    // logged and tried again on the next run. Returns how many were sent.
+    async sendDue(now = new Date()) {
+      const cutoff = overdueCutoff(now);
+      const due = await tasks.listDue(new Date(now.getTime() + leadMs));
+      const ownerIds = [...new Set(due.map((task) => task.owner))];
+      const [owners, ownBoards, alreadySent] = await Promise.all([
+        users.listByIds(ownerIds),
+        Promise.all(ownerIds.map((owner) => boards.list(owner))),
+        reminders.listSent(due.map((task) => task.id))
+      ]);
+      const usersById = new Map(owners.map((user) => [user.id, user]));
+      const boardsById = new Map(
+        ownBoards.flat().map((board) => [board.id, board])
+      );
+      const sentKeys = new Set(alreadySent.map(reminderKey));
+      let sent = 0;
+      for (const task of due) {
+        const board = boardsById.get(task.boardId);
+        if (!board || isDoneColumn(board, task.status)) {
+          continue;
+        }
+        const reminder = {
+          taskId: task.id,
+          owner: task.owner,
+          kind: task.dueDate < cutoff ? "overdue" : "due-soon",
+          dueDate: task.dueDate
+        };
+        const user = usersById.get(task.owner);
+        if (!user || sentKeys.has(reminderKey(reminder))) {
+          continue;
+        }
+        try {
+          await notifier.send(messageFor(reminder.kind, task, user));
+        } catch (error) {
+          logger.error("Sending a reminder failed", {
+            taskId: task.id,
+            error
+          });
+          continue;
+        }
+        await reminders.markSent(reminder);
+        sent += 1;
+      }
+      return sent;
+    }
+  };
+}
@@ -0,0 +1,982 @@
+import { nextOccurrence } from "./recurrence.js";
+import { rankBetween } from "../stores/rank.js";
+import { MAX_LIMIT, sortKey } from "../stores/taskQuery.js";
+import {
+  defaultColumns,
+  isDoneColumn,
+  overdueCutoff
+} from "../validation/taskFields.js";
+
+const trackedFields = [
+  "title",
+  "description",
+  "priority",
+  "boardId",
+  "status",
+  "dueDate",
+  "rank",
+  "parentId",
+  "blockedBy",
+  "labels",
+  "recurrence"
+];
+const dateFields = ["dueDate", "createdAt", "updatedAt"];
+
+function comparable(value) {
+  if (Array.isArray(value)) {
+    return value.length ? value.join(",") : null;
+  }
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return JSON.stringify(value);
+  }
+  return value instanceof Date ? value.getTime() : value ?? null;
+}
+
+function diffTasks(before, after) {
+  const changes = [];
+  for (const field of trackedFields) {
+    const from = before ? before[field] ?? null : null;
+    const to = after ? after[field] ?? null : null;
+    if (comparable(from) !== comparable(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+  return changes;
+}
+
+// History is persisted as JSON by the file store, so dates come back as
+// strings and need reviving before they are written onto a task again.
+function reviveDates(values) {
+  const revived = { ...values };
+  for (const field of dateFields) {
+    if (typeof revived[field] === "string") {
+      revived[field] = new Date(revived[field]);
+    }
+  }
+  return revived;
+}
+
+// The columns a task left and entered with a recorded change, for the
+// analytics. Moving to another board leaves one board and arrives on the
+// other; trashing a task leaves its board and restoring it arrives again.
+function transitionsOf(task, type, changes) {
+  if (type === "created") {
+    return [{ boardId: task.boardId, from: null, to: task.status }];
+  }
+  if (type === "deleted") {
+    return [{ boardId: task.boardId, from: task.status, to: null }];
+  }
+  if (type === "restored") {
+    return [{ boardId: task.boardId, from: null, to: task.status }];
+  }
+  if (type !== "updated") {
+    return [];
+  }
+  const board = changes.find((change) => change.field === "boardId");
+  const status = changes.find((change) => change.field === "status");
+  const fromStatus = status ? status.from : task.status;
+  if (board) {
+    return [
+      { boardId: board.from, from: fromStatus, to: null },
+      { boardId: board.to, from: null, to: task.status }
+    ];
+  }
+  return status
+    ? [{ boardId: task.boardId, from: fromStatus, to: task.status }]
+    : [];
+}
+
+function columnOf(board, status) {
+  return board.columns.find((column) => column.id === status);
+}
+
+function statusError(board) {
+  return {
+    field: "status",
+    message: `Status must be a column of ${board.name}: ${board.columns
+      .map((column) => column.id)
+      .join(", ")}`
+  };
+}
+
+// Thrown when parentId or blockedBy point at missing tasks or would create a
+// cycle, labels at missing labels, or boardId and status at a board or column
+// that doesn't exist; `errors` has the same { field, message } shape as
+// request validation.
+export class InvalidLinksError extends Error {
+  constructor(errors) {
+    super("Invalid task links");
+    this.errors = errors;
+  }
+}
+
+// Thrown when a task would be marked done while tasks blocking it are open.
+export class BlockedTaskError extends Error {
+  constructor(blockers) {
+    super("Task is blocked by open tasks");
+    this.blockers = blockers;
+  }
+}
+
+// Thrown when tasks would enter a column already holding as many tasks as
+// its WIP limit allows.
+export class WipLimitError extends Error {
+  constructor(column) {
+    super(`${column.name} is at its WIP limit of ${column.wipLimit}`);
+    this.column = column;
+  }
+}
+
+// Thrown when a write names the versions of the task it expects (from
+// If-Match) and the task has moved on; `task` is the current copy.
+export class VersionConflictError extends Error {
+  constructor(task) {
+    super("The task was changed by someone else");
+    this.task = task;
+  }
+}
+
+// Thrown when an import fails after creating some of its tasks; `created`
+// holds those, and `cause` what stopped it.
+export class PartialImportError extends Error {
+  constructor(created, cause) {
+    super(`The import stopped after ${created.length} task(s)`, { cause });
+    this.created = created;
+  }
+}
+
+// `versions` is undefined when any version will do, "*" for the same from
+// If-Match, or the list of versions the caller has seen.
+function matchesVersion(task, versions) {
+  return (
+    versions === undefined ||
+    versions === "*" ||
+    versions.includes(task.version ?? 0)
+  );
+}
+
+export function createTaskService({
+  tasks,
+  history,
+  transitions,
+  comments,
+  attachments,
+  labels,
+  boards,
+  events
+}) {
+  function actorOf(user) {
+    return user ? { id: user.id, email: user.email } : null;
+  }
+
+  async function record(
+    user,
+    task,
+    type,
+    changes = [],
+    revertOf = null,
+    nextOccurrenceId = null
+  ) {
+    const event = await history.append({
+      taskId: task.id,
+      owner: task.owner,
+      actor: actorOf(user),
+      type,
+      changes,
+      revertOf,
+      nextOccurrenceId
+    });
+    const at = new Date();
+    for (const transition of transitionsOf(task, type, changes)) {
+      // Tasks from before boards existed have nowhere to be counted.
+      if (transition.boardId) {
+        await transitions.append({
+          ...transition,
+          owner: task.owner,
+          taskId: task.id,
+          at
+        });
+      }
+    }
+    return event;
+  }
+
+  async function topOfColumn(owner, boardId, status) {
+    return rankBetween(null, await tasks.firstRank(owner, boardId, status));
+  }
+
+  // Every user has at least one board. The first is created on demand, and
+  // tasks from before boards existed are moved onto it.
+  async function defaultBoard(owner) {
+    const [first] = await boards.list(owner);
+    if (first) {
+      return first;
+    }
+    const board = await boards.create(owner, {
+      name: "My board",
+      columns: defaultColumns
+    });
+    await tasks.adoptOrphans(owner, board.id);
+    return board;
+  }
+
+  async function boardOf(owner, task) {
+    return task.boardId ? boards.get(owner, task.boardId) : defaultBoard(owner);
+  }
+
+  // Works out the board and column a task ends up in. Without a board the
+  // task stays where it is, or goes to the first board. A task moved to
+  // another board keeps its status when that board has the same column and
+  // otherwise lands in the first one.
+  async function placeTask(owner, current, changes) {
+    const boardId = changes.boardId ?? current?.boardId;
+    const board = boardId
+      ? await boards.get(owner, boardId)
+      : await defaultBoard(owner);
+    if (!board) {
+      throw new InvalidLinksError([
+        { field: "boardId", message: "Board not found" }
+      ]);
+    }
+    const status =
+      changes.status ??
+      (current?.status && columnOf(board, current.status)
+        ? current.status
+        : board.columns[0].id);
+    if (!columnOf(board, status)) {
+      throw new InvalidLinksError([statusError(board)]);
+    }
+    return { board, status };
+  }
+
+  async function assertRoom(owner, board, status, incoming = 1) {
+    const column = columnOf(board, status);
+    if (!column.wipLimit) {
+      return;
+    }
+    const counts = await tasks.countByColumn(owner, board.id);
+    if ((counts[status] || 0) + incoming > column.wipLimit) {
+      throw new WipLimitError(column);
+    }
+  }
+
+  // Walks links breadth-first from startIds, following next(task), and reports
+  // whether targetId can be reached.
+  async function reaches(owner, startIds, targetId, next) {
+    const seen = new Set();
+    const queue = [...startIds];
+    while (queue.length) {
+      const id = queue.shift();
+      if (id === targetId) {
+        return true;
+      }
+      if (seen.has(id)) {
+        continue;
+      }
+      seen.add(id);
+      const task = await tasks.get(owner, id);
+      if (task) {
+        queue.push(...next(task));
+      }
+    }
+    return false;
+  }
+
+  // Checks the parentId, blockedBy and labels in `changes` for the task `id`
+  // (null while creating, when no cycle is possible yet).
+  async function checkLinks(owner, id, changes) {
+    const errors = [];
+    if (changes.parentId) {
+      const parent = await tasks.get(owner, changes.parentId);
+      if (!parent) {
+        errors.push({ field: "parentId", message: "Parent task not found" });
+      } else if (
+        id &&
+        (await reaches(owner, [parent.id], id, (task) =>
+          task.parentId ? [task.parentId] : []
+        ))
+      ) {
+        errors.push({
+          field: "parentId",
+          message: "A task can't be a subtask of itself or of its own subtasks"
+        });
+      }
+    }
+    if (changes.blockedBy?.length) {
+      const missing = [];
+      for (const blockerId of changes.blockedBy) {
+        if (!(await tasks.get(owner, blockerId))) {
+          missing.push(blockerId);
+        }
+      }
+      if (missing.length) {
+        errors.push({
+          field: "blockedBy",
+          message: `Blocking tasks not found: ${missing.join(", ")}`
+        });
+      } else if (
+        id &&
+        (await reaches(
+          owner,
+          changes.blockedBy,
+          id,
+          (task) => task.blockedBy ?? []
+        ))
+      ) {
+        errors.push({
+          field: "blockedBy",
+          message: "These blockers would make the task block itself"
+        });
+      }
+    }
+    if (changes.labels?.length) {
+      const known = await existingLabels(owner, changes.labels);
+      if (known.length < changes.labels.length) {
+        errors.push({
+          field: "labels",
+          message: `Labels not found: ${changes.labels
+            .filter((id) => !known.includes(id))
+            .join(", ")}`
+        });
+      }
+    }
+    if (errors.length) {
+      throw new InvalidLinksError(errors);
+    }
+  }
+
+  async function existingLabels(owner, ids) {
+    const known = [];
+    for (const id of ids) {
+      if (await labels.get(owner, id)) {
+        known.push(id);
+      }
+    }
+    return known;
+  }
+
+  // Blockers that are still open, that is not in the last column of their
+  // board. Trashed blockers no longer block, and tasks being completed in the
+  // same batch count as done.
+  async function openBlockers(owner, blockedBy = [], completing = []) {
+    const open = [];
+    for (const id of blockedBy) {
+      if (completing.includes(id)) {
+        continue;
+      }
+      const blocker = await tasks.get(owner, id);
+      if (!blocker) {
+        continue;
+      }
+      const board = await boardOf(owner, blocker);
+      if (!board || !isDoneColumn(board, blocker.status)) {
+        open.push({ id, title: blocker.title, status: blocker.status });
+      }
+    }
+    return open;
+  }
+
+  async function assertCanComplete(owner, task, board) {
+    if (!isDoneColumn(board, task.status)) {
+      return;
+    }
+    const blockers = await openBlockers(owner, task.blockedBy);
+    if (blockers.length) {
+      throw new BlockedTaskError(blockers);
+    }
+  }
+
+  // Subtasks go on their parent's board unless another one is named.
+  async function create(user, payload) {
+    await checkLinks(user.id, null, payload);
+    const parent = payload.parentId
+      ? await tasks.get(user.id, payload.parentId)
+      : null;
+    const { board, status } = await placeTask(user.id, parent, {
+      boardId: payload.boardId,
+      status: payload.status
+    });
+    await assertRoom(user.id, board, status);
+    await assertCanComplete(user.id, { ...payload, status }, board);
+    const rank = await topOfColumn(user.id, board.id, status);
+    const task = await tasks.create(user.id, {
+      ...payload,
+      boardId: board.id,
+      status,
+      rank
+    });
+    await record(user, task, "created", diffTasks(null, task));
+    events.publish(user.id, "task.created", task);
+    return task;
+  }
+
+  // Fails a conditional write that lost a race with another one. The task
+  // may also have gone in between, which is a plain not found.
+  async function conflictOrMissing(user, id) {
+    const task = await tasks.get(user.id, id);
+    if (task) {
+      throw new VersionConflictError(task);
+    }
+    return null;
+  }
+
+  // A task moved to another column without an explicit rank goes to the top
+  // of that column. Given a version, the write only goes through if the task
+  // is still at it. `followUp` runs once the write has, and the task it
+  // returns, if any, is recorded on the event so undoing it can trash it.
+  async function applyUpdate(
+    user,
+    current,
+    update,
+    { revertOf = null, version, followUp } = {}
+  ) {
+    await checkLinks(user.id, current.id, update);
+    const values = { ...update };
+    if (update.boardId !== undefined || update.status !== undefined) {
+      const { board, status } = await placeTask(user.id, current, update);
+      if (board.id !== current.boardId || status !== current.status) {
+        await assertRoom(user.id, board, status);
+        await assertCanComplete(user.id, { ...current, status }, board);
+        values.boardId = board.id;
+        values.status = status;
+        if (values.rank === undefined) {
+          values.rank = await topOfColumn(user.id, board.id, status);
+        }
+      }
+    }
+    const task = await tasks.update(user.id, current.id, values, { version });
+    if (!task) {
+      return version === undefined ? null : conflictOrMissing(user, current.id);
+    }
+    const followedBy = followUp ? await followUp(task) : null;
+    const changes = diffTasks(current, task);
+    if (changes.length) {
+      await record(
+        user,
+        task,
+        "updated",
+        changes,
+        revertOf,
+        followedBy?.id ?? null
+      );
+    }
+    events.publish(user.id, "task.updated", task);
+    return task;
+  }
+
+  // Creates the task that follows a repeating task just completed, at the top
+  // of the first column of its board. Labels and a parent deleted since are
+  // left off rather than failing the completion.
+  async function createNextOccurrence(user, task, board) {
+    const next = nextOccurrence(task, new Date());
+    if (!next) {
+      return null;
+    }
+    const parent = task.parentId
+      ? await tasks.get(user.id, task.parentId)
+      : null;
+    return create(user, {
+      title: task.title,
+      description: task.description,
+      priority: task.priority,
+      boardId: board.id,
+      status: board.columns[0].id,
+      dueDate: next.dueDate,
+      parentId: parent ? parent.id : null,
+      labels: await existingLabels(user.id, task.labels ?? []),
+      recurrence: next.recurrence
+    });
+  }
+
+  async function moveToTrash(user, id, { revertOf = null, version } = {}) {
+    const task = await tasks.trash(user.id, id, { version });
+    if (!task) {
+      return version === undefined ? null : conflictOrMissing(user, id);
+    }
+    await record(user, task, "deleted", [], revertOf);
+    events.publish(user.id, "task.deleted", { id });
+    return task;
+  }
+
+  // A task whose board or column was removed while it sat in the trash comes
+  // back at the top of the first column still there.
+  async function restoreFromTrash(user, id, revertOf = null) {
+    const restored = await tasks.restore(user.id, id);
+    if (!restored) {
+      return null;
+    }
+    let task = restored;
+    const board =
+      (await boardOf(user.id, restored)) || (await defaultBoard(user.id));
+    if (board.id !== restored.boardId || !columnOf(board, restored.status)) {
+      const status = columnOf(board, restored.status)
+        ? restored.status
+        : board.columns[0].id;
+      task = await tasks.update(user.id, id, {
+        boardId: board.id,
+        status,
+        rank: await topOfColumn(user.id, board.id, status)
+      });
+    }
+    await record(user, task, "restored", diffTasks(restored, task), revertOf);
+    events.publish(user.id, "task.created", task);
+    return task;
+  }
+
+  // Which tasks are done depends on their board, so `overdue` reaches the
+  // store as a due date cut-off and the last column of every board.
+  async function storeOptions(owner, { overdue, ...options }) {
+    if (!overdue) {
+      return options;
+    }
+    return {
+      ...options,
+      dueBefore: overdueCutoff(),
+      excludeColumns: (await boards.list(owner)).map((board) => ({
+        boardId: board.id,
+        status: board.columns[board.columns.length - 1].id
+      }))
+    };
+  }
+
+  // Walks every page of a listing, for exports that need all matches.
+  async function listAll(user, options) {
+    const query = await storeOptions(user.id, options);
+    const all = [];
+    let after = null;
+    for (;;) {
+      const { items, hasMore } = await tasks.list(user.id, {
+        ...query,
+        limit: MAX_LIMIT,
+        after
+      });
+      all.push(...items);
+      if (!hasMore) {
+        return all;
+      }
+      const last = items[items.length - 1];
+      after = {
+        value: sortKey(last, options.sort, options.order),
+        id: last.id
+      };
+    }
+  }
+
+  // Writes per-task changes all at once, then records and publishes them.
+  // `current` maps each id to the task as it was before.
+  async function writeUpdates(user, current, updates) {
+    const outcome = await tasks.bulkUpdate(user.id, updates);
+    if (outcome.applied) {
+      for (const { id, task } of outcome.results) {
+        const changes = diffTasks(current.get(id), task);
+        if (changes.length) {
+          await record(user, task, "updated", changes);
+        }
+        events.publish(user.id, "task.updated", task);
+      }
+    }
+    return outcome;
+  }
+
+  async function bulkRemove(user, ids) {
+    const outcome = await tasks.bulkTrash(user.id, ids);
+    if (outcome.applied) {
+      for (const { id, task } of outcome.results) {
+        await record(user, task, "deleted");
+        events.publish(user.id, "task.deleted", { id });
+      }
+    }
+    return outcome;
+  }
+
+  return {
+    topOfColumn,
+    defaultBoard,
+
+    async list(user, options) {
+      return tasks.list(user.id, await storeOptions(user.id, options));
+    },
+
+    listAll,
+
+    async get(user, id) {
+      return tasks.get(user.id, id);
+    },
+
+    create,
+
+    // Checks that every imported task fits on the board (the first board
+    // unless boardId is given): its status must be a column there and the
+    // column must have room under its WIP limit. Returns { board, errors }
+    // with errors indexed like payloads, or null when the board is missing.
+    async checkImport(user, payloads, boardId) {
+      const board = boardId
+        ? await boards.get(user.id, boardId)
+        : await defaultBoard(user.id);
+      if (!board) {
+        return null;
+      }
+      const counts = await tasks.countByColumn(user.id, board.id);
+      const errors = [];
+      payloads.forEach((payload, index) => {
+        const column = columnOf(board, payload.status ?? board.columns[0].id);
+        if (!column) {
+          errors.push({ index, errors: [statusError(board)] });
+          return;
+        }
+        counts[column.id] = (counts[column.id] || 0) + 1;
+        if (column.wipLimit && counts[column.id] > column.wipLimit) {
+          errors.push({
+            index,
+            errors: [
+              {
+                field: "status",
+                message: new WipLimitError(column).message
+              }
+            ]
+          });
+        }
+      });
+      return { board, errors };
+    },
+
+    // Each new task goes to the top of its column, so creating them last to
+    // first keeps the imported order within every column. The tasks are
+    // created one by one, so a failure partway, such as another client
+    // filling a column since checkImport, throws a PartialImportError saying
+    // which were created.
+    async importTasks(user, payloads, boardId) {
+      const created = [];
+      for (const payload of [...payloads].reverse()) {
+        try {
+          created.unshift(await create(user, { ...payload, boardId }));
+        } catch (error) {
+          throw new PartialImportError(created, error);
+        }
+      }
+      return created;
+    },
+
+    // Completing a repeating task creates its next occurrence, which carries
+    // the rule on; the completed task drops it, so reopening and completing
+    // it again doesn't start a second series. Undoing the completion instead
+    // trashes the occurrence and gives the rule back. With `versions` from If-Match,
+    // a task that has moved on throws a VersionConflictError.
+    async update(user, id, update, { versions } = {}) {
+      const current = await tasks.get(user.id, id);
+      if (!current) {
+        return null;
+      }
+      if (!matchesVersion(current, versions)) {
+        throw new VersionConflictError(current);
+      }
+      const options =
+        versions === undefined ? {} : { version: current.version ?? 0 };
+      const recurrence =
+        update.recurrence !== undefined
+          ? update.recurrence
+          : current.recurrence ?? null;
+      if (
+        !recurrence ||
+        (update.status === undefined && update.boardId === undefined)
+      ) {
+        return applyUpdate(user, current, update, options);
+      }
+      const { board, status } = await placeTask(user.id, current, update);
+      const currentBoard = await boardOf(user.id, current);
+      if (
+        !isDoneColumn(board, status) ||
+        (currentBoard?.id === board.id &&
+          isDoneColumn(currentBoard, current.status))
+      ) {
+        return applyUpdate(user, current, update, options);
+      }
+      const firstColumn = board.columns[0].id;
+      const leavesFirstColumn =
+        current.boardId === board.id && current.status === firstColumn;
+      await assertRoom(user.id, board, firstColumn, leavesFirstColumn ? 0 : 1);
+
+      return applyUpdate(
+        user,
+        current,
+        { ...update, recurrence: null },
+        {
+          ...options,
+          followUp: (task) =>
+            createNextOccurrence(user, { ...task, recurrence }, board)
+        }
+      );
+    },
+
+    async remove(user, id, { versions } = {}) {
+      if (versions === undefined) {
+        return Boolean(await moveToTrash(user, id));
+      }
+      const current = await tasks.get(user.id, id);
+      if (!current) {
+        return false;
+      }
+      if (!matchesVersion(current, versions)) {
+        throw new VersionConflictError(current);
+      }
+      return Boolean(
+        await moveToTrash(user, id, { version: current.version ?? 0 })
+      );
+    },
+
+    // Applies the same update to many tasks at once. A status must be a
+    // column on the board of every task. Tasks moved into another column are
+    // stacked at its top in the order given. Nothing is written unless every
+    // task can be updated.
+    async bulkUpdate(user, ids, update) {
+      const current = new Map();
+      for (const id of ids) {
+        const task = await tasks.get(user.id, id);
+        if (task) {
+          current.set(id, task);
+        }
+      }
+      // The board of every task changing column, by task id.
+      const moving = new Map();
+      if (update.status) {
+        for (const [id, task] of current) {
+          const board = await boardOf(user.id, task);
+          if (!columnOf(board, update.status)) {
+            throw new InvalidLinksError([statusError(board)]);
+          }
+          if (board.id !== task.boardId || task.status !== update.status) {
+            moving.set(id, board);
+          }
+        }
+        const arriving = new Map();
+        for (const board of moving.values()) {
+          const entry = arriving.get(board.id) || { board, count: 0 };
+          entry.count += 1;
+          arriving.set(board.id, entry);
+        }
+        for (const { board, count } of arriving.values()) {
+          await assertRoom(user.id, board, update.status, count);
+        }
+        const blocked = new Map();
+        for (const [id, board] of moving) {
+          const blockers = isDoneColumn(board, update.status)
+            ? await openBlockers(user.id, current.get(id).blockedBy, ids)
+            : [];
+          if (blockers.length) {
+            blocked.set(id, blockers);
+          }
+        }
+        if (blocked.size) {
+          return {
+            applied: false,
+            results: ids.map((id) => ({
+              id,
+              task: current.get(id) ?? null,
+              blockedBy: blocked.get(id)
+            }))
+          };
+        }
+      }
+      const placed = new Map();
+      if (update.rank === undefined) {
+        const next = new Map();
+        for (const id of ids.filter((item) => moving.has(item)).reverse()) {
+          const board = moving.get(id);
+          if (!next.has(board.id)) {
+            next.set(
+              board.id,
+              await tasks.firstRank(user.id, board.id, update.status)
+            );
+          }
+          const rank = rankBetween(null, next.get(board.id));
+          next.set(board.id, rank);
+          placed.set(id, { boardId: board.id, rank });
+        }
+      }
+      return writeUpdates(
+        user,
+        current,
+        ids.map((id) => ({
+          id,
+          changes: placed.has(id) ? { ...update, ...placed.get(id) } : update
+        }))
+      );
+    },
+
+    bulkRemove,
+
+    // Moves every live task in column `fromStatus` to the bottom of
+    // `toStatus`, keeping their order, ahead of `fromStatus` being removed
+    // from the board. `board` is the board as it will be afterwards.
+    async moveColumnTasks(user, board, fromStatus, toStatus) {
+      const moving = await listAll(user, {
+        boardId: board.id,
+        status: fromStatus,
+        sort: "rank",
+        order: "asc"
+      });
+      if (!moving.length) {
+        return { applied: true, results: [] };
+      }
+      await assertRoom(user.id, board, toStatus, moving.length);
+      if (isDoneColumn(board, toStatus)) {
+        const ids = moving.map((task) => task.id);
+        const blockers = [];
+        for (const task of moving) {
+          blockers.push(...(await openBlockers(user.id, task.blockedBy, ids)));
+        }
+        if (blockers.length) {
+          throw new BlockedTaskError(blockers);
+        }
+      }
+      let rank = await tasks.lastRank(user.id, board.id, toStatus);
+      const updates = moving.map((task) => {
+        rank = rankBetween(rank, null);
+        return { id: task.id, changes: { status: toStatus, rank } };
+      });
+      return writeUpdates(
+        user,
+        new Map(moving.map((task) => [task.id, task])),
+        updates
+      );
+    },
+
+    // Sends every live task on a board to the trash, ahead of the board being
+    // deleted.
+    async trashBoardTasks(user, boardId) {
+      const onBoard = await listAll(user, {
+        boardId,
+        sort: "rank",
+        order: "asc"
+      });
+      if (!onBoard.length) {
+        return { applied: true, results: [] };
+      }
+      return bulkRemove(
+        user,
+        onBoard.map((task) => task.id)
+      );
+    },
+
+    async listTrash(user) {
+      return tasks.listTrash(user.id);
+    },
+
+    async restore(user, id) {
+      return restoreFromTrash(user, id);
+    },
+
+    async purge(user, id) {
+      const task = await tasks.remove(user.id, id);
+      if (!task) {
+        return false;
+      }
+      await comments.removeForTask(user.id, task.id);
+      await attachments.removeForTask(user.id, task.id);
+      await record(user, task, "purged");
+      return true;
+    },
+
+    async emptyTrash(user) {
+      const trashed = await tasks.listTrash(user.id);
+      let purged = 0;
+      for (const task of trashed) {
+        if (await tasks.remove(user.id, task.id)) {
+          await comments.removeForTask(user.id, task.id);
+          await attachments.removeForTask(user.id, task.id);
+          await record(user, task, "purged");
+          purged += 1;
+        }
+      }
+      return purged;
+    },
+
+    async purgeExpired(before) {
+      const purged = await tasks.purgeTrashed(before);
+      for (const task of purged) {
+        await comments.removeForTask(task.owner, task.id);
+        await attachments.removeForTask(task.owner, task.id);
+        await record(null, task, "purged");
+      }
+      return purged.length;
+    },
+
+    // The tasks linked to a task: its parent, its subtasks, the tasks blocking
+    // it and the tasks it blocks. Null when the task doesn't exist.
+    async links(user, id) {
+      const task = await tasks.get(user.id, id);
+      if (!task) {
+        return null;
+      }
+      const linked = await tasks.listLinked(user.id, id);
+      const blockedBy = [];
+      for (const blockerId of task.blockedBy ?? []) {
+        const blocker = await tasks.get(user.id, blockerId);
+        if (blocker) {
+          blockedBy.push(blocker);
+        }
+      }
+      return {
+        parent: task.parentId ? await tasks.get(user.id, task.parentId) : null,
+        subtasks: linked.filter((item) => item.parentId === id),
+        blockedBy,
+        blocks: linked.filter((item) => item.blockedBy?.includes(id))
+      };
+    },
+
+    async history(user, id) {
+      return history.listForTask(user.id, id);
+    },
+
+    // Reverts the most recent change to a task that hasn't been undone yet.
+    // Returns { task } with the task as it now stands (null if the undo sent
+    // it to the trash), or null when there is nothing left to undo.
+    async undo(user, id) {
+      const event = await history.lastUndoable(user.id, id);
+      if (!event) {
+        return null;
+      }
+      let task = null;
+      if (event.type === "created" || event.type === "restored") {
+        if (!(await moveToTrash(user, id, { revertOf: event.id }))) {
+          return null;
+        }
+      } else if (event.type === "deleted") {
+        task = await restoreFromTrash(user, id, event.id);
+        if (!task) {
+          return null;
+        }
+      } else if (event.type === "updated") {
+        const current = await tasks.get(user.id, id);
+        if (!current) {
+          return null;
+        }
+        const previous = {};
+        for (const change of event.changes) {
+          previous[change.field] = change.from;
+        }
+        // Labels deleted since the change can't be put back.
+        if (previous.labels) {
+          previous.labels = await existingLabels(user.id, previous.labels);
+        }
+        task = await applyUpdate(user, current, reviveDates(previous), {
+          revertOf: event.id
+        });
+        if (!task) {
+          return null;
+        }
+        // Reopening a completed repeating task gives it its rule back, so the
+        // occurrence completing it created goes, or the series would double.
+        if (event.nextOccurrenceId) {
+          await moveToTrash(user, event.nextOccurrenceId, {
+            revertOf: event.id
+          });
+        }
+      } else {
+        return null;
+      }
+      await history.markUndone(event.id);
+      return { task };
+    }
+  };
+}
@@ -0,0 +1,287 @@
+import { createHmac, randomBytes } from "node:crypto";
+import { logger } from "../logging/logger.js";
+import { webhookEvents } from "../validation/taskFields.js";
+import { checkWebhookTarget } from "./webhookTargets.js";
+
+const batchSize = 10;
+const recentDeliveries = 50;
+const maxBackoffMs = 24 * 60 * 60 * 1000;
+
+// Secrets are only shown when they are set, so they never leave the backend
+// again after that.
+function present({ owner, secret, ...webhook }) {
+  return webhook;
+}
+
+// Attempts recorded before response bodies were dropped may still have one,
+// and what a receiver answers isn't the webhook owner's to read.
+function presentDelivery({ owner, attempts, ...delivery }) {
+  return {
+    ...delivery,
+    attempts: attempts.map(({ responseBody, ...attempt }) => attempt)
+  };
+}
+
+function generateSecret() {
+  return randomBytes(24).toString("hex");
+}
+
+// Receivers recompute this over the timestamp header and the raw body to
+// check a delivery came from us and wasn't replayed long after.
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+}
+
+// Webhook subscriptions and their deliveries. Every task event a webhook is
+// subscribed to becomes a delivery that is POSTed, signed, to the webhook's
+// URL and retried with exponential backoff until it succeeds or runs out of
+// attempts and is left dead.
+export function createWebhookService({ webhooks, deliveries, config }) {
+  let running = null;
+  let again = false;
+
+  function backoff(attempts) {
+    return Math.min(config.retryBaseMs * 2 ** (attempts - 1), maxBackoffMs);
+  }
+
+  // Only the status of the answer is kept, so a webhook can't be used to
+  // read what a server the backend can reach returns.
+  async function send(webhook, delivery) {
+    const refused = await checkWebhookTarget(webhook.url, config);
+    if (refused) {
+      return { statusCode: null, error: refused };
+    }
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "taskboard-webhooks",
+          "X-Taskboard-Event": delivery.event.type,
+          "X-Taskboard-Delivery": delivery.id,
+          "X-Taskboard-Timestamp": String(timestamp),
+          "X-Taskboard-Signature": signPayload(webhook.secret, timestamp, body)
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(config.timeoutMs)
+      });
+      await response.body?.cancel();
+      return {
+        statusCode: response.status,
+        error: response.ok ? null : `Answered ${response.status}`
+      };
+    } catch (error) {
+      return {
+        statusCode: null,
+        error:
+          error.name === "TimeoutError"
+            ? "Timed out"
+            : error.cause?.message || error.message
+      };
+    }
+  }
+
+  async function attempt(delivery) {
+    const at = new Date();
+    const webhook = await webhooks.get(delivery.owner, delivery.webhookId);
+    if (!webhook || !webhook.active) {
+      return deliveries.recordAttempt(
+        delivery.id,
+        {
+          at,
+          durationMs: 0,
+          statusCode: null,
+          error: webhook ? "Webhook is paused" : "Webhook was deleted"
+        },
+        { status: "dead", nextAttemptAt: null }
+      );
+    }
+    const result = await send(webhook, delivery);
+    const attempts = delivery.attempts.length + 1;
+    let status = "pending";
+    if (!result.error) {
+      status = "delivered";
+    } else if (attempts >= config.maxAttempts) {
+      status = "dead";
+    }
+    return deliveries.recordAttempt(
+      delivery.id,
+      { at, durationMs: Date.now() - at.getTime(), ...result },
+      {
+        status,
+        nextAttemptAt:
+          status === "pending" ? new Date(Date.now() + backoff(attempts)) : null
+      }
+    );
+  }
+
+  // Claims due deliveries in batches, sending each batch in parallel, until
+  // none are left. The lease outlasts a timed-out request, so a delivery is
+  // only picked up again if the backend died while sending it.
+  async function deliverBatches() {
+    let attempted = 0;
+    for (;;) {
+      const now = new Date();
+      const batch = await deliveries.claimDue(
+        now,
+        new Date(now.getTime() + config.timeoutMs * 3),
+        batchSize
+      );
+      if (!batch.length) {
+        return attempted;
+      }
+      await Promise.all(batch.map(attempt));
+      attempted += batch.length;
+    }
+  }
+
+  // Runs never overlap within a process; a call while one is running makes
+  // it go round once more instead.
+  function deliverDue() {
+    if (running) {
+      again = true;
+      return running;
+    }
+    running = (async () => {
+      let attempted = 0;
+      do {
+        again = false;
+        attempted += await deliverBatches();
+      } while (again);
+      return attempted;
+    })().finally(() => {
+      running = null;
+    });
+    return running;
+  }
+
+  async function findDelivery(user, webhookId, id) {
+    const delivery = await deliveries.get(user.id, id);
+    return delivery && delivery.webhookId === webhookId ? delivery : null;
+  }
+
+  return {
+    async list(user) {
+      return (await webhooks.list(user.id)).map(present);
+    },
+
+    async get(user, id) {
+      const webhook = await webhooks.get(user.id, id);
+      return webhook ? present(webhook) : null;
+    },
+
+    // Generates a secret unless one is given. The response is the only time
+    // the secret is returned.
+    async create(user, { url, events, secret, active }) {
+      const webhook = await webhooks.create(user.id, {
+        url,
+        events,
+        secret: secret || generateSecret(),
+        active: active ?? true
+      });
+      return { ...present(webhook), secret: webhook.secret };
+    },
+
+    // An empty secret asks for a new one to be generated; a changed secret is
+    // returned once, like on creation.
+    async update(user, id, changes) {
+      const values = { ...changes };
+      if (values.secret === "") {
+        values.secret = generateSecret();
+      }
+      const webhook = await webhooks.update(user.id, id, values);
+      if (!webhook) {
+        return null;
+      }
+      return values.secret === undefined
+        ? present(webhook)
+        : { ...present(webhook), secret: webhook.secret };
+    },
+
+    async remove(user, id) {
+      if (!(await webhooks.remove(user.id, id))) {
+        return false;
+      }
+      await deliveries.removeForWebhook(user.id, id);
+      return true;
+    },
+
+    // Called for every event on the task event bus. Queues a delivery to each
+    // active webhook of the owner subscribed to it and starts sending.
+    async enqueue(event) {
+      if (!webhookEvents.includes(event.type)) {
+        return 0;
+      }
+      const subscribed = await webhooks.listSubscribed(event.owner, event.type);
+      for (const webhook of subscribed) {
+        await deliveries.create({
+          owner: event.owner,
+          webhookId: webhook.id,
+          event: {
+            id: event.id,
+            type: event.type,
+            createdAt: new Date().toISOString(),
+            data: event.data
+          }
+        });
+      }
+      if (subscribed.length) {
+        deliverDue().catch((error) => {
+          logger.error("Webhook delivery failed", { error });
+        });
+      }
+      return subscribed.length;
+    },
+
+    deliverDue,
+
+    async purgeFinished() {
+      return deliveries.purgeFinished(
+        new Date(Date.now() - config.retentionMs)
+      );
+    },
+
+    // The webhook's recent deliveries, newest first, or null when the webhook
+    // doesn't exist.
+    async deliveries(user, webhookId) {
+      if (!(await webhooks.get(user.id, webhookId))) {
+        return null;
+      }
+      const recent = await deliveries.listForWebhook(
+        user.id,
+        webhookId,
+        recentDeliveries
+      );
+      return recent.map(presentDelivery);
+    },
+
+    async delivery(user, webhookId, id) {
+      const delivery = await findDelivery(user, webhookId, id);
+      return delivery ? presentDelivery(delivery) : null;
+    },
+
+    // Queues the same event again as a new delivery with a fresh set of
+    // attempts. The event keeps its id, so receivers can tell it's a repeat.
+    async redeliver(user, webhookId, id) {
+      const original = await findDelivery(user, webhookId, id);
+      if (!original) {
+        return null;
+      }
+      const delivery = await deliveries.create({
+        owner: user.id,
+        webhookId,
+        event: original.event,
+        redeliveryOf: original.id
+      });
+      deliverDue().catch((error) => {
+        logger.error("Webhook delivery failed", { error });
+      });
+      return presentDelivery(delivery);
+    }
+  };
+}
@@ -0,0 +1,73 @@
+import { lookup } from "node:dns/promises";
+import { BlockList, isIP } from "node:net";
+
+// Loopback, private, link-local (where cloud metadata services live), shared,
+// multicast and reserved ranges: the backend's own network rather than the
+// internet.
+const blocked = new BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4]
+]) {
+  blocked.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+]) {
+  blocked.addSubnet(address, prefix, "ipv6");
+}
+
+export function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return isPrivateAddress(mapped[1]);
+  }
+  return blocked.check(address, isIP(address) === 6 ? "ipv6" : "ipv4");
+}
+
+function matchesHost(host, pattern) {
+  return pattern.startsWith("*.")
+    ? host.endsWith(pattern.slice(1))
+    : host === pattern;
+}
+
+// Why a webhook may not be sent to `url`, or null when it may. With
+// `allowedHosts`, only those hosts (or, for "*.example.com", their
+// subdomains) are reached, wherever they point; without, any host whose
+// addresses are all public.
+export async function checkWebhookTarget(
+  url,
+  { allowedHosts },
+  resolve = lookup
+) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (allowedHosts.length) {
+    return allowedHosts.some((pattern) => matchesHost(host, pattern))
+      ? null
+      : `${host} isn't an allowed webhook host`;
+  }
+  let addresses;
+  try {
+    addresses = isIP(host)
+      ? [{ address: host }]
+      : await resolve(host, { all: true });
+  } catch (error) {
+    return `Couldn't resolve ${host}`;
+  }
+  return addresses.some(({ address }) => isPrivateAddress(address))
+    ? `${host} is on a private network`
+    : null;
+}
@@ -0,0 +1,42 @@
+import { logger } from "./logging/logger.js";
+
+// The first SIGTERM or SIGINT runs `shutDown` and exits once it's done; a
+// second one exits straight away.
+export function onShutdownSignal(shutDown) {
+  let started = false;
+
+  async function handle(signal) {
+    if (started) {
+      logger.error("Signal received again, exiting now", { signal });
+      process.exit(1);
+    }
+    started = true;
+    logger.info("Signal received, shutting down", { signal });
+    try {
+      await shutDown();
+      process.exit(0);
+    } catch (error) {
+      logger.error("Shutdown failed", { error });
+      process.exit(1);
+    }
+  }
+
+  process.on("SIGTERM", handle);
+  process.on("SIGINT", handle);
+}
+
+// Stops accepting connections and waits for requests in flight to finish,
+// cutting off whatever is still open after `timeoutMs`.
+export function drainServer(server, timeoutMs) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      logger.warn("Requests still open at the shutdown timeout were cut off");
+      server.closeAllConnections();
+    }, timeoutMs);
+    server.close(() => {
+      clearTimeout(timer);
+      resolve();
+    });
+    server.closeIdleConnections();
+  });
+}
@@ -0,0 +1,21 @@
+import path from "node:path";
+import { createJsonFile } from "./jsonFile.js";
+
+function reviveDates(record, dateFields) {
+  const revived = { ...record };
+  for (const field of dateFields) {
+    if (revived[field]) {
+      revived[field] = new Date(revived[field]);
+    }
+  }
+  return revived;
+}
+
+export async function openFileCollection(dataDir, name, dateFields) {
+  const file = createJsonFile(path.join(dataDir, `${name}.json`));
+  const records = await file.read([]);
+  return {
+    records: records.map((record) => reviveDates(record, dateFields)),
+    persist: (all) => file.write(all)
+  };
+}
@@ -0,0 +1,105 @@
+import { openFileCollection } from "./fileCollection.js";
+import { createMemoryAttachmentStore } from "./memoryAttachmentStore.js";
+import { createMemoryBoardStore } from "./memoryBoardStore.js";
+import { createMemoryCommentStore } from "./memoryCommentStore.js";
+import { createMemoryDeliveryStore } from "./memoryDeliveryStore.js";
+import { createMemoryHistoryStore } from "./memoryHistoryStore.js";
+import { createMemoryLabelStore } from "./memoryLabelStore.js";
+import { createMemoryReminderStore } from "./memoryReminderStore.js";
+import { createMemoryTaskStore } from "./memoryTaskStore.js";
+import { createMemoryTransitionStore } from "./memoryTransitionStore.js";
+import { createMemoryUserStore } from "./memoryUserStore.js";
+import { createMemoryWebhookStore } from "./memoryWebhookStore.js";
+import { createMongoAttachmentStore } from "./mongoAttachmentStore.js";
+import { createMongoBoardStore } from "./mongoBoardStore.js";
+import { createMongoCommentStore } from "./mongoCommentStore.js";
+import { createMongoDeliveryStore } from "./mongoDeliveryStore.js";
+import { createMongoHistoryStore } from "./mongoHistoryStore.js";
+import { createMongoLabelStore } from "./mongoLabelStore.js";
+import { createMongoReminderStore } from "./mongoReminderStore.js";
+import { createMongoTaskStore } from "./mongoTaskStore.js";
+import { createMongoTransitionStore } from "./mongoTransitionStore.js";
+import { createMongoUserStore } from "./mongoUserStore.js";
+import { createMongoWebhookStore } from "./mongoWebhookStore.js";
+
+// The memory implementation of each collection doubles as the file store: it
+// is seeded from, and persists every change to, <DATA_DIR>/<name>.json.
+const collections = {
+  tasks: {
+    memory: createMemoryTaskStore,
+    mongo: createMongoTaskStore,
+    dateFields: ["dueDate", "createdAt", "updatedAt", "deletedAt"]
+  },
+  users: {
+    memory: createMemoryUserStore,
+    mongo: createMongoUserStore,
+    dateFields: ["createdAt", "updatedAt"]
+  },
+  history: {
+    memory: createMemoryHistoryStore,
+    mongo: createMongoHistoryStore,
+    dateFields: ["createdAt"]
+  },
+  transitions: {
+    memory: createMemoryTransitionStore,
+    mongo: createMongoTransitionStore,
+    dateFields: ["at"]
+  },
+  labels: {
+    memory: createMemoryLabelStore,
+    mongo: createMongoLabelStore,
+    dateFields: ["createdAt", "updatedAt"]
+  },
+  boards: {
+    memory: createMemoryBoardStore,
+    mongo: createMongoBoardStore,
+    dateFields: ["createdAt", "updatedAt"]
+  },
+  comments: {
+    memory: createMemoryCommentStore,
+    mongo: createMongoCommentStore,
+    dateFields: ["createdAt", "updatedAt"]
+  },
+  attachments: {
+    memory: createMemoryAttachmentStore,
+    mongo: createMongoAttachmentStore,
+    dateFields: ["createdAt"]
+  },
+  reminders: {
+    memory: createMemoryReminderStore,
+    mongo: createMongoReminderStore,
+    dateFields: ["dueDate", "sentAt"]
+  },
+  webhooks: {
+    memory: createMemoryWebhookStore,
+    mongo: createMongoWebhookStore,
+    dateFields: ["createdAt", "updatedAt"]
+  },
+  webhookDeliveries: {
+    memory: createMemoryDeliveryStore,
+    mongo: createMongoDeliveryStore,
+    dateFields: ["nextAttemptAt", "createdAt", "updatedAt"]
+  }
+};
+
+export async function createStores({ driver, dataDir }) {
+  const stores = {};
+  for (const [name, collection] of Object.entries(collections)) {
+    switch (driver) {
+      case "memory":
+        stores[name] = collection.memory();
+        break;
+      case "file":
+        stores[name] = collection.memory(
+          await openFileCollection(dataDir, name, collection.dateFields)
+        );
+        break;
+      case "mongo":
+        stores[name] = collection.mongo();
+        break;
+      default:
+        throw new Error(`Unknown storage driver "${driver}"`);
+    }
+  }
+  return stores;
+}
@@ -0,0 +1,32 @@
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+export function createJsonFile(filePath) {
+  let pending = Promise.resolve();
+
+  async function read(fallback) {
+    try {
+      return JSON.parse(await readFile(filePath, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return fallback;
+      }
+      throw error;
+    }
+  }
+
+  // Writes are queued so that concurrent mutations never interleave, and each
+  // snapshot lands through a rename so a crash can't leave a half-written file.
+  function write(data) {
+    const run = pending.then(async () => {
+      const tempPath = `${filePath}.tmp`;
+      await mkdir(path.dirname(filePath), { recursive: true });
+      await writeFile(tempPath, JSON.stringify(data, null, 2));
+      await rename(tempPath, filePath);
+    });
+    pending = run.catch(() => {});
+    return run;
+  }
+
+  return { read, write };
+}
@@ -0,0 +1,89 @@
+import { randomUUID } from "node:crypto";
+
+function copy(attachment) {
+  return { ...attachment, uploadedBy: { ...attachment.uploadedBy } };
+}
+
+export function createMemoryAttachmentStore({
+  records: initial = [],
+  persist
+} = {}) {
+  const records = new Map(
+    initial.map((attachment) => [attachment.id, attachment])
+  );
+
+  async function save() {
+    if (persist) {
+      await persist([...records.values()]);
+    }
+  }
+
+  function find(owner, id) {
+    const attachment = records.get(id);
+    return attachment && attachment.owner === owner ? attachment : null;
+  }
+
+  return {
+    // A task's attachments, oldest first.
+    async listForTask(owner, taskId) {
+      return [...records.values()]
+        .filter(
+          (attachment) =>
+            attachment.owner === owner && attachment.taskId === taskId
+        )
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(copy);
+    },
+
+    async get(owner, id) {
+      const attachment = find(owner, id);
+      return attachment ? copy(attachment) : null;
+    },
+
+    async create(
+      owner,
+      { taskId, name, contentType, size, storageKey, uploadedBy }
+    ) {
+      const attachment = {
+        id: randomUUID(),
+        owner,
+        taskId,
+        name,
+        contentType,
+        size,
+        storageKey,
+        uploadedBy: { ...uploadedBy },
+        createdAt: new Date()
+      };
+      records.set(attachment.id, attachment);
+      await save();
+      return copy(attachment);
+    },
+
+    async remove(owner, id) {
+      const current = find(owner, id);
+      if (!current) {
+        return null;
+      }
+      records.delete(id);
+      await save();
+      return copy(current);
+    },
+
+    // Removes every attachment of a task and returns them, so their contents
+    // can be deleted too.
+    async removeForTask(owner, taskId) {
+      const removed = [...records.values()].filter(
+        (attachment) =>
+          attachment.owner === owner && attachment.taskId === taskId
+      );
+      if (removed.length) {
+        for (const attachment of removed) {
+          records.delete(attachment.id);
+        }
+        await save();
+      }
+      return removed.map(copy);
+    }
+  };
+}
@@ -0,0 +1,76 @@
+import { randomUUID } from "node:crypto";
+
+function copy(board) {
+  return {
+    ...board,
+    columns: board.columns.map((column) => ({ ...column }))
+  };
+}
+
+export function createMemoryBoardStore({
+  records: initial = [],
+  persist
+} = {}) {
+  const records = new Map(initial.map((board) => [board.id, board]));
+
+  async function save() {
+    if (persist) {
+      await persist([...records.values()]);
+    }
+  }
+
+  function find(owner, id) {
+    const board = records.get(id);
+    return board && board.owner === owner ? board : null;
+  }
+
+  return {
+    // Oldest first: the first board is where tasks go when none is named.
+    async list(owner) {
+      return [...records.values()]
+        .filter((board) => board.owner === owner)
+        .sort((a, b) => a.createdAt - b.createdAt || (a.id < b.id ? -1 : 1))
+        .map(copy);
+    },
+
+    async get(owner, id) {
+      const board = find(owner, id);
+      return board ? copy(board) : null;
+    },
+
+    async create(owner, { name, columns }) {
+      const now = new Date();
+      const board = {
+        id: randomUUID(),
+        owner,
+        name,
+        columns,
+        createdAt: now,
+        updatedAt: now
+      };
+      records.set(board.id, board);
+      await save();
+      return copy(board);
+    },
+
+    async update(owner, id, changes) {
+      const current = find(owner, id);
+      if (!current) {
+        return null;
+      }
+      const board = { ...current, ...changes, updatedAt: new Date() };
+      records.set(id, board);
+      await save();
+      return copy(board);
+    },
+
+    async remove(owner, id) {
+      if (!find(owner, id)) {
+        return false;
+      }
+      records.delete(id);
+      await save();
+      return true;
+    }
+  };
+}
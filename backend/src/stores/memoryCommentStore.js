@@ -0,0 +1,90 @@
+import { randomUUID } from "node:crypto";
+
+function copy(comment) {
+  return { ...comment, author: { ...comment.author } };
+}
+
+export function createMemoryCommentStore({
+  records: initial = [],
+  persist
+} = {}) {
+  const records = new Map(initial.map((comment) => [comment.id, comment]));
+
+  async function save() {
+    if (persist) {
+      await persist([...records.values()]);
+    }
+  }
+
+  function find(owner, id) {
+    const comment = records.get(id);
+    return comment && comment.owner === owner ? comment : null;
+  }
+
+  return {
+    // A task's comments, oldest first.
+    async listForTask(owner, taskId) {
+      return [...records.values()]
+        .filter(
+          (comment) => comment.owner === owner && comment.taskId === taskId
+        )
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(copy);
+    },
+
+    async get(owner, id) {
+      const comment = find(owner, id);
+      return comment ? copy(comment) : null;
+    },
+
+    async create(owner, { taskId, author, body }) {
+      const now = new Date();
+      const comment = {
+        id: randomUUID(),
+        owner,
+        taskId,
+        author: { ...author },
+        body,
+        createdAt: now,
+        updatedAt: now
+      };
+      records.set(comment.id, comment);
+      await save();
+      return copy(comment);
+    },
+
+    async update(owner, id, { body }) {
+      const current = find(owner, id);
+      if (!current) {
+        return null;
+      }
+      const comment = { ...current, body, updatedAt: new Date() };
+      records.set(id, comment);
+      await save();
+      return copy(comment);
+    },
+
+    async remove(owner, id) {
+      if (!find(owner, id)) {
+        return false;
+      }
+      records.delete(id);
+      await save();
+      return true;
+    },
+
+    async removeForTask(owner, taskId) {
+      let removed = 0;
+      for (const comment of [...records.values()]) {
+        if (comment.owner === owner && comment.taskId === taskId) {
+          records.delete(comment.id);
+          removed += 1;
+        }
+      }
+      if (removed) {
+        await save();
+      }
+      return removed;
+    }
+  };
+}
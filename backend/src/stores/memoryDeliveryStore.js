@@ -0,0 +1,132 @@
+import { randomUUID } from "node:crypto";
+
+function copy(delivery) {
+  return {
+    ...delivery,
+    attempts: delivery.attempts.map((attempt) => ({ ...attempt }))
+  };
+}
+
+export function createMemoryDeliveryStore({
+  records: initial = [],
+  persist
+} = {}) {
+  const records = new Map(initial.map((delivery) => [delivery.id, delivery]));
+
+  async function save() {
+    if (persist) {
+      await persist([...records.values()]);
+    }
+  }
+
+  function find(owner, id) {
+    const delivery = records.get(id);
+    return delivery && delivery.owner === owner ? delivery : null;
+  }
+
+  return {
+    async create({ owner, webhookId, event, redeliveryOf = null }) {
+      const now = new Date();
+      const delivery = {
+        id: randomUUID(),
+        owner,
+        webhookId,
+        event,
+        status: "pending",
+        attempts: [],
+        nextAttemptAt: now,
+        redeliveryOf,
+        createdAt: now,
+        updatedAt: now
+      };
+      records.set(delivery.id, delivery);
+      await save();
+      return copy(delivery);
+    },
+
+    async get(owner, id) {
+      const delivery = find(owner, id);
+      return delivery ? copy(delivery) : null;
+    },
+
+    // The webhook's most recent deliveries, newest first.
+    async listForWebhook(owner, webhookId, limit) {
+      return [...records.values()]
+        .filter(
+          (delivery) =>
+            delivery.owner === owner && delivery.webhookId === webhookId
+        )
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    // Takes up to `limit` pending deliveries whose next attempt is due,
+    // oldest first, and pushes their next attempt back to `leaseUntil` so no
+    // other run picks them up while they are being sent.
+    async claimDue(now, leaseUntil, limit) {
+      const due = [...records.values()]
+        .filter(
+          (delivery) =>
+            delivery.status === "pending" && delivery.nextAttemptAt <= now
+        )
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+        .slice(0, limit);
+      for (const delivery of due) {
+        records.set(delivery.id, { ...delivery, nextAttemptAt: leaseUntil });
+      }
+      if (due.length) {
+        await save();
+      }
+      return due.map(copy);
+    },
+
+    // Records an attempt along with the status and next attempt it leads to.
+    async recordAttempt(id, attempt, { status, nextAttemptAt }) {
+      const current = records.get(id);
+      if (!current) {
+        return null;
+      }
+      const delivery = {
+        ...current,
+        status,
+        nextAttemptAt,
+        attempts: [...current.attempts, attempt],
+        updatedAt: new Date()
+      };
+      records.set(id, delivery);
+      await save();
+      return copy(delivery);
+    },
+
+    async removeForWebhook(owner, webhookId) {
+      let removed = 0;
+      for (const delivery of records.values()) {
+        if (delivery.owner === owner && delivery.webhookId === webhookId) {
+          records.delete(delivery.id);
+          removed += 1;
+        }
+      }
+      if (removed) {
+        await save();
+      }
+      return removed;
+    },
+
+    // Forgets finished (delivered or dead) deliveries last touched before
+    // `before`.
+    async purgeFinished(before) {
+      let removed = 0;
+      for (const delivery of records.values()) {
+        if (delivery.status !== "pending" && delivery.updatedAt < before) {
+          records.delete(delivery.id);
+          removed += 1;
+        }
+      }
+      if (removed) {
+        await save();
+      }
+      return removed;
+    }
+  };
+}
@@ -0,0 +1,55 @@
+import { randomUUID } from "node:crypto";
+
+export function createMemoryHistoryStore({ records = [], persist } = {}) {
+  const events = [...records];
+
+  async function save() {
+    if (persist) {
+      await persist(events);
+    }
+  }
+
+  function forTask(owner, taskId) {
+    return events.filter(
+      (event) => event.owner === owner && event.taskId === taskId
+    );
+  }
+
+  return {
+    async append(event) {
+      const record = {
+        id: randomUUID(),
+        revertOf: null,
+        nextOccurrenceId: null,
+        undone: false,
+        ...event,
+        createdAt: new Date()
+      };
+
+      events.push(record);
+      await save();
+      return { ...record };
+    },
+
+    async listForTask(owner, taskId) {
+      return forTask(owner, taskId)
+        .reverse()
+        .map((event) => ({ ...event }));
+    },
+
+    async lastUndoable(owner, taskId) {
+      const event = forTask(owner, taskId)
+        .reverse()
+        .find((candidate) => !candidate.undone && !candidate.revertOf);
+      return event ? { ...event } : null;
+    },
+
+    async markUndone(id) {
+      const event = events.find((candidate) => candidate.id === id);
+      if (event) {
+        event.undone = true;
+        await save();
+      }
+    }
+  };
+}
@@ -0,0 +1,90 @@
+import { randomUUID } from "node:crypto";
+
+function keyOf(name) {
+  return name.toLowerCase();
+}
+
+export function createMemoryLabelStore({
+  records: initial = [],
+  persist
+} = {}) {
+  const records = new Map(initial.map((label) => [label.id, label]));
+
+  async function save() {
+    if (persist) {
+      await persist([...records.values()]);
+    }
+  }
+
+  function find(owner, id) {
+    const label = records.get(id);
+    return label && label.owner === owner ? label : null;
+  }
+
+  function findByName(owner, name) {
+    for (const label of records.values()) {
+      if (label.owner === owner && keyOf(label.name) === keyOf(name)) {
+        return label;
+      }
+    }
+    return null;
+  }
+
+  return {
+    async list(owner) {
+      return [...records.values()]
+        .filter((label) => label.owner === owner)
+        .sort((a, b) => keyOf(a.name).localeCompare(keyOf(b.name)))
+        .map((label) => ({ ...label }));
+    },
+
+    async get(owner, id) {
+      const label = find(owner, id);
+      return label ? { ...label } : null;
+    },
+
+    async findByName(owner, name) {
+      const label = findByName(owner, name);
+      return label ? { ...label } : null;
+    },
+
+    // Returns null when the owner already has a label with that name.
+    async create(owner, { name, color }) {
+      if (findByName(owner, name)) {
+        return null;
+      }
+      const now = new Date();
+      const label = {
+        id: randomUUID(),
+        owner,
+        name,
+        color,
+        createdAt: now,
+        updatedAt: now
+      };
+      records.set(label.id, label);
+      await save();
+      return { ...label };
+    },
+
+    async update(owner, id, changes) {
+      const current = find(owner, id);
+      if (!current) {
+        return null;
+      }
+      const label = { ...current, ...changes, updatedAt: new Date() };
+      records.set(id, label);
+      await save();
+      return { ...label };
+    },
+
+    async remove(owner, id) {
+      if (!find(owner, id)) {
+        return false;
+      }
+      records.delete(id);
+      await save();
+      return true;
+    }
+  };
+}
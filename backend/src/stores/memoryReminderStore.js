@@ -0,0 +1,46 @@
+import { randomUUID } from "node:crypto";
+
+// A reminder is identified by its task, its kind and the due date it was
+// about, so changing a task's due date makes its reminders due again.
+function keyOf({ taskId, kind, dueDate }) {
+  return `${taskId}:${kind}:${new Date(dueDate).getTime()}`;
+}
+
+export function createMemoryReminderStore({
+  records: initial = [],
+  persist
+} = {}) {
+  const records = new Map(
+    initial.map((reminder) => [keyOf(reminder), reminder])
+  );
+
+  async function save() {
+    if (persist) {
+      await persist([...records.values()]);
+    }
+  }
+
+  return {
+    // Every reminder sent about any of these tasks.
+    async listSent(taskIds) {
+      const ids = new Set(taskIds);
+      return [...records.values()]
+        .filter((reminder) => ids.has(reminder.taskId))
+        .map((reminder) => ({ ...reminder }));
+    },
+
+    async markSent({ taskId, owner, kind, dueDate }) {
+      const reminder = {
+        id: randomUUID(),
+        taskId,
+        owner,
+        kind,
+        dueDate,
+        sentAt: new Date()
+      };
+      records.set(keyOf(reminder), reminder);
+      await save();
+      return { ...reminder };
+    }
+  };
+}
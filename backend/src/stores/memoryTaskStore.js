@@ -0,0 +1,377 @@
+import { randomUUID } from "node:crypto";
+import { TASK_DEFAULTS } from "./taskDefaults.js";
+import { compareTasks, isAfterCursor } from "./taskQuery.js";
+import { matchesTextQuery, parseTextQuery } from "./textSearch.js";
+
+function hasLabels(task, labels, match) {
+  const own = task.labels ?? [];
+  return match === "all"
+    ? labels.every((id) => own.includes(id))
+    : labels.some((id) => own.includes(id));
+}
+
+export function createMemoryTaskStore({ records: initial = [], persist } = {}) {
+  const records = new Map(initial.map((task) => [task.id, task]));
+
+  async function save() {
+    if (persist) {
+      await persist([...records.values()]);
+    }
+  }
+
+  function find(owner, id, { trashed = false } = {}) {
+    const task = records.get(id);
+    if (!task || task.owner !== owner || Boolean(task.deletedAt) !== trashed) {
+      return null;
+    }
+    return task;
+  }
+
+  async function write(task) {
+    records.set(task.id, task);
+    await save();
+    return { ...task };
+  }
+
+  function nextVersion(task) {
+    return (task.version ?? 0) + 1;
+  }
+
+  // A write given the version it expects only applies to that version.
+  function isStale(task, version) {
+    return version !== undefined && (task.version ?? 0) !== version;
+  }
+
+  // Bulk writes check every task before touching any of them, so either all
+  // of them apply or none do.
+  async function writeAll(owner, updates, { touch }) {
+    const current = updates.map(({ id }) => find(owner, id));
+    if (current.some((task) => !task)) {
+      return {
+        applied: false,
+        results: updates.map(({ id }, index) => ({
+          id,
+          task: current[index] ? { ...current[index] } : null
+        }))
+      };
+    }
+    const now = new Date();
+    const results = updates.map(({ id, changes }, index) => {
+      const task = {
+        ...current[index],
+        ...changes,
+        version: nextVersion(current[index])
+      };
+      if (touch) {
+        task.updatedAt = now;
+      }
+      records.set(id, task);
+      return { id, task: { ...task } };
+    });
+    await save();
+    return { applied: true, results };
+  }
+
+  // The lowest or highest rank in a column, or null when it is empty.
+  function edgeRank(owner, boardId, status, pick) {
+    let edge = null;
+    for (const task of records.values()) {
+      if (
+        task.owner === owner &&
+        !task.deletedAt &&
+        task.boardId === boardId &&
+        task.status === status &&
+        task.rank &&
+        (edge === null || pick(task.rank, edge))
+      ) {
+        edge = task.rank;
+      }
+    }
+    return edge;
+  }
+
+  return {
+    async list(
+      owner,
+      {
+        boardId,
+        status,
+        priority,
+        labels,
+        labelMatch,
+        q,
+        dueBefore,
+        excludeColumns,
+        sort,
+        order,
+        limit,
+        after
+      }
+    ) {
+      const search = q ? parseTextQuery(q) : null;
+      const matches = [...records.values()]
+        .filter(
+          (task) =>
+            task.owner === owner &&
+            !task.deletedAt &&
+            (!boardId || task.boardId === boardId) &&
+            (!status || task.status === status) &&
+            (!priority || task.priority === priority) &&
+            (!labels?.length || hasLabels(task, labels, labelMatch)) &&
+            (!search || matchesTextQuery(task, search)) &&
+            (!dueBefore || (task.dueDate && task.dueDate < dueBefore)) &&
+            !excludeColumns?.some(
+              (column) =>
+                column.boardId === task.boardId && column.status === task.status
+            ) &&
+            (!after || isAfterCursor(task, after, sort, order))
+        )
+        .sort((a, b) => compareTasks(a, b, sort, order));
+      return {
+        items: matches.slice(0, limit).map((task) => ({ ...task })),
+        hasMore: matches.length > limit
+      };
+    },
+
+    // Live tasks of every owner due at or before `before`, soonest first.
+    async listDue(before) {
+      return [...records.values()]
+        .filter(
+          (task) => !task.deletedAt && task.dueDate && task.dueDate <= before
+        )
+        .sort((a, b) => a.dueDate - b.dueDate)
+        .map((task) => ({ ...task }));
+    },
+
+    async firstRank(owner, boardId, status) {
+      return edgeRank(owner, boardId, status, (rank, edge) => rank < edge);
+    },
+
+    async lastRank(owner, boardId, status) {
+      return edgeRank(owner, boardId, status, (rank, edge) => rank > edge);
+    },
+
+    // Live tasks per column of a board, keyed by column id.
+    async countByColumn(owner, boardId) {
+      const counts = {};
+      for (const task of records.values()) {
+        if (
+          task.owner === owner &&
+          !task.deletedAt &&
+          task.boardId === boardId
+        ) {
+          counts[task.status] = (counts[task.status] || 0) + 1;
+        }
+      }
+      return counts;
+    },
+
+    // Live tasks per priority on a board.
+    async countByPriority(owner, boardId) {
+      const counts = {};
+      for (const task of records.values()) {
+        if (
+          task.owner === owner &&
+          !task.deletedAt &&
+          task.boardId === boardId
+        ) {
+          counts[task.priority] = (counts[task.priority] || 0) + 1;
+        }
+      }
+      return counts;
+    },
+
+    // Across all users, for metrics.
+    async countByStatus() {
+      const counts = {};
+      for (const task of records.values()) {
+        if (!task.deletedAt) {
+          counts[task.status] = (counts[task.status] || 0) + 1;
+        }
+      }
+      return counts;
+    },
+
+    // Tasks written before boards existed have no board; this puts them,
+    // trashed ones included, on the given board.
+    async adoptOrphans(owner, boardId) {
+      let adopted = 0;
+      for (const task of records.values()) {
+        if (task.owner === owner && !task.boardId) {
+          records.set(task.id, { ...task, boardId });
+          adopted += 1;
+        }
+      }
+      if (adopted) {
+        await save();
+      }
+      return adopted;
+    },
+
+    async get(owner, id) {
+      const task = find(owner, id);
+      return task ? { ...task } : null;
+    },
+
+    async countByLabel(owner) {
+      const counts = {};
+      for (const task of records.values()) {
+        if (task.owner === owner && !task.deletedAt) {
+          for (const id of task.labels ?? []) {
+            counts[id] = (counts[id] || 0) + 1;
+          }
+        }
+      }
+      return counts;
+    },
+
+    // Swaps one label for another (or just removes it when toId is null) on
+    // every task, trashed ones included. Returns the live tasks that changed.
+    async replaceLabel(owner, fromId, toId) {
+      const now = new Date();
+      const changed = [];
+      for (const task of records.values()) {
+        if (task.owner !== owner || !task.labels?.includes(fromId)) {
+          continue;
+        }
+        const labels = task.labels.filter((id) => id !== fromId);
+        if (toId && !labels.includes(toId)) {
+          labels.push(toId);
+        }
+        const updated = {
+          ...task,
+          labels,
+          version: nextVersion(task),
+          updatedAt: now
+        };
+        records.set(task.id, updated);
+        if (!updated.deletedAt) {
+          changed.push({ ...updated });
+        }
+      }
+      if (changed.length) {
+        await save();
+      }
+      return changed;
+    },
+
+    async listLinked(owner, id) {
+      return [...records.values()]
+        .filter(
+          (task) =>
+            task.owner === owner &&
+            !task.deletedAt &&
+            (task.parentId === id || task.blockedBy?.includes(id))
+        )
+        .sort((a, b) => compareTasks(a, b, "rank", "asc"))
+        .map((task) => ({ ...task }));
+    },
+
+    async create(owner, payload) {
+      const now = new Date();
+      const task = {
+        id: randomUUID(),
+        title: payload.title,
+        ...TASK_DEFAULTS,
+        ...payload,
+        owner,
+        createdAt: now,
+        updatedAt: now
+      };
+      return write(task);
+    },
+
+    // Returns null when the task doesn't exist or isn't at `version`.
+    async update(owner, id, update, { version } = {}) {
+      const current = find(owner, id);
+      if (!current || isStale(current, version)) {
+        return null;
+      }
+      return write({
+        ...current,
+        ...update,
+        version: nextVersion(current),
+        updatedAt: new Date()
+      });
+    },
+
+    // Comments aren't an edit of the task itself, so updatedAt stays put.
+    async adjustCommentCount(owner, id, delta) {
+      const current = find(owner, id);
+      if (!current) {
+        return null;
+      }
+      return write({
+        ...current,
+        commentCount: (current.commentCount ?? 0) + delta
+      });
+    },
+
+    async bulkUpdate(owner, updates) {
+      return writeAll(owner, updates, { touch: true });
+    },
+
+    async bulkTrash(owner, ids) {
+      const deletedAt = new Date();
+      return writeAll(
+        owner,
+        ids.map((id) => ({ id, changes: { deletedAt } })),
+        { touch: false }
+      );
+    },
+
+    async trash(owner, id, { version } = {}) {
+      const current = find(owner, id);
+      if (!current || isStale(current, version)) {
+        return null;
+      }
+      return write({
+        ...current,
+        deletedAt: new Date(),
+        version: nextVersion(current)
+      });
+    },
+
+    async listTrash(owner) {
+      return [...records.values()]
+        .filter((task) => task.owner === owner && task.deletedAt)
+        .sort((a, b) => b.deletedAt - a.deletedAt)
+        .map((task) => ({ ...task }));
+    },
+
+    async restore(owner, id) {
+      const current = find(owner, id, { trashed: true });
+      if (!current) {
+        return null;
+      }
+      return write({
+        ...current,
+        deletedAt: null,
+        version: nextVersion(current)
+      });
+    },
+
+    async remove(owner, id) {
+      const current = find(owner, id, { trashed: true });
+      if (!current) {
+        return null;
+      }
+      records.delete(id);
+      await save();
+      return { ...current };
+    },
+
+    async purgeTrashed(before) {
+      const purged = [...records.values()].filter(
+        (task) => task.deletedAt && task.deletedAt < before
+      );
+      if (purged.length) {
+        for (const task of purged) {
+          records.delete(task.id);
+        }
+        await save();
+      }
+      return purged.map((task) => ({ ...task }));
+    }
+  };
+}
@@ -0,0 +1,140 @@
+import { randomUUID } from "node:crypto";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function startOfDay(date) {
+  return new Date(Math.floor(date.getTime() / DAY) * DAY);
+}
+
+export function createMemoryTransitionStore({
+  records: initial = [],
+  persist
+} = {}) {
+  const records = [...initial];
+
+  async function save() {
+    if (persist) {
+      await persist(records);
+    }
+  }
+
+  function onBoard(owner, boardId) {
+    return records.filter(
+      (transition) =>
+        transition.owner === owner && transition.boardId === boardId
+    );
+  }
+
+  return {
+    async append({ owner, taskId, boardId, from, to, at, backfilled = false }) {
+      const transition = {
+        id: randomUUID(),
+        owner,
+        taskId,
+        boardId,
+        from,
+        to,
+        at,
+        backfilled
+      };
+      records.push(transition);
+      await save();
+      return { ...transition };
+    },
+
+    // Places a task that predates transitions in `to` since `at`. Only the
+    // first call for a task and board records anything.
+    async backfill({ owner, taskId, boardId, to, at }) {
+      const exists = records.some(
+        (transition) =>
+          transition.backfilled &&
+          transition.taskId === taskId &&
+          transition.boardId === boardId
+      );
+      if (!exists) {
+        records.push({
+          id: randomUUID(),
+          owner,
+          taskId,
+          boardId,
+          from: null,
+          to,
+          at,
+          backfilled: true
+        });
+        await save();
+      }
+    },
+
+    // Ids of the tasks with any transition on the board.
+    async taskIdsOnBoard(owner, boardId) {
+      return [
+        ...new Set(
+          onBoard(owner, boardId).map((transition) => transition.taskId)
+        )
+      ];
+    },
+
+    // Net change in each column's task count per UTC day, for transitions
+    // before `until`.
+    async flow(owner, boardId, until) {
+      const groups = new Map();
+      for (const transition of onBoard(owner, boardId)) {
+        if (transition.at >= until) {
+          continue;
+        }
+        const day = startOfDay(transition.at);
+        for (const [status, delta] of [
+          [transition.from, -1],
+          [transition.to, 1]
+        ]) {
+          if (status === null) {
+            continue;
+          }
+          const key = `${status}\n${day.getTime()}`;
+          const group = groups.get(key) || { status, day, delta: 0 };
+          group.delta += delta;
+          groups.set(key, group);
+        }
+      }
+      return [...groups.values()];
+    },
+
+    // Tasks last completed (moved into `doneStatus`) in [from, to), with when
+    // they arrived on the board and when they first left `firstStatus`.
+    async completions(owner, boardId, { firstStatus, doneStatus, from, to }) {
+      const tasks = new Map();
+      for (const transition of onBoard(owner, boardId)) {
+        const task = tasks.get(transition.taskId) || {
+          taskId: transition.taskId,
+          enteredAt: null,
+          startedAt: null,
+          completedAt: null
+        };
+        const { at } = transition;
+        if (!task.enteredAt || at < task.enteredAt) {
+          task.enteredAt = at;
+        }
+        if (
+          transition.to !== null &&
+          transition.to !== firstStatus &&
+          (!task.startedAt || at < task.startedAt)
+        ) {
+          task.startedAt = at;
+        }
+        if (
+          transition.to === doneStatus &&
+          !transition.backfilled &&
+          (!task.completedAt || at > task.completedAt)
+        ) {
+          task.completedAt = at;
+        }
+        tasks.set(transition.taskId, task);
+      }
+      return [...tasks.values()].filter(
+        (task) =>
+          task.completedAt && task.completedAt >= from && task.completedAt < to
+      );
+    }
+  };
+}
@@ -0,0 +1,55 @@
+import { randomUUID } from "node:crypto";
+
+export function createMemoryUserStore({ records: initial = [], persist } = {}) {
+  const records = new Map(initial.map((user) => [user.id, user]));
+
+  async function save() {
+    if (persist) {
+      await persist([...records.values()]);
+    }
+  }
+
+  function findByEmail(email) {
+    for (const user of records.values()) {
+      if (user.email === email) {
+        return user;
+      }
+    }
+    return null;
+  }
+
+  return {
+    async get(id) {
+      const user = records.get(id);
+      return user ? { ...user } : null;
+    },
+
+    async listByIds(ids) {
+      return ids
+        .filter((id) => records.has(id))
+        .map((id) => ({ ...records.get(id) }));
+    },
+
+    async findByEmail(email) {
+      const user = findByEmail(email);
+      return user ? { ...user } : null;
+    },
+
+    async create({ email, passwordHash }) {
+      if (findByEmail(email)) {
+        return null;
+      }
+      const now = new Date();
+      const user = {
+        id: randomUUID(),
+        email,
+        passwordHash,
+        createdAt: now,
+        updatedAt: now
+      };
+      records.set(user.id, user);
+      await save();
+      return { ...user };
+    }
+  };
+}
@@ -0,0 +1,86 @@
+import { randomUUID } from "node:crypto";
+
+function copy(webhook) {
+  return { ...webhook, events: [...webhook.events] };
+}
+
+export function createMemoryWebhookStore({
+  records: initial = [],
+  persist
+} = {}) {
+  const records = new Map(initial.map((webhook) => [webhook.id, webhook]));
+
+  async function save() {
+    if (persist) {
+      await persist([...records.values()]);
+    }
+  }
+
+  function find(owner, id) {
+    const webhook = records.get(id);
+    return webhook && webhook.owner === owner ? webhook : null;
+  }
+
+  return {
+    async list(owner) {
+      return [...records.values()]
+        .filter((webhook) => webhook.owner === owner)
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(copy);
+    },
+
+    // Active webhooks of the owner subscribed to an event type.
+    async listSubscribed(owner, type) {
+      return [...records.values()]
+        .filter(
+          (webhook) =>
+            webhook.owner === owner &&
+            webhook.active &&
+            webhook.events.includes(type)
+        )
+        .map(copy);
+    },
+
+    async get(owner, id) {
+      const webhook = find(owner, id);
+      return webhook ? copy(webhook) : null;
+    },
+
+    async create(owner, { url, events, secret, active }) {
+      const now = new Date();
+      const webhook = {
+        id: randomUUID(),
+        owner,
+        url,
+        events: [...events],
+        secret,
+        active,
+        createdAt: now,
+        updatedAt: now
+      };
+      records.set(webhook.id, webhook);
+      await save();
+      return copy(webhook);
+    },
+
+    async update(owner, id, changes) {
+      const current = find(owner, id);
+      if (!current) {
+        return null;
+      }
+      const webhook = { ...current, ...changes, updatedAt: new Date() };
+      records.set(id, webhook);
+      await save();
+      return copy(webhook);
+    },
+
+    async remove(owner, id) {
+      if (!find(owner, id)) {
+        return false;
+      }
+      records.delete(id);
+      await save();
+      return true;
+    }
+  };
+}
@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+import { Attachment } from "../models/Attachment.js";
+
+function toAttachment(doc) {
+  return {
+    id: doc._id.toString(),
+    owner: doc.owner.toString(),
+    taskId: doc.taskId.toString(),
+    name: doc.name,
+    contentType: doc.contentType,
+    size: doc.size,
+    storageKey: doc.storageKey,
+    uploadedBy: {
+      id: doc.uploadedBy?.id ?? null,
+      email: doc.uploadedBy?.email ?? null
+    },
+    createdAt: doc.createdAt
+  };
+}
+
+export function createMongoAttachmentStore() {
+  return {
+    // A task's attachments, oldest first.
+    async listForTask(owner, taskId) {
+      if (!mongoose.isValidObjectId(taskId)) {
+        return [];
+      }
+      const attachments = await Attachment.find({ owner, taskId })
+        .sort({ createdAt: 1, _id: 1 })
+        .lean();
+      return attachments.map(toAttachment);
+    },
+
+    async get(owner, id) {
+      if (!mongoose.isValidObjectId(id)) {
+        return null;
+      }
+      const attachment = await Attachment.findOne({ _id: id, owner }).lean();
+      return attachment ? toAttachment(attachment) : null;
+    },
+
+    async create(owner, values) {
+      const attachment = await Attachment.create({ ...values, owner });
+      return toAttachment(attachment);
+    },
+
+    async remove(owner, id) {
+      if (!mongoose.isValidObjectId(id)) {
+        return null;
+      }
+      const attachment = await Attachment.findOneAndDelete({
+        _id: id,
+        owner
+      }).lean();
+      return attachment ? toAttachment(attachment) : null;
+    },
+
+    // Removes every attachment of a task and returns them, so their contents
+    // can be deleted too.
+    async removeForTask(owner, taskId) {
+      if (!mongoose.isValidObjectId(taskId)) {
+        return [];
+      }
+      const attachments = await Attachment.find({ owner, taskId }).lean();
+      if (attachments.length) {
+        await Attachment.deleteMany({
+          _id: { $in: attachments.map((attachment) => attachment._id) }
+        });
+      }
+      return attachments.map(toAttachment);
+    }
+  };
+}
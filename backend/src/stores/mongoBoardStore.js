@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+import { Board } from "../models/Board.js";
+
+function toBoard(doc) {
+  return {
+    id: doc._id.toString(),
+    owner: doc.owner.toString(),
+    name: doc.name,
+    columns: doc.columns.map(({ id, name, wipLimit }) => ({
+      id,
+      name,
+      wipLimit: wipLimit ?? null
+    })),
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+export function createMongoBoardStore() {
+  return {
+    // Oldest first: the first board is where tasks go when none is named.
+    async list(owner) {
+      const boards = await Board.find({ owner })
+        .sort({ createdAt: 1, _id: 1 })
+        .lean();
+      return boards.map(toBoard);
+    },
+
+    async get(owner, id) {
+      if (!mongoose.isValidObjectId(id)) {
+        return null;
+      }
+      const board = await Board.findOne({ _id: id, owner }).lean();
+      return board ? toBoard(board) : null;
+    },
+
+    async create(owner, { name, columns }) {
+      const board = await Board.create({ owner, name, columns });
+      return toBoard(board);
+    },
+
+    async update(owner, id, changes) {
+      if (!mongoose.isValidObjectId(id)) {
+        return null;
+      }
+      const board = await Board.findOneAndUpdate({ _id: id, owner }, changes, {
+        new: true
+      }).lean();
+      return board ? toBoard(board) : null;
+    },
+
+    async remove(owner, id) {
+      if (!mongoose.isValidObjectId(id)) {
+        return false;
+      }
+      const result = await Board.deleteOne({ _id: id, owner });
+      return result.deletedCount > 0;
+    }
+  };
+}
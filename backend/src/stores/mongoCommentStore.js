@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+import { Comment } from "../models/Comment.js";
+
+function toComment(doc) {
+  return {
+    id: doc._id.toString(),
+    owner: doc.owner.toString(),
+    taskId: doc.taskId.toString(),
+    author: { id: doc.author?.id ?? null, email: doc.author?.email ?? null },
+    body: doc.body,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+export function createMongoCommentStore() {
+  return {
+    // A task's comments, oldest first.
+    async listForTask(owner, taskId) {
+      if (!mongoose.isValidObjectId(taskId)) {
+        return [];
+      }
+      const comments = await Comment.find({ owner, taskId })
+        .sort({ createdAt: 1, _id: 1 })
+        .lean();
+      return comments.map(toComment);
+    },
+
+    async get(owner, id) {
+      if (!mongoose.isValidObjectId(id)) {
+        return null;
+      }
+      const comment = await Comment.findOne({ _id: id, owner }).lean();
+      return comment ? toComment(comment) : null;
+    },
+
+    async create(owner, { taskId, author, body }) {
+      const comment = await Comment.create({ owner, taskId, author, body });
+      return toComment(comment);
+    },
+
+    async update(owner, id, { body }) {
+      if (!mongoose.isValidObjectId(id)) {
+        return null;
+      }
+      const comment = await Comment.findOneAndUpdate(
+        { _id: id, owner },
+        { body },
+        { new: true }
+      ).lean();
+      return comment ? toComment(comment) : null;
+    },
+
+    async remove(owner, id) {
+      if (!mongoose.isValidObjectId(id)) {
+        return false;
+      }
+      const result = await Comment.deleteOne({ _id: id, owner });
+      return result.deletedCount > 0;
+    },
+
+    async removeForTask(owner, taskId) {
+      if (!mongoose.isValidObjectId(taskId)) {
+        return 0;
+      }
+      const result = await Comment.deleteMany({ owner, taskId });
+      return result.deletedCount;
+    }
+  };
+}
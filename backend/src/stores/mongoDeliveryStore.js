@@ -0,0 +1,98 @@
+import mongoose from "mongoose";
+import { WebhookDelivery } from "../models/WebhookDelivery.js";
+
+function toDelivery(doc) {
+  return {
+    id: doc._id.toString(),
+    owner: doc.owner.toString(),
+    webhookId: doc.webhookId.toString(),
+    event: doc.event,
+    status: doc.status,
+    attempts: (doc.attempts || []).map((attempt) => ({ ...attempt })),
+    nextAttemptAt: doc.nextAttemptAt ?? null,
+    redeliveryOf: doc.redeliveryOf ? doc.redeliveryOf.toString() : null,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+export function createMongoDeliveryStore() {
+  return {
+    async create({ owner, webhookId, event, redeliveryOf = null }) {
+      const delivery = await WebhookDelivery.create({
+        owner,
+        webhookId,
+        event,
+        nextAttemptAt: new Date(),
+        redeliveryOf
+      });
+      return toDelivery(delivery.toObject());
+    },
+
+    async get(owner, id) {
+      if (!mongoose.isValidObjectId(id)) {
+        return null;
+      }
+      const delivery = await WebhookDelivery.findOne({ _id: id, owner }).lean();
+      return delivery ? toDelivery(delivery) : null;
+    },
+
+    // The webhook's most recent deliveries, newest first.
+    async listForWebhook(owner, webhookId, limit) {
+      if (!mongoose.isValidObjectId(webhookId)) {
+        return [];
+      }
+      const deliveries = await WebhookDelivery.find({ owner, webhookId })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean();
+      return deliveries.map(toDelivery);
+    },
+
+    // Claims one delivery at a time with findOneAndUpdate, so backends
+    // sharing the database never send the same delivery concurrently.
+    async claimDue(now, leaseUntil, limit) {
+      const claimed = [];
+      while (claimed.length < limit) {
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+          { status: "pending", nextAttemptAt: { $lte: now } },
+          { nextAttemptAt: leaseUntil },
+          { sort: { nextAttemptAt: 1 }, new: true }
+        ).lean();
+        if (!delivery) {
+          break;
+        }
+        claimed.push(toDelivery(delivery));
+      }
+      return claimed;
+    },
+
+    // Records an attempt along with the status and next attempt it leads to.
+    async recordAttempt(id, attempt, { status, nextAttemptAt }) {
+      const delivery = await WebhookDelivery.findByIdAndUpdate(
+        id,
+        { status, nextAttemptAt, $push: { attempts: attempt } },
+        { new: true }
+      ).lean();
+      return delivery ? toDelivery(delivery) : null;
+    },
+
+    async removeForWebhook(owner, webhookId) {
+      if (!mongoose.isValidObjectId(webhookId)) {
+        return 0;
+      }
+      const result = await WebhookDelivery.deleteMany({ owner, webhookId });
+      return result.deletedCount;
+    },
+
+    // Forgets finished (delivered or dead) deliveries last touched before
+    // `before`.
+    async purgeFinished(before) {
+      const result = await WebhookDelivery.deleteMany({
+        status: { $ne: "pending" },
+        updatedAt: { $lt: before }
+      });
+      return result.deletedCount;
+    }
+  };
+}
@@ -0,0 +1,48 @@
+import { TaskHistory } from "../models/TaskHistory.js";
+
+function toEvent(doc) {
+  return {
+    id: doc._id.toString(),
+    taskId: doc.taskId,
+    owner: doc.owner.toString(),
+    actor: doc.actor?.id ? doc.actor : null,
+    type: doc.type,
+    changes: doc.changes,
+    revertOf: doc.revertOf ? doc.revertOf.toString() : null,
+    nextOccurrenceId: doc.nextOccurrenceId ?? null,
+    undone: doc.undone,
+    createdAt: doc.createdAt
+  };
+}
+
+export function createMongoHistoryStore() {
+  return {
+    async append(event) {
+      const doc = await TaskHistory.create(event);
+      return toEvent(doc.toObject());
+    },
+
+    async listForTask(owner, taskId) {
+      const events = await TaskHistory.find({ owner, taskId })
+        .sort({ createdAt: -1, _id: -1 })
+        .lean();
+      return events.map(toEvent);
+    },
+
+    async lastUndoable(owner, taskId) {
+      const event = await TaskHistory.findOne({
+        owner,
+        taskId,
+        undone: false,
+        revertOf: null
+      })
+        .sort({ createdAt: -1, _id: -1 })
+        .lean();
+      return event ? toEvent(event) : null;
+    },
+
+    async markUndone(id) {
+      await TaskHistory.updateOne({ _id: id }, { undone: true });
+    }
+  };
+}
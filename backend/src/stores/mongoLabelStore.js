@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+import { Label } from "../models/Label.js";
+
+const duplicateKeyError = 11000;
+
+function toLabel(doc) {
+  return {
+    id: doc._id.toString(),
+    owner: doc.owner.toString(),
+    name: doc.name,
+    color: doc.color,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+export function createMongoLabelStore() {
+  return {
+    async list(owner) {
+      const labels = await Label.find({ owner }).sort({ key: 1 }).lean();
+      return labels.map(toLabel);
+    },
+
+    async get(owner, id) {
+      if (!mongoose.isValidObjectId(id)) {
+        return null;
+      }
+      const label = await Label.findOne({ _id: id, owner }).lean();
+      return label ? toLabel(label) : null;
+    },
+
+    async findByName(owner, name) {
+      const label = await Label.findOne({
+        owner,
+        key: name.toLowerCase()
+      }).lean();
+      return label ? toLabel(label) : null;
+    },
+
+    // Returns null when the owner already has a label with that name.
+    async create(owner, { name, color }) {
+      try {
+        const label = await Label.create({
+          owner,
+          name,
+          key: name.toLowerCase(),
+          color
+        });
+        return toLabel(label);
+      } catch (error) {
+        if (error.code === duplicateKeyError) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async update(owner, id, changes) {
+      if (!mongoose.isValidObjectId(id)) {
+        return null;
+      }
+      const update = { ...changes };
+      if (changes.name) {
+        update.key = changes.name.toLowerCase();
+      }
+      const label = await Label.findOneAndUpdate({ _id: id, owner }, update, {
+        new: true
+      }).lean();
+      return label ? toLabel(label) : null;
+    },
+
+    async remove(owner, id) {
+      if (!mongoose.isValidObjectId(id)) {
+        return false;
+      }
+      const result = await Label.deleteOne({ _id: id, owner });
+      return result.deletedCount > 0;
+    }
+  };
+}
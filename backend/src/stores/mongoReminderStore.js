@@ -0,0 +1,35 @@
+import { Reminder } from "../models/Reminder.js";
+
+function toReminder(doc) {
+  return {
+    id: doc._id.toString(),
+    taskId: doc.taskId,
+    owner: doc.owner.toString(),
+    kind: doc.kind,
+    dueDate: doc.dueDate,
+    sentAt: doc.sentAt
+  };
+}
+
+export function createMongoReminderStore() {
+  return {
+    // Every reminder sent about any of these tasks.
+    async listSent(taskIds) {
+      const reminders = await Reminder.find({
+        taskId: { $in: taskIds }
+      }).lean();
+      return reminders.map(toReminder);
+    },
+
+    // An upsert, so two backends racing to send the same reminder record it
+    // once.
+    async markSent({ taskId, owner, kind, dueDate }) {
+      const reminder = await Reminder.findOneAndUpdate(
+        { taskId, kind, dueDate },
+        { $setOnInsert: { owner, sentAt: new Date() } },
+        { upsert: true, new: true }
+      ).lean();
+      return toReminder(reminder);
+    }
+  };
+}
@@ -0,0 +1,469 @@
+import mongoose from "mongoose";
+import { Task } from "../models/Task.js";
+import { TASK_DEFAULTS } from "./taskDefaults.js";
+import { NO_DUE_DATE, PRIORITY_ORDER } from "./taskQuery.js";
+
+function toTask(doc) {
+  return {
+    id: doc._id.toString(),
+    title: doc.title,
+    description: doc.description ?? TASK_DEFAULTS.description,
+    priority: doc.priority,
+    status: doc.status,
+    boardId: doc.boardId ? doc.boardId.toString() : TASK_DEFAULTS.boardId,
+    dueDate: doc.dueDate ?? TASK_DEFAULTS.dueDate,
+    parentId: doc.parentId ? doc.parentId.toString() : TASK_DEFAULTS.parentId,
+    blockedBy: (doc.blockedBy || []).map((id) => id.toString()),
+    labels: (doc.labels || []).map((id) => id.toString()),
+    recurrence: doc.recurrence?.frequency
+      ? {
+          frequency: doc.recurrence.frequency,
+          interval: doc.recurrence.interval,
+          weekdays: [...doc.recurrence.weekdays],
+          until: doc.recurrence.until ?? null,
+          count: doc.recurrence.count ?? null,
+          monthDay: doc.recurrence.monthDay ?? null
+        }
+      : TASK_DEFAULTS.recurrence,
+    rank: doc.rank ?? TASK_DEFAULTS.rank,
+    commentCount: doc.commentCount ?? TASK_DEFAULTS.commentCount,
+    version: doc.version ?? TASK_DEFAULTS.version,
+    deletedAt: doc.deletedAt ?? TASK_DEFAULTS.deletedAt,
+    owner: doc.owner.toString(),
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+function sortKeyExpression(sort, order) {
+  switch (sort) {
+    case "dueDate":
+      return {
+        $toLong: { $ifNull: ["$dueDate", new Date(NO_DUE_DATE[order])] }
+      };
+    case "priority":
+      return { $indexOfArray: [PRIORITY_ORDER, "$priority"] };
+    case "title":
+      return { $toLower: "$title" };
+    case "rank":
+      return { $ifNull: ["$rank", ""] };
+    default:
+      return { $toLong: "$createdAt" };
+  }
+}
+
+const bumpVersion = { $inc: { version: 1 } };
+
+// Tasks written before versions were kept have none, which counts as 0.
+function versionFilter(version) {
+  if (version === undefined) {
+    return {};
+  }
+  return { version: version === 0 ? { $in: [0, null] } : version };
+}
+
+class Rollback extends Error {}
+
+// Applies one findOneAndUpdate per task inside a transaction and rolls all of
+// them back if any task is missing. Transactions need MongoDB to run as a
+// replica set (the compose file starts a single-node one).
+async function writeAll(owner, updates, options) {
+  const session = await mongoose.startSession();
+  let results = [];
+  try {
+    await session.withTransaction(async () => {
+      results = [];
+      for (const { id, changes } of updates) {
+        const task = mongoose.isValidObjectId(id)
+          ? await Task.findOneAndUpdate(
+              { _id: id, owner, deletedAt: null },
+              { ...changes, ...bumpVersion },
+              { ...options, new: true, session }
+            ).lean()
+          : null;
+        results.push({ id, task: task ? toTask(task) : null });
+      }
+      if (results.some((result) => !result.task)) {
+        throw new Rollback();
+      }
+    });
+    return { applied: true, results };
+  } catch (error) {
+    if (error instanceof Rollback) {
+      return { applied: false, results };
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+}
+
+async function edgeRank(owner, boardId, status, direction) {
+  if (!mongoose.isValidObjectId(boardId)) {
+    return null;
+  }
+  const task = await Task.findOne({
+    owner,
+    boardId,
+    status,
+    deletedAt: null,
+    rank: { $ne: null }
+  })
+    .sort({ rank: direction })
+    .select({ rank: 1 })
+    .lean();
+  return task ? task.rank : null;
+}
+
+export function createMongoTaskStore() {
+  return {
+    async list(
+      owner,
+      {
+        boardId,
+        status,
+        priority,
+        labels,
+        labelMatch,
+        q,
+        dueBefore,
+        excludeColumns,
+        sort,
+        order,
+        limit,
+        after
+      }
+    ) {
+      const filter = {
+        owner: new mongoose.Types.ObjectId(owner),
+        deletedAt: null
+      };
+      if (boardId) {
+        if (!mongoose.isValidObjectId(boardId)) {
+          return { items: [], hasMore: false };
+        }
+        filter.boardId = new mongoose.Types.ObjectId(boardId);
+      }
+      if (status) {
+        filter.status = status;
+      }
+      if (priority) {
+        filter.priority = priority;
+      }
+      if (labels?.length) {
+        // The aggregation below doesn't cast, so ids are converted here. An
+        // id that can't exist matches nothing.
+        const ids = labels
+          .filter((id) => mongoose.isValidObjectId(id))
+          .map((id) => new mongoose.Types.ObjectId(id));
+        if (
+          !ids.length ||
+          (labelMatch === "all" && ids.length < labels.length)
+        ) {
+          return { items: [], hasMore: false };
+        }
+        filter.labels = { [labelMatch === "all" ? "$all" : "$in"]: ids };
+      }
+      if (q) {
+        filter.$text = { $search: q };
+      }
+      if (dueBefore) {
+        filter.dueDate = { $ne: null, $lt: dueBefore };
+      }
+      const excluded = (excludeColumns ?? []).filter((column) =>
+        mongoose.isValidObjectId(column.boardId)
+      );
+      if (excluded.length) {
+        filter.$nor = excluded.map((column) => ({
+          boardId: new mongoose.Types.ObjectId(column.boardId),
+          status: column.status
+        }));
+      }
+      const direction = order === "asc" ? 1 : -1;
+      const pipeline = [
+        { $match: filter },
+        { $addFields: { sortKey: sortKeyExpression(sort, order) } }
+      ];
+      if (after) {
+        if (!mongoose.isValidObjectId(after.id)) {
+          return { items: [], hasMore: false };
+        }
+        const operator = direction === 1 ? "$gt" : "$lt";
+        const afterId = new mongoose.Types.ObjectId(after.id);
+        pipeline.push({
+          $match: {
+            $or: [
+              { sortKey: { [operator]: after.value } },
+              { sortKey: after.value, _id: { [operator]: afterId } }
+            ]
+          }
+        });
+      }
+      pipeline.push(
+        { $sort: { sortKey: direction, _id: direction } },
+        { $limit: limit + 1 }
+      );
+      const tasks = await Task.aggregate(pipeline);
+      return {
+        items: tasks.slice(0, limit).map(toTask),
+        hasMore: tasks.length > limit
+      };
+    },
+
+    // Live tasks of every owner due at or before `before`, soonest first.
+    async listDue(before) {
+      const tasks = await Task.find({
+        deletedAt: null,
+        dueDate: { $ne: null, $lte: before }
+      })
+        .sort({ dueDate: 1 })
+        .lean();
+      return tasks.map(toTask);
+    },
+
+    async firstRank(owner, boardId, status) {
+      return edgeRank(owner, boardId, status, 1);
+    },
+
+    async lastRank(owner, boardId, status) {
+      return edgeRank(owner, boardId, status, -1);
+    },
+
+    // Live tasks per column of a board, keyed by column id.
+    async countByColumn(owner, boardId) {
+      if (!mongoose.isValidObjectId(boardId)) {
+        return {};
+      }
+      const groups = await Task.aggregate([
+        {
+          $match: {
+            owner: new mongoose.Types.ObjectId(owner),
+            boardId: new mongoose.Types.ObjectId(boardId),
+            deletedAt: null
+          }
+        },
+        { $group: { _id: "$status", count: { $sum: 1 } } }
+      ]);
+      const counts = {};
+      for (const group of groups) {
+        counts[group._id] = group.count;
+      }
+      return counts;
+    },
+
+    // Live tasks per priority on a board.
+    async countByPriority(owner, boardId) {
+      if (!mongoose.isValidObjectId(boardId)) {
+        return {};
+      }
+      const groups = await Task.aggregate([
+        {
+          $match: {
+            owner: new mongoose.Types.ObjectId(owner),
+            boardId: new mongoose.Types.ObjectId(boardId),
+            deletedAt: null
+          }
+        },
+        { $group: { _id: "$priority", count: { $sum: 1 } } }
+      ]);
+      const counts = {};
+      for (const group of groups) {
+        counts[group._id] = group.count;
+      }
+      return counts;
+    },
+
+    // Across all users, for metrics.
+    async countByStatus() {
+      const groups = await Task.aggregate([
+        { $match: { deletedAt: null } },
+        { $group: { _id: "$status", count: { $sum: 1 } } }
+      ]);
+      const counts = {};
+      for (const group of groups) {
+        counts[group._id] = group.count;
+      }
+      return counts;
+    },
+
+    // Tasks written before boards existed have no board; this puts them,
+    // trashed ones included, on the given board.
+    async adoptOrphans(owner, boardId) {
+      const result = await Task.updateMany(
+        { owner, boardId: null },
+        { boardId },
+        { timestamps: false }
+      );
+      return result.modifiedCount;
+    },
+
+    async get(owner, id) {
+      if (!mongoose.isValidObjectId(id)) {
+        return null;
+      }
+      const task = await Task.findOne({
+        _id: id,
+        owner,
+        deletedAt: null
+      }).lean();
+      return task ? toTask(task) : null;
+    },
+
+    async countByLabel(owner) {
+      const groups = await Task.aggregate([
+        {
+          $match: {
+            owner: new mongoose.Types.ObjectId(owner),
+            deletedAt: null
+          }
+        },
+        { $unwind: "$labels" },
+        { $group: { _id: "$labels", count: { $sum: 1 } } }
+      ]);
+      const counts = {};
+      for (const group of groups) {
+        counts[group._id.toString()] = group.count;
+      }
+      return counts;
+    },
+
+    // Swaps one label for another (or just removes it when toId is null) on
+    // every task, trashed ones included. Returns the live tasks that changed.
+    async replaceLabel(owner, fromId, toId) {
+      if (!mongoose.isValidObjectId(fromId)) {
+        return [];
+      }
+      const filter = { owner, labels: fromId };
+      const affected = await Task.find(filter).select({ _id: 1 }).lean();
+      if (!affected.length) {
+        return [];
+      }
+      if (toId) {
+        await Task.updateMany(filter, { $addToSet: { labels: toId } });
+      }
+      await Task.updateMany(filter, {
+        $pull: { labels: fromId },
+        ...bumpVersion
+      });
+      const tasks = await Task.find({
+        _id: { $in: affected.map((task) => task._id) },
+        deletedAt: null
+      }).lean();
+      return tasks.map(toTask);
+    },
+
+    async listLinked(owner, id) {
+      if (!mongoose.isValidObjectId(id)) {
+        return [];
+      }
+      const tasks = await Task.find({
+        owner,
+        deletedAt: null,
+        $or: [{ parentId: id }, { blockedBy: id }]
+      })
+        .sort({ rank: 1, _id: 1 })
+        .lean();
+      return tasks.map(toTask);
+    },
+
+    async create(owner, payload) {
+      const task = await Task.create({ ...payload, owner });
+      return toTask(task);
+    },
+
+    // Returns null when the task doesn't exist or isn't at `version`.
+    async update(owner, id, update, { version } = {}) {
+      if (!mongoose.isValidObjectId(id)) {
+        return null;
+      }
+      const task = await Task.findOneAndUpdate(
+        { _id: id, owner, deletedAt: null, ...versionFilter(version) },
+        { ...update, ...bumpVersion },
+        { new: true }
+      ).lean();
+      return task ? toTask(task) : null;
+    },
+
+    // Comments aren't an edit of the task itself, so updatedAt stays put.
+    async adjustCommentCount(owner, id, delta) {
+      if (!mongoose.isValidObjectId(id)) {
+        return null;
+      }
+      const task = await Task.findOneAndUpdate(
+        { _id: id, owner, deletedAt: null },
+        { $inc: { commentCount: delta } },
+        { new: true, timestamps: false }
+      ).lean();
+      return task ? toTask(task) : null;
+    },
+
+    async bulkUpdate(owner, updates) {
+      return writeAll(owner, updates, {});
+    },
+
+    async bulkTrash(owner, ids) {
+      const deletedAt = new Date();
+      return writeAll(
+        owner,
+        ids.map((id) => ({ id, changes: { deletedAt } })),
+        { timestamps: false }
+      );
+    },
+
+    async trash(owner, id, { version } = {}) {
+      if (!mongoose.isValidObjectId(id)) {
+        return null;
+      }
+      // Soft deletion leaves updatedAt alone; deletedAt records when.
+      const task = await Task.findOneAndUpdate(
+        { _id: id, owner, deletedAt: null, ...versionFilter(version) },
+        { deletedAt: new Date(), ...bumpVersion },
+        { new: true, timestamps: false }
+      ).lean();
+      return task ? toTask(task) : null;
+    },
+
+    async listTrash(owner) {
+      const tasks = await Task.find({ owner, deletedAt: { $ne: null } })
+        .sort({ deletedAt: -1, _id: -1 })
+        .lean();
+      return tasks.map(toTask);
+    },
+
+    async restore(owner, id) {
+      if (!mongoose.isValidObjectId(id)) {
+        return null;
+      }
+      const task = await Task.findOneAndUpdate(
+        { _id: id, owner, deletedAt: { $ne: null } },
+        { deletedAt: null, ...bumpVersion },
+        { new: true, timestamps: false }
+      ).lean();
+      return task ? toTask(task) : null;
+    },
+
+    async remove(owner, id) {
+      if (!mongoose.isValidObjectId(id)) {
+        return null;
+      }
+      const task = await Task.findOneAndDelete({
+        _id: id,
+        owner,
+        deletedAt: { $ne: null }
+      }).lean();
+      return task ? toTask(task) : null;
+    },
+
+    async purgeTrashed(before) {
+      const filter = { deletedAt: { $ne: null, $lt: before } };
+      const tasks = await Task.find(filter).lean();
+      if (tasks.length) {
+        await Task.deleteMany({
+          _id: { $in: tasks.map((task) => task._id) },
+          ...filter
+        });
+      }
+      return tasks.map(toTask);
+    }
+  };
+}
@@ -0,0 +1,150 @@
+import mongoose from "mongoose";
+import { StatusTransition } from "../models/StatusTransition.js";
+
+const duplicateKeyError = 11000;
+
+function boardMatch(owner, boardId) {
+  return {
+    owner: new mongoose.Types.ObjectId(owner),
+    boardId: new mongoose.Types.ObjectId(boardId)
+  };
+}
+
+export function createMongoTransitionStore() {
+  return {
+    async append({ owner, taskId, boardId, from, to, at, backfilled = false }) {
+      const transition = await StatusTransition.create({
+        owner,
+        taskId,
+        boardId,
+        from,
+        to,
+        at,
+        backfilled
+      });
+      return {
+        id: transition._id.toString(),
+        owner,
+        taskId,
+        boardId,
+        from,
+        to,
+        at,
+        backfilled
+      };
+    },
+
+    // Places a task that predates transitions in `to` since `at`. Only the
+    // first call for a task and board records anything.
+    async backfill({ owner, taskId, boardId, to, at }) {
+      try {
+        await StatusTransition.updateOne(
+          { taskId, boardId, backfilled: true },
+          { $setOnInsert: { owner, from: null, to, at } },
+          { upsert: true }
+        );
+      } catch (error) {
+        // Another upsert of the same task got there first.
+        if (error.code !== duplicateKeyError) {
+          throw error;
+        }
+      }
+    },
+
+    // Ids of the tasks with any transition on the board.
+    async taskIdsOnBoard(owner, boardId) {
+      if (!mongoose.isValidObjectId(boardId)) {
+        return [];
+      }
+      const ids = await StatusTransition.distinct("taskId", { owner, boardId });
+      return ids.map((id) => id.toString());
+    },
+
+    // Net change in each column's task count per UTC day, for transitions
+    // before `until`.
+    async flow(owner, boardId, until) {
+      if (!mongoose.isValidObjectId(boardId)) {
+        return [];
+      }
+      const groups = await StatusTransition.aggregate([
+        { $match: { ...boardMatch(owner, boardId), at: { $lt: until } } },
+        {
+          $project: {
+            day: { $dateTrunc: { date: "$at", unit: "day", timezone: "UTC" } },
+            moves: [
+              { status: "$from", delta: -1 },
+              { status: "$to", delta: 1 }
+            ]
+          }
+        },
+        { $unwind: "$moves" },
+        { $match: { "moves.status": { $ne: null } } },
+        {
+          $group: {
+            _id: { status: "$moves.status", day: "$day" },
+            delta: { $sum: "$moves.delta" }
+          }
+        }
+      ]);
+      return groups.map((group) => ({
+        status: group._id.status,
+        day: group._id.day,
+        delta: group.delta
+      }));
+    },
+
+    // Tasks last completed (moved into `doneStatus`) in [from, to), with when
+    // they arrived on the board and when they first left `firstStatus`.
+    async completions(owner, boardId, { firstStatus, doneStatus, from, to }) {
+      if (!mongoose.isValidObjectId(boardId)) {
+        return [];
+      }
+      const tasks = await StatusTransition.aggregate([
+        { $match: boardMatch(owner, boardId) },
+        {
+          $group: {
+            _id: "$taskId",
+            enteredAt: { $min: "$at" },
+            // $min and $max skip the nulls left by transitions that don't
+            // count.
+            startedAt: {
+              $min: {
+                $cond: [
+                  {
+                    $and: [
+                      { $ne: ["$to", null] },
+                      { $ne: ["$to", firstStatus] }
+                    ]
+                  },
+                  "$at",
+                  null
+                ]
+              }
+            },
+            completedAt: {
+              $max: {
+                $cond: [
+                  {
+                    $and: [
+                      { $eq: ["$to", doneStatus] },
+                      { $ne: ["$backfilled", true] }
+                    ]
+                  },
+                  "$at",
+                  null
+                ]
+              }
+            }
+          }
+        },
+        { $match: { completedAt: { $gte: from, $lt: to } } }
+      ]);
+      return tasks.map((task) => ({
+        taskId: task._id.toString(),
+        enteredAt: task.enteredAt,
+        startedAt: task.startedAt ?? null,
+        completedAt: task.completedAt
+      }));
+    }
+  };
+}
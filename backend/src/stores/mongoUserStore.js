@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+import { User } from "../models/User.js";
+
+const duplicateKeyError = 11000;
+
+function toUser(doc) {
+  return {
+    id: doc._id.toString(),
+    email: doc.email,
+    passwordHash: doc.passwordHash,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+export function createMongoUserStore() {
+  return {
+    async get(id) {
+      if (!mongoose.isValidObjectId(id)) {
+        return null;
+      }
+      const user = await User.findById(id).lean();
+      return user ? toUser(user) : null;
+    },
+
+    async listByIds(ids) {
+      const users = await User.find({
+        _id: { $in: ids.filter((id) => mongoose.isValidObjectId(id)) }
+      }).lean();
+      return users.map(toUser);
+    },
+
+    async findByEmail(email) {
+      const user = await User.findOne({ email }).lean();
+      return user ? toUser(user) : null;
+    },
+
+    async create({ email, passwordHash }) {
+      try {
+        const user = await User.create({ email, passwordHash });
+        return toUser(user);
+      } catch (error) {
+        if (error.code === duplicateKeyError) {
+          return null;
+        }
+        throw error;
+      }
+    }
+  };
+}
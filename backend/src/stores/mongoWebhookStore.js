@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+import { Webhook } from "../models/Webhook.js";
+
+function toWebhook(doc) {
+  return {
+    id: doc._id.toString(),
+    owner: doc.owner.toString(),
+    url: doc.url,
+    events: [...doc.events],
+    secret: doc.secret,
+    active: doc.active,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+export function createMongoWebhookStore() {
+  return {
+    async list(owner) {
+      const webhooks = await Webhook.find({ owner })
+        .sort({ createdAt: 1 })
+        .lean();
+      return webhooks.map(toWebhook);
+    },
+
+    // Active webhooks of the owner subscribed to an event type.
+    async listSubscribed(owner, type) {
+      const webhooks = await Webhook.find({
+        owner,
+        active: true,
+        events: type
+      }).lean();
+      return webhooks.map(toWebhook);
+    },
+
+    async get(owner, id) {
+      if (!mongoose.isValidObjectId(id)) {
+        return null;
+      }
+      const webhook = await Webhook.findOne({ _id: id, owner }).lean();
+      return webhook ? toWebhook(webhook) : null;
+    },
+
+    async create(owner, { url, events, secret, active }) {
+      const webhook = await Webhook.create({
+        owner,
+        url,
+        events,
+        secret,
+        active
+      });
+      return toWebhook(webhook);
+    },
+
+    async update(owner, id, changes) {
+      if (!mongoose.isValidObjectId(id)) {
+        return null;
+      }
+      const webhook = await Webhook.findOneAndUpdate(
+        { _id: id, owner },
+        changes,
+        { new: true }
+      ).lean();
+      return webhook ? toWebhook(webhook) : null;
+    },
+
+    async remove(owner, id) {
+      if (!mongoose.isValidObjectId(id)) {
+        return false;
+      }
+      const result = await Webhook.deleteOne({ _id: id, owner });
+      return result.deletedCount > 0;
+    }
+  };
+}
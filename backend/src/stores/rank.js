@@ -0,0 +1,35 @@
+// Fractional ranks: base-62 strings that sort lexicographically (in both JS
+// and MongoDB) and always leave room for another key in between, so moving a
+// task only ever rewrites that one task.
+
+const digits = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
+
+function midpoint(a, b) {
+  if (b !== null) {
+    let prefix = 0;
+    while ((a[prefix] || "0") === b[prefix]) {
+      prefix += 1;
+    }
+    if (prefix > 0) {
+      return b.slice(0, prefix) + midpoint(a.slice(prefix), b.slice(prefix));
+    }
+  }
+  const low = a ? digits.indexOf(a[0]) : 0;
+  const high = b !== null ? digits.indexOf(b[0]) : digits.length;
+  if (high - low > 1) {
+    return digits[Math.round((low + high) / 2)];
+  }
+  if (b !== null && b.length > 1) {
+    return b.slice(0, 1);
+  }
+  return digits[low] + midpoint(a.slice(1), null);
+}
+
+// Returns a rank that sorts between `previous` and `next`; either may be null
+// for the start or end of a column. If the two have collided (two tasks
+// created concurrently at the top of a column) the new rank goes after both.
+export function rankBetween(previous, next) {
+  const low = previous || "";
+  const high = next && next > low ? next : null;
+  return midpoint(low, high);
+}
@@ -0,0 +1,16 @@
+import { taskFields } from "../validation/taskFields.js";
+
+export const TASK_DEFAULTS = {
+  description: "",
+  priority: taskFields.priority.default,
+  boardId: null,
+  dueDate: null,
+  parentId: null,
+  blockedBy: [],
+  labels: [],
+  recurrence: null,
+  rank: null,
+  commentCount: 0,
+  version: 0,
+  deletedAt: null
+};
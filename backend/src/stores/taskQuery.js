@@ -0,0 +1,75 @@
+import { taskFields } from "../validation/taskFields.js";
+
+export const SORT_FIELDS = [
+  "rank",
+  "createdAt",
+  "dueDate",
+  "priority",
+  "title"
+];
+export const PRIORITY_ORDER = taskFields.priority.values;
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 200;
+
+// Tasks without a due date sort last in both directions.
+export const NO_DUE_DATE = {
+  asc: 8.64e15,
+  desc: -8.64e15
+};
+
+export function sortKey(task, sort, order) {
+  switch (sort) {
+    case "dueDate":
+      return task.dueDate ? task.dueDate.getTime() : NO_DUE_DATE[order];
+    case "priority":
+      return PRIORITY_ORDER.indexOf(task.priority);
+    case "title":
+      return task.title.toLowerCase();
+    case "rank":
+      return task.rank ?? "";
+    default:
+      return task.createdAt.getTime();
+  }
+}
+
+function compareValues(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+export function compareTasks(a, b, sort, order) {
+  const direction = order === "asc" ? 1 : -1;
+  const diff = compareValues(sortKey(a, sort, order), sortKey(b, sort, order));
+  return direction * (diff || compareValues(a.id, b.id));
+}
+
+export function isAfterCursor(task, after, sort, order) {
+  const direction = order === "asc" ? 1 : -1;
+  const diff = compareValues(sortKey(task, sort, order), after.value);
+  return direction * (diff || compareValues(task.id, after.id)) > 0;
+}
+
+export function encodeCursor(task, sort, order) {
+  const payload = {
+    s: sort,
+    o: order,
+    v: sortKey(task, sort, order),
+    id: task.id
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+export function decodeCursor(cursor, sort, order) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (
+      payload.s !== sort ||
+      payload.o !== order ||
+      typeof payload.id !== "string"
+    ) {
+      return null;
+    }
+    return { value: payload.v, id: payload.id };
+  } catch (error) {
+    return null;
+  }
+}
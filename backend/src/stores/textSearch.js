@@ -0,0 +1,65 @@
+// In-memory counterpart of MongoDB's $text operator: terms are OR'ed,
+// "quoted phrases" must all be present and -terms exclude a task. Matching is
+// case and diacritic insensitive with light suffix stemming, so the same query
+// finds the same tasks whichever store is configured.
+
+const suffixes = ["ing", "ies", "es", "ed", "s"];
+
+function normalize(text) {
+  return text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+function stem(word) {
+  for (const suffix of suffixes) {
+    if (word.length > suffix.length + 2 && word.endsWith(suffix)) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+}
+
+function tokenize(text) {
+  return normalize(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map(stem);
+}
+
+export function parseTextQuery(q) {
+  const phrases = [];
+  const rest = q.replace(/"([^"]*)"/g, (match, phrase) => {
+    if (phrase.trim()) {
+      phrases.push(normalize(phrase.trim()));
+    }
+    return " ";
+  });
+  const terms = [];
+  const excluded = [];
+  for (const word of rest.split(/\s+/).filter(Boolean)) {
+    if (word.startsWith("-")) {
+      excluded.push(...tokenize(word.slice(1)));
+    } else {
+      terms.push(...tokenize(word));
+    }
+  }
+  return { terms, phrases, excluded };
+}
+
+export function matchesTextQuery(task, { terms, phrases, excluded }) {
+  const text = `${task.title} ${task.description || ""}`;
+  const words = new Set(tokenize(text));
+  if (excluded.some((word) => words.has(word))) {
+    return false;
+  }
+  const normalized = normalize(text);
+  if (!phrases.every((phrase) => normalized.includes(phrase))) {
+    return false;
+  }
+  if (phrases.length && !terms.length) {
+    return true;
+  }
+  return terms.some((word) => words.has(word));
+}
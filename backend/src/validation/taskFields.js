@@ -0,0 +1,43 @@
+import {
+  boardFields,
+  columnFields,
+  commentFields,
+  defaultColumns,
+  isDoneColumn,
+  isOverdue,
+  labelFields,
+  overdueCutoff,
+  recurrenceFields,
+  taskFields,
+  validateBoard,
+  validateComment,
+  validateLabel,
+  validateTask,
+  validateWebhook,
+  webhookEvents,
+  webhookFields
+} from "../../../shared/taskSchema.js";
+
+export {
+  boardFields,
+  columnFields,
+  commentFields,
+  defaultColumns,
+  isDoneColumn,
+  isOverdue,
+  labelFields,
+  overdueCutoff,
+  recurrenceFields,
+  taskFields,
+  validateBoard,
+  validateComment,
+  validateLabel,
+  validateTask,
+  validateWebhook,
+  webhookEvents,
+  webhookFields
+};
+
+export function sendValidationErrors(res, errors) {
+  res.status(400).json({ error: "Validation failed", errors });
+}
@@ -0,0 +1,39 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createAnalyticsService } from "../src/services/analyticsService.js";
+import { createTestServices, user } from "./helpers.js";
+
+describe("analyticsService", () => {
+  it("backfills tasks from before transitions only once", async () => {
+    const { stores, taskService } = await createTestServices();
+    const analytics = createAnalyticsService({
+      boards: stores.boards,
+      tasks: stores.tasks,
+      transitions: stores.transitions,
+      taskService
+    });
+    const board = await taskService.defaultBoard(user.id);
+    const status = board.columns[0].id;
+    // Written straight to the store, the way tasks were before transitions
+    // were recorded.
+    for (const title of ["One", "Two"]) {
+      await stores.tasks.create(user.id, {
+        title,
+        boardId: board.id,
+        status,
+        rank: title
+      });
+    }
+
+    const today = new Date(new Date().toISOString().slice(0, 10));
+    const range = { from: today, to: today };
+    const [first, second] = await Promise.all([
+      analytics.stats(user, board.id, range),
+      analytics.stats(user, board.id, range)
+    ]);
+    const third = await analytics.stats(user, board.id, range);
+    for (const stats of [first, second, third]) {
+      assert.equal(stats.flow.at(-1).columns[status], 2);
+    }
+  });
+});
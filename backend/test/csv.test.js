@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { parseCsv, toCsv } from "../src/formats/csv.js";
+
+describe("parseCsv", () => {
+  it("reads quoted fields with commas, quotes and line breaks", () => {
+    assert.deepEqual(
+      parseCsv('title,description\r\n"a, b","say ""hi""\nnow"\r\n'),
+      [
+        ["title", "description"],
+        ["a, b", 'say "hi"\nnow']
+      ]
+    );
+  });
+
+  it("skips blank lines and a byte order mark", () => {
+    assert.deepEqual(parseCsv("\uFEFFtitle\n\nOne\n"), [["title"], ["One"]]);
+  });
+
+  it("keeps a quoted empty field as a record", () => {
+    assert.deepEqual(parseCsv('title\n""\n'), [["title"], [""]]);
+  });
+
+  it("rejects an unterminated quoted field", () => {
+    assert.throws(() => parseCsv('title\n"open'), SyntaxError);
+  });
+});
+
+describe("toCsv", () => {
+  it("quotes only the fields that need it", () => {
+    assert.equal(
+      toCsv([
+        ["id", "title"],
+        ["1", 'a "b", c'],
+        ["2", null]
+      ]),
+      'id,title\r\n1,"a ""b"", c"\r\n2,\r\n'
+    );
+  });
+
+  it("keeps spreadsheets from running cells as formulas", () => {
+    for (const cell of ["=1+1", "+1", "-1", "@SUM(A1)", "\tx", "\rx"]) {
+      const line = toCsv([[cell]]);
+      assert.equal(line, `"'${cell.replace(/"/g, '""')}"\r\n`);
+    }
+  });
+
+  it("round-trips through parseCsv", () => {
+    const rows = [
+      ["title", "description"],
+      ['=HYPERLINK("http://example.com")', "-5"],
+      ["'quoted", "multi\nline, text"]
+    ];
+    assert.deepEqual(parseCsv(toCsv(rows)), rows);
+  });
+});
@@ -0,0 +1,22 @@
+import { createTaskEventBus } from "../src/events/taskEvents.js";
+import { createTaskService } from "../src/services/taskService.js";
+import { createStores } from "../src/stores/index.js";
+
+export const user = { id: "user-1", email: "user@example.com" };
+
+// A task service over fresh memory stores; attachments are only touched when
+// tasks are purged.
+export async function createTestServices() {
+  const stores = await createStores({ driver: "memory" });
+  const taskService = createTaskService({
+    tasks: stores.tasks,
+    history: stores.history,
+    transitions: stores.transitions,
+    comments: stores.comments,
+    attachments: { removeForTask: async () => {} },
+    labels: stores.labels,
+    boards: stores.boards,
+    events: createTaskEventBus()
+  });
+  return { stores, taskService };
+}
@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { toICalendar } from "../src/formats/ical.js";
+
+const task = {
+  id: "t1",
+  title: "Pay rent; call landlord, again",
+  description: "Line one\nLine two",
+  status: "todo",
+  priority: "high",
+  dueDate: "2024-05-31T00:00:00.000Z",
+  updatedAt: "2024-05-01T12:30:45.123Z"
+};
+
+function calendar(tasks) {
+  return toICalendar(tasks, { name: "Tasks", domain: "example.com" });
+}
+
+describe("toICalendar", () => {
+  it("adds an all-day event on each due date", () => {
+    const lines = calendar([task]).split("\r\n");
+    assert.ok(lines.includes("UID:t1@example.com"));
+    assert.ok(lines.includes("DTSTART;VALUE=DATE:20240531"));
+    assert.ok(lines.includes("DTEND;VALUE=DATE:20240601"));
+    assert.ok(lines.includes("DTSTAMP:20240501T123045Z"));
+    assert.ok(lines.includes("PRIORITY:1"));
+  });
+
+  it("escapes text values", () => {
+    const text = calendar([task]);
+    assert.ok(text.includes("SUMMARY:Pay rent\\; call landlord\\, again"));
+    assert.ok(text.includes("DESCRIPTION:Line one\\nLine two"));
+  });
+
+  it("leaves out tasks without a due date", () => {
+    assert.ok(!calendar([{ ...task, dueDate: null }]).includes("BEGIN:VEVENT"));
+  });
+
+  it("folds lines longer than 75 octets", () => {
+    const long = calendar([{ ...task, title: "é".repeat(100) }]);
+    for (const line of long.split("\r\n")) {
+      assert.ok(Buffer.byteLength(line) <= 75, line);
+    }
+    assert.ok(
+      long.replace(/\r\n /g, "").includes(`SUMMARY:${"é".repeat(100)}`)
+    );
+  });
+
+  it("ends every line with CRLF", () => {
+    const text = calendar([task]);
+    assert.ok(text.startsWith("BEGIN:VCALENDAR\r\n"));
+    assert.ok(text.endsWith("END:VCALENDAR\r\n"));
+    assert.ok(!/[^\r]\n/.test(text));
+  });
+});
@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { rankBetween } from "../src/stores/rank.js";
+
+describe("rankBetween", () => {
+  it("sorts between its neighbours", () => {
+    for (const [previous, next] of [
+      [null, null],
+      [null, "V"],
+      ["V", null],
+      ["A", "B"],
+      ["A", "A1"],
+      ["Az", "B"],
+      ["0", "01"]
+    ]) {
+      const rank = rankBetween(previous, next);
+      if (previous) {
+        assert.ok(rank > previous, `${rank} > ${previous}`);
+      }
+      if (next) {
+        assert.ok(rank < next, `${rank} < ${next}`);
+      }
+    }
+  });
+
+  it("keeps finding room when inserting at the same place", () => {
+    let low = "A";
+    const high = "B";
+    for (let i = 0; i < 200; i += 1) {
+      const rank = rankBetween(low, high);
+      assert.ok(rank > low && rank < high);
+      low = rank;
+    }
+  });
+
+  it("keeps finding room at the top of a column", () => {
+    let top = rankBetween(null, null);
+    for (let i = 0; i < 200; i += 1) {
+      const rank = rankBetween(null, top);
+      assert.ok(rank < top && rank > "");
+      top = rank;
+    }
+  });
+
+  it("goes after both ranks when they have collided", () => {
+    assert.ok(rankBetween("V", "V") > "V");
+    assert.ok(rankBetween("V", "A") > "V");
+  });
+});
@@ -0,0 +1,85 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createTokenService } from "../src/auth/tokens.js";
+import { ipKey, rateLimit, userKey } from "../src/middleware/rateLimit.js";
+
+const tokens = createTokenService({ secret: "test-secret", ttlSeconds: 60 });
+
+function request({ ip = "203.0.113.7", token } = {}) {
+  const headers = token ? { authorization: `Bearer ${token}` } : {};
+  return { ip, query: {}, get: (name) => headers[name.toLowerCase()] };
+}
+
+function response() {
+  const headers = {};
+  return {
+    statusCode: 200,
+    get: (name) => headers[name],
+    set(name, value) {
+      Object.assign(
+        headers,
+        typeof name === "object" ? name : { [name]: value }
+      );
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+}
+
+// Runs a request through the limits in order and returns its status.
+function send(limits, req) {
+  const res = response();
+  for (const limit of limits) {
+    let passed = false;
+    limit(req, res, () => {
+      passed = true;
+    });
+    if (!passed) {
+      break;
+    }
+  }
+  return res.statusCode;
+}
+
+describe("userKey", () => {
+  const keyOf = userKey(tokens);
+
+  it("keys on the user of a valid token", () => {
+    assert.equal(
+      keyOf(request({ token: tokens.sign("user-1") })),
+      "user:user-1"
+    );
+  });
+
+  it("leaves requests without a valid token uncounted", () => {
+    assert.equal(keyOf(request()), null);
+    assert.equal(keyOf(request({ token: "made-up" })), null);
+  });
+});
+
+describe("rateLimit", () => {
+  it("limits anonymous requests by the per-address limit alone", () => {
+    const limits = [
+      rateLimit({ windowMs: 60000, max: 4, keyOf: ipKey }),
+      rateLimit({ windowMs: 60000, max: 2, keyOf: userKey(tokens) })
+    ];
+    const statuses = [1, 2, 3, 4, 5].map(() => send(limits, request()));
+    assert.deepEqual(statuses, [200, 200, 200, 200, 429]);
+  });
+
+  it("limits signed-in requests by the tighter limit", () => {
+    const limits = [
+      rateLimit({ windowMs: 60000, max: 4, keyOf: ipKey }),
+      rateLimit({ windowMs: 60000, max: 2, keyOf: userKey(tokens) })
+    ];
+    const token = tokens.sign("user-1");
+    const statuses = [1, 2, 3].map(() => send(limits, request({ token })));
+    assert.deepEqual(statuses, [200, 200, 429]);
+  });
+});
@@ -0,0 +1,148 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { nextOccurrence } from "../src/services/recurrence.js";
+
+const rule = (fields) => ({
+  interval: 1,
+  weekdays: [],
+  until: null,
+  count: null,
+  monthDay: null,
+  ...fields
+});
+
+const day = (value) => new Date(`${value}T00:00:00.000Z`);
+
+// Completes each occurrence on its due date and lists the dates that follow.
+function series(task, length) {
+  const dates = [];
+  for (let i = 0; i < length; i += 1) {
+    const next = nextOccurrence(task, task.dueDate);
+    dates.push(next.dueDate.toISOString().slice(0, 10));
+    task = { dueDate: next.dueDate, recurrence: next.recurrence };
+  }
+  return dates;
+}
+
+describe("nextOccurrence", () => {
+  it("repeats daily and weekly rules by their interval", () => {
+    assert.deepEqual(
+      series(
+        {
+          dueDate: day("2026-03-30"),
+          recurrence: rule({ frequency: "daily", interval: 2 })
+        },
+        2
+      ),
+      ["2026-04-01", "2026-04-03"]
+    );
+    assert.deepEqual(
+      series(
+        {
+          dueDate: day("2026-03-30"),
+          recurrence: rule({ frequency: "weekly", interval: 2 })
+        },
+        2
+      ),
+      ["2026-04-13", "2026-04-27"]
+    );
+  });
+
+  it("takes the listed weekdays, skipping weeks by the interval", () => {
+    // 2026-03-30 is a Monday; the rule is Mondays and Thursdays every other
+    // week.
+    assert.deepEqual(
+      series(
+        {
+          dueDate: day("2026-03-30"),
+          recurrence: rule({
+            frequency: "weekly",
+            interval: 2,
+            weekdays: [1, 4]
+          })
+        },
+        3
+      ),
+      ["2026-04-02", "2026-04-13", "2026-04-16"]
+    );
+  });
+
+  it("goes back to the day a monthly series started on after a short month", () => {
+    const dates = series(
+      {
+        dueDate: day("2026-01-31"),
+        recurrence: rule({ frequency: "monthly" })
+      },
+      4
+    );
+    assert.deepEqual(dates, [
+      "2026-02-28",
+      "2026-03-31",
+      "2026-04-30",
+      "2026-05-31"
+    ]);
+  });
+
+  it("remembers the day the monthly series started on", () => {
+    const next = nextOccurrence(
+      {
+        dueDate: day("2026-01-31"),
+        recurrence: rule({ frequency: "monthly" })
+      },
+      day("2026-01-31")
+    );
+    assert.equal(next.recurrence.monthDay, 31);
+  });
+
+  it("skips occurrences that have already passed", () => {
+    const next = nextOccurrence(
+      {
+        dueDate: day("2026-01-01"),
+        recurrence: rule({ frequency: "weekly" })
+      },
+      day("2026-01-20")
+    );
+    assert.deepEqual(next.dueDate, day("2026-01-22"));
+  });
+
+  it("counts from the completion day when the task has no due date", () => {
+    const next = nextOccurrence(
+      { dueDate: null, recurrence: rule({ frequency: "daily" }) },
+      new Date("2026-01-20T15:30:00.000Z")
+    );
+    assert.deepEqual(next.dueDate, day("2026-01-21"));
+  });
+
+  it("ends the series by count or end date", () => {
+    const task = {
+      dueDate: day("2026-01-01"),
+      recurrence: rule({ frequency: "daily", count: 2 })
+    };
+    const next = nextOccurrence(task, task.dueDate);
+    assert.equal(next.recurrence.count, 1);
+    assert.equal(
+      nextOccurrence(
+        { dueDate: next.dueDate, recurrence: next.recurrence },
+        next.dueDate
+      ),
+      null
+    );
+    assert.equal(
+      nextOccurrence(
+        {
+          dueDate: day("2026-01-01"),
+          recurrence: rule({ frequency: "daily", until: day("2026-01-01") })
+        },
+        day("2026-01-01")
+      ),
+      null
+    );
+  });
+
+  it("returns null for tasks that don't repeat", () => {
+    assert.equal(
+      nextOccurrence({ dueDate: null, recurrence: null }, new Date()),
+      null
+    );
+  });
+});
@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import { createReminderService } from "../src/services/reminderService.js";
+import { createTestServices } from "./helpers.js";
+
+const day = 24 * 60 * 60 * 1000;
+const now = new Date("2026-05-10T09:00:00.000Z");
+
+describe("reminderService", () => {
+  let stores;
+  let taskService;
+  let owner;
+  let messages;
+  let reminders;
+
+  beforeEach(async () => {
+    ({ stores, taskService } = await createTestServices());
+    owner = await stores.users.create({
+      email: "owner@example.com",
+      passwordHash: "x"
+    });
+    messages = [];
+    reminders = createReminderService({
+      tasks: stores.tasks,
+      boards: stores.boards,
+      users: stores.users,
+      reminders: stores.reminders,
+      notifier: { send: async (message) => messages.push(message) },
+      leadMs: day
+    });
+  });
+
+  function dueIn(title, days, fields = {}) {
+    return taskService.create(owner, {
+      title,
+      dueDate: new Date(now.getTime() + days * day),
+      ...fields
+    });
+  }
+
+  it("reminds of open tasks due soon or overdue, once each", async () => {
+    await dueIn("Soon", 0.5);
+    await dueIn("Late", -3);
+    await dueIn("Later", 5);
+
+    assert.equal(await reminders.sendDue(now), 2);
+    assert.deepEqual(
+      messages.map(({ kind, subject }) => [kind, subject]),
+      [
+        ["overdue", "Overdue: Late"],
+        ["due-soon", "Due soon: Soon"]
+      ]
+    );
+    assert.equal(await reminders.sendDue(now), 0);
+  });
+
+  it("skips finished tasks and tasks whose board is gone", async () => {
+    await dueIn("Finished", -3, { status: "done" });
+    const board = await stores.boards.create(owner.id, {
+      name: "Old",
+      columns: [{ id: "todo", name: "To Do", wipLimit: null }]
+    });
+    await dueIn("Orphaned", -3, { boardId: board.id });
+    await stores.boards.remove(owner.id, board.id);
+
+    assert.equal(await reminders.sendDue(now), 0);
+    assert.deepEqual(messages, []);
+  });
+
+  it("reminds again once a due-soon task becomes overdue", async () => {
+    await dueIn("Soon", 0.5);
+    assert.equal(await reminders.sendDue(now), 1);
+    assert.equal(await reminders.sendDue(new Date(now.getTime() + 2 * day)), 1);
+    assert.deepEqual(
+      messages.map(({ kind }) => kind),
+      ["due-soon", "overdue"]
+    );
+  });
+});
@@ -0,0 +1,102 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  NO_DUE_DATE,
+  compareTasks,
+  decodeCursor,
+  encodeCursor,
+  isAfterCursor,
+  sortKey
+} from "../src/stores/taskQuery.js";
+
+function task(id, fields = {}) {
+  return {
+    id,
+    title: id,
+    priority: "medium",
+    rank: id,
+    dueDate: null,
+    createdAt: new Date("2024-01-01T00:00:00Z"),
+    ...fields
+  };
+}
+
+describe("sortKey", () => {
+  it("puts tasks without a due date last in both directions", () => {
+    assert.equal(sortKey(task("a"), "dueDate", "asc"), NO_DUE_DATE.asc);
+    assert.equal(sortKey(task("a"), "dueDate", "desc"), NO_DUE_DATE.desc);
+  });
+
+  it("sorts titles without regard to case", () => {
+    assert.equal(
+      sortKey(task("a", { title: "Hello" }), "title", "asc"),
+      "hello"
+    );
+  });
+
+  it("orders priorities from low to high", () => {
+    const low = sortKey(task("a", { priority: "low" }), "priority", "asc");
+    const high = sortKey(task("b", { priority: "high" }), "priority", "asc");
+    assert.ok(low < high);
+  });
+});
+
+describe("compareTasks", () => {
+  it("breaks ties by id", () => {
+    const a = task("a", { title: "Same" });
+    const b = task("b", { title: "Same" });
+    assert.ok(compareTasks(a, b, "title", "asc") < 0);
+    assert.ok(compareTasks(a, b, "title", "desc") > 0);
+  });
+});
+
+describe("cursors", () => {
+  it("round-trip the position of the last task", () => {
+    const last = task("b", { rank: "V" });
+    const cursor = encodeCursor(last, "rank", "asc");
+    assert.deepEqual(decodeCursor(cursor, "rank", "asc"), {
+      value: "V",
+      id: "b"
+    });
+  });
+
+  it("are rejected for another sort or order", () => {
+    const cursor = encodeCursor(task("b"), "rank", "asc");
+    assert.equal(decodeCursor(cursor, "title", "asc"), null);
+    assert.equal(decodeCursor(cursor, "rank", "desc"), null);
+  });
+
+  it("are rejected when malformed", () => {
+    assert.equal(decodeCursor("not a cursor", "rank", "asc"), null);
+  });
+
+  it("select the tasks after the position", () => {
+    const tasks = ["a", "b", "c"].map((id) => task(id));
+    const after = decodeCursor(
+      encodeCursor(tasks[1], "rank", "asc"),
+      "rank",
+      "asc"
+    );
+    assert.deepEqual(
+      tasks
+        .filter((item) => isAfterCursor(item, after, "rank", "asc"))
+        .map((item) => item.id),
+      ["c"]
+    );
+  });
+
+  it("keep tasks with the same sort value apart by id", () => {
+    const tasks = ["a", "b", "c"].map((id) => task(id, { title: "Same" }));
+    const after = decodeCursor(
+      encodeCursor(tasks[1], "title", "desc"),
+      "title",
+      "desc"
+    );
+    assert.deepEqual(
+      tasks
+        .filter((item) => isAfterCursor(item, after, "title", "desc"))
+        .map((item) => item.id),
+      ["a"]
+    );
+  });
+});
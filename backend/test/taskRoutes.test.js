@@ -0,0 +1,132 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import express from "express";
+import { createTaskRouter, parseIfMatch } from "../src/routes/tasks.js";
+import { createTestServices, user } from "./helpers.js";
+
+describe("parseIfMatch", () => {
+  it("reads the versions of strong tags", () => {
+    assert.deepEqual(parseIfMatch(undefined), {});
+    assert.deepEqual(parseIfMatch("*"), { versions: "*" });
+    assert.deepEqual(parseIfMatch('"3"'), { versions: [3] });
+    assert.deepEqual(parseIfMatch('"3", "4"'), { versions: [3, 4] });
+  });
+
+  it("lets weak tags and tags that aren't versions match nothing", () => {
+    assert.deepEqual(parseIfMatch('W/"3"'), { versions: [] });
+    assert.deepEqual(parseIfMatch('"abc", "5"'), { versions: [5] });
+  });
+
+  it("rejects headers that aren't entity tags", () => {
+    for (const header of ["3", '"3', "", '"3",, 4']) {
+      assert.ok(parseIfMatch(header).error, header);
+    }
+  });
+});
+
+describe("task routes with If-Match", () => {
+  let server;
+  let base;
+
+  before(async () => {
+    const { taskService } = await createTestServices();
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.use("/tasks", createTaskRouter(taskService));
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    base = `http://127.0.0.1:${server.address().port}/tasks`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  function send(method, path, body, headers = {}) {
+    return fetch(`${base}${path}`, {
+      method,
+      headers: { "Content-Type": "application/json", ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+  }
+
+  async function createTask() {
+    const response = await send("POST", "", { title: "Draft" });
+    assert.equal(response.status, 201);
+    assert.equal(response.headers.get("ETag"), '"0"');
+    return response.json();
+  }
+
+  it("returns the version as the ETag", async () => {
+    const task = await createTask();
+    const response = await send("GET", `/${task.id}`);
+    assert.equal(response.headers.get("ETag"), '"0"');
+  });
+
+  it("applies a change made against the current version", async () => {
+    const task = await createTask();
+    const response = await send(
+      "PATCH",
+      `/${task.id}`,
+      { title: "Final" },
+      { "If-Match": '"0"' }
+    );
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("ETag"), '"1"');
+    assert.equal((await response.json()).title, "Final");
+  });
+
+  it("answers 412 with the current task for a stale version", async () => {
+    const task = await createTask();
+    await send("PATCH", `/${task.id}`, { title: "First" });
+    const response = await send(
+      "PATCH",
+      `/${task.id}`,
+      { title: "Second" },
+      { "If-Match": '"0"' }
+    );
+    assert.equal(response.status, 412);
+    assert.equal(response.headers.get("ETag"), '"1"');
+    const body = await response.json();
+    assert.equal(body.task.title, "First");
+
+    const deleted = await send("DELETE", `/${task.id}`, undefined, {
+      "If-Match": '"0"'
+    });
+    assert.equal(deleted.status, 412);
+  });
+
+  it("treats weak tags as never matching", async () => {
+    const task = await createTask();
+    const response = await send(
+      "PATCH",
+      `/${task.id}`,
+      { title: "Final" },
+      { "If-Match": 'W/"0"' }
+    );
+    assert.equal(response.status, 412);
+  });
+
+  it("accepts any version with *", async () => {
+    const task = await createTask();
+    await send("PATCH", `/${task.id}`, { title: "First" });
+    const response = await send("DELETE", `/${task.id}`, undefined, {
+      "If-Match": "*"
+    });
+    assert.equal(response.status, 204);
+  });
+
+  it("answers 400 to a malformed header", async () => {
+    const task = await createTask();
+    const response = await send(
+      "PATCH",
+      `/${task.id}`,
+      { title: "Final" },
+      { "If-Match": "0" }
+    );
+    assert.equal(response.status, 400);
+    assert.equal((await send("GET", `/${task.id}`)).headers.get("ETag"), '"0"');
+  });
+});
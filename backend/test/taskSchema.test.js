@@ -0,0 +1,150 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { validateTask } from "../../shared/taskSchema.js";
+
+describe("validateTask", () => {
+  it("cleans a valid task", () => {
+    assert.deepEqual(
+      validateTask({
+        title: "  Write report ",
+        priority: "high",
+        dueDate: "2026-05-01",
+        labels: ["a", " b", "a"]
+      }),
+      {
+        values: {
+          title: "Write report",
+          priority: "high",
+          dueDate: new Date("2026-05-01T00:00:00.000Z"),
+          labels: ["a", "b"]
+        },
+        errors: []
+      }
+    );
+  });
+
+  it("requires a title when creating", () => {
+    assert.deepEqual(validateTask({}).errors, [
+      { field: "title", message: "Title is required" }
+    ]);
+    assert.deepEqual(validateTask({ title: "   " }).errors, [
+      { field: "title", message: "Title is required" }
+    ]);
+  });
+
+  it("enforces length limits after trimming", () => {
+    assert.deepEqual(validateTask({ title: "x".repeat(200) }).errors, []);
+    assert.deepEqual(
+      validateTask({ title: ` ${"x".repeat(200)} ` }).errors,
+      []
+    );
+    assert.deepEqual(validateTask({ title: "x".repeat(201) }).errors, [
+      { field: "title", message: "Title must be at most 200 characters" }
+    ]);
+    assert.deepEqual(
+      validateTask({ title: "a", description: "x".repeat(5001) }).errors,
+      [
+        {
+          field: "description",
+          message: "Description must be at most 5000 characters"
+        }
+      ]
+    );
+  });
+
+  it("checks types and enums", () => {
+    assert.deepEqual(validateTask({ title: 1, priority: "urgent" }).errors, [
+      { field: "title", message: "Title must be text" },
+      {
+        field: "priority",
+        message: "Priority must be one of low, medium, high"
+      }
+    ]);
+    assert.deepEqual(validateTask({ title: "a", labels: ["a", ""] }).errors, [
+      { field: "labels", message: "Labels must be a list of label ids" }
+    ]);
+    const labels = Array.from({ length: 21 }, (_, i) => `label-${i}`);
+    assert.deepEqual(validateTask({ title: "a", labels }).errors, [
+      { field: "labels", message: "Labels can list at most 20 labels" }
+    ]);
+  });
+
+  it("parses dates and lets nullable fields be cleared", () => {
+    assert.deepEqual(validateTask({ title: "a", dueDate: "soon" }).errors, [
+      { field: "dueDate", message: "Due date must be a valid date" }
+    ]);
+    assert.deepEqual(validateTask({ title: "a", dueDate: 20260501 }).errors, [
+      { field: "dueDate", message: "Due date must be a valid date" }
+    ]);
+    assert.deepEqual(
+      validateTask({
+        title: "a",
+        dueDate: "2026-05-01T12:30:00.000Z"
+      }).values.dueDate,
+      new Date("2026-05-01T12:30:00.000Z")
+    );
+    assert.equal(
+      validateTask({ title: "a", dueDate: "" }).values.dueDate,
+      null
+    );
+    assert.equal(
+      validateTask({ title: "a", dueDate: null }).values.dueDate,
+      null
+    );
+  });
+
+  it("checks only the fields present in partial mode", () => {
+    assert.deepEqual(validateTask({}, { partial: true }), {
+      values: {},
+      errors: []
+    });
+    assert.deepEqual(validateTask({ priority: "low" }, { partial: true }), {
+      values: { priority: "low" },
+      errors: []
+    });
+    assert.deepEqual(validateTask({ title: "" }, { partial: true }).errors, [
+      { field: "title", message: "Title is required" }
+    ]);
+  });
+
+  it("treats a blank enum as its default when creating but not when updating", () => {
+    assert.deepEqual(validateTask({ title: "a", priority: "" }), {
+      values: { title: "a" },
+      errors: []
+    });
+    assert.deepEqual(validateTask({ priority: "" }, { partial: true }).errors, [
+      {
+        field: "priority",
+        message: "Priority must be one of low, medium, high"
+      }
+    ]);
+  });
+
+  it("ignores read-only fields and reports unknown ones", () => {
+    assert.deepEqual(
+      validateTask({ id: "t1", version: 3, title: "a", colour: "red" }),
+      {
+        values: { title: "a" },
+        errors: [{ field: "colour", message: "colour is not a task field" }]
+      }
+    );
+  });
+
+  it("limits which fields may be sent", () => {
+    assert.deepEqual(
+      validateTask(
+        { title: "a", status: "done" },
+        { partial: true, fields: ["title"] }
+      ).errors,
+      [{ field: "status", message: "Status can't be changed here" }]
+    );
+  });
+
+  it("rejects payloads that aren't objects", () => {
+    for (const input of [null, [], "task"]) {
+      assert.deepEqual(validateTask(input).errors, [
+        { field: null, message: "Task must be an object" }
+      ]);
+    }
+  });
+});
@@ -0,0 +1,167 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import { InvalidLinksError } from "../src/services/taskService.js";
+import { createTestServices, user } from "./helpers.js";
+
+describe("taskService", () => {
+  let stores;
+  let service;
+  let board;
+
+  beforeEach(async () => {
+    ({ stores, taskService: service } = await createTestServices());
+    board = await service.defaultBoard(user.id);
+  });
+
+  const done = () => board.columns[board.columns.length - 1].id;
+
+  describe("repeating tasks", () => {
+    const weekly = {
+      frequency: "weekly",
+      interval: 1,
+      weekdays: [],
+      until: null,
+      count: null,
+      monthDay: null
+    };
+
+    it("creates the next occurrence when one is completed", async () => {
+      const task = await service.create(user, {
+        title: "Water plants",
+        dueDate: new Date("2030-01-07T00:00:00.000Z"),
+        recurrence: weekly
+      });
+      await service.update(user, task.id, { status: done() });
+
+      const open = await service.listAll(user, {});
+      const next = open.find((item) => item.id !== task.id);
+      assert.equal(next.title, "Water plants");
+      assert.equal(next.status, board.columns[0].id);
+      assert.deepEqual(next.dueDate, new Date("2030-01-14T00:00:00.000Z"));
+      assert.equal((await service.get(user, task.id)).recurrence, null);
+    });
+
+    it("trashes the occurrence when the completion is undone", async () => {
+      const task = await service.create(user, {
+        title: "Water plants",
+        dueDate: new Date("2030-01-07T00:00:00.000Z"),
+        recurrence: weekly
+      });
+      await service.update(user, task.id, { status: done() });
+      const result = await service.undo(user, task.id);
+
+      assert.equal(result.task.status, board.columns[0].id);
+      assert.deepEqual(result.task.recurrence, weekly);
+      const open = await service.listAll(user, {});
+      assert.deepEqual(
+        open.map((item) => item.id),
+        [task.id]
+      );
+      assert.equal((await service.listTrash(user)).length, 1);
+    });
+  });
+
+  describe("task links", () => {
+    // Resolves to the field errors of the InvalidLinksError `promise` rejects
+    // with.
+    async function linkErrors(promise) {
+      await assert.rejects(promise, InvalidLinksError);
+      return promise.catch((error) => error.errors);
+    }
+
+    it("refuses a task blocking itself", async () => {
+      const task = await service.create(user, { title: "A" });
+      const errors = await linkErrors(
+        service.update(user, task.id, { blockedBy: [task.id] })
+      );
+      assert.equal(errors[0].field, "blockedBy");
+    });
+
+    it("refuses a task as its own parent", async () => {
+      const task = await service.create(user, { title: "A" });
+      const errors = await linkErrors(
+        service.update(user, task.id, { parentId: task.id })
+      );
+      assert.equal(errors[0].field, "parentId");
+    });
+
+    it("refuses a direct cycle", async () => {
+      const a = await service.create(user, { title: "A" });
+      const b = await service.create(user, {
+        title: "B",
+        blockedBy: [a.id],
+        parentId: a.id
+      });
+      const errors = await linkErrors(
+        service.update(user, a.id, { blockedBy: [b.id], parentId: b.id })
+      );
+      assert.deepEqual(
+        errors.map((error) => error.field),
+        ["parentId", "blockedBy"]
+      );
+    });
+
+    it("refuses a longer cycle", async () => {
+      const a = await service.create(user, { title: "A" });
+      const b = await service.create(user, { title: "B", blockedBy: [a.id] });
+      const c = await service.create(user, { title: "C", blockedBy: [b.id] });
+      const d = await service.create(user, { title: "D", blockedBy: [c.id] });
+      const errors = await linkErrors(
+        service.update(user, a.id, { blockedBy: [d.id] })
+      );
+      assert.equal(errors[0].field, "blockedBy");
+    });
+
+    it("allows links that share blockers without a cycle", async () => {
+      const a = await service.create(user, { title: "A" });
+      const b = await service.create(user, { title: "B", blockedBy: [a.id] });
+      const c = await service.create(user, { title: "C" });
+      const updated = await service.update(user, c.id, {
+        blockedBy: [a.id, b.id]
+      });
+      assert.deepEqual(updated.blockedBy, [a.id, b.id]);
+    });
+
+    it("allows links to tasks on other boards", async () => {
+      const other = await stores.boards.create(user.id, {
+        name: "Other",
+        columns: [
+          { id: "open", name: "Open", wipLimit: null },
+          { id: "closed", name: "Closed", wipLimit: null }
+        ]
+      });
+      const blocker = await service.create(user, {
+        title: "Elsewhere",
+        boardId: other.id
+      });
+      const task = await service.create(user, {
+        title: "Here",
+        boardId: board.id
+      });
+      const updated = await service.update(user, task.id, {
+        blockedBy: [blocker.id]
+      });
+      assert.equal(updated.boardId, board.id);
+      assert.deepEqual(updated.blockedBy, [blocker.id]);
+    });
+
+    it("refuses links to trashed tasks", async () => {
+      const gone = await service.create(user, { title: "Gone" });
+      await service.remove(user, gone.id);
+      const task = await service.create(user, { title: "Here" });
+      const errors = await linkErrors(
+        service.update(user, task.id, {
+          blockedBy: [gone.id],
+          parentId: gone.id
+        })
+      );
+      assert.deepEqual(errors, [
+        { field: "parentId", message: "Parent task not found" },
+        {
+          field: "blockedBy",
+          message: `Blocking tasks not found: ${gone.id}`
+        }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it } from "node:test";
+import express from "express";
+import {
+  createTaskExportHandler,
+  createTaskImportHandler
+} from "../src/routes/taskTransfer.js";
+import { createTestServices, user } from "./helpers.js";
+
+describe("task export and import", () => {
+  let server;
+  let base;
+  let stores;
+  let taskService;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.get("/export", (req, res) =>
+      createTaskExportHandler(taskService)(req, res)
+    );
+    app.post("/import", (req, res) =>
+      createTaskImportHandler(taskService)(req, res)
+    );
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(async () => {
+    ({ stores, taskService } = await createTestServices());
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  async function exported(query) {
+    const response = await fetch(`${base}/export?${query}`);
+    assert.equal(response.status, 200);
+    return (await response.json()).map((task) => task.title).sort();
+  }
+
+  function importTasks(tasks) {
+    return fetch(`${base}/import`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(tasks)
+    });
+  }
+
+  it("exports only the tasks matching the label filters", async () => {
+    const bug = await stores.labels.create(user.id, {
+      name: "bug",
+      color: "#ef4444"
+    });
+    const ui = await stores.labels.create(user.id, {
+      name: "ui",
+      color: "#38bdf8"
+    });
+    await taskService.create(user, { title: "Both", labels: [bug.id, ui.id] });
+    await taskService.create(user, { title: "Bug", labels: [bug.id] });
+    await taskService.create(user, { title: "None" });
+
+    assert.deepEqual(await exported(`labels=${bug.id}`), ["Both", "Bug"]);
+    assert.deepEqual(
+      await exported(`labels=${bug.id},${ui.id}&labelMatch=all`),
+      ["Both"]
+    );
+  });
+
+  it("exports only overdue tasks when asked", async () => {
+    await taskService.create(user, {
+      title: "Late",
+      dueDate: new Date("2020-01-01")
+    });
+    await taskService.create(user, {
+      title: "Finished",
+      dueDate: new Date("2020-01-01"),
+      status: "done"
+    });
+    await taskService.create(user, { title: "Undated" });
+
+    assert.deepEqual(await exported("overdue=true"), ["Late"]);
+    assert.deepEqual(await exported("overdue=false"), [
+      "Finished",
+      "Late",
+      "Undated"
+    ]);
+  });
+
+  it("rejects filters it can't read", async () => {
+    for (const query of ["labelMatch=some", "overdue=yes"]) {
+      const response = await fetch(`${base}/export?${query}`);
+      assert.equal(response.status, 400, query);
+    }
+  });
+
+  it("creates nothing when any row is invalid", async () => {
+    const response = await importTasks([{ title: "Fine" }, { title: "" }]);
+    assert.equal(response.status, 400);
+    assert.deepEqual((await response.json()).errors, [
+      { row: 2, errors: [{ field: "title", message: "Title is required" }] }
+    ]);
+    assert.deepEqual(await exported(""), []);
+  });
+
+  it("reports the tasks created before an import failed", async () => {
+    const create = stores.tasks.create;
+    let calls = 0;
+    stores.tasks.create = async (...args) => {
+      calls += 1;
+      if (calls === 3) {
+        throw new Error("The store went away");
+      }
+      return create(...args);
+    };
+    const response = await importTasks([
+      { title: "One" },
+      { title: "Two" },
+      { title: "Three" }
+    ]);
+    assert.equal(response.status, 500);
+    const body = await response.json();
+    assert.equal(body.error, "The import stopped after 2 task(s)");
+    assert.equal(body.imported, 2);
+    // Tasks are created last to first.
+    assert.deepEqual(
+      body.tasks.map((task) => task.title),
+      ["Two", "Three"]
+    );
+    assert.deepEqual(await exported(""), ["Three", "Two"]);
+  });
+});
@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { matchesTextQuery, parseTextQuery } from "../src/stores/textSearch.js";
+
+const task = {
+  title: "Café opening checklist",
+  description: "Order the chairs and paint the walls"
+};
+
+function matches(q) {
+  return matchesTextQuery(task, parseTextQuery(q));
+}
+
+describe("parseTextQuery", () => {
+  it("splits terms, quoted phrases and exclusions", () => {
+    assert.deepEqual(parseTextQuery('paint "the walls" -chairs'), {
+      terms: ["paint"],
+      phrases: ["the walls"],
+      excluded: ["chair"]
+    });
+  });
+
+  it("ignores empty phrases", () => {
+    assert.deepEqual(parseTextQuery('"  " paint').phrases, []);
+  });
+});
+
+describe("matchesTextQuery", () => {
+  it("matches any of the terms", () => {
+    assert.equal(matches("banana paint"), true);
+    assert.equal(matches("banana"), false);
+  });
+
+  it("ignores case and diacritics", () => {
+    assert.equal(matches("CAFE"), true);
+  });
+
+  it("stems simple suffixes", () => {
+    assert.equal(matches("painting"), true);
+    assert.equal(matches("chair"), true);
+  });
+
+  it("requires every phrase", () => {
+    assert.equal(matches('"the walls"'), true);
+    assert.equal(matches('"the walls" "the floor"'), false);
+  });
+
+  it("rejects tasks with an excluded term", () => {
+    assert.equal(matches("paint -walls"), false);
+  });
+
+  it("searches the description as well as the title", () => {
+    assert.equal(matches("order"), true);
+    assert.equal(
+      matchesTextQuery({ title: "Order" }, parseTextQuery("order")),
+      true
+    );
+  });
+});
@@ -0,0 +1,136 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { buildOpenApiSpec } from "../src/openapi/index.js";
+import { resolveRef, validateValue } from "../src/openapi/validate.js";
+
+const document = {
+  components: {
+    schemas: {
+      Label: {
+        type: "object",
+        properties: {
+          name: { type: "string", minLength: 1, maxLength: 5 },
+          color: { type: "string", pattern: "^#[0-9a-f]{6}$" }
+        },
+        required: ["name"],
+        additionalProperties: false
+      }
+    }
+  }
+};
+const label = { $ref: "#/components/schemas/Label" };
+
+describe("resolveRef", () => {
+  it("follows local references", () => {
+    assert.equal(
+      resolveRef(document, label),
+      document.components.schemas.Label
+    );
+  });
+});
+
+describe("validateValue", () => {
+  it("accepts values that match", () => {
+    assert.deepEqual(
+      validateValue(document, label, { name: "bug", color: "#ef4444" }),
+      []
+    );
+  });
+
+  it("reports each problem with the field it is about", () => {
+    assert.deepEqual(
+      validateValue(document, label, { color: "red", size: 2 }),
+      [
+        { field: "name", message: "name is required" },
+        { field: "color", message: "color must match ^#[0-9a-f]{6}$" },
+        { field: "size", message: "size is not allowed here" }
+      ]
+    );
+  });
+
+  it("checks types, telling integers from numbers", () => {
+    assert.deepEqual(validateValue(document, { type: "integer" }, 1.5), [
+      { field: null, message: "The value must be an integer" }
+    ]);
+    assert.deepEqual(validateValue(document, { type: "number" }, 2), []);
+    assert.deepEqual(
+      validateValue(document, { type: ["string", "null"] }, 2, "due"),
+      [{ field: "due", message: "due must be a string or null" }]
+    );
+  });
+
+  it("checks enums, bounds and formats", () => {
+    assert.deepEqual(
+      validateValue(document, { enum: ["low", "high"] }, "mid", "priority"),
+      [{ field: "priority", message: "priority must be one of low, high" }]
+    );
+    assert.deepEqual(
+      validateValue(document, { type: "integer", minimum: 1 }, 0, "limit"),
+      [{ field: "limit", message: "limit must be at least 1" }]
+    );
+    assert.deepEqual(
+      validateValue(
+        document,
+        { type: "string", format: "date" },
+        "2026-1-1",
+        "dueDate"
+      ),
+      [{ field: "dueDate", message: "dueDate must be a date" }]
+    );
+    assert.deepEqual(
+      validateValue(
+        document,
+        { type: "string", format: "date-time" },
+        "2026-01-01T00:00:00.000Z"
+      ),
+      []
+    );
+  });
+
+  it("names array items by their index", () => {
+    assert.deepEqual(
+      validateValue(
+        document,
+        { type: "array", items: label, maxItems: 2 },
+        [{ name: "a" }, { name: "" }, { name: "c" }],
+        "labels"
+      ),
+      [
+        { field: "labels", message: "labels must have at most 2 item(s)" },
+        { field: "labels[1].name", message: "labels[1].name can't be empty" }
+      ]
+    );
+  });
+
+  it("explains anyOf failures with the closest option", () => {
+    const schema = { anyOf: [label, { type: "null" }] };
+    assert.deepEqual(validateValue(document, schema, null), []);
+    assert.deepEqual(validateValue(document, schema, { name: "toolong" }), [
+      { field: "name", message: "name must be at most 5 characters" }
+    ]);
+  });
+
+  it("rejects values matching more than one oneOf option", () => {
+    assert.deepEqual(
+      validateValue(
+        document,
+        { oneOf: [{ type: "integer" }, { type: "number" }] },
+        1
+      ),
+      [
+        {
+          field: null,
+          message: "The value matches more than one of the allowed shapes"
+        }
+      ]
+    );
+  });
+
+  it("checks values against the API's own specification", () => {
+    const spec = buildOpenApiSpec();
+    const task = spec.components.schemas.Task;
+    assert.ok(task, "the specification describes tasks");
+    const errors = validateValue(spec, task, { title: 1 });
+    assert.ok(errors.some((error) => error.field === "title"));
+  });
+});
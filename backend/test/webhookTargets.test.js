@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  checkWebhookTarget,
+  isPrivateAddress
+} from "../src/services/webhookTargets.js";
+
+// Resolves names from a fixed table instead of DNS.
+function resolver(table) {
+  return async (host) => {
+    if (!table[host]) {
+      throw new Error(`getaddrinfo ENOTFOUND ${host}`);
+    }
+    return table[host].map((address) => ({ address }));
+  };
+}
+
+const open = { allowedHosts: [] };
+
+describe("isPrivateAddress", () => {
+  it("flags loopback, private, link-local and mapped addresses", () => {
+    for (const address of [
+      "127.0.0.1",
+      "10.1.2.3",
+      "172.20.0.5",
+      "192.168.1.1",
+      "169.254.169.254",
+      "0.0.0.0",
+      "::1",
+      "fd00::1",
+      "fe80::1",
+      "::ffff:127.0.0.1"
+    ]) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+  });
+
+  it("lets public addresses through", () => {
+    for (const address of ["93.184.216.34", "8.8.8.8", "2606:4700::1111"]) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+});
+
+describe("checkWebhookTarget", () => {
+  it("refuses hosts that resolve to a private address", async () => {
+    const resolve = resolver({
+      mongo: ["172.18.0.2"],
+      "split.example": ["93.184.216.34", "10.0.0.1"]
+    });
+    assert.equal(
+      await checkWebhookTarget("http://mongo:27017/", open, resolve),
+      "mongo is on a private network"
+    );
+    assert.equal(
+      await checkWebhookTarget("http://split.example/", open, resolve),
+      "split.example is on a private network"
+    );
+    assert.equal(
+      await checkWebhookTarget("http://169.254.169.254/latest", open, resolve),
+      "169.254.169.254 is on a private network"
+    );
+    assert.equal(
+      await checkWebhookTarget("http://[::1]:4000/", open, resolve),
+      "::1 is on a private network"
+    );
+  });
+
+  it("allows public hosts", async () => {
+    const resolve = resolver({ "hooks.example": ["93.184.216.34"] });
+    assert.equal(
+      await checkWebhookTarget("https://hooks.example/in", open, resolve),
+      null
+    );
+  });
+
+  it("reports hosts that don't resolve", async () => {
+    assert.equal(
+      await checkWebhookTarget("https://nowhere.example/", open, resolver({})),
+      "Couldn't resolve nowhere.example"
+    );
+  });
+
+  it("only allows listed hosts when there is a list", async () => {
+    const config = { allowedHosts: ["ci.internal", "*.example.com"] };
+    const resolve = resolver({});
+    assert.equal(
+      await checkWebhookTarget("http://ci.internal/hook", config, resolve),
+      null
+    );
+    assert.equal(
+      await checkWebhookTarget("https://a.b.example.com/", config, resolve),
+      null
+    );
+    assert.equal(
+      await checkWebhookTarget("https://example.com/", config, resolve),
+      "example.com isn't an allowed webhook host"
+    );
+    assert.equal(
+      await checkWebhookTarget("https://evil.test/", config, resolve),
+      "evil.test isn't an allowed webhook host"
+    );
+  });
+});
@@ -0,0 +1,97 @@
+// Keeps the built app loading without the network. The page is fetched from
+// the network first and falls back to the copy cached last time; the hashed
+// files under assets/ never change, so once cached they are served from the
+// cache. API requests are left alone: the app keeps its own copy of the
+// board in IndexedDB.
+
+const cacheName = "taskboard-app-v1";
+const scope = self.registration.scope;
+const assetPrefix = `${scope}assets/`;
+
+// Caches the page along with the scripts and styles it loads, and drops
+// assets left over from earlier builds.
+async function cachePage(response) {
+  const cache = await caches.open(cacheName);
+  const html = await response.clone().text();
+  const assets = [...html.matchAll(/(?:src|href)="([^"]+)"/g)]
+    .map((match) => new URL(match[1], scope).href)
+    .filter((url) => url.startsWith(assetPrefix));
+  await cache.put(scope, response);
+  for (const asset of assets) {
+    if (!(await cache.match(asset))) {
+      await cache.add(asset);
+    }
+  }
+  for (const request of await cache.keys()) {
+    if (request.url.startsWith(assetPrefix) && !assets.includes(request.url)) {
+      await cache.delete(request);
+    }
+  }
+}
+
+async function fromNetworkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cachePage(response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await caches.match(scope);
+    if (cached) {
+      return cached;
+    }
+    throw err;
+  }
+}
+
+async function fromCacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) {
+    return cached;
+  }
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    fetch(scope, { cache: "no-cache" })
+      .then((response) => response.ok && cachePage(response))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name !== cacheName)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || !request.url.startsWith(scope)) {
+    return;
+  }
+  if (new URL(request.url).pathname.startsWith("/api/")) {
+    return;
+  }
+  if (request.mode === "navigate") {
+    event.respondWith(fromNetworkFirst(request));
+  } else if (request.url.startsWith(assetPrefix)) {
+    event.respondWith(fromCacheFirst(request));
+  }
+});
@@ -0,0 +1,448 @@
+import { useEffect, useState } from "react";
+import { describeFailure } from "./api.js";
+
+const buttonStyle = {
+  border: "none",
+  borderRadius: "999px",
+  padding: "2px 8px",
+  fontSize: "10px",
+  cursor: "pointer",
+  backgroundColor: "#0f172a",
+  color: "#e5e7eb"
+};
+
+const inputStyle = {
+  padding: "4px 6px",
+  borderRadius: "6px",
+  border: "1px solid #374151",
+  backgroundColor: "#020617",
+  color: "#e5e7eb",
+  fontSize: "11px"
+};
+
+const headingStyle = {
+  margin: "0 0 6px",
+  fontSize: "12px",
+  textTransform: "uppercase",
+  letterSpacing: "0.08em",
+  color: "#9ca3af"
+};
+
+// Column colours from first to last; the last column is always green.
+const columnColors = ["#38bdf8", "#a78bfa", "#f97316", "#facc15", "#f472b6"];
+const doneColor = "#22c55e";
+const priorityColors = { low: "#38bdf8", medium: "#22c55e", high: "#f97316" };
+
+const chartWidth = 600;
+const chartHeight = 160;
+
+function colorOf(index, count) {
+  return index === count - 1
+    ? doneColor
+    : columnColors[index % columnColors.length];
+}
+
+function formatDays(days) {
+  if (days === null) {
+    return "–";
+  }
+  return days < 1 ? `${Math.round(days * 24)}h` : `${days}d`;
+}
+
+function shortDate(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC"
+  });
+}
+
+function Section({ title, children }) {
+  return (
+    <section
+      style={{
+        borderRadius: "10px",
+        border: "1px solid #1f2937",
+        padding: "10px"
+      }}
+    >
+      <h3 style={headingStyle}>{title}</h3>
+      {children}
+    </section>
+  );
+}
+
+// Horizontal bars, one per row, scaled to the largest count.
+function CountBars({ rows }) {
+  const max = Math.max(1, ...rows.map((row) => row.count));
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+      {rows.map((row) => (
+        <div
+          key={row.label}
+          style={{
+            display: "grid",
+            gridTemplateColumns: "90px 1fr 32px",
+            alignItems: "center",
+            gap: "6px",
+            fontSize: "11px"
+          }}
+        >
+          <span style={{ color: "#9ca3af" }}>{row.label}</span>
+          <div
+            style={{
+              height: "8px",
+              borderRadius: "999px",
+              backgroundColor: "#0f172a"
+            }}
+          >
+            <div
+              style={{
+                width: `${(row.count / max) * 100}%`,
+                height: "100%",
+                borderRadius: "999px",
+                backgroundColor: row.color
+              }}
+            />
+          </div>
+          <span style={{ textAlign: "right" }}>{row.count}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function Percentiles({ summary }) {
+  return (
+    <div style={{ display: "flex", gap: "12px", fontSize: "11px" }}>
+      {["p50", "p85", "p95"].map((key) => (
+        <div key={key}>
+          <div style={{ color: "#6b7280" }}>{key}</div>
+          <div style={{ fontSize: "16px" }}>{formatDays(summary[key])}</div>
+        </div>
+      ))}
+      <div>
+        <div style={{ color: "#6b7280" }}>tasks</div>
+        <div style={{ fontSize: "16px" }}>{summary.count}</div>
+      </div>
+    </div>
+  );
+}
+
+// The first and last labels under a chart.
+function AxisLabels({ first, last }) {
+  return (
+    <div
+      style={{
+        display: "flex",
+        justifyContent: "space-between",
+        fontSize: "10px",
+        color: "#6b7280"
+      }}
+    >
+      <span>{first}</span>
+      <span>{last}</span>
+    </div>
+  );
+}
+
+function ThroughputChart({ weeks }) {
+  const max = Math.max(1, ...weeks.map((week) => week.completed));
+  const slot = chartWidth / weeks.length;
+  return (
+    <>
+      <svg
+        viewBox={`0 0 ${chartWidth} ${chartHeight}`}
+        style={{ width: "100%", height: "auto" }}
+        role="img"
+        aria-label="Tasks completed per week"
+      >
+        {weeks.map((week, index) => {
+          const height = (week.completed / max) * (chartHeight - 16);
+          return (
+            <g key={week.weekStart}>
+              <title>{`Week of ${shortDate(week.weekStart)}: ${
+                week.completed
+              } done`}</title>
+              <rect
+                x={index * slot + slot * 0.15}
+                y={chartHeight - height}
+                width={slot * 0.7}
+                height={height}
+                rx={3}
+                fill={doneColor}
+              />
+              {week.completed > 0 && (
+                <text
+                  x={index * slot + slot / 2}
+                  y={chartHeight - height - 4}
+                  textAnchor="middle"
+                  fontSize="11"
+                  fill="#e5e7eb"
+                >
+                  {week.completed}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+      <AxisLabels
+        first={shortDate(weeks[0].weekStart)}
+        last={shortDate(weeks[weeks.length - 1].weekStart)}
+      />
+    </>
+  );
+}
+
+// Each column's count stacked day by day, last column at the bottom, so
+// bands that widen show where work piles up.
+function CumulativeFlowChart({ flow, columns }) {
+  const totals = flow.map((day) =>
+    columns.reduce((sum, column) => sum + day.columns[column.status], 0)
+  );
+  const max = Math.max(1, ...totals);
+  const step = flow.length > 1 ? chartWidth / (flow.length - 1) : chartWidth;
+  const y = (value) => chartHeight - (value / max) * chartHeight;
+  const stacked = [...columns].reverse();
+  const bands = [];
+  const base = flow.map(() => 0);
+  for (const column of stacked) {
+    const lower = [...base];
+    flow.forEach((day, index) => {
+      base[index] += day.columns[column.status];
+    });
+    const top = base.map((value, index) => `${index * step},${y(value)}`);
+    const bottom = lower
+      .map((value, index) => `${index * step},${y(value)}`)
+      .reverse();
+    bands.push({ column, points: [...top, ...bottom].join(" ") });
+  }
+  return (
+    <>
+      <svg
+        viewBox={`0 0 ${chartWidth} ${chartHeight}`}
+        preserveAspectRatio="none"
+        style={{ width: "100%", height: `${chartHeight}px` }}
+        role="img"
+        aria-label="Cumulative flow"
+      >
+        {bands.map(({ column, points }) => (
+          <polygon
+            key={column.status}
+            points={points}
+            fill={column.color}
+            fillOpacity={0.75}
+          />
+        ))}
+      </svg>
+      <AxisLabels
+        first={shortDate(flow[0].date)}
+        last={shortDate(flow[flow.length - 1].date)}
+      />
+      <div style={{ display: "flex", gap: "10px", fontSize: "11px" }}>
+        {columns.map((column) => (
+          <span key={column.status} style={{ color: column.color }}>
+            ■ <span style={{ color: "#9ca3af" }}>{column.name}</span>
+          </span>
+        ))}
+      </div>
+    </>
+  );
+}
+
+function BurndownChart({ flow }) {
+  const max = Math.max(1, ...flow.map((day) => day.remaining));
+  const step = flow.length > 1 ? chartWidth / (flow.length - 1) : chartWidth;
+  const points = flow
+    .map(
+      (day, index) =>
+        `${index * step},${chartHeight - (day.remaining / max) * chartHeight}`
+    )
+    .join(" ");
+  const last = flow[flow.length - 1];
+  return (
+    <>
+      <svg
+        viewBox={`0 0 ${chartWidth} ${chartHeight}`}
+        preserveAspectRatio="none"
+        style={{ width: "100%", height: `${chartHeight}px` }}
+        role="img"
+        aria-label="Open tasks per day"
+      >
+        <polyline
+          points={points}
+          fill="none"
+          stroke="#f97316"
+          strokeWidth={2}
+          vectorEffect="non-scaling-stroke"
+        />
+      </svg>
+      <AxisLabels
+        first={`${shortDate(flow[0].date)}: ${flow[0].remaining} open`}
+        last={`${shortDate(last.date)}: ${last.remaining} open`}
+      />
+    </>
+  );
+}
+
+// Metrics for the selected board: what is on it now, how fast work gets
+// done and how the columns have filled and emptied over the chosen dates.
+export default function AnalyticsView({ apiFetch, boardId }) {
+  const [stats, setStats] = useState(null);
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  async function loadStats() {
+    if (!boardId) {
+      return;
+    }
+    setLoading(true);
+    setError("");
+    try {
+      const params = new URLSearchParams();
+      if (from) {
+        params.set("from", from);
+      }
+      if (to) {
+        params.set("to", to);
+      }
+      const response = await apiFetch(`/api/boards/${boardId}/stats?${params}`);
+      if (!response.ok) {
+        throw new Error(
+          await describeFailure(response, "Failed to load board stats")
+        );
+      }
+      setStats(await response.json());
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    loadStats();
+  }, [boardId, from, to]);
+
+  const columns = stats
+    ? stats.counts.byStatus.map((column, index, all) => ({
+        ...column,
+        color: colorOf(index, all.length)
+      }))
+    : [];
+
+  return (
+    <div
+      style={{
+        borderRadius: "12px",
+        backgroundColor: "#020617",
+        border: "1px solid #1f2937",
+        padding: "12px",
+        boxShadow: "0 16px 30px rgba(0,0,0,0.4)",
+        display: "flex",
+        flexDirection: "column",
+        gap: "10px"
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+          gap: "8px",
+          flexWrap: "wrap"
+        }}
+      >
+        <h2
+          style={{
+            fontSize: "14px",
+            textTransform: "uppercase",
+            letterSpacing: "0.08em",
+            color: "#9ca3af"
+          }}
+        >
+          Analytics{stats ? `: ${stats.board.name}` : ""}
+        </h2>
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: "6px",
+            fontSize: "11px",
+            color: "#9ca3af"
+          }}
+        >
+          <input
+            type="date"
+            value={from || stats?.range.from || ""}
+            onChange={(event) => setFrom(event.target.value)}
+            aria-label="From"
+            style={inputStyle}
+          />
+          to
+          <input
+            type="date"
+            value={to || stats?.range.to || ""}
+            onChange={(event) => setTo(event.target.value)}
+            aria-label="To"
+            style={inputStyle}
+          />
+          <button onClick={loadStats} disabled={loading} style={buttonStyle}>
+            {loading ? "Loading…" : "Refresh"}
+          </button>
+        </div>
+      </div>
+      {error && (
+        <p style={{ margin: 0, fontSize: "12px", color: "#f97316" }}>{error}</p>
+      )}
+      {stats && (
+        <>
+          <div
+            style={{
+              display: "grid",
+              gridTemplateColumns: "repeat(auto-fit, minmax(220px, 1fr))",
+              gap: "10px"
+            }}
+          >
+            <Section title={`By column (${stats.counts.total} tasks)`}>
+              <CountBars
+                rows={columns.map((column) => ({
+                  label: column.name,
+                  count: column.count,
+                  color: column.color
+                }))}
+              />
+            </Section>
+            <Section title="By priority">
+              <CountBars
+                rows={stats.counts.byPriority.map((row) => ({
+                  label: row.priority,
+                  count: row.count,
+                  color: priorityColors[row.priority]
+                }))}
+              />
+            </Section>
+            <Section title="Lead time">
+              <Percentiles summary={stats.leadTime} />
+            </Section>
+            <Section title="Cycle time">
+              <Percentiles summary={stats.cycleTime} />
+            </Section>
+          </div>
+          <Section title="Throughput per week">
+            <ThroughputChart weeks={stats.throughput} />
+          </Section>
+          <Section title="Cumulative flow">
+            <CumulativeFlowChart flow={stats.flow} columns={columns} />
+          </Section>
+          <Section title="Burndown">
+            <BurndownChart flow={stats.flow} />
+          </Section>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,161 +1,1151 @@
-import { useEffect, useMemo, useState } from "react";
+import { Fragment, useEffect, useMemo, useRef, useState } from "react";
+import {
+  isDoneColumn,
+  isOverdue,
+  priorities,
+  taskFields,
+  validateTask
+} from "../../shared/taskSchema.js";
+import AnalyticsView from "./AnalyticsView.jsx";
+import AuthForm from "./AuthForm.jsx";
+import BoardManager from "./BoardManager.jsx";
+import BulkActionBar from "./BulkActionBar.jsx";
+import ConflictDialog from "./ConflictDialog.jsx";
+import LabelChip from "./LabelChip.jsx";
+import LabelManager from "./LabelManager.jsx";
+import {
+  OfflineError,
+  dropMutation,
+  dropMutationsFor,
+  forgetCache,
+  isLocalTask,
+  isUnavailable,
+  localTask,
+  pendingMutations,
+  queueMutation,
+  readCache,
+  rebaseMutations,
+  replayRequest,
+  writeCache
+} from "./offline.js";
+import RecurrenceFields, {
+  emptyRecurrence,
+  recurrencePayload
+} from "./RecurrenceFields.jsx";
+import TaskCard from "./TaskCard.jsx";
+import TaskTransfer from "./TaskTransfer.jsx";
+import TrashView from "./TrashView.jsx";
+import { apiUrl, describeFailure, ifMatch } from "./api.js";
+import { subscribeToTaskEvents } from "./taskStream.js";
 
-const apiUrl = import.meta.env.VITE_API_URL || "";
-
-const priorities = [
-  { value: "low", label: "Low" },
-  { value: "medium", label: "Medium" },
-  { value: "high", label: "High" }
+const sortOptions = [
+  { value: "rank:asc", label: "Board order" },
+  { value: "createdAt:desc", label: "Newest first" },
+  { value: "createdAt:asc", label: "Oldest first" },
+  { value: "dueDate:asc", label: "Due soonest" },
+  { value: "dueDate:desc", label: "Due latest" },
+  { value: "priority:desc", label: "Highest priority" },
+  { value: "priority:asc", label: "Lowest priority" },
+  { value: "title:asc", label: "Title A-Z" },
+  { value: "title:desc", label: "Title Z-A" }
 ];
 
-const statuses = [
-  { value: "todo", label: "To Do" },
-  { value: "in-progress", label: "In Progress" },
-  { value: "done", label: "Done" }
-];
+const pageSize = 50;
+const replayInterval = 15000;
+
+const sessionStorageKey = "taskboard.session";
+const boardStorageKey = "taskboard.board";
+
+function readSession() {
+  try {
+    return JSON.parse(localStorage.getItem(sessionStorageKey));
+  } catch (err) {
+    return null;
+  }
+}
+
+function FieldError({ message }) {
+  if (!message) {
+    return null;
+  }
+  return (
+    <p style={{ marginTop: "4px", fontSize: "11px", color: "#f97316" }}>
+      {message}
+    </p>
+  );
+}
+
+function fieldBorder(message) {
+  return message ? "1px solid #f97316" : "1px solid #374151";
+}
+
+function describeSync(offline, pending) {
+  const changes = pending === 1 ? "1 change" : `${pending} changes`;
+  if (!offline) {
+    return `Sending ${changes} made offline...`;
+  }
+  return pending
+    ? `Offline: ${changes} will be sent when the backend is back`
+    : "Offline: showing the board as last seen";
+}
+
+function DropIndicator() {
+  return (
+    <div
+      style={{
+        height: "2px",
+        borderRadius: "999px",
+        backgroundColor: "#22c55e"
+      }}
+    />
+  );
+}
 
 export default function App() {
+  const [session, setSession] = useState(readSession);
+  const [boards, setBoards] = useState([]);
+  const [boardId, setBoardId] = useState(() =>
+    localStorage.getItem(boardStorageKey)
+  );
+  const [showBoardManager, setShowBoardManager] = useState(false);
   const [tasks, setTasks] = useState([]);
   const [title, setTitle] = useState("");
   const [description, setDescription] = useState("");
   const [priority, setPriority] = useState("medium");
   const [dueDate, setDueDate] = useState("");
+  const [recurrence, setRecurrence] = useState(emptyRecurrence);
+  const [fieldErrors, setFieldErrors] = useState({});
   const [statusFilter, setStatusFilter] = useState("all");
   const [priorityFilter, setPriorityFilter] = useState("all");
+  const [overdueOnly, setOverdueOnly] = useState(false);
+  const [search, setSearch] = useState("");
+  const [searchQuery, setSearchQuery] = useState("");
+  const [labels, setLabels] = useState([]);
+  const [labelFilter, setLabelFilter] = useState([]);
+  const [labelMatch, setLabelMatch] = useState("any");
+  const [showLabelManager, setShowLabelManager] = useState(false);
+  const [sortOrder, setSortOrder] = useState("rank:asc");
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [undoStack, setUndoStack] = useState([]);
+  const [conflict, setConflict] = useState(null);
+  const [offline, setOffline] = useState(false);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [view, setView] = useState("board");
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const loadRequest = useRef(0);
+  const loadMoreRef = useRef(null);
+  const filtersRef = useRef(null);
+  const loadTasksRef = useRef(null);
+  const loadLabelsRef = useRef(null);
+  const loadBoardsRef = useRef(null);
+  const replayRef = useRef(null);
+  const replaying = useRef(false);
+  const pendingRef = useRef(0);
+  const offlineRef = useRef(false);
+  const wasOffline = useRef(false);
+  const conflictRef = useRef(null);
+  // The board whose unfiltered task list is on screen, and so can be cached.
+  const cachedBoardRef = useRef(null);
+  pendingRef.current = pendingCount;
+  offlineRef.current = offline;
+  conflictRef.current = conflict;
+  const owner = session?.user.id;
+  filtersRef.current = {
+    boardId,
+    board: boards.find((item) => item.id === boardId),
+    statusFilter,
+    priorityFilter,
+    overdueOnly,
+    labelFilter,
+    labelMatch,
+    searchQuery,
+    sortOrder
+  };
 
-  async function loadTasks() {
+  function handleAuthenticated(data) {
+    localStorage.setItem(sessionStorageKey, JSON.stringify(data));
+    setSession(data);
+  }
+
+  function logout() {
+    localStorage.removeItem(sessionStorageKey);
+    loadRequest.current += 1;
+    setSession(null);
+    setBoards([]);
+    setTasks([]);
+    setLabels([]);
+    setLabelFilter([]);
+    setUndoStack([]);
+    setNextCursor(null);
+    setLoading(false);
+    setPendingCount(0);
+    cachedBoardRef.current = null;
+  }
+
+  function signOut() {
+    forgetCache(owner);
+    logout();
+  }
+
+  // Requests that can't reach the backend throw an OfflineError, which the
+  // board answers from its cache and queue instead.
+  async function apiFetch(path, options = {}) {
+    let response;
+    try {
+      response = await fetch(`${apiUrl}${path}`, {
+        ...options,
+        headers: {
+          ...options.headers,
+          Authorization: `Bearer ${session.token}`
+        }
+      });
+    } catch (err) {
+      if (err instanceof TypeError) {
+        setOffline(true);
+        throw new OfflineError();
+      }
+      throw err;
+    }
+    if (isUnavailable(response)) {
+      setOffline(true);
+      throw new OfflineError();
+    }
+    setOffline(false);
+    if (response.status === 401) {
+      logout();
+      throw new Error("Your session has expired, please log in again");
+    }
+    return response;
+  }
+
+  async function loadTasks(cursor) {
+    if (!boardId) {
+      return;
+    }
+    const request = ++loadRequest.current;
     setLoading(true);
     setError("");
     try {
-      const params = new URLSearchParams();
+      const [sort, order] = sortOrder.split(":");
+      const params = new URLSearchParams({
+        boardId,
+        sort,
+        order,
+        limit: String(pageSize)
+      });
       if (statusFilter !== "all") {
         params.set("status", statusFilter);
       }
       if (priorityFilter !== "all") {
         params.set("priority", priorityFilter);
       }
-      const query = params.toString();
-      const url = query
-        ? `${apiUrl}/api/tasks?${query}`
-        : `${apiUrl}/api/tasks`;
-      const response = await fetch(url);
+      if (overdueOnly) {
+        params.set("overdue", "true");
+      }
+      if (labelFilter.length) {
+        params.set("labels", labelFilter.join(","));
+        params.set("labelMatch", labelMatch);
+      }
+      if (searchQuery) {
+        params.set("q", searchQuery);
+      }
+      if (cursor) {
+        params.set("cursor", cursor);
+      }
+      const response = await apiFetch(`/api/tasks?${params}`);
       if (!response.ok) {
         throw new Error("Failed to load tasks");
       }
       const data = await response.json();
-      setTasks(data);
+      if (request !== loadRequest.current) {
+        return;
+      }
+      if (!cursor) {
+        cachedBoardRef.current = unfiltered() ? boardId : null;
+      }
+      setTasks((current) =>
+        cursor ? [...current, ...data.items] : data.items
+      );
+      setNextCursor(data.nextCursor);
     } catch (err) {
-      setError(err.message || "Something went wrong");
+      if (err instanceof OfflineError && !cursor) {
+        await loadCachedTasks(request);
+      } else if (request === loadRequest.current) {
+        setError(err.message || "Something went wrong");
+      }
     } finally {
-      setLoading(false);
+      if (request === loadRequest.current) {
+        setLoading(false);
+      }
     }
   }
 
   useEffect(() => {
-    loadTasks();
-  }, [statusFilter, priorityFilter]);
+    if (session) {
+      loadTasks();
+    }
+  }, [
+    session,
+    boardId,
+    statusFilter,
+    priorityFilter,
+    overdueOnly,
+    labelFilter,
+    labelMatch,
+    searchQuery,
+    sortOrder
+  ]);
 
+  loadTasksRef.current = loadTasks;
+
+  function unfiltered() {
+    const filters = filtersRef.current;
+    return (
+      filters.statusFilter === "all" &&
+      filters.priorityFilter === "all" &&
+      !filters.overdueOnly &&
+      !filters.labelFilter.length &&
+      !filters.searchQuery
+    );
+  }
+
+  // Offline, the board comes from the copy cached when it was last loaded,
+  // with the filters applied here; search only looks at titles and
+  // descriptions.
+  async function loadCachedTasks(request) {
+    const cached = await readCache(owner, `tasks:${boardId}`);
+    if (request !== loadRequest.current || !cached) {
+      return;
+    }
+    const query = filtersRef.current.searchQuery.toLowerCase();
+    cachedBoardRef.current = unfiltered() ? boardId : null;
+    setTasks(
+      inBoardOrder(
+        cached.filter(
+          (task) =>
+            matchesFilters(task) &&
+            `${task.title} ${task.description}`.toLowerCase().includes(query)
+        )
+      )
+    );
+    setNextCursor(null);
+  }
+
+  // Keeps the cached board in step with what's on screen, including changes
+  // made offline and ones pushed by the backend.
+  useEffect(() => {
+    if (session && cachedBoardRef.current === boardId && unfiltered()) {
+      writeCache(owner, `tasks:${boardId}`, tasks);
+    }
+  }, [tasks]);
+
+  function matchesFilters(task) {
+    const filters = filtersRef.current;
+    return (
+      task.boardId === filters.boardId &&
+      (filters.statusFilter === "all" ||
+        task.status === filters.statusFilter) &&
+      (filters.priorityFilter === "all" ||
+        task.priority === filters.priorityFilter) &&
+      (!filters.overdueOnly ||
+        (filters.board && isOverdue(task, filters.board))) &&
+      (!filters.labelFilter.length ||
+        filters.labelFilter[filters.labelMatch === "all" ? "every" : "some"](
+          (id) => task.labels?.includes(id)
+        ))
+    );
+  }
+
+  async function loadLabels() {
+    try {
+      const response = await apiFetch("/api/labels");
+      if (!response.ok) {
+        throw new Error("Failed to load labels");
+      }
+      const data = await response.json();
+      setLabels(data);
+      writeCache(owner, "labels", data);
+    } catch (err) {
+      if (err instanceof OfflineError) {
+        const cached = await readCache(owner, "labels");
+        if (cached) {
+          setLabels(cached);
+        }
+        return;
+      }
+      setError(err.message || "Something went wrong");
+    }
+  }
+
+  loadLabelsRef.current = loadLabels;
+
+  // Falls back to the first board when the remembered one is gone.
+  async function loadBoards() {
+    try {
+      const response = await apiFetch("/api/boards");
+      if (!response.ok) {
+        throw new Error("Failed to load boards");
+      }
+      const data = await response.json();
+      showBoards(data);
+      writeCache(owner, "boards", data);
+    } catch (err) {
+      if (err instanceof OfflineError) {
+        const cached = await readCache(owner, "boards");
+        if (cached) {
+          showBoards(cached);
+        }
+        return;
+      }
+      setError(err.message || "Something went wrong");
+    }
+  }
+
+  function showBoards(data) {
+    setBoards(data);
+    setBoardId((current) =>
+      data.some((item) => item.id === current) ? current : data[0]?.id
+    );
+  }
+
+  loadBoardsRef.current = loadBoards;
+
+  useEffect(() => {
+    if (session) {
+      loadBoards();
+    }
+  }, [session]);
+
+  // Column filters and selections belong to the board they were made on.
+  useEffect(() => {
+    if (boardId) {
+      localStorage.setItem(boardStorageKey, boardId);
+    }
+    setStatusFilter("all");
+    setSelectedIds(new Set());
+  }, [boardId]);
+
+  function toggleLabelFilter(id) {
+    setLabelFilter((current) =>
+      current.includes(id)
+        ? current.filter((item) => item !== id)
+        : [...current, id]
+    );
+  }
+
+  // In board order the server-assigned rank decides where a task sits, so
+  // tasks changed by a response or a pushed event are slotted back into place.
+  function inBoardOrder(list) {
+    if (filtersRef.current.sortOrder !== "rank:asc") {
+      return list;
+    }
+    return [...list].sort((a, b) => {
+      const rankA = a.rank ?? "";
+      const rankB = b.rank ?? "";
+      if (rankA !== rankB) {
+        return rankA < rankB ? -1 : 1;
+      }
+      return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    });
+  }
+
+  function applyTaskEvent(type, payload) {
+    setTasks((current) =>
+      inBoardOrder(applyTaskChange(current, type, payload))
+    );
+  }
+
+  function applyTaskChange(current, type, payload) {
+    const exists = current.some((task) => task.id === payload.id);
+    if (type === "task.deleted" || !matchesFilters(payload)) {
+      return exists
+        ? current.filter((task) => task.id !== payload.id)
+        : current;
+    }
+    if (exists) {
+      return current.map((task) => (task.id === payload.id ? payload : task));
+    }
+    // Search relevance is decided by the backend, so tasks that aren't on
+    // screen yet only appear once the search is cleared or refreshed.
+    if (filtersRef.current.searchQuery) {
+      return current;
+    }
+    return [payload, ...current];
+  }
+
+  useEffect(() => {
+    if (!session) {
+      return undefined;
+    }
+    return subscribeToTaskEvents(session.token, {
+      onEvent: applyTaskEvent,
+      onLabelsChanged: () => loadLabelsRef.current(),
+      onBoardsChanged: () => loadBoardsRef.current(),
+      onResync: () => {
+        loadTasksRef.current();
+        loadLabelsRef.current();
+        loadBoardsRef.current();
+      }
+    });
+  }, [session]);
+
+  // Label and column counts move with every task change, so they are
+  // refreshed once the board settles rather than after each update.
+  useEffect(() => {
+    if (!session) {
+      return undefined;
+    }
+    const timeout = setTimeout(() => {
+      loadLabelsRef.current();
+      loadBoardsRef.current();
+    }, 500);
+    return () => clearTimeout(timeout);
+  }, [session, tasks]);
+
+  // Deleted or merged labels can't stay in the filter.
+  useEffect(() => {
+    setLabelFilter((current) => {
+      const kept = current.filter((id) =>
+        labels.some((label) => label.id === id)
+      );
+      return kept.length === current.length ? current : kept;
+    });
+  }, [labels]);
+
+  useEffect(() => {
+    const timeout = setTimeout(() => setSearchQuery(search.trim()), 300);
+    return () => clearTimeout(timeout);
+  }, [search]);
+
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextCursor || loading) {
+      return undefined;
+    }
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        loadTasks(nextCursor);
+      }
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loading]);
+
+  function showFieldErrors(errors) {
+    const byField = {};
+    for (const { field, message } of errors) {
+      byField[field] = byField[field] || message;
+    }
+    setFieldErrors(byField);
+  }
+
+  function editField(setter, field) {
+    return (event) => {
+      setter(event.target.value);
+      setFieldErrors((current) =>
+        current[field] ? { ...current, [field]: undefined } : current
+      );
+    };
+  }
+
+  // The form is checked against the shared task schema before sending; the
+  // backend applies the same rules and its field errors are shown the same way.
   async function handleCreateTask(event) {
     event.preventDefault();
-    if (!title.trim()) {
+    const payload = {
+      title,
+      description,
+      priority,
+      dueDate: dueDate || undefined,
+      recurrence: recurrencePayload(recurrence),
+      boardId
+    };
+    const { errors } = validateTask(payload);
+    if (errors.length) {
+      showFieldErrors(errors);
+      return;
+    }
+    const local = localTask(payload, filtersRef.current.board);
+    const mutation = { kind: "create", taskId: local.id, body: payload };
+    const addLocal = (current) => [local, ...current];
+    if (pendingRef.current) {
+      if (await changeOffline(mutation, addLocal)) {
+        clearForm();
+      }
       return;
     }
     setLoading(true);
     setError("");
     try {
-      const response = await fetch(`${apiUrl}/api/tasks`, {
+      const response = await apiFetch("/api/tasks", {
         method: "POST",
         headers: {
           "Content-Type": "application/json"
         },
-        body: JSON.stringify({
-          title,
-          description,
-          priority,
-          dueDate: dueDate || undefined
-        })
+        body: JSON.stringify(payload)
       });
+      if (response.status === 400) {
+        const body = await response.json();
+        if (body.errors) {
+          showFieldErrors(body.errors);
+          return;
+        }
+        throw new Error(body.error || "Failed to create task");
+      }
       if (!response.ok) {
         throw new Error("Failed to create task");
       }
       const created = await response.json();
-      setTitle("");
-      setDescription("");
-      setPriority("medium");
-      setDueDate("");
-      setTasks((current) => [created, ...current]);
+      rememberChange(created.id);
+      clearForm();
+      setTasks((current) =>
+        inBoardOrder([
+          created,
+          ...current.filter((task) => task.id !== created.id)
+        ])
+      );
     } catch (err) {
+      if (
+        err instanceof OfflineError &&
+        (await changeOffline(mutation, addLocal))
+      ) {
+        clearForm();
+        return;
+      }
       setError(err.message || "Something went wrong");
     } finally {
       setLoading(false);
     }
   }
 
-  async function updateTask(id, updates) {
+  function clearForm() {
+    setTitle("");
+    setDescription("");
+    setPriority("medium");
+    setDueDate("");
+    setRecurrence(emptyRecurrence);
+    setFieldErrors({});
+  }
+
+  // Queues a change the backend can't take right now and shows it on the
+  // board straight away. Changes to tasks created offline, and any made while
+  // others are still queued, go the same way so they reach the backend in
+  // the order they were made. Returns false when the change couldn't be kept.
+  async function changeOffline(mutation, apply) {
+    try {
+      await queueMutation(owner, mutation);
+    } catch (err) {
+      setError("The change couldn't be saved for later");
+      return false;
+    }
+    pendingRef.current += 1;
+    setPendingCount((count) => count + 1);
+    setTasks((current) => inBoardOrder(apply(current)));
+    replayRef.current();
+    return true;
+  }
+
+  function mustQueue(id) {
+    return pendingRef.current > 0 || isLocalTask(id);
+  }
+
+  // Sends the changes queued while offline, oldest first, until none are
+  // left or the backend can't be reached again. A change to a task that has
+  // since been changed elsewhere opens the conflict dialog and stops the
+  // replay until it's resolved; a change the backend refuses is dropped with
+  // its error shown.
+  async function replayChanges() {
+    if (replaying.current || conflictRef.current || !session) {
+      return;
+    }
+    replaying.current = true;
+    let drained = false;
+    let sent = 0;
+    try {
+      for (;;) {
+        const [mutation] = await pendingMutations(owner);
+        if (!mutation) {
+          drained = true;
+          break;
+        }
+        const response = await apiFetch(...replayRequest(mutation));
+        // Rate limited: the change stays queued for the next attempt.
+        if (response.status === 429) {
+          break;
+        }
+        await dropMutation(mutation.seq);
+        sent += 1;
+        const { kind, taskId } = mutation;
+        if (response.status === 412) {
+          const { task: server } = await response.json();
+          setConflict({
+            action: kind,
+            id: taskId,
+            updates: mutation.body,
+            server
+          });
+          break;
+        }
+        if (kind === "delete" && response.status === 404) {
+          continue;
+        }
+        if (!response.ok) {
+          setError(
+            await describeFailure(response, "A change made offline failed")
+          );
+          if (kind === "create") {
+            await dropMutationsFor(owner, taskId);
+            setTasks((current) => current.filter((task) => task.id !== taskId));
+          }
+          continue;
+        }
+        if (kind === "delete") {
+          continue;
+        }
+        const task = await response.json();
+        await rebaseMutations(owner, taskId, task);
+        setTasks((current) =>
+          inBoardOrder(
+            current
+              .filter((item) => item.id !== task.id || taskId === task.id)
+              .map((item) => (item.id === taskId ? task : item))
+          )
+        );
+      }
+    } catch (err) {
+      if (!(err instanceof OfflineError)) {
+        setError(err.message || "Something went wrong");
+      }
+    } finally {
+      replaying.current = false;
+      const pending = (await pendingMutations(owner)).length;
+      pendingRef.current = pending;
+      setPendingCount(pending);
+    }
+    // Ranks of tasks moved offline were only guessed, so the board is
+    // reloaded once everything has gone through.
+    if (drained && sent) {
+      loadTasksRef.current();
+    }
+  }
+
+  replayRef.current = replayChanges;
+
+  // Queued changes go out as soon as the backend can be reached again: when
+  // the browser says it is back online, and otherwise on a timer in case
+  // only the backend was down. With nothing queued, reloading the boards
+  // finds out whether it's back.
+  useEffect(() => {
+    if (!session) {
+      return undefined;
+    }
+    const retry = () => {
+      replayRef.current();
+      if (offlineRef.current && !pendingRef.current) {
+        loadBoardsRef.current();
+      }
+    };
+    retry();
+    window.addEventListener("online", retry);
+    const interval = setInterval(retry, replayInterval);
+    return () => {
+      window.removeEventListener("online", retry);
+      clearInterval(interval);
+    };
+  }, [session]);
+
+  // Back online, the board is reloaded in case it changed in the meantime;
+  // with changes still queued, the replay does that once they are through.
+  useEffect(() => {
+    if (wasOffline.current && !offline && !pendingRef.current) {
+      loadTasksRef.current();
+      loadLabelsRef.current();
+    }
+    wasOffline.current = offline;
+  }, [offline]);
+
+  // A change to a task that was changed elsewhere in the meantime isn't
+  // applied; the conflict dialog asks what to do with it instead.
+  async function updateTask(
+    id,
+    updates,
+    seen = tasks.find((task) => task.id === id)
+  ) {
+    const mutation = {
+      kind: "update",
+      taskId: id,
+      body: updates,
+      version: seen?.version ?? 0
+    };
+    const applyLocally = (current) =>
+      current.map((task) => (task.id === id ? { ...task, ...updates } : task));
+    if (mustQueue(id)) {
+      await changeOffline(mutation, applyLocally);
+      return;
+    }
     setLoading(true);
     setError("");
     try {
-      const response = await fetch(`${apiUrl}/api/tasks/${id}`, {
+      const response = await apiFetch(`/api/tasks/${id}`, {
         method: "PATCH",
         headers: {
-          "Content-Type": "application/json"
+          "Content-Type": "application/json",
+          ...ifMatch(seen)
         },
         body: JSON.stringify(updates)
       });
+      if (response.status === 412) {
+        const { task: server } = await response.json();
+        setConflict({ action: "update", id, updates, server });
+        return;
+      }
       if (!response.ok) {
-        throw new Error("Failed to update task");
+        throw new Error(
+          await describeFailure(response, "Failed to update task")
+        );
       }
       const updated = await response.json();
+      rememberChange(id);
       setTasks((current) =>
-        current.map((task) => (task.id === id ? updated : task))
+        inBoardOrder(current.map((task) => (task.id === id ? updated : task)))
       );
     } catch (err) {
+      if (
+        err instanceof OfflineError &&
+        (await changeOffline(mutation, applyLocally))
+      ) {
+        return;
+      }
       setError(err.message || "Something went wrong");
     } finally {
       setLoading(false);
     }
   }
 
-  async function deleteTask(id) {
+  async function moveTask(id, status, afterId, beforeId) {
+    setError("");
+    setTasks((current) => {
+      const moving = current.find((task) => task.id === id);
+      const rest = current.filter((task) => task.id !== id);
+      let index = 0;
+      if (beforeId) {
+        index = rest.findIndex((task) => task.id === beforeId);
+      } else if (afterId) {
+        index = rest.findIndex((task) => task.id === afterId) + 1;
+      }
+      rest.splice(index, 0, { ...moving, status });
+      return rest;
+    });
+    const mutation = {
+      kind: "move",
+      taskId: id,
+      body: { status, afterId, beforeId }
+    };
+    if (mustQueue(id)) {
+      await changeOffline(mutation, (current) => current);
+      return;
+    }
+    try {
+      const response = await apiFetch(`/api/tasks/${id}/move`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json"
+        },
+        body: JSON.stringify({ status, afterId, beforeId })
+      });
+      if (!response.ok) {
+        throw new Error(await describeFailure(response, "Failed to move task"));
+      }
+      const moved = await response.json();
+      rememberChange(id);
+      setTasks((current) =>
+        inBoardOrder(current.map((task) => (task.id === id ? moved : task)))
+      );
+    } catch (err) {
+      if (
+        err instanceof OfflineError &&
+        (await changeOffline(mutation, (current) => current))
+      ) {
+        return;
+      }
+      setError(err.message || "Something went wrong");
+      loadTasks();
+    }
+  }
+
+  function handleDrop(status, columnTasks) {
+    const target = dropTarget;
+    const id = draggedId;
+    setDraggedId(null);
+    setDropTarget(null);
+    if (!id || !target || target.status !== status) {
+      return;
+    }
+    const from = columnTasks.findIndex((task) => task.id === id);
+    if (sortOrder !== "rank:asc") {
+      if (from === -1) {
+        moveTask(id, status);
+      }
+      return;
+    }
+    const index =
+      from !== -1 && from < target.index ? target.index - 1 : target.index;
+    if (index === from) {
+      return;
+    }
+    const others = columnTasks.filter((task) => task.id !== id);
+    moveTask(id, status, others[index - 1]?.id, others[index]?.id);
+  }
+
+  async function deleteTask(id, seen = tasks.find((task) => task.id === id)) {
+    const removeLocally = (current) => current.filter((task) => task.id !== id);
+    // A task that never reached the backend only has queued changes to drop.
+    if (isLocalTask(id)) {
+      await dropMutationsFor(owner, id);
+      const pending = (await pendingMutations(owner)).length;
+      pendingRef.current = pending;
+      setPendingCount(pending);
+      setTasks(removeLocally);
+      return;
+    }
+    const mutation = {
+      kind: "delete",
+      taskId: id,
+      version: seen?.version ?? 0
+    };
+    if (mustQueue(id)) {
+      await changeOffline(mutation, removeLocally);
+      return;
+    }
     setLoading(true);
     setError("");
     try {
-      const response = await fetch(`${apiUrl}/api/tasks/${id}`, {
-        method: "DELETE"
+      const response = await apiFetch(`/api/tasks/${id}`, {
+        method: "DELETE",
+        headers: ifMatch(seen)
       });
+      if (response.status === 412) {
+        const { task: server } = await response.json();
+        setConflict({ action: "delete", id, server });
+        return;
+      }
       if (!response.ok && response.status !== 204) {
         throw new Error("Failed to delete task");
       }
-      setTasks((current) => current.filter((task) => task.id !== id));
+      setTasks(removeLocally);
+      rememberChange(id);
     } catch (err) {
+      if (
+        err instanceof OfflineError &&
+        (await changeOffline(mutation, removeLocally))
+      ) {
+        return;
+      }
       setError(err.message || "Something went wrong");
     } finally {
       setLoading(false);
     }
   }
 
+  // Either way the board shows the task as the server has it; reapplying
+  // then sends the change again against that version. Changes still queued
+  // from offline follow.
+  async function resolveConflict(reapply) {
+    const { action, id, updates, server } = conflict;
+    conflictRef.current = null;
+    setConflict(null);
+    setTasks((current) =>
+      inBoardOrder(applyTaskChange(current, "task.updated", server))
+    );
+    if (reapply && action === "update") {
+      await updateTask(id, updates, server);
+    } else if (reapply) {
+      await deleteTask(id, server);
+    }
+    replayChanges();
+  }
+
+  function rememberChange(...ids) {
+    setUndoStack((current) => [...current, ...ids].slice(-50));
+  }
+
+  function toggleSelected(id) {
+    setSelectedIds((current) => {
+      const next = new Set(current);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  }
+
+  // Applies one update or delete to every selected task in a single request.
+  // The backend changes all of them or none, so a 409 leaves the board as is.
+  async function bulkApply(action, update) {
+    const ids = tasks
+      .filter((task) => selectedIds.has(task.id))
+      .map((task) => task.id);
+    if (!ids.length) {
+      return;
+    }
+    setLoading(true);
+    setError("");
+    try {
+      const response = await apiFetch("/api/tasks/bulk", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json"
+        },
+        body: JSON.stringify({ action, ids, update })
+      });
+      if (!response.ok) {
+        throw new Error(
+          await describeFailure(response, "Failed to apply bulk change")
+        );
+      }
+      const { results } = await response.json();
+
+      setTasks((current) =>
+        inBoardOrder(
+          results.reduce(
+            (list, result) =>
+              result.status === "deleted"
+                ? applyTaskChange(list, "task.deleted", { id: result.id })
+                : applyTaskChange(list, "task.updated", result.task),
+            current
+          )
+        )
+      );
+      rememberChange(...ids);
+      setSelectedIds(new Set());
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function undoTask(id) {
+    setLoading(true);
+    setError("");
+    try {
+      const response = await apiFetch(`/api/tasks/${id}/undo`, {
+        method: "POST"
+      });
+      if (response.status === 409) {
+        throw new Error("There is nothing left to undo for that task");
+      }
+      if (!response.ok) {
+        throw new Error("Failed to undo change");
+      }
+      const { task } = await response.json();
+      setTasks((current) =>
+        inBoardOrder(
+          task
+            ? applyTaskChange(current, "task.updated", task)
+            : current.filter((item) => item.id !== id)
+        )
+      );
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function undoLastChange() {
+    const id = undoStack[undoStack.length - 1];
+    setUndoStack((current) => current.slice(0, -1));
+    undoTask(id);
+  }
+
+  const board = boards.find((item) => item.id === boardId) || null;
+  const columns = board ? board.columns : [];
+
   const groupedTasks = useMemo(() => {
-    const groups = {
-      todo: [],
-      "in-progress": [],
-      done: []
-    };
+    const groups = {};
+    for (const column of columns) {
+      groups[column.id] = [];
+    }
     for (const task of tasks) {
       groups[task.status]?.push(task);
     }
     return groups;
+  }, [tasks, board]);
+
+  function isDone(task) {
+    return Boolean(board) && isDoneColumn(board, task.status);
+  }
+
+  // Tasks can leave the board through filters, pushed events or other tabs;
+  // drop them from the selection so bulk actions only touch what is visible.
+  useEffect(() => {
+    setSelectedIds((current) => {
+      const visible = new Set(
+        tasks.filter((task) => current.has(task.id)).map((task) => task.id)
+      );
+      return visible.size === current.size ? current : visible;
+    });
+  }, [tasks]);
+
+  // Subtask progress and blockers are worked out from the tasks on screen, so
+  // they follow pushed events without extra requests.
+  const taskLinks = useMemo(() => {
+    const byId = new Map(tasks.map((task) => [task.id, task]));
+    const subtasks = new Map();
+    for (const task of tasks) {
+      if (task.parentId) {
+        subtasks.set(task.parentId, [
+          ...(subtasks.get(task.parentId) || []),
+          task
+        ]);
+      }
+    }
+    return { byId, subtasks };
   }, [tasks]);
 
+  function linksFor(task) {
+    const subtasks = taskLinks.subtasks.get(task.id) || [];
+    return {
+      parent: taskLinks.byId.get(task.parentId) || null,
+      progress: subtasks.length
+        ? {
+            done: subtasks.filter(isDone).length,
+            total: subtasks.length
+          }
+        : null,
+      blockers: (task.blockedBy || [])
+        .map((id) => taskLinks.byId.get(id))
+        .filter((blocker) => blocker && !isDone(blocker))
+    };
+  }
+
+  function handleLinkedChange(task) {
+    rememberChange(task.id);
+    setTasks((current) =>
+      inBoardOrder(applyTaskChange(current, "task.updated", task))
+    );
+  }
+
   const completionRate = useMemo(() => {
     if (!tasks.length) {
       return 0;
     }
-    const doneCount = tasks.filter((task) => task.status === "done").length;
+    const doneCount = tasks.filter(isDone).length;
     return Math.round((doneCount / tasks.length) * 100);
-  }, [tasks]);
+  }, [tasks, board]);
+
   console.log('Working!!!')
+  if (!session) {
+    return <AuthForm onAuthenticated={handleAuthenticated} />;
+  }
+
   return (
     <div
       style={{
@@ -200,6 +1190,58 @@ export default function App() {
             Full-stack MERN example with filtering, derived state, and MongoDB
             persistence.
           </p>
+          <div
+            style={{
+              display: "flex",
+              flexDirection: "column",
+              gap: "8px",
+              marginBottom: "16px"
+            }}
+          >
+            <div style={{ display: "flex", gap: "8px" }}>
+              <select
+                value={boardId || ""}
+                onChange={(event) => setBoardId(event.target.value)}
+                aria-label="Board"
+                style={{
+                  flex: 1,
+                  padding: "8px 10px",
+                  borderRadius: "8px",
+                  border: "1px solid #374151",
+                  backgroundColor: "#020617",
+                  color: "#e5e7eb",
+                  fontSize: "14px"
+                }}
+              >
+                {boards.map((item) => (
+                  <option key={item.id} value={item.id}>
+                    {item.name}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={() => setShowBoardManager((current) => !current)}
+                style={{
+                  border: "none",
+                  background: "transparent",
+                  color: showBoardManager ? "#e5e7eb" : "#6b7280",
+                  cursor: "pointer",
+                  fontSize: "12px"
+                }}
+              >
+                {showBoardManager ? "Done" : "Edit"}
+              </button>
+            </div>
+            {showBoardManager && board && (
+              <BoardManager
+                board={board}
+                boards={boards}
+                apiFetch={apiFetch}
+                onChanged={loadBoards}
+                onSelect={setBoardId}
+              />
+            )}
+          </div>
           <div style={{ marginBottom: "16px" }}>
             <div
               style={{
@@ -248,18 +1290,21 @@ export default function App() {
               <input
                 type="text"
                 value={title}
-                onChange={(event) => setTitle(event.target.value)}
+                onChange={editField(setTitle, "title")}
                 placeholder="Set up Docker network"
+                maxLength={taskFields.title.maxLength}
+                aria-invalid={Boolean(fieldErrors.title)}
                 style={{
                   width: "100%",
                   padding: "8px 10px",
                   borderRadius: "8px",
-                  border: "1px solid #374151",
+                  border: fieldBorder(fieldErrors.title),
                   backgroundColor: "#020617",
                   color: "#e5e7eb",
                   fontSize: "14px"
                 }}
               />
+              <FieldError message={fieldErrors.title} />
             </div>
             <div style={{ marginBottom: "8px" }}>
               <label
@@ -274,20 +1319,23 @@ export default function App() {
               </label>
               <textarea
                 value={description}
-                onChange={(event) => setDescription(event.target.value)}
+                onChange={editField(setDescription, "description")}
                 placeholder="Describe what this deployment task does"
                 rows={3}
+                maxLength={taskFields.description.maxLength}
+                aria-invalid={Boolean(fieldErrors.description)}
                 style={{
                   width: "100%",
                   padding: "8px 10px",
                   borderRadius: "8px",
-                  border: "1px solid #374151",
+                  border: fieldBorder(fieldErrors.description),
                   backgroundColor: "#020617",
                   color: "#e5e7eb",
                   fontSize: "14px",
                   resize: "vertical"
                 }}
               />
+              <FieldError message={fieldErrors.description} />
             </div>
             <div
               style={{
@@ -309,12 +1357,13 @@ export default function App() {
                 </label>
                 <select
                   value={priority}
-                  onChange={(event) => setPriority(event.target.value)}
+                  onChange={editField(setPriority, "priority")}
+                  aria-invalid={Boolean(fieldErrors.priority)}
                   style={{
                     width: "100%",
                     padding: "8px 10px",
                     borderRadius: "8px",
-                    border: "1px solid #374151",
+                    border: fieldBorder(fieldErrors.priority),
                     backgroundColor: "#020617",
                     color: "#e5e7eb",
                     fontSize: "14px"
@@ -326,6 +1375,7 @@ export default function App() {
                     </option>
                   ))}
                 </select>
+                <FieldError message={fieldErrors.priority} />
               </div>
               <div style={{ flex: 1 }}>
                 <label
@@ -341,19 +1391,47 @@ export default function App() {
                 <input
                   type="date"
                   value={dueDate}
-                  onChange={(event) => setDueDate(event.target.value)}
+                  onChange={editField(setDueDate, "dueDate")}
+                  aria-invalid={Boolean(fieldErrors.dueDate)}
                   style={{
                     width: "100%",
                     padding: "8px 10px",
                     borderRadius: "8px",
-                    border: "1px solid #374151",
+                    border: fieldBorder(fieldErrors.dueDate),
                     backgroundColor: "#020617",
                     color: "#e5e7eb",
                     fontSize: "14px"
                   }}
                 />
+                <FieldError message={fieldErrors.dueDate} />
               </div>
             </div>
+            <div style={{ marginBottom: "12px" }}>
+              <label
+                style={{
+                  display: "block",
+                  fontSize: "12px",
+                  marginBottom: "4px",
+                  color: "#9ca3af"
+                }}
+              >
+                Repeat
+              </label>
+              <RecurrenceFields
+                value={recurrence}
+                onChange={(next) => {
+                  setRecurrence(next);
+                  setFieldErrors((current) =>
+                    current.recurrence
+                      ? { ...current, recurrence: undefined }
+                      : current
+                  );
+                }}
+                invalid={Boolean(fieldErrors.recurrence)}
+              />
+              <FieldError message={fieldErrors.recurrence} />
+            </div>
+
             <button
               type="submit"
               disabled={loading}
@@ -372,6 +1450,27 @@ export default function App() {
             >
               Add task
             </button>
+            {undoStack.length > 0 && (
+              <button
+                type="button"
+                onClick={undoLastChange}
+                disabled={loading}
+                style={{
+                  width: "100%",
+                  marginTop: "8px",
+                  padding: "8px 14px",
+                  borderRadius: "8px",
+                  border: "1px solid #374151",
+                  backgroundColor: "transparent",
+                  color: "#e5e7eb",
+                  cursor: "pointer",
+                  fontSize: "14px",
+                  opacity: loading ? 0.6 : 1
+                }}
+              >
+                Undo last change
+              </button>
+            )}
           </form>
           <div
             style={{
@@ -391,6 +1490,84 @@ export default function App() {
               <span>Backend URL</span>
               <code>{apiUrl}</code>
             </div>
+            <div
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                fontSize: "12px",
+                color: "#9ca3af"
+              }}
+            >
+              <span>{session.user.email}</span>
+              <button
+                onClick={signOut}
+                style={{
+                  border: "none",
+                  background: "transparent",
+                  color: "#6b7280",
+                  cursor: "pointer",
+                  fontSize: "12px"
+                }}
+              >
+                Log out
+              </button>
+            </div>
+            <button
+              onClick={() =>
+                setView((current) => (current === "trash" ? "board" : "trash"))
+              }
+              style={{
+                padding: "8px 10px",
+                borderRadius: "8px",
+                border: "1px solid #374151",
+                backgroundColor: view === "trash" ? "#0f172a" : "transparent",
+                color: "#e5e7eb",
+                cursor: "pointer",
+                fontSize: "14px"
+              }}
+            >
+              {view === "trash" ? "Back to board" : "Trash"}
+            </button>
+            <button
+              onClick={() =>
+                setView((current) =>
+                  current === "analytics" ? "board" : "analytics"
+                )
+              }
+              style={{
+                padding: "8px 10px",
+                borderRadius: "8px",
+                border: "1px solid #374151",
+                backgroundColor:
+                  view === "analytics" ? "#0f172a" : "transparent",
+                color: "#e5e7eb",
+                cursor: "pointer",
+                fontSize: "14px"
+              }}
+            >
+              {view === "analytics" ? "Back to board" : "Analytics"}
+            </button>
+            <TaskTransfer
+              apiFetch={apiFetch}
+              boardId={boardId}
+              onImported={() => loadTasks()}
+            />
+            <input
+              type="search"
+              value={search}
+              onChange={(event) => setSearch(event.target.value)}
+              placeholder="Search title and description"
+              style={{
+                width: "100%",
+                padding: "8px 10px",
+                borderRadius: "8px",
+                border: "1px solid #374151",
+                backgroundColor: "#020617",
+                color: "#e5e7eb",
+                fontSize: "14px"
+              }}
+            />
             <div
               style={{
                 display: "flex",
@@ -410,10 +1587,10 @@ export default function App() {
                   fontSize: "14px"
                 }}
               >
-                <option value="all">All statuses</option>
-                {statuses.map((option) => (
-                  <option key={option.value} value={option.value}>
-                    {option.label}
+                <option value="all">All columns</option>
+                {columns.map((column) => (
+                  <option key={column.id} value={column.id}>
+                    {column.name}
                   </option>
                 ))}
               </select>
@@ -438,6 +1615,100 @@ export default function App() {
                 ))}
               </select>
             </div>
+            <select
+              value={sortOrder}
+              onChange={(event) => setSortOrder(event.target.value)}
+              style={{
+                width: "100%",
+                padding: "8px 10px",
+                borderRadius: "8px",
+                border: "1px solid #374151",
+                backgroundColor: "#020617",
+                color: "#e5e7eb",
+                fontSize: "14px"
+              }}
+            >
+              {sortOptions.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <label
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: "6px",
+                fontSize: "12px",
+                color: "#9ca3af"
+              }}
+            >
+              <input
+                type="checkbox"
+                checked={overdueOnly}
+                onChange={(event) => setOverdueOnly(event.target.checked)}
+              />
+              Overdue only
+            </label>
+
+            {labels.length > 0 && (
+              <div
+                style={{
+                  display: "flex",
+                  flexWrap: "wrap",
+                  alignItems: "center",
+                  gap: "4px"
+                }}
+              >
+                {labels.map((label) => (
+                  <LabelChip
+                    key={label.id}
+                    label={label}
+                    count={label.count}
+                    active={labelFilter.includes(label.id)}
+                    onClick={() => toggleLabelFilter(label.id)}
+                  />
+                ))}
+                {labelFilter.length > 1 && (
+                  <select
+                    value={labelMatch}
+                    onChange={(event) => setLabelMatch(event.target.value)}
+                    style={{
+                      padding: "2px 6px",
+                      borderRadius: "8px",
+                      border: "1px solid #374151",
+                      backgroundColor: "#020617",
+                      color: "#e5e7eb",
+                      fontSize: "11px"
+                    }}
+                  >
+                    <option value="any">Any label</option>
+                    <option value="all">All labels</option>
+                  </select>
+                )}
+              </div>
+            )}
+            <button
+              onClick={() => setShowLabelManager((current) => !current)}
+              style={{
+                border: "none",
+                background: "transparent",
+                color: showLabelManager ? "#e5e7eb" : "#6b7280",
+                cursor: "pointer",
+                fontSize: "12px",
+                textAlign: "left",
+                padding: 0
+              }}
+            >
+              {showLabelManager ? "Hide labels" : "Manage labels"}
+            </button>
+            {showLabelManager && (
+              <LabelManager
+                labels={labels}
+                apiFetch={apiFetch}
+                onChanged={loadLabels}
+              />
+            )}
           </div>
           {loading && (
             <p
@@ -461,201 +1732,243 @@ export default function App() {
               {error}
             </p>
           )}
-        </div>
-        <div
-          style={{
-            display: "grid",
-            gridTemplateColumns: "repeat(3, minmax(0, 1fr))",
-            gap: "16px"
-          }}
-        >
-          {statuses.map((column) => (
-            <div
-              key={column.value}
+          {(offline || pendingCount > 0) && (
+            <p
               style={{
-                borderRadius: "12px",
-                backgroundColor: "#020617",
-                border: "1px solid #1f2937",
-                padding: "12px",
-                minHeight: "160px",
-                boxShadow: "0 16px 30px rgba(0,0,0,0.4)"
+                marginTop: "8px",
+                fontSize: "12px",
+                color: "#38bdf8"
               }}
             >
+              {describeSync(offline, pendingCount)}
+            </p>
+          )}
+        </div>
+        <div>
+          {view === "analytics" ? (
+            <AnalyticsView apiFetch={apiFetch} boardId={boardId} />
+          ) : view === "trash" ? (
+            <TrashView
+              apiFetch={apiFetch}
+              onRestored={(task) =>
+                setTasks((current) =>
+                  inBoardOrder(applyTaskChange(current, "task.updated", task))
+                )
+              }
+            />
+          ) : (
+            <>
+              {selectedIds.size > 0 && (
+                <BulkActionBar
+                  count={selectedIds.size}
+                  columns={columns}
+                  disabled={loading}
+                  onUpdate={(update) => bulkApply("update", update)}
+                  onDelete={() => bulkApply("delete")}
+                  onSelectAll={() =>
+                    setSelectedIds(new Set(tasks.map((task) => task.id)))
+                  }
+                  onClear={() => setSelectedIds(new Set())}
+                />
+              )}
               <div
                 style={{
-                  display: "flex",
-                  alignItems: "center",
-                  justifyContent: "space-between",
-                  marginBottom: "8px"
-                }}
-              >
-                <h2
-                  style={{
-                    fontSize: "14px",
-                    textTransform: "uppercase",
-                    letterSpacing: "0.08em",
-                    color: "#9ca3af"
-                  }}
-                >
-                  {column.label}
-                </h2>
-                <span
-                  style={{
-                    fontSize: "12px",
-                    color: "#6b7280"
-                  }}
-                >
-                  {groupedTasks[column.value].length}
-                </span>
-              </div>
-              <div
-                style={{
-                  display: "flex",
-                  flexDirection: "column",
-                  gap: "8px"
+                  display: "grid",
+                  gridTemplateColumns: `repeat(${columns.length}, minmax(200px, 1fr))`,
+                  gap: "16px",
+                  overflowX: "auto"
                 }}
               >
-                {groupedTasks[column.value].map((task) => {
-                  const priorityColor =
-                    task.priority === "high"
-                      ? "#f97316"
-                      : task.priority === "medium"
-                      ? "#22c55e"
-                      : "#38bdf8";
-                  const dueDateLabel = task.dueDate
-                    ? new Date(task.dueDate).toLocaleDateString()
-                    : null;
-                  return (
+                {columns.map((column) => (
+                  <div
+                    key={column.id}
+                    onDragOver={(event) => {
+                      if (!draggedId) {
+                        return;
+                      }
+                      event.preventDefault();
+                      if (dropTarget?.status !== column.id) {
+                        setDropTarget({
+                          status: column.id,
+                          index: groupedTasks[column.id].length
+                        });
+                      }
+                    }}
+                    onDrop={(event) => {
+                      event.preventDefault();
+                      handleDrop(column.id, groupedTasks[column.id]);
+                    }}
+                    style={{
+                      borderRadius: "12px",
+                      backgroundColor: "#020617",
+                      border: "1px solid #1f2937",
+                      padding: "12px",
+                      minHeight: "160px",
+                      boxShadow: "0 16px 30px rgba(0,0,0,0.4)",
+                      outline:
+                        dropTarget?.status === column.id
+                          ? "1px dashed #22c55e"
+                          : "none"
+                    }}
+                  >
                     <div
-                      key={task.id}
                       style={{
-                        borderRadius: "10px",
-                        border: "1px solid #1f2937",
-                        background:
-                          "radial-gradient(circle at top left, rgba(56,189,248,0.1), transparent 60%), #020617",
-                        padding: "10px"
+                        display: "flex",
+                        alignItems: "center",
+                        justifyContent: "space-between",
+                        marginBottom: "8px"
                       }}
                     >
-                      <div
+                      <h2
                         style={{
-                          display: "flex",
-                          justifyContent: "space-between",
-                          alignItems: "center",
-                          marginBottom: "4px"
+                          fontSize: "14px",
+                          textTransform: "uppercase",
+                          letterSpacing: "0.08em",
+                          color: "#9ca3af"
                         }}
                       >
-                        <div
+                        {column.name}
+                      </h2>
+                      {column.wipLimit ? (
+                        <span
+                          title={`WIP limit ${column.wipLimit}`}
                           style={{
-                            display: "flex",
-                            alignItems: "center",
-                            gap: "6px"
+                            fontSize: "12px",
+                            color:
+                              column.count >= column.wipLimit
+                                ? "#f97316"
+                                : "#6b7280"
                           }}
                         >
-                          <span
-                            style={{
-                              width: "8px",
-                              height: "8px",
-                              borderRadius: "999px",
-                              backgroundColor: priorityColor
-                            }}
-                          />
-                          <span
-                            style={{
-                              fontSize: "14px",
-                              fontWeight: 500
-                            }}
-                          >
-                            {task.title}
-                          </span>
-                        </div>
-                        <button
-                          onClick={() => deleteTask(task.id)}
+                          {column.count}/{column.wipLimit}
+                        </span>
+                      ) : (
+                        <span
                           style={{
-                            border: "none",
-                            background: "transparent",
-                            color: "#6b7280",
-                            cursor: "pointer",
-                            fontSize: "12px"
+                            fontSize: "12px",
+                            color: "#6b7280"
                           }}
                         >
-                          Delete
-                        </button>
-                      </div>
-                      {task.description && (
+                          {groupedTasks[column.id].length}
+                        </span>
+                      )}
+                    </div>
+                    <div
+                      style={{
+                        display: "flex",
+                        flexDirection: "column",
+                        gap: "8px"
+                      }}
+                    >
+                      {groupedTasks[column.id].map((task, index) => (
+                        <Fragment key={task.id}>
+                          {dropTarget?.status === column.id &&
+                            dropTarget.index === index && <DropIndicator />}
+                          <TaskCard
+                            task={task}
+                            board={board}
+                            unsynced={isLocalTask(task.id)}
+                            dragging={draggedId === task.id}
+                            selected={selectedIds.has(task.id)}
+                            onToggleSelect={() => toggleSelected(task.id)}
+                            onDragStart={(event) => {
+                              event.dataTransfer.effectAllowed = "move";
+                              event.dataTransfer.setData("text/plain", task.id);
+                              setDraggedId(task.id);
+                            }}
+                            onDragEnd={() => {
+                              setDraggedId(null);
+                              setDropTarget(null);
+                            }}
+                            onDragOver={(event) => {
+                              if (!draggedId) {
+                                return;
+                              }
+                              event.preventDefault();
+                              event.stopPropagation();
+                              const rect =
+                                event.currentTarget.getBoundingClientRect();
+                              const below =
+                                event.clientY > rect.top + rect.height / 2;
+                              setDropTarget({
+                                status: column.id,
+                                index: below ? index + 1 : index
+                              });
+                            }}
+                            onDelete={() => deleteTask(task.id)}
+                            onStatusChange={(status) =>
+                              updateTask(task.id, { status })
+                            }
+                            onUndo={() => undoTask(task.id)}
+                            links={linksFor(task)}
+                            labels={labels}
+                            onLabelsChange={(ids) =>
+                              updateTask(task.id, { labels: ids })
+                            }
+                            boardTasks={tasks}
+                            onLinkedChange={handleLinkedChange}
+                            apiFetch={apiFetch}
+                          />
+                        </Fragment>
+                      ))}
+                      {dropTarget?.status === column.id &&
+                        dropTarget.index === groupedTasks[column.id].length && (
+                          <DropIndicator />
+                        )}
+                      {!groupedTasks[column.id].length && (
                         <p
                           style={{
                             fontSize: "12px",
-                            color: "#9ca3af",
-                            marginBottom: "4px"
+                            color: "#6b7280"
                           }}
                         >
-                          {task.description}
+                          No tasks in this column.
                         </p>
                       )}
-                      <div
-                        style={{
-                          display: "flex",
-                          justifyContent: "space-between",
-                          alignItems: "center",
-                          marginTop: "4px"
-                        }}
-                      >
-                        <span
-                          style={{
-                            fontSize: "11px",
-                            color: "#9ca3af"
-                          }}
-                        >
-                          Priority: {task.priority}
-                          {dueDateLabel ? ` • Due: ${dueDateLabel}` : ""}
-                        </span>
-                        <div
-                          style={{
-                            display: "flex",
-                            gap: "4px"
-                          }}
-                        >
-                          {statuses
-                            .filter((option) => option.value !== task.status)
-                            .map((option) => (
-                              <button
-                                key={option.value}
-                                onClick={() =>
-                                  updateTask(task.id, { status: option.value })
-                                }
-                                style={{
-                                  border: "none",
-                                  borderRadius: "999px",
-                                  padding: "2px 8px",
-                                  fontSize: "10px",
-                                  cursor: "pointer",
-                                  backgroundColor: "#0f172a",
-                                  color: "#e5e7eb"
-                                }}
-                              >
-                                {option.label}
-                              </button>
-                            ))}
-                        </div>
-                      </div>
                     </div>
-                  );
-                })}
-                {!groupedTasks[column.value].length && (
-                  <p
+                  </div>
+                ))}
+              </div>
+              {nextCursor && (
+                <div
+                  ref={loadMoreRef}
+                  style={{
+                    display: "flex",
+                    justifyContent: "center",
+                    padding: "16px"
+                  }}
+                >
+                  <button
+                    onClick={() => loadTasks(nextCursor)}
+                    disabled={loading}
                     style={{
+                      border: "1px solid #1f2937",
+                      borderRadius: "999px",
+                      padding: "6px 14px",
                       fontSize: "12px",
-                      color: "#6b7280"
+                      cursor: "pointer",
+                      backgroundColor: "#0f172a",
+                      color: "#e5e7eb",
+                      opacity: loading ? 0.6 : 1
                     }}
                   >
-                    No tasks in this column.
-                  </p>
-                )}
-              </div>
-            </div>
-          ))}
+                    {loading ? "Loading..." : "Load more"}
+                  </button>
+                </div>
+              )}
+            </>
+          )}
         </div>
       </div>
+      {conflict && (
+        <ConflictDialog
+          conflict={conflict}
+          columns={columns}
+          labels={labels}
+          onReload={() => resolveConflict(false)}
+          onReapply={() => resolveConflict(true)}
+        />
+      )}
     </div>
   );
 }
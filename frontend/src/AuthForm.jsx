@@ -0,0 +1,152 @@
+import { useState } from "react";
+import { apiUrl } from "./api.js";
+
+const inputStyle = {
+  width: "100%",
+  padding: "8px 10px",
+  borderRadius: "8px",
+  border: "1px solid #374151",
+  backgroundColor: "#020617",
+  color: "#e5e7eb",
+  fontSize: "14px"
+};
+
+const labelStyle = {
+  display: "block",
+  fontSize: "12px",
+  marginBottom: "4px",
+  color: "#9ca3af"
+};
+
+export default function AuthForm({ onAuthenticated }) {
+  const [mode, setMode] = useState("login");
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    setLoading(true);
+    setError("");
+    try {
+      const response = await fetch(`${apiUrl}/api/auth/${mode}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json"
+        },
+        body: JSON.stringify({ email, password })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to sign in");
+      }
+      onAuthenticated(data);
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+      setLoading(false);
+    }
+  }
+
+  const isLogin = mode === "login";
+
+  return (
+    <div
+      style={{
+        minHeight: "100vh",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        backgroundColor: "#020617",
+        color: "#e5e7eb",
+        fontFamily: "system-ui, -apple-system, BlinkMacSystemFont, sans-serif",
+        padding: "24px"
+      }}
+    >
+      <form
+        onSubmit={handleSubmit}
+        style={{
+          width: "100%",
+          maxWidth: "360px",
+          padding: "20px",
+          borderRadius: "12px",
+          border: "1px solid #1f2937",
+          boxShadow: "0 20px 40px rgba(0,0,0,0.5)"
+        }}
+      >
+        <h1 style={{ fontSize: "24px", marginBottom: "16px" }}>
+          {isLogin ? "Log in" : "Create an account"}
+        </h1>
+        <div style={{ marginBottom: "8px" }}>
+          <label style={labelStyle}>Email</label>
+          <input
+            type="email"
+            value={email}
+            onChange={(event) => setEmail(event.target.value)}
+            autoComplete="email"
+            required
+            style={inputStyle}
+          />
+        </div>
+        <div style={{ marginBottom: "12px" }}>
+          <label style={labelStyle}>Password</label>
+          <input
+            type="password"
+            value={password}
+            onChange={(event) => setPassword(event.target.value)}
+            autoComplete={isLogin ? "current-password" : "new-password"}
+            minLength={isLogin ? undefined : 8}
+            required
+            style={inputStyle}
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={loading}
+          style={{
+            width: "100%",
+            padding: "10px 14px",
+            borderRadius: "8px",
+            border: "none",
+            backgroundColor: "#22c55e",
+            color: "#022c22",
+            fontWeight: 600,
+            cursor: "pointer",
+            fontSize: "14px",
+            opacity: loading ? 0.6 : 1
+          }}
+        >
+          {isLogin ? "Log in" : "Register"}
+        </button>
+        <button
+          type="button"
+          onClick={() => {
+            setMode(isLogin ? "register" : "login");
+            setError("");
+          }}
+          style={{
+            marginTop: "12px",
+            border: "none",
+            background: "transparent",
+            color: "#9ca3af",
+            cursor: "pointer",
+            fontSize: "12px"
+          }}
+        >
+          {isLogin ? "Need an account? Register" : "Already registered? Log in"}
+        </button>
+        {error && (
+          <p
+            style={{
+              marginTop: "8px",
+              fontSize: "12px",
+              color: "#f97316"
+            }}
+          >
+            {error}
+          </p>
+        )}
+      </form>
+    </div>
+  );
+}
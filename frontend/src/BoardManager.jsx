@@ -0,0 +1,339 @@
+import { useEffect, useState } from "react";
+import {
+  boardFields,
+  columnFields,
+  validateBoard
+} from "../../shared/taskSchema.js";
+import { describeFailure } from "./api.js";
+
+const inputStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: "4px 8px",
+  borderRadius: "8px",
+  border: "1px solid #374151",
+  backgroundColor: "#020617",
+  color: "#e5e7eb",
+  fontSize: "12px"
+};
+
+const buttonStyle = {
+  border: "none",
+  background: "transparent",
+  color: "#6b7280",
+  cursor: "pointer",
+  fontSize: "11px"
+};
+
+function draftOf(board) {
+  return {
+    name: board.name,
+    columns: board.columns.map((column) => ({
+      id: column.id,
+      name: column.name,
+      wipLimit: column.wipLimit ?? ""
+    }))
+  };
+}
+
+// Sidebar editor for boards: rename the current board and edit its columns,
+// add boards and delete them. Columns are saved together; removing a column
+// that still holds tasks asks where they should go and happens right away.
+export default function BoardManager({
+  board,
+  boards,
+  apiFetch,
+  onChanged,
+  onSelect
+}) {
+  const [draft, setDraft] = useState(() => draftOf(board));
+  const [removing, setRemoving] = useState(null);
+  const [newBoardName, setNewBoardName] = useState("");
+  const [error, setError] = useState("");
+
+  // Column counts are refreshed as tasks change; only an edit to the board
+  // itself replaces the draft.
+  useEffect(() => {
+    setDraft(draftOf(board));
+    setRemoving(null);
+  }, [board.id, board.updatedAt]);
+
+  async function send(path, method, body, fallback) {
+    setError("");
+    try {
+      const response = await apiFetch(path, {
+        method,
+        headers: {
+          "Content-Type": "application/json"
+        },
+        body: body && JSON.stringify(body)
+      });
+      if (!response.ok) {
+        throw new Error(await describeFailure(response, fallback));
+      }
+      const data = response.status === 204 ? null : await response.json();
+      onChanged();
+      return data || true;
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+      return null;
+    }
+  }
+
+  function editColumn(index, changes) {
+    setDraft((current) => ({
+      ...current,
+      columns: current.columns.map((column, position) =>
+        position === index ? { ...column, ...changes } : column
+      )
+    }));
+  }
+
+  function moveColumn(index, offset) {
+    setDraft((current) => {
+      const columns = [...current.columns];
+      const [column] = columns.splice(index, 1);
+      columns.splice(index + offset, 0, column);
+      return { ...current, columns };
+    });
+  }
+
+  function addColumn() {
+    setDraft((current) => ({
+      ...current,
+      columns: [...current.columns, { name: "", wipLimit: "" }]
+    }));
+  }
+
+  async function saveBoard(event) {
+    event.preventDefault();
+    const payload = {
+      name: draft.name,
+      columns: draft.columns.map((column) => ({
+        ...(column.id && { id: column.id }),
+        name: column.name,
+        wipLimit: column.wipLimit === "" ? null : Number(column.wipLimit)
+      }))
+    };
+    const { errors } = validateBoard(payload);
+    if (errors.length) {
+      setError(errors[0].message);
+      return;
+    }
+    await send(
+      `/api/boards/${board.id}`,
+      "PATCH",
+      payload,
+      "Failed to save board"
+    );
+  }
+
+  function removeColumn(column, moveTo) {
+    if (!column.id) {
+      setDraft((current) => ({
+        ...current,
+        columns: current.columns.filter((item) => item !== column)
+      }));
+      return undefined;
+    }
+    if (!moveTo && !window.confirm(`Remove the "${column.name}" column?`)) {
+      return undefined;
+    }
+    const query = moveTo ? `?moveTo=${encodeURIComponent(moveTo)}` : "";
+    return send(
+      `/api/boards/${board.id}/columns/${encodeURIComponent(
+        column.id
+      )}${query}`,
+      "DELETE",
+      null,
+      "Failed to remove column"
+    );
+  }
+
+  async function createBoard(event) {
+    event.preventDefault();
+    const { values, errors } = validateBoard({ name: newBoardName });
+    if (errors.length) {
+      setError(errors[0].message);
+      return;
+    }
+    const created = await send(
+      "/api/boards",
+      "POST",
+      values,
+      "Failed to create board"
+    );
+    if (created) {
+      setNewBoardName("");
+      onSelect(created.id);
+    }
+  }
+
+  async function deleteBoard() {
+    if (
+      !window.confirm(
+        `Delete "${board.name}"? Its tasks will be moved to the trash.`
+      )
+    ) {
+      return;
+    }
+    if (
+      await send(
+        `/api/boards/${board.id}`,
+        "DELETE",
+        null,
+        "Failed to delete board"
+      )
+    ) {
+      onSelect(boards.find((item) => item.id !== board.id).id);
+    }
+  }
+
+  const savedColumns = draft.columns.filter((column) => column.id);
+  const counts = Object.fromEntries(
+    board.columns.map((column) => [column.id, column.count])
+  );
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "8px" }}>
+      <form
+        onSubmit={saveBoard}
+        style={{ display: "flex", flexDirection: "column", gap: "4px" }}
+      >
+        <input
+          value={draft.name}
+          onChange={(event) =>
+            setDraft((current) => ({ ...current, name: event.target.value }))
+          }
+          maxLength={boardFields.name.maxLength}
+          aria-label="Board name"
+          style={inputStyle}
+        />
+        {draft.columns.map((column, index) => (
+          <div key={column.id || `new-${index}`}>
+            <div style={{ display: "flex", alignItems: "center", gap: "4px" }}>
+              <input
+                value={column.name}
+                onChange={(event) =>
+                  editColumn(index, { name: event.target.value })
+                }
+                placeholder="Column name"
+                maxLength={columnFields.name.maxLength}
+                style={inputStyle}
+              />
+              <input
+                type="number"
+                min={1}
+                max={columnFields.wipLimit.max}
+                value={column.wipLimit}
+                onChange={(event) =>
+                  editColumn(index, { wipLimit: event.target.value })
+                }
+                placeholder="WIP"
+                aria-label={`WIP limit for ${column.name || "new column"}`}
+                style={{ ...inputStyle, flex: "none", width: "52px" }}
+              />
+              <button
+                type="button"
+                onClick={() => moveColumn(index, -1)}
+                disabled={index === 0}
+                aria-label="Move column earlier"
+                style={buttonStyle}
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                onClick={() => moveColumn(index, 1)}
+                disabled={index === draft.columns.length - 1}
+                aria-label="Move column later"
+                style={buttonStyle}
+              >
+                ↓
+              </button>
+              {draft.columns.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() =>
+                    counts[column.id]
+                      ? setRemoving(column.id)
+                      : removeColumn(column)
+                  }
+                  aria-label={`Remove ${column.name || "new column"}`}
+                  style={buttonStyle}
+                >
+                  ×
+                </button>
+              )}
+            </div>
+            {removing === column.id && (
+              <div
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: "4px",
+                  marginTop: "4px",
+                  fontSize: "11px",
+                  color: "#9ca3af"
+                }}
+              >
+                <span>Move its {counts[column.id]} tasks to</span>
+
+                <select
+                  value=""
+                  onChange={(event) => removeColumn(column, event.target.value)}
+                  style={inputStyle}
+                >
+                  <option value="" disabled>
+                    Pick a column
+                  </option>
+                  {savedColumns
+                    .filter((item) => item.id !== column.id)
+                    .map((item) => (
+                      <option key={item.id} value={item.id}>
+                        {item.name}
+                      </option>
+                    ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => setRemoving(null)}
+                  style={buttonStyle}
+                >
+                  Cancel
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+        <div style={{ display: "flex", gap: "8px" }}>
+          <button type="button" onClick={addColumn} style={buttonStyle}>
+            + Column
+          </button>
+          <span style={{ flex: 1 }} />
+          <button type="submit" style={{ ...buttonStyle, color: "#22c55e" }}>
+            Save board
+          </button>
+          {boards.length > 1 && (
+            <button type="button" onClick={deleteBoard} style={buttonStyle}>
+              Delete board
+            </button>
+          )}
+        </div>
+      </form>
+      <form onSubmit={createBoard} style={{ display: "flex", gap: "4px" }}>
+        <input
+          value={newBoardName}
+          onChange={(event) => setNewBoardName(event.target.value)}
+          placeholder="New board"
+          maxLength={boardFields.name.maxLength}
+          style={inputStyle}
+        />
+        <button type="submit" style={{ ...buttonStyle, color: "#22c55e" }}>
+          Add
+        </button>
+      </form>
+      {error && <p style={{ fontSize: "12px", color: "#f97316" }}>{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import { priorities } from "../../shared/taskSchema.js";
+
+const controlStyle = {
+  padding: "4px 8px",
+  borderRadius: "8px",
+  border: "1px solid #374151",
+  backgroundColor: "#020617",
+  color: "#e5e7eb",
+  fontSize: "12px"
+};
+
+const buttonStyle = {
+  border: "none",
+  background: "transparent",
+  color: "#9ca3af",
+  cursor: "pointer",
+  fontSize: "12px"
+};
+
+export default function BulkActionBar({
+  count,
+  columns,
+  disabled,
+  onUpdate,
+  onDelete,
+  onSelectAll,
+  onClear
+}) {
+  return (
+    <div
+      style={{
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        gap: "8px",
+        marginBottom: "12px",
+        padding: "8px 12px",
+        borderRadius: "12px",
+        border: "1px solid #1f2937",
+        backgroundColor: "#0f172a"
+      }}
+    >
+      <span style={{ fontSize: "12px", color: "#e5e7eb" }}>
+        {count} selected
+      </span>
+      <select
+        value=""
+        disabled={disabled}
+        onChange={(event) => onUpdate({ status: event.target.value })}
+        style={controlStyle}
+      >
+        <option value="" disabled>
+          Set status
+        </option>
+        {columns.map((column) => (
+          <option key={column.id} value={column.id}>
+            {column.name}
+          </option>
+        ))}
+      </select>
+      <select
+        value=""
+        disabled={disabled}
+        onChange={(event) => onUpdate({ priority: event.target.value })}
+        style={controlStyle}
+      >
+        <option value="" disabled>
+          Set priority
+        </option>
+        {priorities.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      <input
+        type="date"
+        value=""
+        disabled={disabled}
+        aria-label="Set due date"
+        onChange={(event) =>
+          event.target.value && onUpdate({ dueDate: event.target.value })
+        }
+        style={controlStyle}
+      />
+      <button
+        onClick={onDelete}
+        disabled={disabled}
+        style={{ ...buttonStyle, color: "#f97316" }}
+      >
+        Delete
+      </button>
+      <div style={{ marginLeft: "auto", display: "flex", gap: "8px" }}>
+        <button onClick={onSelectAll} style={buttonStyle}>
+          Select all
+        </button>
+        <button onClick={onClear} style={buttonStyle}>
+          Clear
+        </button>
+      </div>
+    </div>
+  );
+}
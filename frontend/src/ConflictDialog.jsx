@@ -0,0 +1,129 @@
+const buttonStyle = {
+  padding: "6px 12px",
+  borderRadius: "999px",
+  border: "1px solid #374151",
+  backgroundColor: "transparent",
+  color: "#e5e7eb",
+  fontSize: "12px",
+  cursor: "pointer"
+};
+
+// Columns and labels are shown by name rather than id.
+function describeValue(field, value, { columns, labels }) {
+  if (field === "status") {
+    return columns.find((column) => column.id === value)?.name ?? value;
+  }
+  if (field === "labels") {
+    const names = (value ?? []).map(
+      (id) => labels.find((label) => label.id === id)?.name ?? id
+    );
+    return names.length ? names.join(", ") : "none";
+  }
+  if (Array.isArray(value)) {
+    return value.length ? value.join(", ") : "none";
+  }
+  if (value === null || value === undefined || value === "") {
+    return "none";
+  }
+  return String(value);
+}
+
+// Shown when a change was rejected because the task had been changed
+// elsewhere since it was loaded. The user either takes the task as it now
+// stands or applies their change on top of it.
+export default function ConflictDialog({
+  conflict,
+  columns,
+  labels,
+  onReload,
+  onReapply
+}) {
+  const { action, updates, server } = conflict;
+  const fields = action === "update" ? Object.keys(updates) : [];
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="conflict-title"
+      style={{
+        position: "fixed",
+        inset: 0,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        backgroundColor: "rgba(2, 6, 23, 0.8)",
+        zIndex: 10
+      }}
+    >
+      <div
+        style={{
+          width: "min(420px, 90vw)",
+          padding: "20px",
+          borderRadius: "16px",
+          border: "1px solid #1f2937",
+          backgroundColor: "#020617",
+          color: "#e5e7eb"
+        }}
+      >
+        <h2 id="conflict-title" style={{ margin: 0, fontSize: "16px" }}>
+          "{server.title}" was changed elsewhere
+        </h2>
+        <p style={{ fontSize: "13px", color: "#9ca3af" }}>
+          Someone changed this task after you loaded it, so your{" "}
+          {action === "update" ? "change was" : "delete was"} not applied.
+        </p>
+        {fields.length > 0 && (
+          <table
+            style={{
+              width: "100%",
+              marginBottom: "12px",
+              borderCollapse: "collapse",
+              fontSize: "12px"
+            }}
+          >
+            <thead>
+              <tr style={{ color: "#6b7280", textAlign: "left" }}>
+                <th style={{ fontWeight: "normal" }}>Field</th>
+                <th style={{ fontWeight: "normal" }}>Yours</th>
+                <th style={{ fontWeight: "normal" }}>Now</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fields.map((field) => (
+                <tr key={field}>
+                  <td style={{ color: "#9ca3af" }}>{field}</td>
+                  <td style={{ color: "#38bdf8" }}>
+                    {describeValue(field, updates[field], { columns, labels })}
+                  </td>
+                  <td>
+                    {describeValue(field, server[field], { columns, labels })}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <div
+          style={{ display: "flex", justifyContent: "flex-end", gap: "8px" }}
+        >
+          <button type="button" onClick={onReload} style={buttonStyle}>
+            Reload
+          </button>
+          <button
+            type="button"
+            onClick={onReapply}
+            style={{
+              ...buttonStyle,
+              border: "none",
+              backgroundColor: action === "update" ? "#22c55e" : "#ef4444",
+              color: "#020617"
+            }}
+          >
+            {action === "update" ? "Reapply my change" : "Delete anyway"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
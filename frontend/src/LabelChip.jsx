@@ -0,0 +1,50 @@
+// A label rendered as a small coloured pill. Clickable when onClick is given,
+// with a remove button when onRemove is.
+export default function LabelChip({
+  label,
+  active = true,
+  count,
+  onClick,
+  onRemove
+}) {
+  return (
+    <span
+      onClick={onClick}
+      style={{
+        display: "inline-flex",
+        alignItems: "center",
+        gap: "4px",
+        borderRadius: "999px",
+        padding: "1px 8px",
+        fontSize: "10px",
+        border: `1px solid ${label.color}`,
+        backgroundColor: active ? `${label.color}33` : "transparent",
+        color: active ? "#e5e7eb" : "#9ca3af",
+        cursor: onClick ? "pointer" : "default",
+        whiteSpace: "nowrap"
+      }}
+    >
+      {label.name}
+      {count !== undefined && <span style={{ color: "#9ca3af" }}>{count}</span>}
+      {onRemove && (
+        <button
+          onClick={(event) => {
+            event.stopPropagation();
+            onRemove();
+          }}
+          aria-label={`Remove label ${label.name}`}
+          style={{
+            border: "none",
+            background: "transparent",
+            color: "#9ca3af",
+            cursor: "pointer",
+            fontSize: "10px",
+            padding: 0
+          }}
+        >
+          ×
+        </button>
+      )}
+    </span>
+  );
+}
@@ -0,0 +1,230 @@
+import { useState } from "react";
+import {
+  labelColors,
+  labelFields,
+  validateLabel
+} from "../../shared/taskSchema.js";
+import { describeFailure } from "./api.js";
+import LabelChip from "./LabelChip.jsx";
+
+const inputStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: "4px 8px",
+  borderRadius: "8px",
+  border: "1px solid #374151",
+  backgroundColor: "#020617",
+  color: "#e5e7eb",
+  fontSize: "12px"
+};
+
+const buttonStyle = {
+  border: "none",
+  background: "transparent",
+  color: "#6b7280",
+  cursor: "pointer",
+  fontSize: "11px"
+};
+
+function ColorPicker({ value, onChange }) {
+  return (
+    <div style={{ display: "flex", gap: "4px", flexWrap: "wrap" }}>
+      {labelColors.map((color) => (
+        <button
+          key={color}
+          type="button"
+          onClick={() => onChange(color)}
+          aria-label={`Colour ${color}`}
+          style={{
+            width: "14px",
+            height: "14px",
+            borderRadius: "999px",
+            border: value === color ? "2px solid #e5e7eb" : "none",
+            backgroundColor: color,
+            cursor: "pointer",
+            padding: 0
+          }}
+        />
+      ))}
+    </div>
+  );
+}
+
+// Sidebar editor for labels: create, rename, recolour, merge and delete.
+// Changes reach the board through onChanged and the pushed task events.
+export default function LabelManager({ labels, apiFetch, onChanged }) {
+  const [name, setName] = useState("");
+  const [color, setColor] = useState(labelFields.color.default);
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState("");
+
+  async function send(path, method, body, fallback) {
+    setError("");
+    try {
+      const response = await apiFetch(path, {
+        method,
+        headers: {
+          "Content-Type": "application/json"
+        },
+        body: body && JSON.stringify(body)
+      });
+      if (!response.ok) {
+        throw new Error(await describeFailure(response, fallback));
+      }
+      onChanged();
+      return true;
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+      return false;
+    }
+  }
+
+  async function createLabel(event) {
+    event.preventDefault();
+    const { values, errors } = validateLabel({ name, color });
+    if (errors.length) {
+      setError(errors[0].message);
+      return;
+    }
+    if (await send("/api/labels", "POST", values, "Failed to create label")) {
+      setName("");
+    }
+  }
+
+  async function saveLabel(event) {
+    event.preventDefault();
+    const saved = await send(
+      `/api/labels/${editing.id}`,
+      "PATCH",
+      { name: editing.name, color: editing.color },
+      "Failed to update label"
+    );
+    if (saved) {
+      setEditing(null);
+    }
+  }
+
+  function mergeLabel(label, into) {
+    const target = labels.find((item) => item.id === into);
+    if (
+      !window.confirm(
+        `Move every task from "${label.name}" to "${target.name}"?`
+      )
+    ) {
+      return undefined;
+    }
+    return send(
+      `/api/labels/${label.id}/merge`,
+      "POST",
+      { into },
+      "Failed to merge labels"
+    );
+  }
+
+  function deleteLabel(label) {
+    if (
+      !window.confirm(`Delete "${label.name}" and remove it from every task?`)
+    ) {
+      return undefined;
+    }
+    return send(
+      `/api/labels/${label.id}`,
+      "DELETE",
+      null,
+      "Failed to delete label"
+    );
+  }
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "8px" }}>
+      {labels.map((label) =>
+        editing?.id === label.id ? (
+          <form
+            key={label.id}
+            onSubmit={saveLabel}
+            style={{ display: "flex", flexDirection: "column", gap: "4px" }}
+          >
+            <div style={{ display: "flex", gap: "4px" }}>
+              <input
+                value={editing.name}
+                onChange={(event) =>
+                  setEditing({ ...editing, name: event.target.value })
+                }
+                maxLength={labelFields.name.maxLength}
+                style={inputStyle}
+              />
+              <button
+                type="submit"
+                style={{ ...buttonStyle, color: "#22c55e" }}
+              >
+                Save
+              </button>
+              <button
+                type="button"
+                onClick={() => setEditing(null)}
+                style={buttonStyle}
+              >
+                Cancel
+              </button>
+            </div>
+            <ColorPicker
+              value={editing.color}
+              onChange={(value) => setEditing({ ...editing, color: value })}
+            />
+          </form>
+        ) : (
+          <div
+            key={label.id}
+            style={{ display: "flex", alignItems: "center", gap: "6px" }}
+          >
+            <LabelChip label={label} count={label.count} />
+            <span style={{ flex: 1 }} />
+            <button onClick={() => setEditing(label)} style={buttonStyle}>
+              Edit
+            </button>
+            {labels.length > 1 && (
+              <select
+                value=""
+                onChange={(event) => mergeLabel(label, event.target.value)}
+                style={{ ...inputStyle, flex: "none", width: "70px" }}
+              >
+                <option value="" disabled>
+                  Merge
+                </option>
+                {labels
+                  .filter((item) => item.id !== label.id)
+                  .map((item) => (
+                    <option key={item.id} value={item.id}>
+                      into {item.name}
+                    </option>
+                  ))}
+              </select>
+            )}
+            <button onClick={() => deleteLabel(label)} style={buttonStyle}>
+              Delete
+            </button>
+          </div>
+        )
+      )}
+      <form
+        onSubmit={createLabel}
+        style={{ display: "flex", flexDirection: "column", gap: "4px" }}
+      >
+        <div style={{ display: "flex", gap: "4px" }}>
+          <input
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+            placeholder="New label"
+            maxLength={labelFields.name.maxLength}
+            style={inputStyle}
+          />
+          <button type="submit" style={{ ...buttonStyle, color: "#22c55e" }}>
+            Add
+          </button>
+        </div>
+        <ColorPicker value={color} onChange={setColor} />
+      </form>
+      {error && <p style={{ fontSize: "12px", color: "#f97316" }}>{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,173 @@
+import { Fragment } from "react";
+
+// Renders the small subset of Markdown comments are written in: paragraphs,
+// "- " lists, fenced code blocks, `code`, **bold**, *italic* and links. The
+// text only ever becomes React elements and strings, never HTML, so nothing a
+// comment contains can inject markup; links are limited to http(s) and
+// mailto so they can't run script either.
+
+const inlinePattern =
+  /`([^`\n]+)`|\*\*(.+?)\*\*|\*([^*\s](?:[^*]*[^*\s])?)\*|\[([^\]\n]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s<]+[^\s<.,;:!?)\]'"])/;
+
+const linkProtocols = ["http:", "https:", "mailto:"];
+
+function safeHref(href) {
+  try {
+    return linkProtocols.includes(new URL(href).protocol) ? href : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function Link({ href, children }) {
+  return (
+    <a
+      href={href}
+      target="_blank"
+      rel="noopener noreferrer nofollow"
+      style={{ color: "#38bdf8" }}
+    >
+      {children}
+    </a>
+  );
+}
+
+function renderInline(text) {
+  const nodes = [];
+  let rest = text;
+  let match;
+  while ((match = inlinePattern.exec(rest))) {
+    if (match.index > 0) {
+      nodes.push(rest.slice(0, match.index));
+    }
+    const [whole, code, bold, italic, linkText, linkHref, bareUrl] = match;
+    const key = nodes.length;
+    if (code !== undefined) {
+      nodes.push(
+        <code
+          key={key}
+          style={{
+            padding: "0 4px",
+            borderRadius: "4px",
+            backgroundColor: "#020617",
+            fontSize: "0.95em"
+          }}
+        >
+          {code}
+        </code>
+      );
+    } else if (bold !== undefined) {
+      nodes.push(<strong key={key}>{renderInline(bold)}</strong>);
+    } else if (italic !== undefined) {
+      nodes.push(<em key={key}>{renderInline(italic)}</em>);
+    } else if (linkText !== undefined) {
+      const href = safeHref(linkHref);
+      nodes.push(
+        href ? (
+          <Link key={key} href={href}>
+            {renderInline(linkText)}
+          </Link>
+        ) : (
+          whole
+        )
+      );
+    } else {
+      nodes.push(
+        <Link key={key} href={bareUrl}>
+          {bareUrl}
+        </Link>
+      );
+    }
+    rest = rest.slice(match.index + whole.length);
+  }
+  if (rest) {
+    nodes.push(rest);
+  }
+  return nodes;
+}
+
+// Splits the text into code blocks, lists and paragraphs.
+function parseBlocks(text) {
+  const blocks = [];
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  let index = 0;
+  while (index < lines.length) {
+    const line = lines[index];
+    if (line.trimStart().startsWith("```")) {
+      const code = [];
+      index += 1;
+      while (
+        index < lines.length &&
+        !lines[index].trimStart().startsWith("```")
+      ) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      blocks.push({ type: "code", text: code.join("\n") });
+      index += 1;
+    } else if (/^\s*[-*] /.test(line)) {
+      const items = [];
+      while (index < lines.length && /^\s*[-*] /.test(lines[index])) {
+        items.push(lines[index].replace(/^\s*[-*] /, ""));
+        index += 1;
+      }
+      blocks.push({ type: "list", items });
+    } else if (!line.trim()) {
+      index += 1;
+    } else {
+      const paragraph = [];
+      while (
+        index < lines.length &&
+        lines[index].trim() &&
+        !/^\s*[-*] /.test(lines[index]) &&
+        !lines[index].trimStart().startsWith("```")
+      ) {
+        paragraph.push(lines[index]);
+        index += 1;
+      }
+      blocks.push({ type: "paragraph", lines: paragraph });
+    }
+  }
+  return blocks;
+}
+
+export default function Markdown({ text }) {
+  return parseBlocks(text).map((block, index) => {
+    if (block.type === "code") {
+      return (
+        <pre
+          key={index}
+          style={{
+            margin: "4px 0",
+            padding: "6px 8px",
+            borderRadius: "6px",
+            backgroundColor: "#020617",
+            overflowX: "auto",
+            whiteSpace: "pre"
+          }}
+        >
+          <code>{block.text}</code>
+        </pre>
+      );
+    }
+    if (block.type === "list") {
+      return (
+        <ul key={index} style={{ margin: "4px 0", paddingLeft: "18px" }}>
+          {block.items.map((item, itemIndex) => (
+            <li key={itemIndex}>{renderInline(item)}</li>
+          ))}
+        </ul>
+      );
+    }
+    return (
+      <p key={index} style={{ margin: "4px 0", overflowWrap: "anywhere" }}>
+        {block.lines.map((line, lineIndex) => (
+          <Fragment key={lineIndex}>
+            {lineIndex > 0 && <br />}
+            {renderInline(line)}
+          </Fragment>
+        ))}
+      </p>
+    );
+  });
+}
@@ -0,0 +1,162 @@
+import {
+  frequencies,
+  recurrenceFields,
+  weekdays
+} from "../../shared/taskSchema.js";
+
+export const emptyRecurrence = {
+  frequency: "",
+  interval: "1",
+  weekdays: [],
+  ends: "never",
+  until: "",
+  count: ""
+};
+
+// Turns the form's draft into the task's `recurrence` field; undefined when
+// the task doesn't repeat.
+export function recurrencePayload(draft) {
+  if (!draft.frequency) {
+    return undefined;
+  }
+  return {
+    frequency: draft.frequency,
+    interval: Number(draft.interval),
+    weekdays: draft.frequency === "weekly" ? draft.weekdays : [],
+    until: draft.ends === "until" ? draft.until : null,
+    count: draft.ends === "count" ? Number(draft.count) : null
+  };
+}
+
+const controlStyle = {
+  padding: "8px 10px",
+  borderRadius: "8px",
+  border: "1px solid #374151",
+  backgroundColor: "#020617",
+  color: "#e5e7eb",
+  fontSize: "14px"
+};
+
+// Repeat controls for the create form: how often, on which weekdays for
+// weekly rules, and when the series ends.
+export default function RecurrenceFields({ value, onChange, invalid }) {
+  function edit(changes) {
+    onChange({ ...value, ...changes });
+  }
+
+  function toggleWeekday(day) {
+    edit({
+      weekdays: value.weekdays.includes(day)
+        ? value.weekdays.filter((item) => item !== day)
+        : [...value.weekdays, day].sort((a, b) => a - b)
+    });
+  }
+
+  const unit = frequencies.find(
+    (option) => option.value === value.frequency
+  )?.unit;
+  const border = invalid ? "1px solid #f97316" : controlStyle.border;
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "6px" }}>
+      <div style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+        <select
+          value={value.frequency}
+          onChange={(event) => edit({ frequency: event.target.value })}
+          aria-invalid={invalid}
+          style={{ ...controlStyle, border, flex: 1 }}
+        >
+          <option value="">Doesn't repeat</option>
+          {frequencies.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        {unit && (
+          <label
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: "6px",
+              fontSize: "12px",
+              color: "#9ca3af"
+            }}
+          >
+            every
+            <input
+              type="number"
+              min={1}
+              max={recurrenceFields.interval.max}
+              value={value.interval}
+              onChange={(event) => edit({ interval: event.target.value })}
+              style={{ ...controlStyle, border, width: "64px" }}
+            />
+            {unit}s
+          </label>
+        )}
+      </div>
+      {value.frequency === "weekly" && (
+        <div style={{ display: "flex", gap: "4px" }}>
+          {weekdays.map((name, day) => {
+            const active = value.weekdays.includes(day);
+            return (
+              <button
+                key={name}
+                type="button"
+                onClick={() => toggleWeekday(day)}
+                aria-pressed={active}
+                style={{
+                  flex: 1,
+                  padding: "4px 0",
+                  borderRadius: "999px",
+                  border: active ? "1px solid #22c55e" : "1px solid #374151",
+                  backgroundColor: active ? "#022c22" : "transparent",
+                  color: active ? "#22c55e" : "#9ca3af",
+                  fontSize: "11px",
+                  cursor: "pointer"
+                }}
+              >
+                {name}
+              </button>
+            );
+          })}
+        </div>
+      )}
+      {unit && (
+        <div style={{ display: "flex", gap: "8px" }}>
+          <select
+            value={value.ends}
+            onChange={(event) => edit({ ends: event.target.value })}
+            style={{ ...controlStyle, border, flex: 1 }}
+          >
+            <option value="never">Never ends</option>
+            <option value="until">Ends on</option>
+            <option value="count">Ends after</option>
+          </select>
+          {value.ends === "until" && (
+            <input
+              type="date"
+              value={value.until}
+              onChange={(event) => edit({ until: event.target.value })}
+              aria-label="End date"
+              style={{ ...controlStyle, border, flex: 1 }}
+            />
+          )}
+          {value.ends === "count" && (
+            <input
+              type="number"
+              min={1}
+              max={recurrenceFields.count.max}
+              value={value.count}
+              onChange={(event) => edit({ count: event.target.value })}
+              placeholder="times"
+              aria-label="Number of occurrences"
+              style={{ ...controlStyle, border, flex: 1 }}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,210 @@
+import { useEffect, useRef, useState } from "react";
+import { describeFailure } from "./api.js";
+
+const buttonStyle = {
+  border: "none",
+  borderRadius: "999px",
+  padding: "2px 8px",
+  fontSize: "10px",
+  cursor: "pointer",
+  backgroundColor: "#0f172a",
+  color: "#e5e7eb"
+};
+
+const linkButtonStyle = {
+  border: "none",
+  background: "transparent",
+  padding: 0,
+  fontSize: "10px",
+  cursor: "pointer",
+  color: "#6b7280"
+};
+
+function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+  return `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+}
+
+// The files attached to one task, with download and delete links and an
+// upload button. Size and type limits are checked by the backend.
+export default function TaskAttachments({ task, apiFetch }) {
+  const [attachments, setAttachments] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState("");
+  const fileInput = useRef(null);
+  const base = `/api/tasks/${task.id}/attachments`;
+
+  useEffect(() => {
+    let cancelled = false;
+    async function loadAttachments() {
+      try {
+        const response = await apiFetch(base);
+        if (!response.ok) {
+          throw new Error("Failed to load attachments");
+        }
+        const data = await response.json();
+        if (!cancelled) {
+          setAttachments(data);
+          setError("");
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || "Something went wrong");
+        }
+      }
+    }
+    loadAttachments();
+    return () => {
+      cancelled = true;
+    };
+  }, [task.id]);
+
+  async function upload(event) {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) {
+      return;
+    }
+    const form = new FormData();
+    form.append("file", file);
+    setUploading(true);
+    setError("");
+    try {
+      const response = await apiFetch(base, { method: "POST", body: form });
+      if (!response.ok) {
+        throw new Error(
+          await describeFailure(response, "Failed to upload attachment")
+        );
+      }
+      const attachment = await response.json();
+      setAttachments((current) => [...current, attachment]);
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+    } finally {
+      setUploading(false);
+    }
+  }
+
+  async function download(attachment) {
+    setError("");
+    try {
+      const response = await apiFetch(`${base}/${attachment.id}/download`);
+      if (!response.ok) {
+        throw new Error(
+          await describeFailure(response, "Failed to download attachment")
+        );
+      }
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = attachment.name;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+    }
+  }
+
+  async function remove(attachment) {
+    setError("");
+    try {
+      const response = await apiFetch(`${base}/${attachment.id}`, {
+        method: "DELETE"
+      });
+      if (!response.ok) {
+        throw new Error(
+          await describeFailure(response, "Failed to delete attachment")
+        );
+      }
+      setAttachments((current) =>
+        current.filter((item) => item.id !== attachment.id)
+      );
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+    }
+  }
+
+  return (
+    <div
+      style={{
+        marginTop: "8px",
+        paddingTop: "8px",
+        borderTop: "1px solid #1f2937",
+        fontSize: "11px",
+        color: "#9ca3af",
+        display: "flex",
+        flexDirection: "column",
+        gap: "6px"
+      }}
+    >
+      {error && <p style={{ margin: 0, color: "#f97316" }}>{error}</p>}
+      {!attachments.length && (
+        <p style={{ margin: 0, color: "#6b7280" }}>No attachments yet.</p>
+      )}
+      <ul
+        style={{
+          listStyle: "none",
+          margin: 0,
+          padding: 0,
+          display: "flex",
+          flexDirection: "column",
+          gap: "4px",
+          maxHeight: "160px",
+          overflowY: "auto"
+        }}
+      >
+        {attachments.map((attachment) => (
+          <li
+            key={attachment.id}
+            style={{ display: "flex", gap: "6px", alignItems: "center" }}
+          >
+            <button
+              onClick={() => download(attachment)}
+              title={`Uploaded by ${attachment.uploadedBy?.email} on ${new Date(
+                attachment.createdAt
+              ).toLocaleString()}`}
+              style={{
+                ...linkButtonStyle,
+                fontSize: "11px",
+                color: "#38bdf8",
+                textAlign: "left",
+                overflow: "hidden",
+                textOverflow: "ellipsis",
+                whiteSpace: "nowrap"
+              }}
+            >
+              {attachment.name}
+            </button>
+            <span style={{ color: "#6b7280", whiteSpace: "nowrap" }}>
+              {formatSize(attachment.size)}
+            </span>
+            <span style={{ flex: 1 }} />
+            <button onClick={() => remove(attachment)} style={linkButtonStyle}>
+              Delete
+            </button>
+          </li>
+        ))}
+      </ul>
+      <div>
+        <input
+          ref={fileInput}
+          type="file"
+          onChange={upload}
+          style={{ display: "none" }}
+        />
+        <button
+          onClick={() => fileInput.current.click()}
+          disabled={uploading}
+          style={buttonStyle}
+        >
+          {uploading ? "Uploading…" : "Attach a file"}
+        </button>
+      </div>
+    </div>
+  );
+}
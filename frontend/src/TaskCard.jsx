@@ -0,0 +1,339 @@
+import { useState } from "react";
+import LabelChip from "./LabelChip.jsx";
+import TaskAttachments from "./TaskAttachments.jsx";
+import { describeRecurrence } from "./recurrence.js";
+import TaskComments from "./TaskComments.jsx";
+import TaskHistory from "./TaskHistory.jsx";
+import TaskLinks from "./TaskLinks.jsx";
+import { isDoneColumn, isOverdue } from "../../shared/taskSchema.js";
+
+export default function TaskCard({
+  task,
+  board,
+  dragging,
+  selected,
+  onToggleSelect,
+  onDragStart,
+  onDragEnd,
+  onDragOver,
+  onDelete,
+  onStatusChange,
+  onUndo,
+  links,
+  labels,
+  onLabelsChange,
+  boardTasks,
+  onLinkedChange,
+  apiFetch,
+  unsynced
+}) {
+  const [panel, setPanel] = useState(null);
+  // A task created offline has nothing on the backend to show yet.
+  const panels = unsynced ? [] : ["links", "comments", "files", "history"];
+  const blocked =
+    !isDoneColumn(board, task.status) && links.blockers.length > 0;
+  const taskLabelIds = task.labels || [];
+  const taskLabels = labels.filter((label) => taskLabelIds.includes(label.id));
+  const otherLabels = labels.filter(
+    (label) => !taskLabelIds.includes(label.id)
+  );
+  const priorityColor =
+    task.priority === "high"
+      ? "#f97316"
+      : task.priority === "medium"
+      ? "#22c55e"
+      : "#38bdf8";
+  const dueDateLabel = task.dueDate
+    ? new Date(task.dueDate).toLocaleDateString()
+    : null;
+  const overdue = isOverdue(task, board);
+  return (
+    <div
+      draggable
+      onDragStart={onDragStart}
+      onDragEnd={onDragEnd}
+      onDragOver={onDragOver}
+      style={{
+        borderRadius: "10px",
+        border: selected ? "1px solid #22c55e" : "1px solid #1f2937",
+        borderLeft: blocked ? "3px solid #f97316" : undefined,
+        background:
+          "radial-gradient(circle at top left, rgba(56,189,248,0.1), transparent 60%), #020617",
+        padding: "10px",
+        cursor: "grab",
+        opacity: dragging ? 0.4 : 1
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: "4px"
+        }}
+      >
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: "6px"
+          }}
+        >
+          <input
+            type="checkbox"
+            checked={selected}
+            onChange={onToggleSelect}
+            aria-label={`Select ${task.title}`}
+            style={{ margin: 0, accentColor: "#22c55e", cursor: "pointer" }}
+          />
+          <span
+            style={{
+              width: "8px",
+              height: "8px",
+              borderRadius: "999px",
+              backgroundColor: priorityColor
+            }}
+          />
+          <span
+            style={{
+              fontSize: "14px",
+              fontWeight: 500
+            }}
+          >
+            {task.title}
+          </span>
+          {blocked && (
+            <span
+              title={`Blocked by ${links.blockers
+                .map((blocker) => blocker.title)
+                .join(", ")}`}
+              style={{
+                borderRadius: "999px",
+                padding: "0 6px",
+                fontSize: "10px",
+                color: "#f97316",
+                border: "1px solid #f97316"
+              }}
+            >
+              Blocked
+            </span>
+          )}
+          {unsynced && (
+            <span
+              title="Created offline; it will be saved once the backend is back"
+              style={{
+                borderRadius: "999px",
+                padding: "0 6px",
+                fontSize: "10px",
+                color: "#38bdf8",
+                border: "1px solid #38bdf8"
+              }}
+            >
+              Not synced
+            </span>
+          )}
+        </div>
+        <div style={{ display: "flex", gap: "4px" }}>
+          {panels.map((name) => (
+            <button
+              key={name}
+              onClick={() =>
+                setPanel((current) => (current === name ? null : name))
+              }
+              style={{
+                border: "none",
+                background: "transparent",
+                color: panel === name ? "#e5e7eb" : "#6b7280",
+                cursor: "pointer",
+                fontSize: "12px",
+                textTransform: "capitalize"
+              }}
+            >
+              {name}
+              {name === "comments" && task.commentCount > 0
+                ? ` (${task.commentCount})`
+                : ""}
+            </button>
+          ))}
+          <button
+            onClick={onDelete}
+            style={{
+              border: "none",
+              background: "transparent",
+              color: "#6b7280",
+              cursor: "pointer",
+              fontSize: "12px"
+            }}
+          >
+            Delete
+          </button>
+        </div>
+      </div>
+      {links.parent && (
+        <p style={{ fontSize: "11px", color: "#6b7280", marginBottom: "4px" }}>
+          Subtask of {links.parent.title}
+        </p>
+      )}
+      {(taskLabels.length > 0 || otherLabels.length > 0) && (
+        <div
+          style={{
+            display: "flex",
+            flexWrap: "wrap",
+            alignItems: "center",
+            gap: "4px",
+            marginBottom: "4px"
+          }}
+        >
+          {taskLabels.map((label) => (
+            <LabelChip
+              key={label.id}
+              label={label}
+              onRemove={() =>
+                onLabelsChange(taskLabelIds.filter((id) => id !== label.id))
+              }
+            />
+          ))}
+          {otherLabels.length > 0 && (
+            <select
+              value=""
+              onChange={(event) =>
+                onLabelsChange([...taskLabelIds, event.target.value])
+              }
+              aria-label="Add label"
+              style={{
+                border: "none",
+                background: "transparent",
+                color: "#6b7280",
+                fontSize: "10px",
+                cursor: "pointer"
+              }}
+            >
+              <option value="" disabled>
+                + Label
+              </option>
+              {otherLabels.map((label) => (
+                <option key={label.id} value={label.id}>
+                  {label.name}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+      )}
+      {task.description && (
+        <p
+          style={{
+            fontSize: "12px",
+            color: "#9ca3af",
+            marginBottom: "4px"
+          }}
+        >
+          {task.description}
+        </p>
+      )}
+      {task.recurrence && (
+        <p
+          title="Completing this task creates the next one"
+          style={{
+            fontSize: "11px",
+            color: "#38bdf8",
+            marginBottom: "4px"
+          }}
+        >
+          ↻ {describeRecurrence(task.recurrence)}
+        </p>
+      )}
+
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginTop: "4px"
+        }}
+      >
+        <span
+          style={{
+            fontSize: "11px",
+            color: "#9ca3af"
+          }}
+        >
+          Priority: {task.priority}
+          {dueDateLabel && !overdue ? ` • Due: ${dueDateLabel}` : ""}
+          {overdue && (
+            <span style={{ color: "#ef4444", fontWeight: 600 }}>
+              {` • Overdue: ${dueDateLabel}`}
+            </span>
+          )}
+        </span>
+        <div
+          style={{
+            display: "flex",
+            flexWrap: "wrap",
+            justifyContent: "flex-end",
+            gap: "4px"
+          }}
+        >
+          {board.columns
+            .filter((column) => column.id !== task.status)
+            .map((column) => (
+              <button
+                key={column.id}
+                onClick={() => onStatusChange(column.id)}
+                style={{
+                  border: "none",
+                  borderRadius: "999px",
+                  padding: "2px 8px",
+                  fontSize: "10px",
+                  cursor: "pointer",
+                  backgroundColor: "#0f172a",
+                  color: "#e5e7eb"
+                }}
+              >
+                {column.name}
+              </button>
+            ))}
+        </div>
+      </div>
+      {links.progress && (
+        <div style={{ marginTop: "6px" }}>
+          <div
+            style={{ fontSize: "11px", color: "#9ca3af", marginBottom: "2px" }}
+          >
+            Subtasks {links.progress.done}/{links.progress.total}
+          </div>
+          <div
+            style={{
+              height: "4px",
+              borderRadius: "999px",
+              backgroundColor: "#1f2937",
+              overflow: "hidden"
+            }}
+          >
+            <div
+              style={{
+                width: `${(links.progress.done / links.progress.total) * 100}%`,
+                height: "100%",
+                backgroundColor: "#22c55e"
+              }}
+            />
+          </div>
+        </div>
+      )}
+      {panel === "links" && (
+        <TaskLinks
+          task={task}
+          board={board}
+          boardTasks={boardTasks}
+          apiFetch={apiFetch}
+          onChange={onLinkedChange}
+        />
+      )}
+      {panel === "comments" && <TaskComments task={task} apiFetch={apiFetch} />}
+      {panel === "files" && <TaskAttachments task={task} apiFetch={apiFetch} />}
+      {panel === "history" && (
+        <TaskHistory task={task} apiFetch={apiFetch} onUndo={onUndo} />
+      )}
+    </div>
+  );
+}
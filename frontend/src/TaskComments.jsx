@@ -0,0 +1,250 @@
+import { useEffect, useState } from "react";
+import { commentFields } from "../../shared/taskSchema.js";
+import { describeFailure } from "./api.js";
+import Markdown from "./Markdown.jsx";
+
+const buttonStyle = {
+  border: "none",
+  borderRadius: "999px",
+  padding: "2px 8px",
+  fontSize: "10px",
+  cursor: "pointer",
+  backgroundColor: "#0f172a",
+  color: "#e5e7eb"
+};
+
+const linkButtonStyle = {
+  border: "none",
+  background: "transparent",
+  padding: 0,
+  fontSize: "10px",
+  cursor: "pointer",
+  color: "#6b7280"
+};
+
+const textareaStyle = {
+  width: "100%",
+  boxSizing: "border-box",
+  padding: "4px 6px",
+  borderRadius: "6px",
+  border: "1px solid #374151",
+  backgroundColor: "#020617",
+  color: "#e5e7eb",
+  fontSize: "11px",
+  fontFamily: "inherit",
+  resize: "vertical"
+};
+
+// The comment thread of one task, oldest first, with a box to add to it.
+// Comments are Markdown. The card's comment count comes back through the
+// task event stream; the thread reloads whenever it changes.
+export default function TaskComments({ task, apiFetch }) {
+  const [comments, setComments] = useState([]);
+  const [body, setBody] = useState("");
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    async function loadComments() {
+      try {
+        const response = await apiFetch(`/api/tasks/${task.id}/comments`);
+        if (!response.ok) {
+          throw new Error("Failed to load comments");
+        }
+        const data = await response.json();
+        if (!cancelled) {
+          setComments(data);
+          setError("");
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || "Something went wrong");
+        }
+      }
+    }
+    loadComments();
+    return () => {
+      cancelled = true;
+    };
+  }, [task.id, task.commentCount]);
+
+  async function send(path, method, payload, fallback) {
+    setError("");
+    try {
+      const response = await apiFetch(path, {
+        method,
+        headers: {
+          "Content-Type": "application/json"
+        },
+        body: payload ? JSON.stringify(payload) : undefined
+      });
+      if (!response.ok) {
+        throw new Error(await describeFailure(response, fallback));
+      }
+      return response.status === 204 ? true : await response.json();
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+      return null;
+    }
+  }
+
+  async function addComment(event) {
+    event.preventDefault();
+    if (!body.trim()) {
+      return;
+    }
+    const comment = await send(
+      `/api/tasks/${task.id}/comments`,
+      "POST",
+      { body },
+      "Failed to add comment"
+    );
+    if (comment) {
+      setComments((current) => [...current, comment]);
+      setBody("");
+    }
+  }
+
+  async function saveEdit(event) {
+    event.preventDefault();
+    if (!editing.body.trim()) {
+      return;
+    }
+    const comment = await send(
+      `/api/tasks/${task.id}/comments/${editing.id}`,
+      "PATCH",
+      { body: editing.body },
+      "Failed to update comment"
+    );
+    if (comment) {
+      setComments((current) =>
+        current.map((item) => (item.id === comment.id ? comment : item))
+      );
+      setEditing(null);
+    }
+  }
+
+  async function removeComment(id) {
+    const removed = await send(
+      `/api/tasks/${task.id}/comments/${id}`,
+      "DELETE",
+      null,
+      "Failed to delete comment"
+    );
+    if (removed) {
+      setComments((current) => current.filter((item) => item.id !== id));
+    }
+  }
+
+  return (
+    <div
+      style={{
+        marginTop: "8px",
+        paddingTop: "8px",
+        borderTop: "1px solid #1f2937",
+        fontSize: "11px",
+        color: "#9ca3af",
+        display: "flex",
+        flexDirection: "column",
+        gap: "6px"
+      }}
+    >
+      {error && <p style={{ margin: 0, color: "#f97316" }}>{error}</p>}
+      {!comments.length && (
+        <p style={{ margin: 0, color: "#6b7280" }}>No comments yet.</p>
+      )}
+      <ul
+        style={{
+          listStyle: "none",
+          margin: 0,
+          padding: 0,
+          display: "flex",
+          flexDirection: "column",
+          gap: "6px",
+          maxHeight: "240px",
+          overflowY: "auto"
+        }}
+      >
+        {comments.map((comment) => (
+          <li key={comment.id}>
+            <div style={{ display: "flex", gap: "6px", alignItems: "center" }}>
+              <span style={{ color: "#e5e7eb" }}>{comment.author?.email}</span>
+              <span style={{ color: "#6b7280" }}>
+                {new Date(comment.createdAt).toLocaleString()}
+                {comment.updatedAt !== comment.createdAt && " (edited)"}
+              </span>
+              <span style={{ flex: 1 }} />
+              <button
+                onClick={() =>
+                  setEditing({ id: comment.id, body: comment.body })
+                }
+                style={linkButtonStyle}
+              >
+                Edit
+              </button>
+              <button
+                onClick={() => removeComment(comment.id)}
+                style={linkButtonStyle}
+              >
+                Delete
+              </button>
+            </div>
+            {editing?.id === comment.id ? (
+              <form
+                onSubmit={saveEdit}
+                style={{ display: "flex", flexDirection: "column", gap: "4px" }}
+              >
+                <textarea
+                  value={editing.body}
+                  onChange={(event) =>
+                    setEditing({ ...editing, body: event.target.value })
+                  }
+                  rows={3}
+                  maxLength={commentFields.body.maxLength}
+                  aria-label="Edit comment"
+                  style={textareaStyle}
+                />
+                <div style={{ display: "flex", gap: "4px" }}>
+                  <button type="submit" style={buttonStyle}>
+                    Save
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setEditing(null)}
+                    style={buttonStyle}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <div style={{ color: "#d1d5db" }}>
+                <Markdown text={comment.body} />
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+      <form
+        onSubmit={addComment}
+        style={{ display: "flex", flexDirection: "column", gap: "4px" }}
+      >
+        <textarea
+          value={body}
+          onChange={(event) => setBody(event.target.value)}
+          placeholder="Add a comment (Markdown)"
+          rows={2}
+          maxLength={commentFields.body.maxLength}
+          aria-label="New comment"
+          style={textareaStyle}
+        />
+        <div>
+          <button type="submit" disabled={!body.trim()} style={buttonStyle}>
+            Comment
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+import { useEffect, useState } from "react";
+import { describeRecurrence } from "./recurrence.js";
+
+const fieldLabels = {
+  title: "title",
+  description: "description",
+  priority: "priority",
+  boardId: "board",
+  status: "status",
+  dueDate: "due date",
+  rank: "position",
+  parentId: "parent task",
+  blockedBy: "blocked by",
+  labels: "labels",
+  recurrence: "repeats"
+};
+
+const typeLabels = {
+  created: "created the task",
+  updated: "updated",
+  deleted: "deleted the task",
+  restored: "restored the task"
+};
+
+function formatValue(field, value) {
+  if (
+    value === null ||
+    value === undefined ||
+    value === "" ||
+    (Array.isArray(value) && !value.length)
+  ) {
+    return "none";
+  }
+  if (Array.isArray(value)) {
+    const noun = field === "labels" ? "label" : "task";
+    return value.length === 1 ? `1 ${noun}` : `${value.length} ${noun}s`;
+  }
+  if (field === "parentId") {
+    return "a task";
+  }
+  if (field === "boardId") {
+    return "a board";
+  }
+  if (field === "recurrence") {
+    return describeRecurrence(value);
+  }
+  if (field === "dueDate") {
+    return new Date(value).toLocaleDateString();
+  }
+  return String(value);
+}
+
+function describeChanges(event) {
+  if (event.type !== "updated") {
+    return [];
+  }
+  return event.changes.map((change) =>
+    change.field === "rank"
+      ? "moved within its column"
+      : `${fieldLabels[change.field] || change.field}: ${formatValue(
+          change.field,
+          change.from
+        )} → ${formatValue(change.field, change.to)}`
+  );
+}
+
+export default function TaskHistory({ task, apiFetch, onUndo }) {
+  const [events, setEvents] = useState([]);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    async function loadHistory() {
+      try {
+        const response = await apiFetch(`/api/tasks/${task.id}/history`);
+        if (!response.ok) {
+          throw new Error("Failed to load history");
+        }
+        const data = await response.json();
+        if (!cancelled) {
+          setEvents(data);
+          setError("");
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || "Something went wrong");
+        }
+      }
+    }
+    loadHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [task.id, task.updatedAt]);
+
+  const canUndo = events.some((event) => event.undoable);
+
+  return (
+    <div
+      style={{
+        marginTop: "8px",
+        paddingTop: "8px",
+        borderTop: "1px solid #1f2937",
+        fontSize: "11px",
+        color: "#9ca3af"
+      }}
+    >
+      {error && <p style={{ color: "#f97316" }}>{error}</p>}
+      <ul
+        style={{
+          listStyle: "none",
+          margin: 0,
+          padding: 0,
+          display: "flex",
+          flexDirection: "column",
+          gap: "4px",
+          maxHeight: "160px",
+          overflowY: "auto"
+        }}
+      >
+        {events.map((event) => (
+          <li
+            key={event.id}
+            style={{
+              opacity: event.undone ? 0.5 : 1,
+              textDecoration: event.undone ? "line-through" : "none"
+            }}
+          >
+            <span style={{ color: "#6b7280" }}>
+              {new Date(event.createdAt).toLocaleString()}
+            </span>{" "}
+            {event.actor?.email}{" "}
+            {event.revertOf ? "undid a change" : typeLabels[event.type]}
+            {describeChanges(event).map((line) => (
+              <div key={line} style={{ paddingLeft: "8px" }}>
+                {line}
+              </div>
+            ))}
+          </li>
+        ))}
+      </ul>
+      {canUndo && (
+        <button
+          onClick={onUndo}
+          style={{
+            marginTop: "6px",
+            border: "none",
+            borderRadius: "999px",
+            padding: "2px 8px",
+            fontSize: "10px",
+            cursor: "pointer",
+            backgroundColor: "#0f172a",
+            color: "#e5e7eb"
+          }}
+        >
+          Undo last change
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,230 @@
+import { useEffect, useState } from "react";
+import { isDoneColumn } from "../../shared/taskSchema.js";
+import { describeFailure } from "./api.js";
+
+const buttonStyle = {
+  border: "none",
+  borderRadius: "999px",
+  padding: "2px 8px",
+  fontSize: "10px",
+  cursor: "pointer",
+  backgroundColor: "#0f172a",
+  color: "#e5e7eb"
+};
+
+const inputStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: "2px 6px",
+  borderRadius: "6px",
+  border: "1px solid #374151",
+  backgroundColor: "#020617",
+  color: "#e5e7eb",
+  fontSize: "11px"
+};
+
+// Subtask checklist and blocker editing for one task. Every change is sent
+// straight to the backend and handed to onChange so the board stays in sync.
+// Ticking a subtask moves it to the last column of the board, unticking it
+// back to the first.
+export default function TaskLinks({
+  task,
+  board,
+  boardTasks,
+  apiFetch,
+  onChange
+}) {
+  const [links, setLinks] = useState(null);
+  const [subtaskTitle, setSubtaskTitle] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    async function loadLinks() {
+      try {
+        const response = await apiFetch(`/api/tasks/${task.id}/links`);
+        if (!response.ok) {
+          throw new Error("Failed to load subtasks and blockers");
+        }
+        const data = await response.json();
+        if (!cancelled) {
+          setLinks(data);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || "Something went wrong");
+        }
+      }
+    }
+    loadLinks();
+    return () => {
+      cancelled = true;
+    };
+  }, [task.id, task.updatedAt, boardTasks]);
+
+  async function send(path, method, body, fallback) {
+    setError("");
+    try {
+      const response = await apiFetch(path, {
+        method,
+        headers: {
+          "Content-Type": "application/json"
+        },
+        body: JSON.stringify(body)
+      });
+      if (!response.ok) {
+        throw new Error(await describeFailure(response, fallback));
+      }
+      onChange(await response.json());
+      return true;
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+      return false;
+    }
+  }
+
+  function isDone(item) {
+    return isDoneColumn(board, item.status);
+  }
+
+  function toggleSubtask(subtask) {
+    const { columns } = board;
+    return send(
+      `/api/tasks/${subtask.id}`,
+      "PATCH",
+      {
+        status: isDone(subtask) ? columns[0].id : columns[columns.length - 1].id
+      },
+      "Failed to update subtask"
+    );
+  }
+
+  async function addSubtask(event) {
+    event.preventDefault();
+    if (!subtaskTitle.trim()) {
+      return;
+    }
+    const added = await send(
+      "/api/tasks",
+      "POST",
+      { title: subtaskTitle, parentId: task.id },
+      "Failed to add subtask"
+    );
+    if (added) {
+      setSubtaskTitle("");
+    }
+  }
+
+  function setBlockers(blockedBy) {
+    return send(
+      `/api/tasks/${task.id}`,
+      "PATCH",
+      { blockedBy },
+      "Failed to update blockers"
+    );
+  }
+
+  const blockerIds = task.blockedBy || [];
+  const candidates = boardTasks.filter(
+    (item) => item.id !== task.id && !blockerIds.includes(item.id)
+  );
+
+  return (
+    <div
+      style={{
+        marginTop: "8px",
+        paddingTop: "8px",
+        borderTop: "1px solid #1f2937",
+        fontSize: "11px",
+        color: "#9ca3af",
+        display: "flex",
+        flexDirection: "column",
+        gap: "6px"
+      }}
+    >
+      {error && <p style={{ color: "#f97316" }}>{error}</p>}
+      <div>
+        <div style={{ marginBottom: "2px" }}>Subtasks</div>
+        {links?.subtasks.map((subtask) => (
+          <label
+            key={subtask.id}
+            style={{ display: "flex", alignItems: "center", gap: "6px" }}
+          >
+            <input
+              type="checkbox"
+              checked={isDone(subtask)}
+              onChange={() => toggleSubtask(subtask)}
+              style={{ margin: 0, accentColor: "#22c55e" }}
+            />
+            <span
+              style={{
+                color: "#e5e7eb",
+                textDecoration: isDone(subtask) ? "line-through" : "none"
+              }}
+            >
+              {subtask.title}
+            </span>
+          </label>
+        ))}
+        <form
+          onSubmit={addSubtask}
+          style={{ display: "flex", gap: "4px", marginTop: "4px" }}
+        >
+          <input
+            value={subtaskTitle}
+            onChange={(event) => setSubtaskTitle(event.target.value)}
+            placeholder="Add a subtask"
+            style={inputStyle}
+          />
+          <button type="submit" style={buttonStyle}>
+            Add
+          </button>
+        </form>
+      </div>
+      <div>
+        <div style={{ marginBottom: "2px" }}>Blocked by</div>
+        {links?.blockedBy.map((blocker) => (
+          <div
+            key={blocker.id}
+            style={{ display: "flex", alignItems: "center", gap: "6px" }}
+          >
+            <span
+              style={{
+                color: isDone(blocker) ? "#6b7280" : "#e5e7eb"
+              }}
+            >
+              {blocker.title}
+              {isDone(blocker) ? " (done)" : ""}
+            </span>
+            <button
+              onClick={() =>
+                setBlockers(blockerIds.filter((id) => id !== blocker.id))
+              }
+              aria-label={`Remove blocker ${blocker.title}`}
+              style={{ ...buttonStyle, padding: "0 6px" }}
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        <select
+          value=""
+          onChange={(event) => setBlockers([...blockerIds, event.target.value])}
+          style={{ ...inputStyle, width: "100%", marginTop: "4px" }}
+        >
+          <option value="" disabled>
+            Add a blocking task
+          </option>
+          {candidates.map((item) => (
+            <option key={item.id} value={item.id}>
+              {item.title}
+            </option>
+          ))}
+        </select>
+      </div>
+      {links?.blocks.length > 0 && (
+        <div>Blocks {links.blocks.map((item) => item.title).join(", ")}</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,180 @@
+import { useRef, useState } from "react";
+
+const exportFormats = [
+  { value: "csv", label: "CSV" },
+  { value: "json", label: "JSON" },
+  { value: "ics", label: "Calendar" }
+];
+
+const buttonStyle = {
+  flex: 1,
+  padding: "6px 8px",
+  borderRadius: "8px",
+  border: "1px solid #374151",
+  backgroundColor: "transparent",
+  color: "#e5e7eb",
+  cursor: "pointer",
+  fontSize: "12px"
+};
+
+// Sidebar controls for downloading the board and importing tasks into it.
+// Imports are previewed with a dry run first and only created once confirmed.
+export default function TaskTransfer({ apiFetch, boardId, onImported }) {
+  const fileInput = useRef(null);
+  const [pending, setPending] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  async function run(action) {
+    setBusy(true);
+    setError("");
+    setMessage("");
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function exportTasks(format) {
+    return run(async () => {
+      const params = new URLSearchParams({ format, boardId });
+      const response = await apiFetch(`/api/tasks/export?${params}`);
+      if (!response.ok) {
+        throw new Error("Failed to export tasks");
+      }
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `tasks.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    });
+  }
+
+  function postImport(file, dryRun) {
+    const params = new URLSearchParams({ boardId });
+    if (dryRun) {
+      params.set("dryRun", "true");
+    }
+    return apiFetch(`/api/tasks/import?${params}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": file.name.toLowerCase().endsWith(".csv")
+          ? "text/csv"
+          : "application/json"
+      },
+      body: file.text
+    });
+  }
+
+  function previewImport(event) {
+    const selected = event.target.files[0];
+    event.target.value = "";
+    if (!selected) {
+      return undefined;
+    }
+    return run(async () => {
+      const file = { name: selected.name, text: await selected.text() };
+      const response = await postImport(file, true);
+      const body = await response.json();
+      if (!response.ok) {
+        throw new Error(body.error || "Failed to read import file");
+      }
+      setPending({ file, valid: body.valid, errors: body.errors });
+    });
+  }
+
+  function confirmImport() {
+    return run(async () => {
+      const response = await postImport(pending.file, false);
+      const body = await response.json();
+      if (!response.ok) {
+        throw new Error(body.error || "Failed to import tasks");
+      }
+      setPending(null);
+      setMessage(`Imported ${body.imported} tasks`);
+      onImported();
+    });
+  }
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "8px" }}>
+      <div style={{ display: "flex", gap: "8px" }}>
+        {exportFormats.map((format) => (
+          <button
+            key={format.value}
+            onClick={() => exportTasks(format.value)}
+            disabled={busy}
+            style={buttonStyle}
+          >
+            Export {format.label}
+          </button>
+        ))}
+      </div>
+      <button
+        onClick={() => fileInput.current.click()}
+        disabled={busy}
+        style={buttonStyle}
+      >
+        Import CSV or JSON
+      </button>
+      <input
+        ref={fileInput}
+        type="file"
+        accept=".csv,.json,text/csv,application/json"
+        onChange={previewImport}
+        style={{ display: "none" }}
+      />
+      {pending && (
+        <div
+          style={{
+            borderRadius: "8px",
+            border: "1px solid #1f2937",
+            padding: "8px",
+            fontSize: "12px",
+            color: "#9ca3af"
+          }}
+        >
+          <p style={{ marginBottom: "4px" }}>
+            {pending.file.name}: {pending.valid} valid
+            {pending.errors.length
+              ? `, ${pending.errors.length} with errors`
+              : ""}
+          </p>
+          {pending.errors.slice(0, 5).map((row) => (
+            <p key={row.row} style={{ color: "#f97316" }}>
+              Row {row.row}: {row.errors.map((item) => item.message).join("; ")}
+            </p>
+          ))}
+          {pending.errors.length > 5 && (
+            <p>…and {pending.errors.length - 5} more</p>
+          )}
+          <div style={{ display: "flex", gap: "8px", marginTop: "8px" }}>
+            <button
+              onClick={confirmImport}
+              disabled={busy || pending.errors.length > 0}
+              style={{
+                ...buttonStyle,
+                borderColor: "#22c55e",
+                opacity: pending.errors.length ? 0.5 : 1
+              }}
+            >
+              Import {pending.valid} tasks
+            </button>
+            <button onClick={() => setPending(null)} style={buttonStyle}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+      {message && (
+        <p style={{ fontSize: "12px", color: "#22c55e" }}>{message}</p>
+      )}
+      {error && <p style={{ fontSize: "12px", color: "#f97316" }}>{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,169 @@
+import { useEffect, useState } from "react";
+
+const buttonStyle = {
+  border: "none",
+  borderRadius: "999px",
+  padding: "2px 8px",
+  fontSize: "10px",
+  cursor: "pointer",
+  backgroundColor: "#0f172a",
+  color: "#e5e7eb"
+};
+
+export default function TrashView({ apiFetch, onRestored }) {
+  const [tasks, setTasks] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  async function run(action) {
+    setLoading(true);
+    setError("");
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function loadTrash() {
+    return run(async () => {
+      const response = await apiFetch("/api/trash");
+      if (!response.ok) {
+        throw new Error("Failed to load trash");
+      }
+      setTasks(await response.json());
+    });
+  }
+
+  function restoreTask(id) {
+    return run(async () => {
+      const response = await apiFetch(`/api/trash/${id}/restore`, {
+        method: "POST"
+      });
+      if (!response.ok) {
+        throw new Error("Failed to restore task");
+      }
+      const restored = await response.json();
+      setTasks((current) => current.filter((task) => task.id !== id));
+      onRestored(restored);
+    });
+  }
+
+  function purgeTask(id) {
+    return run(async () => {
+      const response = await apiFetch(`/api/trash/${id}`, {
+        method: "DELETE"
+      });
+      if (!response.ok && response.status !== 204) {
+        throw new Error("Failed to delete task");
+      }
+      setTasks((current) => current.filter((task) => task.id !== id));
+    });
+  }
+
+  function emptyTrash() {
+    if (!window.confirm("Permanently delete everything in the trash?")) {
+      return undefined;
+    }
+    return run(async () => {
+      const response = await apiFetch("/api/trash", { method: "DELETE" });
+      if (!response.ok) {
+        throw new Error("Failed to empty trash");
+      }
+      setTasks([]);
+    });
+  }
+
+  useEffect(() => {
+    loadTrash();
+  }, []);
+
+  return (
+    <div
+      style={{
+        borderRadius: "12px",
+        backgroundColor: "#020617",
+        border: "1px solid #1f2937",
+        padding: "12px",
+        boxShadow: "0 16px 30px rgba(0,0,0,0.4)"
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+          marginBottom: "8px"
+        }}
+      >
+        <h2
+          style={{
+            fontSize: "14px",
+            textTransform: "uppercase",
+            letterSpacing: "0.08em",
+            color: "#9ca3af"
+          }}
+        >
+          Trash
+        </h2>
+        {tasks.length > 0 && (
+          <button onClick={emptyTrash} disabled={loading} style={buttonStyle}>
+            Empty trash
+          </button>
+        )}
+      </div>
+      {error && (
+        <p style={{ fontSize: "12px", color: "#f97316", marginBottom: "8px" }}>
+          {error}
+        </p>
+      )}
+      <div style={{ display: "flex", flexDirection: "column", gap: "8px" }}>
+        {tasks.map((task) => (
+          <div
+            key={task.id}
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              borderRadius: "10px",
+              border: "1px solid #1f2937",
+              padding: "10px"
+            }}
+          >
+            <div>
+              <div style={{ fontSize: "14px", fontWeight: 500 }}>
+                {task.title}
+              </div>
+              <div style={{ fontSize: "11px", color: "#9ca3af" }}>
+                Deleted {new Date(task.deletedAt).toLocaleString()}
+              </div>
+            </div>
+            <div style={{ display: "flex", gap: "4px" }}>
+              <button
+                onClick={() => restoreTask(task.id)}
+                disabled={loading}
+                style={buttonStyle}
+              >
+                Restore
+              </button>
+              <button
+                onClick={() => purgeTask(task.id)}
+                disabled={loading}
+                style={{ ...buttonStyle, color: "#f97316" }}
+              >
+                Delete forever
+              </button>
+            </div>
+          </div>
+        ))}
+        {!tasks.length && !loading && (
+          <p style={{ fontSize: "12px", color: "#6b7280" }}>
+            The trash is empty. Deleted tasks stay here until they are purged.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
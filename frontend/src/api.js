@@ -0,0 +1,20 @@
+export const apiUrl = import.meta.env.VITE_API_URL || "";
+
+// Makes a write apply only to the version of the task the user has seen;
+// anything newer gets a 412 with the current copy instead.
+export function ifMatch(task) {
+  return task ? { "If-Match": `"${task.version ?? 0}"` } : {};
+}
+
+// Turns a failed response into a message for the user, naming the open
+// blockers when a task can't be marked done yet.
+export async function describeFailure(response, fallback) {
+  const body = await response.json().catch(() => ({}));
+  if (body.blockedBy) {
+    const titles = body.blockedBy.map((task) => `"${task.title}"`);
+    return `Blocked until ${titles.join(", ")} ${
+      titles.length === 1 ? "is" : "are"
+    } done`;
+  }
+  return body.error || fallback;
+}
@@ -0,0 +1,227 @@
+// The board as last seen and the changes made while the backend couldn't be
+// reached, kept in IndexedDB so both survive a reload. Everything is stored
+// per user.
+
+import { ifMatch } from "./api.js";
+
+const databaseName = "taskboard";
+const databaseVersion = 1;
+const cacheStore = "cache";
+const mutationStore = "mutations";
+
+let database = null;
+
+const localIdPrefix = "local-";
+
+// Thrown by apiFetch when the request never reached the backend, or nginx
+// answered for it because the backend is down.
+export class OfflineError extends Error {
+  constructor() {
+    super("The backend can't be reached right now");
+  }
+}
+
+export function isUnavailable(response) {
+  return [502, 503, 504].includes(response.status);
+}
+
+export function isLocalTask(id) {
+  return id.startsWith(localIdPrefix);
+}
+
+// Stands in for a task created offline until the backend has it; like the
+// backend, it goes to the top of the board's first column.
+export function localTask(payload, board) {
+  const now = new Date().toISOString();
+  return {
+    id: `${localIdPrefix}${Date.now().toString(36)}-${Math.random()
+      .toString(36)
+      .slice(2)}`,
+    title: payload.title,
+    description: payload.description,
+    priority: payload.priority,
+    boardId: payload.boardId,
+    status: board?.columns[0].id ?? null,
+    dueDate: payload.dueDate ? `${payload.dueDate}T00:00:00.000Z` : null,
+    recurrence: payload.recurrence ?? null,
+    parentId: null,
+    blockedBy: [],
+    labels: [],
+    rank: "",
+    commentCount: 0,
+    version: 0,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+// The apiFetch arguments that send a queued mutation. Updates and deletes
+// carry the version the change was made against, so one the server has
+// moved past comes back as a 412.
+export function replayRequest({ kind, taskId, body, version }) {
+  const json = { "Content-Type": "application/json" };
+  if (kind === "create") {
+    return [
+      "/api/tasks",
+      { method: "POST", headers: json, body: JSON.stringify(body) }
+    ];
+  }
+  if (kind === "move") {
+    return [
+      `/api/tasks/${taskId}/move`,
+      { method: "POST", headers: json, body: JSON.stringify(body) }
+    ];
+  }
+  if (kind === "update") {
+    return [
+      `/api/tasks/${taskId}`,
+      {
+        method: "PATCH",
+        headers: { ...json, ...ifMatch({ version }) },
+        body: JSON.stringify(body)
+      }
+    ];
+  }
+  return [
+    `/api/tasks/${taskId}`,
+    { method: "DELETE", headers: ifMatch({ version }) }
+  ];
+}
+
+function settle(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  if (!database) {
+    const request = indexedDB.open(databaseName, databaseVersion);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(cacheStore);
+      request.result
+        .createObjectStore(mutationStore, {
+          keyPath: "seq",
+          autoIncrement: true
+        })
+        .createIndex("owner", "owner");
+    };
+    database = settle(request);
+    database.catch(() => {
+      database = null;
+    });
+  }
+  return database;
+}
+
+async function withStore(name, mode, action) {
+  const db = await openDatabase();
+  const transaction = db.transaction(name, mode);
+  const done = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  const result = await action(transaction.objectStore(name));
+  await done;
+  return result;
+}
+
+// Without IndexedDB (some private windows) nothing is cached, which only
+// means there is nothing to show while offline.
+export async function readCache(owner, key) {
+  try {
+    const value = await withStore(cacheStore, "readonly", (store) =>
+      settle(store.get(`${owner}:${key}`))
+    );
+    return value ?? null;
+  } catch (err) {
+    return null;
+  }
+}
+
+export async function writeCache(owner, key, value) {
+  try {
+    await withStore(cacheStore, "readwrite", (store) =>
+      settle(store.put(value, `${owner}:${key}`))
+    );
+  } catch (err) {
+    // The cache is a convenience; the app works without it.
+  }
+}
+
+export function queueMutation(owner, mutation) {
+  return withStore(mutationStore, "readwrite", (store) =>
+    settle(store.add({ ...mutation, owner, queuedAt: Date.now() }))
+  );
+}
+
+// The user's queued mutations in the order they were made.
+export async function pendingMutations(owner) {
+  try {
+    const mutations = await withStore(mutationStore, "readonly", (store) =>
+      settle(store.index("owner").getAll(owner))
+    );
+    return mutations.sort((a, b) => a.seq - b.seq);
+  } catch (err) {
+    return [];
+  }
+}
+
+export function dropMutation(seq) {
+  return withStore(mutationStore, "readwrite", (store) =>
+    settle(store.delete(seq))
+  );
+}
+
+// A change that went through may leave later ones pointing at the task under
+// an id or version it no longer has: a task created offline gets its real id,
+// and every write moves the version on.
+export async function rebaseMutations(owner, fromId, task) {
+  const mutations = await pendingMutations(owner);
+  await withStore(mutationStore, "readwrite", (store) => {
+    for (const mutation of mutations) {
+      const body = { ...mutation.body };
+      for (const field of ["afterId", "beforeId"]) {
+        if (body[field] === fromId) {
+          body[field] = task.id;
+        }
+      }
+      const own = mutation.taskId === fromId;
+      store.put({
+        ...mutation,
+        body,
+        taskId: own ? task.id : mutation.taskId,
+        version:
+          own && mutation.version !== undefined
+            ? task.version
+            : mutation.version
+      });
+    }
+  });
+}
+
+// Drops what was queued for a task that never reached the backend.
+export async function dropMutationsFor(owner, taskId) {
+  const mutations = await pendingMutations(owner);
+  await withStore(mutationStore, "readwrite", (store) => {
+    for (const mutation of mutations) {
+      if (mutation.taskId === taskId) {
+        store.delete(mutation.seq);
+      }
+    }
+  });
+}
+
+// Forgets the user's cached board on logout. Queued changes are kept for
+// their next login, since a session can also end by expiring while offline.
+export async function forgetCache(owner) {
+  try {
+    await withStore(cacheStore, "readwrite", (store) =>
+      settle(store.delete(IDBKeyRange.bound(`${owner}:`, `${owner}:\uffff`)))
+    );
+  } catch (err) {
+    // Nothing was stored.
+  }
+}
@@ -0,0 +1,22 @@
+import { frequencies, weekdays } from "../../shared/taskSchema.js";
+
+// A short sentence for a repeat rule, like "Every 2 weeks on Mon, Thu, 3
+// times left".
+export function describeRecurrence(rule) {
+  const { unit } = frequencies.find(
+    (option) => option.value === rule.frequency
+  );
+  const parts = [
+    rule.interval === 1 ? `Every ${unit}` : `Every ${rule.interval} ${unit}s`
+  ];
+  if (rule.weekdays?.length) {
+    parts[0] += ` on ${rule.weekdays.map((day) => weekdays[day]).join(", ")}`;
+  }
+  if (rule.until) {
+    parts.push(`until ${new Date(rule.until).toLocaleDateString()}`);
+  }
+  if (rule.count !== null && rule.count !== undefined) {
+    parts.push(rule.count === 1 ? "last time" : `${rule.count} times left`);
+  }
+  return parts.join(", ");
+}
@@ -0,0 +1,69 @@
+import { apiUrl } from "./api.js";
+
+const taskEventTypes = ["task.created", "task.updated", "task.deleted"];
+const initialRetryDelay = 1000;
+const maxRetryDelay = 30000;
+
+// EventSource retries dropped connections by itself, but gives up for good
+// when the server answers with an error (for example a 502 while the backend
+// restarts), so closed streams are reopened here with exponential backoff.
+export function subscribeToTaskEvents(
+  token,
+  { onEvent, onLabelsChanged, onBoardsChanged, onResync }
+) {
+  let source = null;
+  let lastEventId = null;
+  let retryDelay = initialRetryDelay;
+  let retryTimer = null;
+  let stopped = false;
+
+  function track(event) {
+    if (event.lastEventId) {
+      lastEventId = event.lastEventId;
+    }
+    retryDelay = initialRetryDelay;
+  }
+
+  function connect() {
+    const params = new URLSearchParams({ access_token: token });
+    if (lastEventId) {
+      params.set("lastEventId", lastEventId);
+    }
+    source = new EventSource(`${apiUrl}/api/tasks/events?${params}`);
+    source.addEventListener("ready", track);
+    source.addEventListener("resync", (event) => {
+      track(event);
+      onResync();
+    });
+    source.addEventListener("labels.changed", (event) => {
+      track(event);
+      onLabelsChanged();
+    });
+    source.addEventListener("boards.changed", (event) => {
+      track(event);
+      onBoardsChanged();
+    });
+
+    for (const type of taskEventTypes) {
+      source.addEventListener(type, (event) => {
+        track(event);
+        onEvent(type, JSON.parse(event.data));
+      });
+    }
+    source.onerror = () => {
+      if (stopped || source.readyState !== EventSource.CLOSED) {
+        return;
+      }
+      retryTimer = setTimeout(connect, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, maxRetryDelay);
+    };
+  }
+
+  connect();
+
+  return () => {
+    stopped = true;
+    clearTimeout(retryTimer);
+    source.close();
+  };
+}
@@ -2,5 +2,11 @@ import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 
 export default defineConfig({
-  plugins: [react()]
+  plugins: [react()],
+  server: {
+    // The task schema lives in ../shared alongside the backend.
+    fs: {
+      allow: [".."]
+    }
+  }
 });
@@ -0,0 +1,426 @@
+// The single definition of what tasks, boards, labels, comments and webhooks
+// look like. The backend validates requests and builds its mongoose models
+// from it, and the frontend builds its forms and client-side checks from it,
+// so the allowed values can't drift apart.
+
+// Listed from lowest to highest: sorting by priority follows this order.
+export const priorities = [
+  { value: "low", label: "Low" },
+  { value: "medium", label: "Medium" },
+  { value: "high", label: "High" }
+];
+
+// The columns of every user's first board. A task's status is the id of the
+// column it sits in, and the last column of a board holds finished tasks.
+export const defaultColumns = [
+  { id: "todo", name: "To Do", wipLimit: null },
+  { id: "in-progress", name: "In Progress", wipLimit: null },
+  { id: "done", name: "Done", wipLimit: null }
+];
+
+export function isDoneColumn(board, status) {
+  return board.columns[board.columns.length - 1]?.id === status;
+}
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+// Tasks due before this are overdue unless they are done. Due dates are whole
+// days at UTC midnight, so a task becomes overdue once its due day has ended.
+export function overdueCutoff(now = new Date()) {
+  return new Date(now.getTime() - dayMs);
+}
+
+export function isOverdue(task, board, now = new Date()) {
+  return (
+    Boolean(task.dueDate) &&
+    !isDoneColumn(board, task.status) &&
+    new Date(task.dueDate) < overdueCutoff(now)
+  );
+}
+
+// Weekday numbers follow Date#getUTCDay: 0 is Sunday.
+export const weekdays = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+export const frequencies = [
+  { value: "daily", label: "Daily", unit: "day" },
+  { value: "weekly", label: "Weekly", unit: "week" },
+  { value: "monthly", label: "Monthly", unit: "month" }
+];
+
+// A repeat rule: every `interval` days, weeks or months, on the listed
+// weekdays for weekly rules, until an end date or for `count` more
+// occurrences (this one included), whichever comes first.
+export const recurrenceFields = {
+  frequency: {
+    type: "enum",
+    label: "Frequency",
+    required: true,
+    values: frequencies.map((option) => option.value)
+  },
+  interval: { type: "count", label: "Interval", max: 365 },
+  weekdays: { type: "weekdays", label: "Weekdays" },
+  until: { type: "date", label: "End date", nullable: true },
+  count: { type: "count", label: "Occurrences", nullable: true, max: 1000 }
+};
+
+export const taskFields = {
+  title: { type: "string", label: "Title", required: true, maxLength: 200 },
+  description: { type: "string", label: "Description", maxLength: 5000 },
+  priority: {
+    type: "enum",
+    label: "Priority",
+    values: priorities.map((option) => option.value),
+    default: "medium"
+  },
+  // Which columns exist depends on the board, so the service checks these.
+  boardId: { type: "id", of: "board", label: "Board" },
+  status: { type: "id", of: "column", label: "Status" },
+  dueDate: { type: "date", label: "Due date", nullable: true },
+  parentId: { type: "id", of: "task", label: "Parent task", nullable: true },
+  blockedBy: { type: "ids", of: "task", label: "Blocked by", maxItems: 50 },
+  labels: { type: "ids", of: "label", label: "Labels", maxItems: 20 },
+  recurrence: { type: "recurrence", label: "Repeat", nullable: true }
+};
+
+// Offered by the label editor; any #rrggbb colour is accepted.
+export const labelColors = [
+  "#38bdf8",
+  "#22c55e",
+  "#a3e635",
+  "#facc15",
+  "#f97316",
+  "#ef4444",
+  "#ec4899",
+  "#a855f7",
+  "#94a3b8"
+];
+
+export const labelFields = {
+  name: { type: "string", label: "Name", required: true, maxLength: 40 },
+  color: { type: "color", label: "Colour", default: labelColors[0] }
+};
+
+export const columnFields = {
+  name: { type: "string", label: "Name", required: true, maxLength: 40 },
+  wipLimit: { type: "count", label: "WIP limit", nullable: true, max: 999 }
+};
+
+export const boardFields = {
+  name: { type: "string", label: "Name", required: true, maxLength: 60 },
+  columns: { type: "columns", label: "Columns", maxItems: 12 }
+};
+
+// Comment bodies are Markdown, shown as formatted text but never as HTML.
+export const commentFields = {
+  body: { type: "string", label: "Comment", required: true, maxLength: 5000 }
+};
+
+// Task events other tools can subscribe to with a webhook.
+export const webhookEvents = ["task.created", "task.updated", "task.deleted"];
+
+export const webhookFields = {
+  url: { type: "url", label: "URL", required: true, maxLength: 2000 },
+  events: {
+    type: "enums",
+    label: "Events",
+    required: true,
+    values: webhookEvents
+  },
+  secret: { type: "string", label: "Secret", maxLength: 200 },
+  active: { type: "boolean", label: "Active" }
+};
+
+// Fields the server sets itself. They show up in exports and responses, so
+// they are accepted in requests and ignored rather than reported as unknown.
+export const readOnlyFields = [
+  "id",
+  "owner",
+  "rank",
+  "commentCount",
+  "version",
+  "createdAt",
+  "updatedAt",
+  "deletedAt"
+];
+
+function checkField(definition, raw) {
+  const { label } = definition;
+  if (definition.type === "string") {
+    if (typeof raw !== "string") {
+      return { error: `${label} must be text` };
+    }
+    const value = raw.trim();
+    if (definition.required && !value) {
+      return { error: `${label} is required` };
+    }
+    if (definition.maxLength && value.length > definition.maxLength) {
+      return {
+        error: `${label} must be at most ${definition.maxLength} characters`
+      };
+    }
+    return { value };
+  }
+  if (definition.type === "enum") {
+    if (!definition.values.includes(raw)) {
+      return {
+        error: `${label} must be one of ${definition.values.join(", ")}`
+      };
+    }
+    return { value: raw };
+  }
+  if (definition.type === "id") {
+    return typeof raw === "string" && raw.trim()
+      ? { value: raw.trim() }
+      : { error: `${label} must be a ${definition.of} id` };
+  }
+  if (definition.type === "ids") {
+    if (
+      !Array.isArray(raw) ||
+      !raw.every((id) => typeof id === "string" && id.trim())
+    ) {
+      return { error: `${label} must be a list of ${definition.of} ids` };
+    }
+    const value = [...new Set(raw.map((id) => id.trim()))];
+    if (value.length > definition.maxItems) {
+      return {
+        error: `${label} can list at most ${definition.maxItems} ${definition.of}s`
+      };
+    }
+    return { value };
+  }
+  if (definition.type === "count") {
+    return Number.isInteger(raw) && raw >= 1 && raw <= definition.max
+      ? { value: raw }
+      : {
+          error: `${label} must be a whole number from 1 to ${definition.max}`
+        };
+  }
+  if (definition.type === "columns") {
+    return checkColumns(definition, raw);
+  }
+  if (definition.type === "weekdays") {
+    if (
+      !Array.isArray(raw) ||
+      !raw.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+    ) {
+      return { error: `${label} must be a list of days from 0 (Sunday) to 6` };
+    }
+    return { value: [...new Set(raw)].sort((a, b) => a - b) };
+  }
+  if (definition.type === "recurrence") {
+    return checkRecurrence(raw);
+  }
+  if (definition.type === "enums") {
+    if (
+      !Array.isArray(raw) ||
+      !raw.length ||
+      !raw.every((value) => definition.values.includes(value))
+    ) {
+      return {
+        error: `${label} must list one or more of ${definition.values.join(
+          ", "
+        )}`
+      };
+    }
+    return { value: [...new Set(raw)] };
+  }
+  if (definition.type === "url") {
+    let parsed = null;
+    try {
+      parsed = typeof raw === "string" ? new URL(raw.trim()) : null;
+    } catch (error) {
+      parsed = null;
+    }
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+      return { error: `${label} must be an http or https URL` };
+    }
+    if (parsed.href.length > definition.maxLength) {
+      return {
+        error: `${label} must be at most ${definition.maxLength} characters`
+      };
+    }
+    return { value: parsed.href };
+  }
+  if (definition.type === "boolean") {
+    return typeof raw === "boolean"
+      ? { value: raw }
+      : { error: `${label} must be true or false` };
+  }
+  if (definition.type === "color") {
+    return typeof raw === "string" && /^#[0-9a-f]{6}$/i.test(raw)
+      ? { value: raw.toLowerCase() }
+      : { error: `${label} must be a colour like #38bdf8` };
+  }
+  const parsed = typeof raw === "string" ? new Date(raw) : null;
+  if (!parsed || isNaN(parsed.getTime())) {
+    return { error: `${label} must be a valid date` };
+  }
+  return { value: parsed };
+}
+
+// Columns keep the id they were sent with, so a board can be edited by
+// sending back its columns renamed or reordered; new columns have no id yet.
+function checkColumns(definition, raw) {
+  const { label } = definition;
+  if (!Array.isArray(raw) || !raw.length) {
+    return { error: `${label} must be a list with at least one column` };
+  }
+  if (raw.length > definition.maxItems) {
+    return { error: `${label} can list at most ${definition.maxItems}` };
+  }
+  const value = [];
+  for (const [index, column] of raw.entries()) {
+    const { values, errors } = validateColumn(column);
+    if (errors.length) {
+      return { error: `Column ${index + 1}: ${errors[0].message}` };
+    }
+    const id = typeof column.id === "string" ? column.id.trim() : "";
+    value.push({
+      ...(id && { id }),
+      name: values.name,
+      wipLimit: values.wipLimit ?? null
+    });
+  }
+  const names = value.map((column) => column.name.toLowerCase());
+  if (new Set(names).size < names.length) {
+    return { error: "Column names must be unique" };
+  }
+  const ids = value.filter((column) => column.id).map((column) => column.id);
+  if (new Set(ids).size < ids.length) {
+    return { error: "A column can only be listed once" };
+  }
+  return { value };
+}
+
+// Rules are stored with every field filled in; weekdays only mean something
+// for weekly rules. `monthDay` is set by the server when a monthly series
+// moves on, and a rule that is set again starts from its task's due date.
+function checkRecurrence(raw) {
+  const { values, errors } = validateFields(recurrenceFields, "Repeat", raw, {
+    readOnly: ["monthDay"]
+  });
+  if (errors.length) {
+    return { error: errors[0].message };
+  }
+  return {
+    value: {
+      frequency: values.frequency,
+      interval: values.interval ?? 1,
+      weekdays: values.frequency === "weekly" ? values.weekdays ?? [] : [],
+      until: values.until ?? null,
+      count: values.count ?? null,
+      monthDay: null
+    }
+  };
+}
+
+// Blank values ("" or null) are treated the way an empty form control or CSV
+// cell means them: they clear text and nullable fields, and leave an enum at
+// its default when creating.
+function checkBlank(definition, partial) {
+  if (definition.required) {
+    return { error: `${definition.label} is required` };
+  }
+  if (definition.type === "string") {
+    return { value: "" };
+  }
+  if (definition.type === "ids" || definition.type === "weekdays") {
+    return { value: [] };
+  }
+  if (definition.nullable) {
+    return { value: null };
+  }
+  if (!partial) {
+    return {};
+  }
+  return {
+    error: definition.values
+      ? `${definition.label} must be one of ${definition.values.join(", ")}`
+      : `${definition.label} can't be empty`
+  };
+}
+
+// Checks a payload against a field schema. Creating (the default) requires
+// every required field; with { partial: true } only the fields present are
+// checked, as for an update. `fields` narrows which fields may be sent.
+// Returns the cleaned values and one { field, message } per problem.
+function validateFields(schema, noun, input, { partial, fields, readOnly }) {
+  const allowed = fields || Object.keys(schema);
+  const values = {};
+  const errors = [];
+  if (typeof input !== "object" || input === null || Array.isArray(input)) {
+    return {
+      values,
+      errors: [{ field: null, message: `${noun} must be an object` }]
+    };
+  }
+  for (const name of Object.keys(input)) {
+    if (!allowed.includes(name) && !readOnly.includes(name)) {
+      errors.push({
+        field: name,
+        message: schema[name]
+          ? `${schema[name].label} can't be changed here`
+          : `${name} is not a ${noun.toLowerCase()} field`
+      });
+    }
+  }
+  for (const name of allowed) {
+    const definition = schema[name];
+    const raw = input[name];
+    if (raw === undefined && (partial || !definition.required)) {
+      continue;
+    }
+    const { value, error } =
+      raw === undefined || raw === null || raw === ""
+        ? checkBlank(definition, partial)
+        : checkField(definition, raw);
+    if (error) {
+      errors.push({ field: name, message: error });
+    } else if (value !== undefined) {
+      values[name] = value;
+    }
+  }
+  return { values, errors };
+}
+
+export function validateTask(input, { partial = false, fields } = {}) {
+  return validateFields(taskFields, "Task", input, {
+    partial,
+    fields,
+    readOnly: readOnlyFields
+  });
+}
+
+export function validateBoard(input, { partial = false } = {}) {
+  return validateFields(boardFields, "Board", input, {
+    partial,
+    readOnly: ["id", "owner", "createdAt", "updatedAt"]
+  });
+}
+
+export function validateColumn(input, { partial = false } = {}) {
+  return validateFields(columnFields, "Column", input, {
+    partial,
+    readOnly: ["id", "count"]
+  });
+}
+
+export function validateComment(input) {
+  return validateFields(commentFields, "Comment", input, {
+    readOnly: ["id", "taskId", "author", "createdAt", "updatedAt"]
+  });
+}
+
+export function validateWebhook(input, { partial = false } = {}) {
+  return validateFields(webhookFields, "Webhook", input, {
+    partial,
+    readOnly: ["id", "owner", "createdAt", "updatedAt"]
+  });
+}
+
+export function validateLabel(input, { partial = false } = {}) {
+  return validateFields(labelFields, "Label", input, {
+    partial,
+    readOnly: ["id", "owner", "count", "createdAt", "updatedAt"]
+  });
+}